@@ -0,0 +1,59 @@
+// app.js - The Express app: middleware, routes and error handling
+// server.js connects to MongoDB, starts the background jobs and listens;
+// scripts such as generate-openapi.js load the app without doing either
+const express = require('express');
+const bodyParser = require('body-parser');
+
+// Import middleware
+const requestId = require('./middleware/requestId');
+const logger = require('./middleware/logger');
+const metrics = require('./middleware/metrics');
+const { routeBase } = require('./middleware/metrics');
+const errorHandler = require('./middleware/errorHandler');
+const { notFoundHandler } = require('./middleware/errorHandler');
+const { serveMedia } = require('./utils/mediaStorage');
+
+const apiRoutes = require('./routes');
+
+// Initialize Express app
+const ecomApp = express();
+
+// Behind a load balancer, TRUST_PROXY makes req.ip the client's address instead of the
+// balancer's, so per-IP rate limits and logs see real clients: true, a hop count or addresses
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    ecomApp.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
+// Middleware setup
+
+// 1. Request id (X-Request-Id) for tracing a request through logs and the audit trail
+ecomApp.use(requestId);
+
+// 2. Access log: one JSON line per request with status, latency and bytes (see utils/logger)
+ecomApp.use(logger);
+
+// 3. Request counts and latencies for GET /metrics
+ecomApp.use(metrics);
+
+// 4. JSON body parser middleware
+ecomApp.use(bodyParser.json());
+
+// Uploaded product images, when they are kept on this server (see utils/mediaStorage)
+ecomApp.use('/media', serveMedia);
+
+// Routes (see routes/index.js), each labelled with its mount path in the metrics
+apiRoutes.forEach(({ path, router }) => ecomApp.use(path, routeBase(path), router));
+
+// Root route
+ecomApp.get('/', (req, res) => {
+    res.send('Welcome to the Product API! Go to /api/products to see all products, or /api/docs for the API reference.');
+});
+
+// 5. Unknown routes answer 404 in the same problem+json format as other errors
+ecomApp.use(notFoundHandler);
+
+// 6. Global error handling middleware (should be last)
+ecomApp.use(errorHandler);
+
+module.exports = ecomApp;
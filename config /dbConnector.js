@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
+const logger = require('../utils/logger');
+const { instrumentMongoClient } = require('../utils/metrics');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -9,10 +11,13 @@ const connectDB = async () => {
         await mongoose.connect(process.env.MONGO_URI, {
             useNewUrlParser: true,
             useUnifiedTopology: true,
+            // Command events feed the MongoDB timings of GET /metrics
+            monitorCommands: true,
         });
-        console.log('MongoDB connected successfully');
+        instrumentMongoClient(mongoose.connection.getClient());
+        logger.info('MongoDB connected');
     } catch (error) {
-        console.error('Error connecting to MongoDB:', error);
+        logger.error('Error connecting to MongoDB', { err: error });
         process.exit(1); // Exit the process with failure
     }
 };
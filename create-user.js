@@ -0,0 +1,91 @@
+// create-user.js - CLI that creates a user account directly in the database
+// This is how the first admin of a fresh install is created: POST /auth/register
+// only ever makes viewers unless the caller already has keys:admin.
+// The password is asked for on the terminal (or read from stdin) so it stays
+// out of the shell history.
+//
+// Usage:
+//   node create-user.js --email admin@example.com --name "Admin" --role admin
+
+const { parseArgs } = require('util');
+const readline = require('readline/promises');
+const mongoose = require('mongoose');
+const connectDB = require('./config /dbConnector');
+const User = require('./models/users');
+const { USER_ROLES } = require('./models/users');
+const { schemas } = require('./middleware/validation');
+const { validateSchema } = require('./utils/schema');
+
+const { values } = parseArgs({
+    options: {
+        email: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string', default: 'viewer' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const printUsage = () => {
+    console.log('Usage: node create-user.js --email <email> --name <name> [--role admin|editor|viewer]');
+    console.log(`Available roles: ${USER_ROLES.join(', ')}`);
+};
+
+const readPassword = async () => {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    try {
+        return await prompt.question('Password: ');
+    } finally {
+        prompt.close();
+    }
+};
+
+const main = async () => {
+    if (values.help) {
+        printUsage();
+        return;
+    }
+
+    if (!values.email || !values.name) {
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const account = {
+        email: values.email.trim().toLowerCase(),
+        name: values.name.trim(),
+        role: values.role,
+        password: await readPassword()
+    };
+
+    // Same rules as POST /auth/register
+    const { errors } = validateSchema(schemas.register, account);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(`${error.pointer.slice(1)} ${error.detail}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    await connectDB();
+
+    try {
+        if (await User.exists({ email: account.email })) {
+            console.error(`An account with the email ${account.email} already exists`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const user = new User({ email: account.email, name: account.name, role: account.role });
+        await user.setPassword(account.password);
+        await user.save();
+
+        console.log(`Created ${user.role} ${user.email} (id: ${user._id})`);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('Failed to create user:', error.message);
+    process.exitCode = 1;
+});
@@ -1,24 +1,100 @@
-// import('uuid').v4 as uuidv4;
-// // This script generates a unique API key using UUID and logs it to the console
-// // You can use this key in your .env file for authentication purposes
-
-// console.log('Generating a new API key...');
-
-// // Generate a new UUID
-// // This will be your API key
-// // You can replace this with any other method of generating a key if needed
-// // For example, you could use a random string generator or a secure hash function
-
-// // Log the generated API key to the console
-// // You can copy this key and add it to your .env file
-// // Make sure to keep it secret and not expose it in public repositories
-// console.log('=== YOUR API KEY ===');
-// console.log(uuidv4());
-// console.log('=== ADD THIS TO YOUR .env FILE ===');
-
-// Use dynamic import for uuid
-import('uuid').then(({ v4: uuidv4 }) => {
-    console.log('=== YOUR API KEY ===');
-    console.log(uuidv4());
-    console.log('=== ADD THIS TO YOUR .env FILE ===');
-});
\ No newline at end of file
+// generate-key.js - CLI that issues an API key directly in the database
+// The plaintext key is printed once; only its hash is stored, so copy it straight away
+//
+// Usage:
+//   node generate-key.js --name "Storefront" --owner "web-team" \
+//       --scopes products:read,products:write --expires-in-days 90 --daily-quota 10000
+//
+// Use --scopes keys:admin to create the first admin key for the /api/keys routes
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('./config /dbConnector');
+const ApiKey = require('./models/apiKeys');
+const { API_KEY_SCOPES } = require('./models/apiKeys');
+
+const { values } = parseArgs({
+    options: {
+        name: { type: 'string' },
+        owner: { type: 'string' },
+        scopes: { type: 'string', default: 'products:read' },
+        'expires-in-days': { type: 'string' },
+        'daily-quota': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const printUsage = () => {
+    console.log('Usage: node generate-key.js --name <name> --owner <owner> [--scopes a,b] [--expires-in-days n] [--daily-quota n]');
+    console.log(`Available scopes: ${API_KEY_SCOPES.join(', ')}`);
+};
+
+const main = async () => {
+    if (values.help) {
+        printUsage();
+        return;
+    }
+
+    if (!values.name || !values.owner) {
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const scopes = values.scopes.split(',').map(scope => scope.trim()).filter(Boolean);
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+        console.error(`Unknown scopes: ${unknownScopes.join(', ')}`);
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    let expiresAt = null;
+    if (values['expires-in-days']) {
+        const days = parseInt(values['expires-in-days'], 10);
+        if (!Number.isInteger(days) || days <= 0) {
+            console.error('--expires-in-days must be a positive whole number');
+            process.exitCode = 1;
+            return;
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    let dailyQuota = null;
+    if (values['daily-quota']) {
+        dailyQuota = parseInt(values['daily-quota'], 10);
+        if (!Number.isInteger(dailyQuota) || dailyQuota <= 0) {
+            console.error('--daily-quota must be a positive whole number');
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    await connectDB();
+
+    try {
+        const { apiKey, plaintext } = await ApiKey.issue({
+            name: values.name,
+            owner: values.owner,
+            scopes,
+            expiresAt,
+            dailyQuota
+        });
+
+        console.log('=== YOUR API KEY ===');
+        console.log(plaintext);
+        console.log('=== IT WILL NOT BE SHOWN AGAIN ===');
+        console.log(`id: ${apiKey._id}`);
+        console.log(`scopes: ${apiKey.scopes.join(', ')}`);
+        console.log(`expires: ${apiKey.expiresAt ? apiKey.expiresAt.toISOString() : 'never'}`);
+        console.log(`daily quota: ${apiKey.dailyQuota || 'API_KEY_DAILY_QUOTA (default)'}`);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('Failed to generate API key:', error.message);
+    process.exitCode = 1;
+});
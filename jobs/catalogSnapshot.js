@@ -0,0 +1,40 @@
+// Background job that records the state of the catalog once a day, for the analytics endpoints
+const { captureCatalogSnapshot } = require('../utils/analytics');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Capture the snapshot of the current UTC day now and then on an interval
+ * Every run replaces the day's snapshot, so each day keeps the last state seen
+ * that day; a day the server did not run has no snapshot
+ * Returns the timer so callers (and tests) can stop it with clearInterval
+ */
+const startCatalogSnapshotJob = (intervalMs = parseInt(process.env.CATALOG_SNAPSHOT_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+    let running = false;
+
+    const run = async () => {
+        // Skip a tick rather than overlap with a slow previous run
+        if (running) return;
+        running = true;
+        try {
+            const snapshot = await captureCatalogSnapshot();
+            logger.debug('Catalog snapshot captured', { day: snapshot.day, products: snapshot.products });
+        } catch (error) {
+            logger.error('Catalog snapshot job failed', { err: error });
+        } finally {
+            running = false;
+        }
+    };
+
+    // Right away as well, so restarts do not leave the day without a snapshot
+    // (queries wait for the connection)
+    run();
+    const timer = setInterval(run, intervalMs);
+
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startCatalogSnapshotJob };
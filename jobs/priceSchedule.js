@@ -0,0 +1,45 @@
+// Background job that marks products changed when one of their scheduled sales starts or ends
+const { touchScheduledPriceChanges } = require('../utils/pricing');
+const { getExchangeRates } = require('../utils/currency');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Look for sales that started or ended since the last run, on an interval
+ * Prices in responses are computed at request time, so this only keeps ETags and
+ * the response cache from serving the price from before the boundary; they lag it
+ * by at most one interval. Each run also reads the exchange-rate table when it is
+ * due, so a new table drops cached responses even while every request is a cache hit
+ * Returns the timer so callers (and tests) can stop it with clearInterval
+ */
+const startPriceScheduleJob = (intervalMs = parseInt(process.env.PRICE_SCHEDULE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+    let running = false;
+    // The first run also covers boundaries passed shortly before the server started
+    let since = new Date(Date.now() - intervalMs);
+
+    const timer = setInterval(async () => {
+        // Skip a tick rather than overlap with a slow previous run
+        if (running) return;
+        running = true;
+        const until = new Date();
+        try {
+            const count = await touchScheduledPriceChanges(since, until);
+            since = until;
+            await getExchangeRates();
+            if (count > 0) {
+                logger.debug('Scheduled sales started or ended', { count });
+            }
+        } catch (error) {
+            logger.error('Price schedule job failed', { err: error });
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startPriceScheduleJob };
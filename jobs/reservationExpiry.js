@@ -0,0 +1,35 @@
+// Background job that returns stock held by reservations whose TTL ran out
+const { expireReservations } = require('../utils/inventory');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Start sweeping expired reservations on an interval
+ * Returns the timer so callers (and tests) can stop it with clearInterval
+ */
+const startReservationExpiryJob = (intervalMs = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        // Skip a tick rather than overlap with a slow previous sweep
+        if (running) return;
+        running = true;
+        try {
+            const count = await expireReservations();
+            if (count > 0) {
+                logger.info('Expired stock reservations', { count });
+            }
+        } catch (error) {
+            logger.error('Reservation expiry failed', { err: error });
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startReservationExpiryJob };
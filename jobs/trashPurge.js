@@ -0,0 +1,36 @@
+// Background job that permanently deletes products left in the trash past the retention period
+const { purgeExpiredProducts } = require('../utils/productTrash');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Start purging expired trash on an interval
+ * The retention period comes from TRASH_RETENTION_DAYS (see utils/productTrash)
+ * Returns the timer so callers (and tests) can stop it with clearInterval
+ */
+const startTrashPurgeJob = (intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        // Skip a tick rather than overlap with a slow previous sweep
+        if (running) return;
+        running = true;
+        try {
+            const count = await purgeExpiredProducts();
+            if (count > 0) {
+                logger.info('Purged expired products from the trash', { count });
+            }
+        } catch (error) {
+            logger.error('Trash purge failed', { err: error });
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startTrashPurgeJob };
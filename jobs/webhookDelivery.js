@@ -0,0 +1,37 @@
+// Background job that sends webhook deliveries whose retry is due
+const { processDueDeliveries } = require('../utils/webhooks');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Look for due deliveries on an interval
+ * New deliveries are sent as soon as they are queued; this picks up the retries
+ * and anything an earlier process claimed but never finished
+ * Returns the timer so callers (and tests) can stop it with clearInterval
+ */
+const startWebhookDeliveryJob = (intervalMs = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        // Skip a tick rather than overlap with a slow previous run
+        if (running) return;
+        running = true;
+        try {
+            const count = await processDueDeliveries();
+            if (count > 0) {
+                logger.debug('Sent due webhook deliveries', { count });
+            }
+        } catch (error) {
+            logger.error('Webhook delivery job failed', { err: error });
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+
+    // Do not keep the process alive just for this job
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startWebhookDeliveryJob };
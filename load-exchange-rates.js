@@ -0,0 +1,113 @@
+// load-exchange-rates.js - Loads the exchange-rate table used to show prices in other currencies
+// The file replaces the whole table: currencies it leaves out are removed. Rates are
+// the units of each currency one unit of BASE_CURRENCY buys.
+//
+// Usage:
+//   node load-exchange-rates.js --file rates.json [--dry-run]
+//
+// JSON files hold an object of rates, e.g. { "EUR": 0.92, "GBP": 0.79 };
+// CSV files (.csv) have a header row with the columns currency and rate.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('./config /dbConnector');
+const { baseCurrency, isSupportedCurrency, replaceExchangeRates } = require('./utils/currency');
+const { parseCsvRecords } = require('./utils/csv');
+
+const { values } = parseArgs({
+    options: {
+        file: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const printUsage = () => {
+    console.log('Usage: node load-exchange-rates.js --file rates.json|rates.csv [--dry-run]');
+};
+
+// Read the file into { currency: rate } without checking the values yet
+const readRates = (file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    if (path.extname(file).toLowerCase() === '.csv') {
+        const { columns, records } = parseCsvRecords(text);
+        if (!columns.includes('currency') || !columns.includes('rate')) {
+            throw new Error('CSV header must have the columns currency and rate');
+        }
+        return Object.fromEntries(records.map(({ values: row }) => [row.currency, Number(row.rate)]));
+    }
+
+    const rates = JSON.parse(text);
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+        throw new Error('JSON file must hold an object of rates, e.g. { "EUR": 0.92 }');
+    }
+    return rates;
+};
+
+/**
+ * Check the rates and put the codes in upper case
+ * Returns { rates, errors }; the base currency may be listed only at 1 and is not stored
+ */
+const checkRates = (raw, base) => {
+    const rates = {};
+    const errors = [];
+    Object.entries(raw).forEach(([code, rate]) => {
+        const currency = String(code).trim().toUpperCase();
+        if (!isSupportedCurrency(currency)) {
+            errors.push(`"${code}" is not a known ISO 4217 currency code`);
+        } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+            errors.push(`${currency}: rate must be a positive number`);
+        } else if (currency === base) {
+            if (rate !== 1) errors.push(`${currency} is the base currency, its rate is always 1`);
+        } else if (rates[currency] !== undefined) {
+            errors.push(`${currency} is listed twice`);
+        } else {
+            rates[currency] = rate;
+        }
+    });
+    return { rates, errors };
+};
+
+const main = async () => {
+    if (values.help) {
+        printUsage();
+        return;
+    }
+
+    if (!values.file) {
+        console.error('--file is required');
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const base = baseCurrency();
+    const { rates, errors } = checkRates(readRates(values.file), base);
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log(`Base currency ${base}, ${Object.keys(rates).length} rates:`);
+    Object.keys(rates).sort().forEach(currency => console.log(`  1 ${base} = ${rates[currency]} ${currency}`));
+    if (values['dry-run']) {
+        console.log('Dry run, nothing was written');
+        return;
+    }
+
+    await connectDB();
+    try {
+        await replaceExchangeRates(rates, { source: path.basename(values.file) });
+        console.log('Exchange-rate table replaced');
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('Loading exchange rates failed:', error.message);
+    process.exitCode = 1;
+});
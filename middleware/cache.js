@@ -0,0 +1,53 @@
+// Response cache middleware factory (see utils/responseCache)
+// Usage: router.get('/:id', cacheResponse(PRODUCT_CACHES.item), handler)
+//        clientMaxAge: true also lets clients and proxies keep the response for the TTL,
+//        for routes whose responses have no ETag to revalidate with
+// A hit is answered from the cache with its ETag and Last-Modified, so conditional
+// requests still get 304; a miss runs the route and keeps its 200 response.
+// Responses say which with X-Cache: HIT or MISS.
+const logger = require('../utils/logger');
+const { observeCacheLookup } = require('../utils/metrics');
+const {
+    cacheTtlMs,
+    cacheKey,
+    currentGeneration,
+    readCachedResponse,
+    storeCachedResponse
+} = require('../utils/responseCache');
+
+const cacheResponse = (cache, { ttlMs = cacheTtlMs(), clientMaxAge = false } = {}) => async (req, res, next) => {
+    if (ttlMs <= 0) return next();
+
+    const key = cacheKey(cache, req);
+    let cached = null;
+    try {
+        cached = await readCachedResponse(key);
+    } catch (error) {
+        // A failing backend only costs the cache, never the response
+        logger.warn('Response cache lookup failed', { cache, err: error });
+    }
+    observeCacheLookup(cache, Boolean(cached));
+
+    if (cached) {
+        res.set(cached.headers);
+        res.set('X-Cache', 'HIT');
+        return res.status(200).type('json').send(cached.body);
+    }
+
+    res.set('X-Cache', 'MISS');
+    if (clientMaxAge) res.set('Cache-Control', `public, max-age=${Math.floor(ttlMs / 1000)}`);
+
+    const startedAt = currentGeneration();
+    const json = res.json;
+    res.json = function (body) {
+        if (this.statusCode === 200) {
+            storeCachedResponse(key, this, JSON.stringify(body), { ttlMs, startedAt }).catch(error => {
+                logger.warn('Failed to store a cached response', { cache, err: error });
+            });
+        }
+        return json.call(this, body);
+    };
+    next();
+};
+
+module.exports = cacheResponse;
@@ -1,36 +1,53 @@
 // Global error handling middleware
-const errorHandler = (err, req, res, next) => {
-    console.error('Error occurred:', err.stack);
+// Every error leaves the API in one shape, application/problem+json (RFC 9457):
+// { type, title, status, detail, instance, requestId, ...extra members }
+// Validation problems add errors: [{ in, pointer, detail }] naming each bad field
+const { STATUS_CODES } = require('http');
+const { ApiError, toApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
-    // Mongoose validation error
-    if (err.name === 'ValidationError') {
-        const errors = Object.values(err.errors).map(error => error.message);
-        return res.status(400).json({
-            message: 'Validation Error',
-            errors: errors
+const sendProblem = (req, res, { status, detail, details = {} }) => {
+    res.status(status)
+        .type('application/problem+json')
+        .json({
+            type: 'about:blank',
+            title: STATUS_CODES[status] || 'Error',
+            status: status,
+            detail: detail,
+            instance: req.originalUrl,
+            requestId: req.id || null,
+            ...details
         });
-    }
+};
 
-    // Mongoose duplicate key error
-    if (err.code === 11000) {
-        return res.status(400).json({
-            message: 'Duplicate field value entered',
-            error: err.keyValue
-        });
+const errorHandler = (err, req, res, next) => {
+    // Too late to answer with a problem once the body has started (exports stream)
+    if (res.headersSent) {
+        return next(err);
     }
 
-    // Mongoose cast error (invalid ObjectId)
-    if (err.name === 'CastError') {
-        return res.status(400).json({
-            message: 'Invalid ID format'
+    const apiError = toApiError(err);
+    if (apiError) {
+        return sendProblem(req, res, {
+            status: apiError.status,
+            detail: apiError.message,
+            details: apiError.details
         });
     }
 
+    logger.error('Unhandled error', { method: req.method, url: req.originalUrl, err });
+
     // Default error
-    res.status(500).json({
-        message: 'Something went wrong!',
-        error: process.env.NODE_ENV === 'production' ? {} : err.message
+    sendProblem(req, res, {
+        status: 500,
+        detail: process.env.NODE_ENV === 'production' ? 'Something went wrong!' : err.message
     });
 };
 
-module.exports = errorHandler;
\ No newline at end of file
+// Requests that matched no route, as a problem like every other error
+const notFoundHandler = (req, res, next) => {
+    next(new ApiError(`No route for ${req.method} ${req.path}`, 404));
+};
+
+module.exports = errorHandler;
+module.exports.notFoundHandler = notFoundHandler;
@@ -1,8 +1,61 @@
-// Custom logger middleware
+// Access log middleware
+// One structured line per request once the response is done (see utils/logger):
+// method, url, status, latency and bytes in/out, with credential headers redacted.
+// Server errors log at error, client errors and aborted responses at warn, everything else at info.
+const log = require('../utils/logger');
+
+const levelFor = (status) => {
+    if (status >= 500) return 'error';
+    if (status >= 400) return 'warn';
+    return 'info';
+};
+
+const chunkLength = (chunk, encoding) => {
+    if (!chunk || typeof chunk === 'function') return 0;
+    return Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined);
+};
+
 const logger = (req, res, next) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] ${req.method} ${req.originalUrl}`);
+    const startedAt = process.hrtime.bigint();
+
+    // Count what is actually sent; Content-Length is missing for streamed responses (exports)
+    let bytesOut = 0;
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding, ...rest) {
+        bytesOut += chunkLength(chunk, encoding);
+        return write.call(this, chunk, encoding, ...rest);
+    };
+    res.end = function (chunk, encoding, ...rest) {
+        bytesOut += chunkLength(chunk, encoding);
+        return end.call(this, chunk, encoding, ...rest);
+    };
+
+    let logged = false;
+    const logRequest = () => {
+        if (logged) return;
+        logged = true;
+
+        // 'close' without 'finish' means the client went away or the response was destroyed
+        const completed = res.writableFinished;
+        const level = completed ? levelFor(res.statusCode) : 'warn';
+        log[level](completed ? 'Request completed' : 'Request aborted', {
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            completed,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+            bytesIn: Number(req.get('content-length')) || 0,
+            bytesOut,
+            ip: req.ip,
+            userAgent: req.get('user-agent'),
+            headers: log.redactHeaders(req.headers)
+        });
+    };
+    res.on('finish', logRequest);
+    res.on('close', logRequest);
+
     next(); // Continue to the next middleware/route
 };
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
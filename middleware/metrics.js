@@ -0,0 +1,24 @@
+// Metrics middleware
+// Counts every request and times it from arrival to the end of the response (see utils/metrics)
+const { observeRequest } = require('../utils/metrics');
+
+const metrics = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        observeRequest(req, res, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    });
+    next();
+};
+
+/**
+ * Remember the path a router is mounted on
+ * req.baseUrl is reset when an error leaves the router, so the route label of
+ * a failed request would otherwise lose its prefix
+ */
+const routeBase = (path) => (req, res, next) => {
+    req.routeBase = path;
+    next();
+};
+
+module.exports = metrics;
+module.exports.routeBase = routeBase;
@@ -0,0 +1,130 @@
+// Rate limiting middleware factory
+// Usage: router.get('/search', rateLimit('search'), handler)
+//        router.post('/', rateLimit('write'), authenticate('products:write'), handler)
+// Requests are counted per API key or user when they carry valid credentials, per IP
+// otherwise (the auth group always per IP). The caller is looked up here, so place
+// rateLimit before authenticate: requests with bad credentials are limited too.
+// Every limited response carries RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and
+// RateLimit-Reset; API key requests also count against the key's daily quota (X-Quota-*).
+// Over either limit the request answers 429 with Retry-After.
+// The group stays readable on the middleware (middleware.rateLimitGroup) for utils/openapi.
+const { ApiError } = require('../utils/errors');
+const { identifyCaller } = require('./auth');
+const logger = require('../utils/logger');
+const { groupPolicy, hitSlidingWindow, consumeQuota } = require('../utils/rateLimit');
+
+const toSeconds = (ms) => Math.max(1, Math.ceil(ms / 1000));
+
+// Groups that count per IP whoever the caller is: they guard the credentials themselves
+const PER_IP_GROUPS = ['auth'];
+
+const clientKey = (req) => {
+    if (req.apiKey) return `key:${req.apiKey._id}`;
+    if (req.user) return `user:${req.user._id}`;
+    return `ip:${req.ip}`;
+};
+
+// Count a request against its group's window and, for API keys, the daily quota
+// Returns { rate, quota }, each undefined when nothing was counted; throws when the store fails
+const countRequest = async (group, policy, req) => {
+    const perIp = PER_IP_GROUPS.includes(group);
+    let rate;
+    let quota;
+    if (policy.limit > 0) {
+        rate = await hitSlidingWindow(`rate:${group}:${perIp ? `ip:${req.ip}` : clientKey(req)}`, policy);
+    }
+    // Requests turned away by the rate limit do not use up the quota
+    if (!perIp && req.apiKey && (!rate || rate.allowed)) {
+        quota = await consumeQuota(req.apiKey);
+    }
+    return { rate, quota };
+};
+
+const rateHeaders = (policy, rate) => ({
+    'RateLimit-Policy': `${policy.limit};w=${policy.windowMs / 1000}`,
+    'RateLimit-Limit': policy.limit,
+    'RateLimit-Remaining': rate.remaining,
+    'RateLimit-Reset': toSeconds(rate.resetMs)
+});
+
+const rateLimit = (group) => {
+    const policy = groupPolicy(group);
+
+    const perIp = PER_IP_GROUPS.includes(group);
+
+    return Object.assign(async (req, res, next) => {
+        if (!perIp) await identifyCaller(req);
+
+        let counted;
+        try {
+            counted = await countRequest(group, policy, req);
+        } catch (error) {
+            // An unreachable store must not take the API down with it
+            logger.warn('Rate limit store failed; request let through', { group, err: error });
+            return next();
+        }
+        const { rate, quota } = counted;
+
+        if (rate) {
+            res.set(rateHeaders(policy, rate));
+            if (!rate.allowed) {
+                const retryAfter = toSeconds(rate.retryAfterMs);
+                res.setHeader('Retry-After', retryAfter);
+                return next(new ApiError('Too many requests. Slow down and retry later.', 429, { retryAfter }));
+            }
+        }
+
+        if (quota && quota.limit !== null) {
+            res.setHeader('X-Quota-Limit', quota.limit);
+            res.setHeader('X-Quota-Remaining', quota.remaining);
+            res.setHeader('X-Quota-Reset', quota.resetsAt.toISOString());
+            if (!quota.allowed) {
+                const retryAfter = toSeconds(quota.resetsAt.getTime() - Date.now());
+                res.setHeader('Retry-After', retryAfter);
+                return next(new ApiError('Daily quota of this API key is used up.', 429, {
+                    retryAfter,
+                    quota: quota.limit,
+                    resetsAt: quota.resetsAt.toISOString()
+                }));
+            }
+        }
+
+        next();
+    }, { rateLimitGroup: group });
+};
+
+/**
+ * The same limits for a request that never reaches Express (WebSocket upgrades,
+ * see utils/streamTransports)
+ * Returns null when the request may go on, else { message, headers } for its 429
+ */
+const limitUpgrade = async (group, req) => {
+    const policy = groupPolicy(group);
+    if (!PER_IP_GROUPS.includes(group)) await identifyCaller(req);
+
+    let counted;
+    try {
+        counted = await countRequest(group, policy, req);
+    } catch (error) {
+        logger.warn('Rate limit store failed; request let through', { group, err: error });
+        return null;
+    }
+    const { rate, quota } = counted;
+
+    if (rate && !rate.allowed) {
+        return {
+            message: 'Too many requests. Slow down and retry later.',
+            headers: { ...rateHeaders(policy, rate), 'Retry-After': toSeconds(rate.retryAfterMs) }
+        };
+    }
+    if (quota && !quota.allowed) {
+        return {
+            message: 'Daily quota of this API key is used up.',
+            headers: { 'Retry-After': toSeconds(quota.resetsAt.getTime() - Date.now()) }
+        };
+    }
+    return null;
+};
+
+module.exports = rateLimit;
+module.exports.limitUpgrade = limitUpgrade;
@@ -0,0 +1,19 @@
+// Request id middleware
+// Gives every request an id (req.id) and echoes it in the X-Request-Id header,
+// so a client report, a log line and an audit entry can be tied together.
+// An id sent by a proxy or client is kept when it looks sane.
+// Everything that handles the request runs inside its log context,
+// so each line the logger writes meanwhile carries the id.
+const { randomUUID } = require('crypto');
+const { runWithLogContext } = require('../utils/logger');
+
+const INCOMING_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && INCOMING_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    runWithLogContext({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,33 @@
+// Multipart upload middleware for the media routes
+// Parses multipart/form-data with one image file, kept in memory (at most
+// MEDIA_MAX_BYTES), into req.file (buffer, size, mimetype, originalname); the text
+// fields land in req.body. The Content-Type declared for the file is checked here,
+// the content itself by utils/productMedia.
+const multer = require('multer');
+const { MEDIA_TYPES, maxUploadBytes } = require('../utils/productMedia');
+const { ApiError } = require('../utils/errors');
+
+const uploadImage = (field) => (req, res, next) => {
+    const maxBytes = maxUploadBytes();
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1, fields: 10 },
+        fileFilter: (req, file, callback) => {
+            if (!MEDIA_TYPES[file.mimetype]) {
+                return callback(new ApiError(`Unsupported media type ${file.mimetype}; upload one of ${Object.keys(MEDIA_TYPES).join(', ')}`, 415));
+            }
+            callback(null, true);
+        }
+    }).single(field);
+
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return next(error.code === 'LIMIT_FILE_SIZE'
+                ? new ApiError(`File is larger than ${maxBytes} bytes`, 413, { maxBytes })
+                : new ApiError(`Invalid upload: ${error.message}`, 400, { field: error.field || null }));
+        }
+        next(error);
+    });
+};
+
+module.exports = uploadImage;
@@ -1,48 +1,908 @@
+// Request validation: one schema per request body, query string and route parameter
+// Schemas are plain JSON Schema (see utils/schema for the supported keywords);
+// rules that span several fields are small functions next to them. The same schemas
+// make up the OpenAPI document (see utils/openapi), so their descriptions are what
+// clients read about each parameter and field
+const { API_KEY_SCOPES } = require('../models/apiKeys');
+const { MOVEMENT_TYPES } = require('../models/stockMovements');
+const { USER_ROLES } = require('../models/users');
+const { VERSION_ACTIONS } = require('../models/productVersions');
+const { WEBHOOK_EVENTS } = require('../models/webhooks');
+const { DELIVERY_STATUSES } = require('../models/webhookDeliveries');
+const { EXPORT_FORMATS } = require('../utils/productExport');
+const { isSupportedCurrency } = require('../utils/currency');
+const { INTERVALS } = require('../utils/analytics');
+const { validateSchema } = require('../utils/schema');
+const { RequestValidationError } = require('../utils/errors');
 
+// Loose email check; the address is confirmed by the unique index, not by a regex
+const EMAIL_PATTERN = '^\\s*[^\\s@]+@[^\\s@]+\\.[^\\s@]+\\s*$';
+const MIN_PASSWORD_LENGTH = 8;
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
 
-// Validation middleware for product creation and updates
-const validateProduct = (req, res, next) => {
-    const { name, description, price, category, inStock } = req.body;
+// ===== BUILDING BLOCKS =====
+
+const nonBlank = (message = 'must be a non-empty string') => ({ type: 'string', pattern: '\\S', 'x-message': message });
+const objectId = { type: 'string', format: 'objectId' };
+const nullableObjectId = { type: ['string', 'null'], format: 'objectId' };
+const wholeNumber = (minimum) => ({ type: 'integer', minimum });
+
+// Prices are amounts of the product's currency (19.99 USD); the write helpers check
+// their decimals against the currency and store them in minor units (see utils/priceUnits)
+const decimalPrice = { type: 'number', minimum: 0 };
+const currencyCode = { type: 'string', pattern: '^\\s*[A-Za-z]{3}\\s*$', 'x-message': 'must be an ISO 4217 currency code, e.g. EUR' };
+
+// page / limit of the paginated listings; each route clamps limit to its own maximum
+const pagination = (defaultLimit, maxLimit = 100) => ({
+    page: { ...wholeNumber(1), description: 'Page number (default: 1)' },
+    limit: { ...wholeNumber(1), description: `Items per page (default: ${defaultLimit}, max: ${maxLimit})` }
+});
+
+const paginationProperties = pagination(20);
+
+// ===== PRODUCTS AND VARIANTS =====
+
+// A sale price that applies from startsAt until (not including) endsAt
+const saleSchema = {
+    type: 'object',
+    required: ['price', 'startsAt', 'endsAt'],
+    properties: {
+        price: decimalPrice,
+        startsAt: { type: 'string', format: 'date-time' },
+        endsAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+const salesSchema = { type: 'array', items: saleSchema };
+
+const variantProperties = {
+    sku: nonBlank(),
+    // Option names become document keys, so keep them to plain words
+    options: {
+        type: 'object',
+        minProperties: 1,
+        propertyNames: {
+            type: 'string',
+            pattern: '^[A-Za-z][A-Za-z0-9_ -]*$',
+            'x-message': 'option names may only contain letters, numbers, spaces, - and _'
+        },
+        additionalProperties: nonBlank(),
+        'x-message': 'must be an object of option values, e.g. { "size": "M", "colour": "red" }'
+    },
+    // null means the variant sells at the product price
+    price: { ...decimalPrice, type: ['number', 'null'] },
+    sales: salesSchema,
+    quantity: wholeNumber(0)
+};
+
+const variantSchema = {
+    type: 'object',
+    required: ['sku', 'options'],
+    properties: variantProperties
+};
+
+const variantUpdateSchema = {
+    type: 'object',
+    properties: variantProperties
+};
+
+const productProperties = {
+    name: nonBlank(),
+    description: nonBlank(),
+    price: decimalPrice,
+    currency: { ...currencyCode, description: 'ISO 4217 code of price and sales (default: BASE_CURRENCY)' },
+    sales: salesSchema,
+    category: { ...nonBlank('must be a category id or slug'), description: 'Category id or slug' },
+    // Accepted for old clients and ignored: inStock follows the stock
+    inStock: { type: 'boolean', description: 'Ignored; follows the stock' },
+    sku: nonBlank(),
+    quantity: { ...wholeNumber(0), description: 'Opening stock; ignored on PUT, stock changes through /api/inventory' },
+    variants: { type: 'array', items: variantSchema, description: 'Only on create; ignored on PUT' }
+};
+
+const productSchema = {
+    type: 'object',
+    required: ['name', 'description', 'price', 'category'],
+    properties: productProperties
+};
+
+// Same fields, none required (PATCH)
+const productPatchSchema = {
+    type: 'object',
+    description: 'Fields to change, as a JSON Merge Patch: name, description, price, currency, sales, category and sku; null removes a field',
+    properties: productProperties
+};
+
+// application/json-patch+json body of PATCH; utils/jsonPatch checks the operations
+const jsonPatchSchema = {
+    type: 'array',
+    description: 'JSON Patch operations, applied in order; a failed test answers 409',
+    items: {
+        type: 'object',
+        required: ['op', 'path'],
+        properties: {
+            op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+            path: { type: 'string', description: 'JSON Pointer, e.g. /price' },
+            from: { type: 'string', description: 'Source pointer of move and copy' },
+            value: {}
+        }
+    }
+};
+
+// POST /api/products/batch; utils/productBatch validates each operation like its own route
+const batchSchema = {
+    type: 'object',
+    required: ['operations'],
+    description: 'The operations, or just the array of them',
+    properties: {
+        operations: {
+            type: 'array',
+            maxItems: 200,
+            items: {
+                type: 'object',
+                required: ['op'],
+                properties: {
+                    op: { type: 'string', enum: ['create', 'update', 'delete'], description: 'delete also needs products:delete' },
+                    id: { ...objectId, description: 'Product to update or delete' },
+                    data: { description: 'Same fields as POST (create) or PUT (update)' },
+                    ifMatch: { type: 'string', description: 'ETag from GET; the operation fails with 412 if the product changed since' }
+                }
+            }
+        }
+    }
+};
+
+// POST /api/products/import, read by utils/productImport
+const importCsvSchema = { type: 'string', description: 'Header row: sku,name,description,price,currency,category,quantity; price as 19.99' };
+const importNdjsonSchema = { type: 'string', description: 'One product per line, with the fields of POST /api/products' };
+
+// Identify a variant by its option values, ignoring key order and case
+const optionSignature = (options) => Object.keys(options)
+    .sort()
+    .map(option => `${option.trim().toLowerCase()}=${String(options[option]).trim().toLowerCase()}`)
+    .join('|');
+
+/**
+ * Rules across the variants of one product: no repeated SKU and no two variants
+ * with the same option values
+ * Returns [{ pointer, detail }] pointing at the later variant of each clash
+ */
+const checkVariantSet = (variants) => {
     const errors = [];
+    const skus = new Set();
+    const signatures = new Set();
+
+    variants.forEach((variant, index) => {
+        if (!variant || typeof variant.sku !== 'string' || !variant.options || typeof variant.options !== 'object') return;
+
+        const sku = variant.sku.trim();
+        if (skus.has(sku)) {
+            errors.push({ pointer: `/variants/${index}/sku`, detail: `SKU "${sku}" is used by another variant` });
+        }
+        skus.add(sku);
+
+        const signature = optionSignature(variant.options);
+        if (signatures.has(signature)) {
+            errors.push({ pointer: `/variants/${index}/options`, detail: 'another variant has the same options' });
+        }
+        signatures.add(signature);
+    });
+
+    return errors;
+};
+
+/**
+ * Rules across the sales of one product or variant: each ends after it starts and
+ * no two overlap, so at most one applies at any moment
+ * Returns [{ pointer, detail }] under `pointer` (e.g. /sales)
+ */
+const checkSales = (sales, pointer) => {
+    if (!Array.isArray(sales)) return [];
+
+    const errors = [];
+    const periods = sales.map((sale, index) => ({ index, startsAt: new Date(sale.startsAt), endsAt: new Date(sale.endsAt) }));
+    periods.forEach(({ index, startsAt, endsAt }) => {
+        if (endsAt <= startsAt) {
+            errors.push({ pointer: `${pointer}/${index}/endsAt`, detail: 'must be after startsAt' });
+        }
+    });
+    periods
+        .filter(({ startsAt, endsAt }) => endsAt > startsAt)
+        .sort((a, b) => a.startsAt - b.startsAt)
+        .forEach((period, position, sorted) => {
+            const previous = sorted[position - 1];
+            if (previous && period.startsAt < previous.endsAt) {
+                errors.push({ pointer: `${pointer}/${period.index}`, detail: `overlaps sale ${previous.index}` });
+            }
+        });
+    return errors;
+};
+
+const checkCurrency = (currency, pointer) => (typeof currency === 'string' && !isSupportedCurrency(currency.trim().toUpperCase())
+    ? [{ pointer, detail: `"${currency}" is not a known ISO 4217 currency code` }]
+    : []);
+
+// Rules across the fields of a product that passed its schema
+const productRules = (data) => {
+    const errors = [...checkCurrency(data.currency, '/currency'), ...checkSales(data.sales, '/sales')];
+    if (!Array.isArray(data.variants)) return errors;
+
+    errors.push(...checkVariantSet(data.variants));
+    data.variants.forEach((variant, index) => errors.push(...checkSales(variant.sales, `/variants/${index}/sales`)));
+    if (data.variants.length > 0 && data.quantity > 0) {
+        errors.push({
+            pointer: '/quantity',
+            detail: 'Products with variants keep their stock on the variants; set quantity per variant'
+        });
+    }
+    return errors;
+};
+
+/**
+ * Product validation, shared by validateProduct, PATCH, batches and the bulk import
+ * With partial, fields that were not sent are not required (used for patches)
+ * Returns [{ pointer, detail }]; an empty list means the data is valid
+ */
+const checkProduct = (data, { partial = false } = {}) => {
+    const { errors } = validateSchema(partial ? productPatchSchema : productSchema, data);
+    return errors.length > 0 ? errors : productRules(data);
+};
+
+// "price must be at least 0", for reports that list errors as text (bulk import)
+const describeFieldError = ({ pointer, detail }) => (pointer ? `${pointer.slice(1)} ${detail}` : detail);
+
+// Sales in the order they run
+const normalizeSales = (sales) => [...sales].sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+
+// Trim string fields of a variant in place once it has passed validation
+const normalizeVariant = (variant) => {
+    if (variant.sku !== undefined) variant.sku = variant.sku.trim();
+    if (variant.options !== undefined) {
+        variant.options = Object.fromEntries(Object.entries(variant.options)
+            .map(([option, value]) => [option.trim(), value.trim()]));
+    }
+    if (Array.isArray(variant.sales)) variant.sales = normalizeSales(variant.sales);
+    delete variant.reserved;
+    delete variant.inStock;
+    return variant;
+};
+
+// Trim string fields in place once the data has passed checkProduct
+// inStock and reserved are derived from stock, so client values are dropped
+const normalizeProduct = (data) => {
+    if (data.name) data.name = data.name.trim();
+    if (data.description) data.description = data.description.trim();
+    if (data.category) data.category = data.category.trim();
+    if (data.sku) data.sku = data.sku.trim();
+    if (data.currency) data.currency = data.currency.trim().toUpperCase();
+    if (Array.isArray(data.sales)) data.sales = normalizeSales(data.sales);
+    delete data.inStock;
+    delete data.reserved;
+    if (Array.isArray(data.variants)) data.variants.forEach(normalizeVariant);
+    return data;
+};
+
+// ===== MEDIA =====
+
+// Text for screen readers; the multipart upload sends it as a form field
+const altText = { type: 'string', maxLength: 250 };
+
+// multer takes the file out of the form, so only alt is checked here (see middleware/upload)
+const mediaUploadSchema = {
+    type: 'object',
+    properties: {
+        file: {
+            type: 'string',
+            format: 'binary',
+            description: 'Required: a JPEG, PNG, WebP or GIF image, at most MEDIA_MAX_BYTES (default 10 MB); its content decides the type'
+        },
+        alt: { ...altText, description: 'Text for screen readers' }
+    }
+};
+
+const mediaUpdateSchema = {
+    type: 'object',
+    required: ['alt'],
+    properties: { alt: altText }
+};
+
+// Every media id of the product, first to last
+const mediaOrderSchema = {
+    type: 'object',
+    required: ['order'],
+    properties: {
+        order: { type: 'array', minItems: 1, items: objectId }
+    }
+};
+
+// ===== INVENTORY =====
+
+const stockMovementSchema = {
+    type: 'object',
+    required: ['type', 'quantity', 'reason'],
+    properties: {
+        variantId: nullableObjectId,
+        type: { type: 'string', enum: MOVEMENT_TYPES },
+        quantity: { type: 'integer' },
+        reason: nonBlank()
+    }
+};
+
+const stockMovementRules = ({ type, quantity }) => {
+    if (quantity === 0) {
+        return [{ pointer: '/quantity', detail: 'must be a non-zero whole number' }];
+    }
+    if (type !== 'adjustment' && quantity < 0) {
+        return [{ pointer: '/quantity', detail: 'must be positive; only adjustments may be negative' }];
+    }
+    return [];
+};
+
+const reservationSchema = {
+    type: 'object',
+    required: ['cartId', 'items'],
+    properties: {
+        cartId: nonBlank(),
+        items: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['productId', 'quantity'],
+                properties: {
+                    productId: objectId,
+                    variantId: nullableObjectId,
+                    quantity: wholeNumber(1)
+                }
+            }
+        },
+        ttlSeconds: wholeNumber(1)
+    }
+};
+
+// ===== CATEGORIES =====
+
+const categoryProperties = {
+    name: nonBlank(),
+    slug: {
+        type: 'string',
+        pattern: '^\\s*[a-z0-9]+(-[a-z0-9]+)*\\s*$',
+        'x-message': 'may only contain lowercase letters, numbers and single dashes'
+    },
+    description: { type: ['string', 'null'] },
+    parent: {
+        type: ['string', 'null'],
+        pattern: '\\S',
+        'x-message': 'must be a category id or slug, or null for a top-level category'
+    }
+};
+
+const categorySchema = {
+    type: 'object',
+    required: ['name'],
+    properties: categoryProperties
+};
+
+const categoryUpdateSchema = {
+    type: 'object',
+    properties: categoryProperties
+};
+
+// Trim the string fields of a category once it has passed validation
+const normalizeCategory = (data) => {
+    ['name', 'slug', 'description', 'parent'].forEach(field => {
+        if (typeof data[field] === 'string') data[field] = data[field].trim();
+    });
+    return data;
+};
+
+// ===== API KEYS AND ACCOUNTS =====
+
+const apiKeySchema = {
+    type: 'object',
+    required: ['name', 'owner'],
+    properties: {
+        name: nonBlank(),
+        owner: nonBlank(),
+        scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } },
+        expiresAt: { type: ['string', 'null'], format: 'date-time' },
+        dailyQuota: { type: ['integer', 'null'], minimum: 1 }
+    }
+};
+
+const registerSchema = {
+    type: 'object',
+    required: ['email', 'name', 'password'],
+    properties: {
+        email: { type: 'string', pattern: EMAIL_PATTERN, 'x-message': 'must be a valid email' },
+        name: nonBlank(),
+        password: {
+            type: 'string',
+            minLength: MIN_PASSWORD_LENGTH,
+            'x-message': `must be at least ${MIN_PASSWORD_LENGTH} characters`
+        },
+        role: {
+            type: 'string',
+            enum: USER_ROLES,
+            description: 'Only honoured for callers with keys:admin; new accounts are viewers, and the first admin is created with the create-user CLI'
+        }
+    }
+};
+
+const loginSchema = {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+        email: { type: 'string', minLength: 1 },
+        password: { type: 'string', minLength: 1 }
+    }
+};
+
+const refreshTokenSchema = {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+        refreshToken: { type: 'string', minLength: 1 }
+    }
+};
+
+// ===== WEBHOOKS =====
+
+const webhookProperties = {
+    url: { type: 'string', format: 'uri' },
+    description: { type: ['string', 'null'] },
+    events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    secret: {
+        type: 'string',
+        minLength: MIN_WEBHOOK_SECRET_LENGTH,
+        'x-message': `must be at least ${MIN_WEBHOOK_SECRET_LENGTH} characters`
+    },
+    active: { type: 'boolean' }
+};
+
+const webhookSchema = {
+    type: 'object',
+    required: ['url'],
+    properties: webhookProperties
+};
+
+const webhookUpdateSchema = {
+    type: 'object',
+    properties: webhookProperties
+};
+
+// ===== QUERY STRINGS AND ROUTE PARAMETERS =====
+
+const productFilterProperties = {
+    category: { type: 'string', description: 'Category id or slug; subcategories are included' },
+    inStock: { type: 'boolean', description: 'Only products in (true) or out of (false) stock' },
+    // Amounts of ?currency (default: BASE_CURRENCY), compared with the price at request time
+    minPrice: {
+        ...decimalPrice,
+        description: 'Lowest price right now (sales included) in currency, e.g. 19.99; products with variants match on any variant price'
+    },
+    maxPrice: { ...decimalPrice, description: 'Highest price right now in currency' },
+    currency: {
+        ...currencyCode,
+        description: 'ISO 4217 code that prices are shown in and minPrice/maxPrice are read in (default: the base currency); needs an exchange rate'
+    }
+};
+
+const sortProperty = {
+    type: 'string',
+    pattern: '^-?[A-Za-z0-9_.]+$',
+    'x-message': 'must be a field name, with - for descending',
+    description: 'Field to sort by, - prefix for descending (default: name); price sorts by the lowest price right now'
+};
+
+const cursorProperties = {
+    cursor: { type: 'string', description: 'Switch to cursor pagination; empty for the first page, then nextCursor' },
+    includeTotal: { type: 'boolean', description: 'false skips counting matching products' }
+};
+
+const productListQuery = {
+    type: 'object',
+    properties: {
+        ...productFilterProperties,
+        ...pagination(10),
+        sort: sortProperty,
+        fields: { type: 'string', description: 'Comma-separated fields to return; pricing is only included when listed' },
+        ...cursorProperties
+    }
+};
+
+const productSearchQuery = {
+    type: 'object',
+    required: ['q'],
+    properties: {
+        q: {
+            ...nonBlank('must contain search terms, e.g. ?q=phone'),
+            description: 'Search terms; "quoted phrases" and -excluded words are supported'
+        },
+        ...productFilterProperties,
+        ...pagination(10),
+        // Every result is scored and counted for the facets, so pages stay small
+        limit: { ...wholeNumber(1), maximum: 100, description: 'Items per page (default: 10)' },
+        ...cursorProperties
+    }
+};
+
+// ?currency= shows prices converted with the exchange-rate table
+const productItemQuery = {
+    type: 'object',
+    properties: {
+        currency: {
+            ...currencyCode,
+            description: 'ISO 4217 code to show pricing in (default: the product\'s own currency); needs an exchange rate'
+        }
+    }
+};
+
+const priceHistoryQuery = {
+    type: 'object',
+    properties: {
+        ...paginationProperties,
+        variantId: { ...objectId, description: 'Only changes to this variant' }
+    }
+};
+
+const suggestQuery = {
+    type: 'object',
+    required: ['q'],
+    properties: {
+        q: { ...nonBlank('must contain the text typed so far, e.g. ?q=iph'), description: 'Text typed so far' },
+        limit: { ...wholeNumber(1), description: 'Number of suggestions (default: 10, max: 25)' }
+    }
+};
+
+const exportQuery = {
+    type: 'object',
+    properties: {
+        ...productFilterProperties,
+        format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), description: 'csv, ndjson or json (default: json)' },
+        sort: { ...sortProperty, description: 'Same as GET /api/products' }
+    }
+};
+
+const importQuery = {
+    type: 'object',
+    properties: {
+        format: { type: 'string', enum: ['csv', 'ndjson'], description: 'Overrides the Content-Type' },
+        mode: { type: 'string', enum: ['insert', 'upsert'], description: 'insert (default) or upsert (match existing products by sku)' },
+        dryRun: { type: 'boolean', description: 'Validate every row without writing anything' }
+    }
+};
+
+const batchQuery = {
+    type: 'object',
+    properties: {
+        atomic: { type: 'boolean', description: 'Run every operation in one transaction, all or nothing (needs a replica set)' }
+    }
+};
+
+const paginationQuery = {
+    type: 'object',
+    properties: paginationProperties
+};
+
+const historyQuery = {
+    type: 'object',
+    properties: {
+        ...paginationProperties,
+        action: { type: 'string', enum: VERSION_ACTIONS, description: 'Only versions with this action' }
+    }
+};
+
+const movementQuery = {
+    type: 'object',
+    properties: {
+        ...paginationProperties,
+        type: { type: 'string', enum: MOVEMENT_TYPES, description: 'Only movements of this type' },
+        variantId: { ...objectId, description: 'Only movements of this variant' }
+    }
+};
+
+// Range, interval and format of the time-series reports (see utils/analytics)
+const analyticsQuery = {
+    type: 'object',
+    properties: {
+        from: { type: 'string', format: 'date-time', description: 'Start of the range, inclusive (default: 30 days before to)' },
+        to: { type: 'string', format: 'date-time', description: 'End of the range, exclusive (default: now)' },
+        interval: { type: 'string', enum: INTERVALS, description: 'day, week (starting Monday) or month, in UTC (default: day)' },
+        category: { type: 'string', description: 'Category id or slug; subcategories are included' },
+        format: { type: 'string', enum: ['json', 'csv'], description: 'json or csv (default: json)' }
+    }
+};
+
+// Filters of the live product stream, over SSE or WebSocket (see utils/streamTransports)
+const streamQuery = {
+    type: 'object',
+    properties: {
+        category: { type: 'string', description: 'Only products in this category or its subcategories (id or slug)' },
+        productId: {
+            type: 'string',
+            pattern: '^\\s*[0-9a-fA-F]{24}(\\s*,\\s*[0-9a-fA-F]{24})*\\s*$',
+            'x-message': 'must be product ids separated by commas',
+            description: 'Only these products, as comma-separated ids'
+        },
+        lastEventId: { type: 'string', maxLength: 64, description: 'Resume after this event, for clients that cannot send Last-Event-ID' }
+    }
+};
+
+// GET /graphql; the document itself is checked by the GraphQL validation
+const graphqlQuery = {
+    type: 'object',
+    properties: {
+        query: { type: 'string', description: 'The GraphQL document; queries only, mutations have to be sent with POST' },
+        variables: { type: 'string', description: 'Variables as a JSON object' },
+        operationName: { type: 'string', description: 'Operation to run when the document has several' }
+    }
+};
 
-    // Validation rules
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        errors.push('Name is required and must be a non-empty string');
+// POST /graphql; routes/graphqlRoutes answers problems with it in the GraphQL format
+const graphqlRequestSchema = {
+    type: 'object',
+    required: ['query'],
+    properties: {
+        query: {
+            type: 'string',
+            description: 'The GraphQL document. Queries products (the listing), searchProducts, productStats and product mirror ' +
+                'GET /api/products, /search, /stats and /:id with the same arguments and checks; mutations createProduct, ' +
+                'updateProduct (a merge patch) and deleteProduct need the same scopes as POST, PATCH and DELETE. ' +
+                'Introspect the endpoint for the full schema. Operations may be nested at most 10 levels deep.'
+        },
+        variables: { type: ['object', 'null'] },
+        operationName: { type: ['string', 'null'], description: 'Operation to run when the document has several' }
     }
+};
 
-    if (!description || typeof description !== 'string' || description.trim().length === 0) {
-        errors.push('Description is required and must be a non-empty string');
+const apiKeyListQuery = {
+    type: 'object',
+    properties: {
+        owner: { type: 'string', description: 'Only keys of this owner' },
+        active: { type: 'boolean', description: 'true hides revoked and expired keys' }
     }
+};
 
-    if (price === undefined || price === null) {
-        errors.push('Price is required');
-    } else if (typeof price !== 'number' || price < 0) {
-        errors.push('Price must be a positive number');
+const categoryListQuery = {
+    type: 'object',
+    properties: {
+        tree: { type: 'boolean', description: 'Nest categories under their parents' }
     }
+};
 
-    if (!category || typeof category !== 'string' || category.trim().length === 0) {
-        errors.push('Category is required and must be a non-empty string');
+const webhookListQuery = {
+    type: 'object',
+    properties: {
+        event: { type: 'string', enum: WEBHOOK_EVENTS, description: 'Only subscriptions that receive this event' },
+        active: { type: 'boolean', description: 'Only active (true) or inactive (false) subscriptions' }
     }
+};
 
-    if (inStock !== undefined && typeof inStock !== 'boolean') {
-        errors.push('inStock must be a boolean value');
+const deliveryListQuery = {
+    type: 'object',
+    properties: {
+        ...paginationProperties,
+        status: { type: 'string', enum: DELIVERY_STATUSES, description: 'Only deliveries with this status; dead lists the dead letters' },
+        event: { type: 'string', enum: WEBHOOK_EVENTS, description: 'Only deliveries of this event' },
+        webhook: { ...objectId, description: 'Only deliveries to this subscription' }
     }
+};
+
+// ===== MIDDLEWARE =====
+
+/**
+ * Validation middleware built from the schemas of the parts of a request
+ * options:
+ *   - params, query, body: schemas; query strings and parameters are read as
+ *     numbers and booleans where their schema says so, but req.query itself is
+ *     left as sent; numbers only pass in the plain notation parseInt and
+ *     parseFloat read the same way (see utils/schema)
+ *   - check(body): rules across body fields, run once the schemas pass;
+ *     returns more [{ pointer, detail }]
+ *   - normalize(body): tidy the body in place once it is valid (trimming...)
+ *   - bodyType: media type of a body checked with body (default: application/json)
+ *   - content: bodies the route parses and checks itself (JSON Patch, CSV...),
+ *     as { mediaType: schema }; they are documented, not validated here
+ * Every problem is collected before answering, so clients see them all at once
+ * The schemas stay readable on the middleware (middleware.schemas) for utils/openapi
+ */
+const validateRequest = ({ params, query, body, check, normalize, bodyType = 'application/json', content } = {}) => Object.assign((req, res, next) => {
+    const errors = [];
+    const run = (location, schema, value, coerce) => {
+        if (!schema) return;
+        validateSchema(schema, value, { coerce }).errors
+            .forEach(error => errors.push({ in: location, ...error }));
+    };
+
+    // Requests without a JSON body have no req.body
+    const requestBody = req.body === undefined ? {} : req.body;
+    run('params', params, req.params, true);
+    run('query', query, req.query, true);
+    run('body', body, requestBody, false);
 
-    // If there are validation errors, return them
+    if (errors.length === 0 && check) {
+        check(requestBody).forEach(error => errors.push({ in: 'body', ...error }));
+    }
     if (errors.length > 0) {
-        return res.status(400).json({
-            message: 'Validation failed',
-            errors: errors
-        });
+        return next(new RequestValidationError(errors));
     }
 
-    // Trim string fields
-    if (name) req.body.name = name.trim();
-    if (description) req.body.description = description.trim();
-    if (category) req.body.category = category.trim();
+    if (normalize) normalize(requestBody);
+    next();
+}, { schemas: { params, query, body, content: body ? { [bodyType]: body } : content } });
 
-    // Validation passed, continue to next middleware
+/**
+ * Validator for one route parameter, for router.param
+ * Usage: router.param('id', validateParam(schemas.objectId))
+ */
+const validateParam = (schema) => Object.assign((req, res, next, value, name) => {
+    const { errors } = validateSchema(schema, value, { coerce: true });
+    if (errors.length > 0) {
+        return next(new RequestValidationError(
+            errors.map(error => ({ in: 'params', pointer: `/${name}`, detail: error.detail })),
+            schema.format === 'objectId' ? 'Invalid ID format' : 'Validation failed'
+        ));
+    }
     next();
+}, { schema });
+
+const validateProduct = validateRequest({ body: productSchema, check: productRules, normalize: normalizeProduct });
+
+const validateVariant = validateRequest({
+    body: variantSchema,
+    check: ({ sales }) => checkSales(sales, '/sales'),
+    normalize: normalizeVariant
+});
+
+// Only the fields sent are checked; stock is changed through /api/inventory
+const validateVariantUpdate = validateRequest({
+    body: variantUpdateSchema,
+    check: ({ sku, options, price, sales, quantity }) => {
+        const errors = checkSales(sales, '/sales');
+        if (quantity !== undefined) {
+            errors.push({ pointer: '/quantity', detail: 'cannot be edited here; record a stock movement instead' });
+        }
+        if (sku === undefined && options === undefined && price === undefined && sales === undefined) {
+            errors.push({ pointer: '', detail: 'Send at least one of: sku, options, price, sales' });
+        }
+        return errors;
+    },
+    normalize: normalizeVariant
+});
+
+const validateStockMovement = validateRequest({
+    body: stockMovementSchema,
+    check: stockMovementRules,
+    normalize: (body) => { body.reason = body.reason.trim(); }
+});
+
+const validateReservation = validateRequest({
+    body: reservationSchema,
+    normalize: (body) => { body.cartId = body.cartId.trim(); }
+});
+
+const validateCategory = validateRequest({ body: categorySchema, normalize: normalizeCategory });
+
+// On PUT only the fields sent are checked
+const validateCategoryUpdate = validateRequest({
+    body: categoryUpdateSchema,
+    check: (body) => (['name', 'slug', 'description', 'parent'].every(field => body[field] === undefined)
+        ? [{ pointer: '', detail: 'Send at least one of: name, slug, description, parent' }]
+        : []),
+    normalize: normalizeCategory
+});
+
+const validateApiKey = validateRequest({
+    body: apiKeySchema,
+    check: ({ expiresAt }) => (expiresAt && new Date(expiresAt) <= new Date()
+        ? [{ pointer: '/expiresAt', detail: 'must be in the future' }]
+        : []),
+    normalize: (body) => {
+        body.name = body.name.trim();
+        body.owner = body.owner.trim();
+    }
+});
+
+const validateRegister = validateRequest({
+    body: registerSchema,
+    normalize: (body) => {
+        body.email = body.email.trim().toLowerCase();
+        body.name = body.name.trim();
+    }
+});
+
+const validateLogin = validateRequest({
+    body: loginSchema,
+    normalize: (body) => { body.email = body.email.trim().toLowerCase(); }
+});
+
+const validateRefreshToken = validateRequest({ body: refreshTokenSchema });
+
+// Trim the string fields of a webhook once it has passed validation
+const normalizeWebhook = (body) => {
+    if (typeof body.url === 'string') body.url = body.url.trim();
+    if (typeof body.description === 'string') body.description = body.description.trim();
+    if (body.events) body.events = [...new Set(body.events)];
 };
 
-module.exports = validateProduct;
\ No newline at end of file
+const validateWebhook = validateRequest({ body: webhookSchema, normalize: normalizeWebhook });
+
+// On PUT only the fields sent are checked
+const validateWebhookUpdate = validateRequest({
+    body: webhookUpdateSchema,
+    check: (body) => (Object.keys(webhookProperties).every(field => body[field] === undefined)
+        ? [{ pointer: '', detail: `Send at least one of: ${Object.keys(webhookProperties).join(', ')}` }]
+        : []),
+    normalize: normalizeWebhook
+});
+
+// Every schema, for documentation and for callers that validate data themselves
+const schemas = {
+    objectId,
+    version: wholeNumber(1),
+    product: productSchema,
+    productPatch: productPatchSchema,
+    jsonPatch: jsonPatchSchema,
+    batch: batchSchema,
+    importCsv: importCsvSchema,
+    importNdjson: importNdjsonSchema,
+    variant: variantSchema,
+    variantUpdate: variantUpdateSchema,
+    sale: saleSchema,
+    mediaUpload: mediaUploadSchema,
+    mediaUpdate: mediaUpdateSchema,
+    mediaOrder: mediaOrderSchema,
+    stockMovement: stockMovementSchema,
+    reservation: reservationSchema,
+    category: categorySchema,
+    categoryUpdate: categoryUpdateSchema,
+    apiKey: apiKeySchema,
+    register: registerSchema,
+    login: loginSchema,
+    refreshToken: refreshTokenSchema,
+    webhook: webhookSchema,
+    webhookUpdate: webhookUpdateSchema,
+    graphqlRequest: graphqlRequestSchema,
+    productListQuery,
+    productSearchQuery,
+    productItemQuery,
+    priceHistoryQuery,
+    suggestQuery,
+    exportQuery,
+    importQuery,
+    batchQuery,
+    paginationQuery,
+    historyQuery,
+    movementQuery,
+    analyticsQuery,
+    streamQuery,
+    graphqlQuery,
+    apiKeyListQuery,
+    categoryListQuery,
+    webhookListQuery,
+    deliveryListQuery
+};
+
+module.exports = {
+    schemas,
+    validateRequest,
+    validateParam,
+    validateProduct,
+    validateVariant,
+    validateVariantUpdate,
+    checkVariantSet,
+    validateStockMovement,
+    validateReservation,
+    validateCategory,
+    validateCategoryUpdate,
+    validateApiKey,
+    validateRegister,
+    validateLogin,
+    validateRefreshToken,
+    validateWebhook,
+    validateWebhookUpdate,
+    checkProduct,
+    describeFieldError,
+    normalizeProduct
+};
@@ -0,0 +1,173 @@
+// migrate-categories.js - Turns free-text product categories into Category documents
+// Products that still hold a category string get the id of a matching category.
+// Strings that differ only in case, spacing or punctuation ("Electronics" and
+// "electronics ") share one category. Safe to run again: existing categories
+// are reused by slug and products that already hold an id are left alone.
+//
+// Usage:
+//   node migrate-categories.js [--dry-run] [--separator ">"]
+//
+// With --separator, strings such as "Clothing > Shirts" become nested categories
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('./config /dbConnector');
+const Product = require('./models/products');
+const Category = require('./models/categories');
+
+const { values } = parseArgs({
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+        separator: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const printUsage = () => {
+    console.log('Usage: node migrate-categories.js [--dry-run] [--separator ">"]');
+};
+
+// Fallback for strings with no letters or numbers, which cannot make a slug
+const UNCATEGORIZED = 'Uncategorized';
+
+// Split a category string into the names along its path, top first
+const toPath = (value) => {
+    const parts = values.separator ? value.split(values.separator) : [value];
+    const names = parts.map(part => part.trim().replace(/\s+/g, ' ')).filter(Boolean);
+    return names.length > 0 ? names : [UNCATEGORIZED];
+};
+
+// Slug of the category at the end of a path; nested slugs include their parents
+// so "Clothing > Shirts" and "Sports > Shirts" do not collide
+const pathSlug = (names) => Category.slugify(names.join(' ')) || Category.slugify(UNCATEGORIZED);
+
+/**
+ * Plan the categories to create from the distinct strings and their product counts
+ * For each slug, the spelling used by the most products becomes the name
+ * Returns the planned categories, parents before children
+ */
+const planCategories = (groups) => {
+    const planned = new Map();
+
+    groups.forEach(({ _id: value, count }) => {
+        const names = toPath(value);
+        names.forEach((name, depth) => {
+            const path = names.slice(0, depth + 1);
+            const slug = pathSlug(path);
+            const entry = planned.get(slug) || {
+                slug,
+                depth,
+                parentSlug: depth > 0 ? pathSlug(names.slice(0, depth)) : null,
+                spellings: new Map()
+            };
+            entry.spellings.set(name, (entry.spellings.get(name) || 0) + count);
+            planned.set(slug, entry);
+        });
+    });
+
+    return [...planned.values()]
+        .map(entry => ({
+            ...entry,
+            name: [...entry.spellings.entries()].sort((a, b) => b[1] - a[1])[0][0]
+        }))
+        .sort((a, b) => a.depth - b.depth);
+};
+
+// Find each planned category by slug or create it; returns slug -> category
+const ensureCategories = async (plan) => {
+    const bySlug = new Map();
+
+    for (const entry of plan) {
+        let category = await Category.findOne({ slug: entry.slug });
+        if (!category) {
+            const parent = entry.parentSlug ? bySlug.get(entry.parentSlug) : null;
+            category = await Category.create({
+                name: entry.name,
+                slug: entry.slug,
+                parent: parent ? parent._id : null,
+                ancestors: parent ? [...parent.ancestors, parent._id] : []
+            });
+            console.log(`created  ${entry.slug} (${entry.name})`);
+        } else {
+            console.log(`reusing  ${entry.slug} (${category.name})`);
+        }
+        bySlug.set(entry.slug, category);
+    }
+
+    return bySlug;
+};
+
+/**
+ * The text index used to cover the category string; MongoDB allows one text
+ * index per collection, so the old one has to go before the new one is built
+ */
+const replaceOldTextIndex = async () => {
+    const indexes = await Product.collection.indexes();
+    const oldIndex = indexes.find(index => index.name === 'product_text_search' &&
+        index.weights && index.weights.category !== undefined);
+    if (!oldIndex) return false;
+
+    await Product.collection.dropIndex(oldIndex.name);
+    await Product.createIndexes();
+    return true;
+};
+
+const main = async () => {
+    if (values.help) {
+        printUsage();
+        return;
+    }
+
+    const dryRun = values['dry-run'];
+
+    await connectDB();
+
+    try {
+        // The schema now declares category as an id, so read the old strings from
+        // the raw collection rather than through the model
+        const groups = await Product.collection.aggregate([
+            { $match: { category: { $type: 'string' } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+        ]).toArray();
+
+        if (groups.length === 0) {
+            console.log('No products with a category string, nothing to migrate');
+        } else {
+            const plan = planCategories(groups);
+            console.log(`${groups.length} distinct category strings -> ${plan.length} categories`);
+
+            if (dryRun) {
+                plan.forEach(entry => console.log(`${'  '.repeat(entry.depth)}${entry.slug} (${entry.name})`));
+                groups.forEach(({ _id: value, count }) => {
+                    console.log(`"${value}" (${count} products) -> ${pathSlug(toPath(value))}`);
+                });
+                console.log('Dry run, nothing was written');
+                return;
+            }
+
+            const bySlug = await ensureCategories(plan);
+
+            let migrated = 0;
+            for (const { _id: value } of groups) {
+                const category = bySlug.get(pathSlug(toPath(value)));
+                const result = await Product.collection.updateMany(
+                    { category: value },
+                    { $set: { category: category._id } }
+                );
+                migrated += result.modifiedCount;
+            }
+            console.log(`Migrated ${migrated} products`);
+        }
+
+        if (!dryRun && await replaceOldTextIndex()) {
+            console.log('Rebuilt the product text index without the category field');
+        }
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('Category migration failed:', error.message);
+    process.exitCode = 1;
+});
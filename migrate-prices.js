@@ -0,0 +1,153 @@
+// migrate-prices.js - Turns decimal product prices into whole minor units with a currency
+// Products written before prices had a currency hold prices such as 19.99; they
+// become 1999 in BASE_CURRENCY (default USD), variant prices included. The
+// product history is converted with them: versions recorded before prices had a
+// currency get their snapshot and price changes in minor units, so they can still
+// be reverted to. Safe to run again: products and versions that already have a
+// currency are left alone.
+//
+// Usage:
+//   node migrate-prices.js [--dry-run]
+//
+// Run it before starting a server that stores minor units; such a server refuses
+// to start while products without a currency are left (see server.js). The price
+// history is only written by those servers, so none of it needs converting.
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const connectDB = require('./config /dbConnector');
+const Product = require('./models/products');
+const ProductVersion = require('./models/productVersions');
+const { UNMIGRATED } = require('./utils/pricing');
+const { baseCurrency, minorUnitDigits } = require('./utils/currency');
+
+const { values } = parseArgs({
+    options: {
+        'dry-run': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const printUsage = () => {
+    console.log('Usage: node migrate-prices.js [--dry-run]');
+};
+
+// Versions recorded before prices had a currency
+const UNMIGRATED_VERSIONS = { 'snapshot.currency': { $exists: false } };
+
+// Fields of a version's changes that hold a price: the product's and each variant's
+const PRICE_FIELD = '^(price|variants\\.[^.]+\\.price)$';
+
+// amount * scale rounded half up; 19.99 * 100 is 1998.999... in floating point
+const toMinor = (amount, scale) => ({
+    $cond: [
+        { $eq: [{ $ifNull: [amount, null] }, null] },
+        null,
+        { $floor: { $add: [{ $multiply: [amount, scale] }, 0.5] } }
+    ]
+});
+
+/**
+ * Pipeline update converting the prices of a product; it also bumps the revision,
+ * since the raw collection skips the model's hooks (see models/products)
+ */
+const migrationUpdate = (currency) => {
+    const scale = 10 ** minorUnitDigits(currency);
+    return [{
+        $set: {
+            price: toMinor('$price', scale),
+            currency,
+            variants: {
+                $map: {
+                    input: { $ifNull: ['$variants', []] },
+                    as: 'variant',
+                    in: { $mergeObjects: ['$$variant', { price: toMinor('$$variant.price', scale) }] }
+                }
+            },
+            revision: { $add: [{ $ifNull: ['$revision', 0] }, 1] }
+        }
+    }];
+};
+
+/**
+ * Pipeline update converting the prices of a version: its snapshot (variants
+ * included) and the before and after of the price fields it changed
+ * Versions are append-only through the model, so this goes through the raw collection
+ */
+const versionMigrationUpdate = (currency) => {
+    const scale = 10 ** minorUnitDigits(currency);
+    return [{
+        $set: {
+            snapshot: {
+                $mergeObjects: ['$snapshot', {
+                    price: toMinor('$snapshot.price', scale),
+                    currency,
+                    variants: {
+                        $map: {
+                            input: { $ifNull: ['$snapshot.variants', []] },
+                            as: 'variant',
+                            in: { $mergeObjects: ['$$variant', { price: toMinor('$$variant.price', scale) }] }
+                        }
+                    }
+                }]
+            },
+            changes: {
+                $map: {
+                    input: { $ifNull: ['$changes', []] },
+                    as: 'change',
+                    in: {
+                        $cond: [
+                            { $regexMatch: { input: '$$change.field', regex: PRICE_FIELD } },
+                            { $mergeObjects: ['$$change', { before: toMinor('$$change.before', scale), after: toMinor('$$change.after', scale) }] },
+                            '$$change'
+                        ]
+                    }
+                }
+            }
+        }
+    }];
+};
+
+const main = async () => {
+    if (values.help) {
+        printUsage();
+        return;
+    }
+
+    const currency = baseCurrency();
+
+    await connectDB();
+
+    try {
+        // Read through the raw collection: the model would fill in the default currency
+        const count = await Product.collection.countDocuments(UNMIGRATED);
+        const versionCount = await ProductVersion.collection.countDocuments(UNMIGRATED_VERSIONS);
+        if (count === 0 && versionCount === 0) {
+            console.log('Every product and version already has a currency, nothing to migrate');
+            return;
+        }
+
+        const scale = 10 ** minorUnitDigits(currency);
+        console.log(`${count} products and ${versionCount} versions to migrate to ${currency} (x${scale})`);
+
+        if (values['dry-run']) {
+            const samples = await Product.collection.find(UNMIGRATED, { projection: { name: 1, price: 1 } }).limit(10).toArray();
+            samples.forEach(product => {
+                console.log(`${product._id} ${product.name}: ${product.price} -> ${Math.floor(product.price * scale + 0.5)}`);
+            });
+            console.log('Dry run, nothing was written');
+            return;
+        }
+
+        const result = await Product.collection.updateMany(UNMIGRATED, migrationUpdate(currency));
+        const versions = await ProductVersion.collection.updateMany(UNMIGRATED_VERSIONS, versionMigrationUpdate(currency));
+        console.log(`Migrated ${result.modifiedCount} products and ${versions.modifiedCount} versions`);
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main().catch(error => {
+    console.error('Price migration failed:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,120 @@
+//models to handle API keys
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Every scope a key may be granted
+const API_KEY_SCOPES = [
+    'products:read',
+    'products:write',
+    'products:delete',
+    // Permanently delete trashed products; meant for admins only
+    'products:purge',
+    'inventory:write',
+    'keys:admin',
+    // Scrape GET /metrics
+    'metrics:read',
+    // Manage webhook subscriptions and their deliveries
+    'webhooks:admin',
+    // Time-series reports under /api/analytics
+    'analytics:read'
+];
+
+// Prefix that makes our keys easy to recognise in logs and secret scanners
+const KEY_PREFIX = 'pk_';
+
+const ApiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    owner: { type: String, required: true, trim: true },
+    // Only the SHA-256 hash of the key is stored, never the plaintext
+    keyHash: { type: String, required: true, unique: true, select: false },
+    // First characters of the plaintext so admins can tell keys apart
+    keyPrefix: { type: String, required: true },
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        default: ['products:read']
+    },
+    expiresAt: { type: Date, default: null },
+    // Requests allowed per UTC day; null falls back to API_KEY_DAILY_QUOTA (see utils/rateLimit)
+    dailyQuota: { type: Number, default: null, min: 1 },
+    revoked: { type: Boolean, default: false },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: null },
+    rotatedAt: { type: Date, default: null }
+
+}, {timestamps: true});
+
+// Never leak the hash through JSON responses
+ApiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.keyHash;
+        return ret;
+    }
+});
+
+/**
+ * Generate a new random plaintext key
+ * The plaintext is only ever shown once, when a key is issued or rotated
+ */
+ApiKeySchema.statics.generatePlaintext = function () {
+    return KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+};
+
+// Hash a plaintext key for storage and lookup
+ApiKeySchema.statics.hashKey = function (plaintext) {
+    return crypto.createHash('sha256').update(plaintext).digest('hex');
+};
+
+/**
+ * Create and save a key, returning the document together with the plaintext
+ * Usage: const { apiKey, plaintext } = await ApiKey.issue({ name, owner, scopes, expiresAt, dailyQuota })
+ */
+ApiKeySchema.statics.issue = async function ({ name, owner, scopes, expiresAt, dailyQuota }) {
+    const plaintext = this.generatePlaintext();
+    const apiKey = await this.create({
+        name,
+        owner,
+        scopes,
+        expiresAt: expiresAt || null,
+        dailyQuota: dailyQuota || null,
+        keyHash: this.hashKey(plaintext),
+        keyPrefix: plaintext.slice(0, KEY_PREFIX.length + 8)
+    });
+    return { apiKey, plaintext };
+};
+
+// Look up a key document from the plaintext presented by a client
+ApiKeySchema.statics.findByPlaintext = function (plaintext) {
+    return this.findOne({ keyHash: this.hashKey(plaintext) });
+};
+
+// Replace the secret of an existing key, keeping its name, owner and scopes
+ApiKeySchema.methods.rotate = async function () {
+    const plaintext = this.constructor.generatePlaintext();
+    this.keyHash = this.constructor.hashKey(plaintext);
+    this.keyPrefix = plaintext.slice(0, KEY_PREFIX.length + 8);
+    this.rotatedAt = new Date();
+    await this.save();
+    return plaintext;
+};
+
+ApiKeySchema.methods.revoke = async function () {
+    this.revoked = true;
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+// A key is usable when it has not been revoked and has not expired
+ApiKeySchema.methods.isActive = function () {
+    if (this.revoked) return false;
+    if (this.expiresAt && this.expiresAt <= new Date()) return false;
+    return true;
+};
+
+ApiKeySchema.methods.hasScopes = function (requiredScopes) {
+    return requiredScopes.every(scope => this.scopes.includes(scope));
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
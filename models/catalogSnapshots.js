@@ -0,0 +1,33 @@
+//models to handle daily snapshots of the catalog, for the analytics endpoints
+const mongoose = require('mongoose');
+
+// Counts of the products directly in one category (null for products without one)
+const CategoryCountsSchema = new mongoose.Schema({
+    category: { type: mongoose.Schema.Types.ObjectId, default: null },
+    products: { type: Number, required: true },
+    inStock: { type: Number, required: true },
+    outOfStock: { type: Number, required: true },
+    // Units on hand, variants included
+    units: { type: Number, required: true }
+}, { _id: false });
+
+/**
+ * What the live catalog (trash left out) looked like on one UTC day
+ * The snapshot job rewrites the day's snapshot on every run, so a day ends up with
+ * the last state captured that day (see utils/analytics)
+ */
+const CatalogSnapshotSchema = new mongoose.Schema({
+    // Midnight UTC of the day
+    day: { type: Date, required: true, unique: true },
+    capturedAt: { type: Date, required: true },
+    products: { type: Number, required: true },
+    inStock: { type: Number, required: true },
+    outOfStock: { type: Number, required: true },
+    units: { type: Number, required: true },
+    categories: { type: [CategoryCountsSchema], default: [] }
+
+}, { timestamps: true });
+
+const CatalogSnapshot = mongoose.model('CatalogSnapshot', CatalogSnapshotSchema);
+
+module.exports = CatalogSnapshot;
@@ -0,0 +1,49 @@
+//models to handle the product category tree
+const mongoose = require('mongoose');
+const { invalidateProducts } = require('../utils/responseCache');
+
+const CategorySchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    // URL-friendly identifier, unique across the whole tree, e.g. "mens-shirts"
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    description: { type: String, default: null, trim: true },
+    // null for top-level categories
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    // Every category above this one, root first; lets one indexed query find
+    // all descendants of a category (see descendantIds)
+    ancestors: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }], default: [] }
+
+}, {timestamps: true});
+
+CategorySchema.index({ parent: 1, name: 1 });
+CategorySchema.index({ ancestors: 1 });
+
+/**
+ * Turn a name into a slug: lowercase ASCII words joined by dashes
+ * "Men's Shirts " -> "men-s-shirts", "Électronique" -> "electronique"
+ */
+CategorySchema.statics.slugify = function (text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+// Ids of a category and everything below it
+CategorySchema.statics.descendantIds = async function (categoryId) {
+    const categories = await this.find(
+        { $or: [{ _id: categoryId }, { ancestors: categoryId }] },
+        '_id'
+    ).lean();
+    return categories.map(category => category._id);
+};
+
+// Products show their category's name and slug, so cached product responses go stale too
+CategorySchema.post('save', () => invalidateProducts());
+CategorySchema.post(['findOneAndUpdate', 'findOneAndDelete', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'], () => invalidateProducts());
+
+const Category = mongoose.model('Category', CategorySchema);
+
+module.exports = Category;
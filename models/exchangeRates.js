@@ -0,0 +1,19 @@
+//models to handle the exchange-rate table used to show prices in other currencies
+const mongoose = require('mongoose');
+
+/**
+ * One row per currency: how many units of it one unit of the base currency
+ * (BASE_CURRENCY) buys, e.g. { currency: 'EUR', rate: 0.92 } with base USD
+ * The table is loaded by hand with load-exchange-rates.js; there is no live feed
+ */
+const ExchangeRateSchema = new mongoose.Schema({
+    currency: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    rate: { type: Number, required: true, min: 0 },
+    // Where the rate came from, e.g. the file it was loaded from
+    source: { type: String, default: null }
+
+}, {timestamps: true});
+
+const ExchangeRate = mongoose.model('ExchangeRate', ExchangeRateSchema);
+
+module.exports = ExchangeRate;
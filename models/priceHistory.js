@@ -0,0 +1,55 @@
+//models to handle the price history of products and variants
+const mongoose = require('mongoose');
+const { fromMinorUnits } = require('../utils/currency');
+const { decimalPriceTransform } = require('../utils/priceUnits');
+
+const ScheduledSaleSchema = new mongoose.Schema({
+    price: { type: Number, required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true }
+}, { _id: false, toJSON: { transform: decimalPriceTransform } });
+
+/**
+ * One entry per change to the price, currency or sales of a product or one of
+ * its variants, holding the pricing after the change (see utils/priceHistory)
+ * Entries are written next to the product history, so both share actor and requestId
+ */
+const PriceChangeSchema = new mongoose.Schema({
+    // Not a live reference: history outlives deleted products
+    product: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // null for the product's own price
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // The product history action that made the change (see models/productVersions)
+    action: { type: String, required: true },
+    currency: { type: String, required: true },
+    // Regular price in minor units; null for variants that sell at the product price
+    price: { type: Number, default: null },
+    // In previousCurrency when the change moved the product to another currency
+    previousPrice: { type: Number, default: null },
+    previousCurrency: { type: String, default: null },
+    sales: { type: [ScheduledSaleSchema], default: [] },
+    // Who made the change: an API key or a user (see req.auth)
+    actor: {
+        type: { type: String, enum: ['apiKey', 'user', 'system'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: null }
+    },
+    // X-Request-Id of the request that made the change
+    requestId: { type: String, default: null }
+
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+PriceChangeSchema.index({ product: 1, createdAt: -1 });
+
+// Responses show the prices as decimal amounts, like those of products (see utils/priceUnits)
+PriceChangeSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        ret.price = fromMinorUnits(ret.price, ret.currency);
+        ret.previousPrice = fromMinorUnits(ret.previousPrice, ret.previousCurrency || ret.currency);
+        return ret;
+    }
+});
+
+const PriceChange = mongoose.model('PriceChange', PriceChangeSchema);
+
+module.exports = PriceChange;
@@ -0,0 +1,81 @@
+//models to handle the audit trail and version history of products
+const mongoose = require('mongoose');
+const { pricesFromMinorUnits, changesFromMinorUnits } = require('../utils/priceUnits');
+
+/**
+ * What happened to the product in a version
+ * - create / update / delete: the product itself
+ * - variant-add / variant-update / variant-remove: one of its variants
+ * - media-add / media-update / media-remove / media-reorder: its images
+ * - revert: an earlier version was restored (see revertedTo)
+ * - delete moves the product to the trash, restore takes it back out and
+ *   purge removes it for good
+ */
+const VERSION_ACTIONS = [
+    'create', 'update', 'delete', 'restore', 'purge',
+    'variant-add', 'variant-update', 'variant-remove',
+    'media-add', 'media-update', 'media-remove', 'media-reorder',
+    'revert'
+];
+
+const ChangeSchema = new mongoose.Schema({
+    // Dotted path of the field; variant fields are keyed by variant id,
+    // e.g. "variants.652f....price"
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const ProductVersionSchema = new mongoose.Schema({
+    // Not a live reference: history outlives deleted products
+    product: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // 1 for the first recorded version of the product, then counting up
+    version: { type: Number, required: true, min: 1 },
+    action: { type: String, enum: VERSION_ACTIONS, required: true },
+    // Who made the change: an API key or a user (see req.auth)
+    actor: {
+        type: { type: String, enum: ['apiKey', 'user', 'system'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: null }
+    },
+    // X-Request-Id of the request that made the change
+    requestId: { type: String, default: null },
+    changes: { type: [ChangeSchema], default: [] },
+    // Descriptive fields of the product after the change (before it, for deletes);
+    // stock is left out because it has its own ledger in stock movements
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Set on revert entries
+    revertedTo: { type: Number, default: null }
+
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ProductVersionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+// The trail is append-only: entries are never edited or removed
+const refuseChange = function () {
+    throw new Error('Product history is append-only');
+};
+ProductVersionSchema.pre([
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'
+], refuseChange);
+ProductVersionSchema.pre('save', function () {
+    if (!this.isNew) refuseChange();
+});
+
+// Prices are kept in minor units like those of products and shown as decimal
+// amounts of the snapshot's currency (see utils/priceUnits)
+ProductVersionSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        const currency = ret.snapshot && ret.snapshot.currency;
+        if (!currency) return ret;
+        ret.snapshot = pricesFromMinorUnits(ret.snapshot);
+        ret.changes = changesFromMinorUnits(ret.changes || [], currency);
+        return ret;
+    }
+});
+
+const ProductVersion = mongoose.model('ProductVersion', ProductVersionSchema);
+
+module.exports = ProductVersion;
+module.exports.VERSION_ACTIONS = VERSION_ACTIONS;
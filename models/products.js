@@ -1,18 +1,241 @@
 //models to handle products
 const mongoose = require('mongoose');
+const { productSuggestIndex } = require('../utils/suggestIndex');
+const { invalidateProducts } = require('../utils/responseCache');
+const logger = require('../utils/logger');
+const { baseCurrency } = require('../utils/currency');
+const { decimalPriceTransform } = require('../utils/priceUnits');
 
+// Prices are whole numbers of the currency's minor unit, e.g. 1999 for 19.99 USD;
+// responses show them as decimal amounts again (see utils/priceUnits)
+const minorUnits = {
+    validator: Number.isInteger,
+    message: '{PATH} must be a whole number of minor units, e.g. 1999 for 19.99'
+};
+
+/**
+ * A scheduled sale: from startsAt (inclusive) to endsAt (exclusive) the product
+ * or variant sells at this price instead (see utils/pricing)
+ * Sales of one product or variant never overlap
+ */
+const SaleSchema = new mongoose.Schema({
+    price: { type: Number, required: true, min: 0, validate: minorUnits },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true }
+}, { _id: false, toJSON: { transform: decimalPriceTransform } });
+
+/**
+ * A purchasable variation of a product, e.g. size M in red
+ * Variants have their own SKU and stock and may override the product price
+ */
+const VariantSchema = new mongoose.Schema({
+    sku: { type: String, required: true, trim: true },
+    // Option name -> value, e.g. { size: 'M', colour: 'red' }
+    options: { type: Map, of: String, required: true },
+    // null means the variant sells at the product price; in the product's currency
+    price: { type: Number, default: null, min: 0, validate: minorUnits },
+    sales: { type: [SaleSchema], default: [] },
+    quantity: { type: Number, default: 0, min: 0 },
+    reserved: { type: Number, default: 0, min: 0 },
+    inStock: { type: Boolean, default: false }
+}, { id: false, toJSON: { virtuals: true, transform: decimalPriceTransform }, toObject: { virtuals: true } });
+
+VariantSchema.virtual('available').get(function () {
+    return Math.max(0, (this.quantity || 0) - (this.reserved || 0));
+});
+
+// A smaller WebP copy of a media image (see utils/productMedia)
+const ThumbnailSchema = new mongoose.Schema({
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true }
+}, { _id: false });
+
+/**
+ * An image of the product; the media array is in display order
+ * Files live in the media storage backend under key (see utils/mediaStorage)
+ */
+const MediaSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    contentType: { type: String, required: true },
+    // Bytes of the original file
+    size: { type: Number, required: true },
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    alt: { type: String, default: '', trim: true, maxlength: 250 },
+    originalName: { type: String, default: null },
+    thumbnails: { type: [ThumbnailSchema], default: [] }
+}, { timestamps: { createdAt: true, updatedAt: false } });
 
 const ProductSchema = new mongoose.Schema({
     name: { type: String, required: true },
     description: { type: String, required: true },
-    price: { type: Number, required: true },
-    category: { type: String, required: true },
-    inStock: { type: Boolean, default: true }
-    
-}, {timestamps: true});
+    // Regular price in minor units of currency; variants without their own price sell at this price
+    price: { type: Number, required: true, min: 0, validate: minorUnits },
+    // ISO 4217 code of price, the variant prices and the sales
+    currency: { type: String, required: true, uppercase: true, trim: true, default: baseCurrency },
+    sales: { type: [SaleSchema], default: [] },
+    // Products sit in one category; listing a category also lists its descendants
+    category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+    // Derived from quantity and reserved, never set directly (see the pre-save hook)
+    inStock: { type: Boolean, default: false },
+    // Units on hand; changed through stock movements so every change is in the ledger
+    // For products with variants this is the total across variants
+    quantity: { type: Number, default: 0, min: 0 },
+    // Units held by active cart reservations; available = quantity - reserved
+    reserved: { type: Number, default: 0, min: 0 },
+    variants: { type: [VariantSchema], default: [] },
+    // Images, in display order; changed through the /:id/media routes
+    media: { type: [MediaSchema], default: [] },
+    // Stock keeping unit, optional but unique among live products when set (see the
+    // indexes below); used to match rows on bulk import
+    sku: { type: String, trim: true },
+    // Set when the product is moved to the trash; null for live products
+    deletedAt: { type: Date, default: null },
+    // Bumped by every write (see the hooks below); the product ETag is built from it
+    revision: { type: Number, default: 0 }
+
+}, {timestamps: true, id: false, toJSON: { virtuals: true, transform: decimalPriceTransform }, toObject: { virtuals: true }});
+
+/**
+ * Weighted text index used by the search endpoint
+ * A match in the name counts more than one in the description
+ * (categories are ids, so searches narrow by category with the category filter)
+ */
+ProductSchema.index(
+    { name: 'text', description: 'text' },
+    { name: 'product_text_search', weights: { name: 10, description: 1 } }
+);
+
+ProductSchema.index({ category: 1 });
+// The purge job looks for products trashed before the retention cut-off
+ProductSchema.index({ deletedAt: 1 });
+
+// The price schedule job looks for sales that started or ended since its last run
+ProductSchema.index({ 'sales.startsAt': 1 });
+ProductSchema.index({ 'sales.endsAt': 1 });
+ProductSchema.index({ 'variants.sales.startsAt': 1 });
+ProductSchema.index({ 'variants.sales.endsAt': 1 });
+
+/**
+ * SKUs are unique among live products, variant SKUs across the live catalog
+ * Trashed products keep their SKUs but do not hold on to them: a new product may
+ * take one, and the trashed product can then only be restored once it is free again
+ */
+ProductSchema.index(
+    { sku: 1 },
+    { name: 'sku_live', unique: true, partialFilterExpression: { sku: { $type: 'string' }, deletedAt: null } }
+);
+ProductSchema.index(
+    { 'variants.sku': 1 },
+    { name: 'variants_sku_live', unique: true, partialFilterExpression: { 'variants.sku': { $exists: true }, deletedAt: null } }
+);
+
+// Indexes that made SKUs unique across the trash too; dropped when the current ones are created
+const LEGACY_INDEXES = ['sku_1', 'variants.sku_1'];
+
+/**
+ * Soft delete: trashed products are left out of every query unless the query
+ * filters on deletedAt itself (the trash does) or sets { withDeleted: true }
+ */
+const mentionsDeletedAt = (filter) => Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+ProductSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+    this.where({ deletedAt: null });
+});
+
+ProductSchema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    const first = pipeline[0] && pipeline[0].$match;
+    if (mentionsDeletedAt(first)) return;
+
+    // $text has to stay in the first stage, so the condition joins it
+    if (first && first.$text) {
+        first.deletedAt = null;
+    } else {
+        pipeline.unshift({ $match: { deletedAt: null } });
+    }
+});
+
+/**
+ * Every write bumps revision, stock changes included since they change what
+ * GET returns, so an ETag never outlives the version it was issued for
+ * (bulk import sets it itself, as bulkWrite skips middleware)
+ */
+ProductSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    const update = this.getUpdate();
+    if (Array.isArray(update)) {
+        this.setUpdate([...update, { $set: { revision: { $add: [{ $ifNull: ['$revision', 0] }, 1] } } }]);
+    } else {
+        this.setUpdate({ ...update, $inc: { ...(update && update.$inc), revision: 1 } });
+    }
+});
+
+ProductSchema.pre('save', function () {
+    if (!this.isNew) this.$inc('revision', 1);
+});
+
+ProductSchema.virtual('available').get(function () {
+    return Math.max(0, (this.quantity || 0) - (this.reserved || 0));
+});
+
+// inStock always reflects what can still be sold; variant products total their variants
+ProductSchema.pre('save', function () {
+    if (this.variants && this.variants.length > 0) {
+        this.variants.forEach(variant => {
+            variant.inStock = (variant.quantity || 0) - (variant.reserved || 0) > 0;
+        });
+        this.quantity = this.variants.reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+        this.reserved = this.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0);
+    }
+    this.inStock = (this.quantity || 0) - (this.reserved || 0) > 0;
+});
+
+// Keep the in-memory autocomplete index in step with the collection
+ProductSchema.post('save', (doc) => productSuggestIndex.upsert(doc));
+ProductSchema.post('insertMany', (docs) => docs.forEach(doc => productSuggestIndex.upsert(doc)));
+ProductSchema.post('findOneAndUpdate', (doc) => {
+    // Routes update with { new: true }, so doc is the updated product
+    if (!doc) return;
+    if (doc.deletedAt) {
+        productSuggestIndex.remove(doc._id);
+    } else {
+        productSuggestIndex.upsert(doc);
+    }
+});
+ProductSchema.post('findOneAndDelete', (doc) => {
+    if (doc) productSuggestIndex.remove(doc._id);
+});
+
+// Drop cached responses that may show a changed product (see utils/responseCache)
+ProductSchema.post('save', (doc) => invalidateProducts([doc._id]));
+ProductSchema.post('insertMany', () => invalidateProducts([]));
+ProductSchema.post(['findOneAndUpdate', 'findOneAndDelete'], (doc) => {
+    if (doc) invalidateProducts([doc._id]);
+});
+// These do not say which products they touched
+ProductSchema.post(['updateOne', 'updateMany', 'deleteOne', 'deleteMany'], () => invalidateProducts());
+ProductSchema.post('bulkWrite', () => invalidateProducts());
 
 const Product = mongoose.model('Product', ProductSchema);
-Product.createIndexes(); // Create indexes for better performance
+
+// Drop the legacy indexes a database still has, then create the current ones
+const ensureIndexes = async () => {
+    // A collection that does not exist yet has no indexes
+    const existing = await Product.collection.indexes().catch(() => []);
+    for (const { name } of existing) {
+        if (LEGACY_INDEXES.includes(name)) await Product.collection.dropIndex(name);
+    }
+    await Product.createIndexes();
+};
+
+// Create indexes for better performance
+// A text index from before categories became ids conflicts with the current one
+// until `npm run migrate-categories` replaces it
+ensureIndexes().catch(error => logger.error('Failed to create product indexes', { err: error }));
 // Export the Product model
 
 module.exports = Product;
@@ -0,0 +1,52 @@
+//models to handle refresh tokens issued at login
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Only the SHA-256 hash of the token is stored, never the plaintext
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // Set when the token is exchanged at /refresh, so reuse of an old token can be detected
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken', default: null }
+
+}, {timestamps: true});
+
+// Let MongoDB remove expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+RefreshTokenSchema.statics.hashToken = function (plaintext) {
+    return crypto.createHash('sha256').update(plaintext).digest('hex');
+};
+
+/**
+ * Create and save a refresh token for a user
+ * Usage: const { refreshToken, plaintext } = await RefreshToken.issue(user._id, ttlMs)
+ */
+RefreshTokenSchema.statics.issue = async function (userId, ttlMs) {
+    const plaintext = crypto.randomBytes(48).toString('base64url');
+    const refreshToken = await this.create({
+        user: userId,
+        tokenHash: this.hashToken(plaintext),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return { refreshToken, plaintext };
+};
+
+RefreshTokenSchema.statics.findByPlaintext = function (plaintext) {
+    return this.findOne({ tokenHash: this.hashToken(plaintext) });
+};
+
+// Revoke every outstanding token of a user, e.g. after a stolen token was reused
+RefreshTokenSchema.statics.revokeAllForUser = function (userId) {
+    return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+RefreshTokenSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,36 @@
+//models to handle stock reservations held for shopping carts
+const mongoose = require('mongoose');
+
+/**
+ * Reservation lifecycle
+ * - active: units are held (counted in Product.reserved) until expiresAt
+ * - committed: the cart checked out, the units were sold
+ * - released: the cart gave the units back
+ * - expired: the TTL ran out before checkout and the units were returned
+ */
+const RESERVATION_STATUSES = ['active', 'committed', 'released', 'expired'];
+
+const ReservationSchema = new mongoose.Schema({
+    cartId: { type: String, required: true, trim: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Set when the stock belongs to one of the product's variants
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: RESERVATION_STATUSES, default: 'active' },
+    expiresAt: { type: Date, required: true },
+    actor: {
+        type: { type: String, enum: ['apiKey', 'user', 'system'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: null }
+    }
+
+}, {timestamps: true});
+
+ReservationSchema.index({ cartId: 1, status: 1 });
+// Lets the expiry job find overdue reservations quickly
+ReservationSchema.index({ status: 1, expiresAt: 1 });
+
+const Reservation = mongoose.model('Reservation', ReservationSchema);
+
+module.exports = Reservation;
+module.exports.RESERVATION_STATUSES = RESERVATION_STATUSES;
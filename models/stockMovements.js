@@ -0,0 +1,40 @@
+//models to handle the stock ledger
+const mongoose = require('mongoose');
+
+/**
+ * Kinds of stock movement and the sign of their quantity
+ * - receipt: goods arrive (+)
+ * - adjustment: stock count correction (+ or -)
+ * - sale: goods leave, directly or by committing a reservation (-)
+ * - return: goods come back from a customer (+)
+ */
+const MOVEMENT_TYPES = ['receipt', 'adjustment', 'sale', 'return'];
+
+const StockMovementSchema = new mongoose.Schema({
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    // Set when the stock belongs to one of the product's variants
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    // Signed change to the quantity on hand
+    quantity: { type: Number, required: true },
+    // Quantity on hand right after this movement
+    balanceAfter: { type: Number, required: true },
+    reason: { type: String, required: true, trim: true },
+    // Who made the change: an API key or a user (see req.auth)
+    actor: {
+        type: { type: String, enum: ['apiKey', 'user', 'system'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: null }
+    },
+    // Set for sales that came from committing a cart reservation
+    reservation: { type: mongoose.Schema.Types.ObjectId, ref: 'Reservation', default: null }
+
+}, {timestamps: true});
+
+// Ledger pages are read newest first per product
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
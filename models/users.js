@@ -0,0 +1,59 @@
+//models to handle user accounts for the admin UI
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+// Roles a user can hold, from most to least privileged
+const USER_ROLES = ['admin', 'editor', 'viewer'];
+
+/**
+ * Scopes granted by each role
+ * These are the same scopes API keys carry, so routes check one set of permissions
+ * - admin: full product access, key management and metrics
+ * - editor: create and update products, manage stock
+ * - viewer: read only
+ */
+const ROLE_SCOPES = {
+    admin: ['products:read', 'products:write', 'products:delete', 'products:purge', 'inventory:write', 'keys:admin', 'metrics:read', 'webhooks:admin', 'analytics:read'],
+    editor: ['products:read', 'products:write', 'inventory:write', 'analytics:read'],
+    viewer: ['products:read']
+};
+
+// Cost factor for bcrypt password hashing
+const SALT_ROUNDS = 12;
+
+const UserSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    passwordHash: { type: String, required: true, select: false },
+    role: { type: String, enum: USER_ROLES, default: 'viewer' },
+    disabled: { type: Boolean, default: false },
+    lastLoginAt: { type: Date, default: null }
+
+}, {timestamps: true});
+
+// Never leak the password hash through JSON responses
+UserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        return ret;
+    }
+});
+
+UserSchema.methods.setPassword = async function (password) {
+    this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// The document must be loaded with .select('+passwordHash') for this to work
+UserSchema.methods.comparePassword = function (password) {
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+UserSchema.methods.getScopes = function () {
+    return ROLE_SCOPES[this.role] || [];
+};
+
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
+module.exports.USER_ROLES = USER_ROLES;
+module.exports.ROLE_SCOPES = ROLE_SCOPES;
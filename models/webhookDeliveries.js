@@ -0,0 +1,45 @@
+//models to handle webhook deliveries, their retries and the dead letters
+const mongoose = require('mongoose');
+
+/**
+ * Where a delivery stands
+ * - pending: waiting for its first attempt or a retry (nextAttemptAt)
+ * - delivered: the receiver answered 2xx
+ * - dead: every attempt failed, or the subscription is gone or inactive; kept as
+ *   a dead letter until someone redelivers it
+ */
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const AttemptSchema = new mongoose.Schema({
+    at: { type: Date, required: true },
+    durationMs: { type: Number, required: true },
+    // HTTP status of the answer; null when there was none (timeout, refused connection)
+    responseStatus: { type: Number, default: null },
+    error: { type: String, default: null }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+    // Not a live reference: dead letters outlive deleted subscriptions
+    webhook: { type: mongoose.Schema.Types.ObjectId, required: true },
+    event: { type: String, required: true },
+    // Shared by the deliveries of one event to every subscription
+    eventId: { type: String, required: true },
+    // The JSON body sent to the receiver
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: [AttemptSchema], default: [] },
+    // When the next attempt is due; pushed forward while an attempt is running
+    nextAttemptAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date, default: null },
+    // Set on deliveries made by POST /api/webhooks/deliveries/:deliveryId/redeliver
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId, default: null }
+
+}, {timestamps: true});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
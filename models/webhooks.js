@@ -0,0 +1,59 @@
+//models to handle outbound webhook subscriptions
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Events a subscription can ask for (see utils/webhooks)
+ * - product.created / product.updated / product.deleted: the product itself
+ *   (updates include variant changes, reverts and restores from the trash)
+ * - product.out_of_stock: a sale, adjustment or reservation left nothing available
+ */
+const WEBHOOK_EVENTS = [
+    'product.created',
+    'product.updated',
+    'product.deleted',
+    'product.out_of_stock'
+];
+
+// Prefix that makes generated secrets easy to recognise
+const SECRET_PREFIX = 'whsec_';
+
+const WebhookSchema = new mongoose.Schema({
+    url: { type: String, required: true, trim: true },
+    description: { type: String, default: null, trim: true },
+    events: {
+        type: [{ type: String, enum: WEBHOOK_EVENTS }],
+        default: () => [...WEBHOOK_EVENTS]
+    },
+    // Signs every delivery (HMAC-SHA256); kept in plaintext because signing needs it
+    secret: { type: String, required: true, select: false },
+    // Inactive subscriptions get no new deliveries
+    active: { type: Boolean, default: true },
+    // Who registered it: an API key or a user (see req.auth)
+    createdBy: {
+        type: { type: String, enum: ['apiKey', 'user', 'system'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: null }
+    }
+
+}, {timestamps: true});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+// Never leak the secret through JSON responses
+WebhookSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+// A new random signing secret
+WebhookSchema.statics.generateSecret = function () {
+    return SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+};
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+module.exports = Webhook;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const {
+    readRange,
+    readCategoryIds,
+    productActivity,
+    priceChangeDistribution,
+    stockOutFrequency,
+    catalogGrowth
+} = require('../utils/analytics');
+const { toCsvRow } = require('../utils/csv');
+
+// Import middleware for authentication, rate limiting and validation
+const authenticate = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { schemas, validateRequest } = require('../middleware/validation');
+
+// Every report requires the analytics:read scope; they aggregate whole collections,
+// so they share the search rate limit
+router.use(rateLimit('search'), authenticate('analytics:read'));
+
+const validateReportQuery = validateRequest({ query: schemas.analyticsQuery });
+
+/**
+ * Answer with the report as JSON, or with `rows` as a CSV download for format=csv
+ * columns: the fields of each row, in order; they are also the header row
+ */
+const sendReport = (req, res, name, report, rows, columns) => {
+    if (req.query.format !== 'csv') {
+        return res.status(200).json(report);
+    }
+
+    const { from, to } = report.range;
+    const day = (date) => date.toISOString().slice(0, 10);
+    res.status(200);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${day(from)}-${day(to)}.csv"`);
+    res.send(toCsvRow(columns) + rows.map(row => toCsvRow(columns.map(column => row[column]))).join(''));
+};
+
+/**
+ * PRODUCT ACTIVITY - Products created and updated per day, week or month
+ * Purpose: See how busy the catalog team has been
+ * Access: Protected (requires analytics:read scope)
+ * Query Parameters (every report):
+ *   - from, to: ISO dates; from is inclusive, to exclusive (default: the last 30 days)
+ *   - interval: day, week (starting Monday) or month, in UTC (default: day)
+ *   - category: id or slug; the category and its subcategories only
+ *   - format: json or csv (default: json); csv downloads the series
+ * Updates are counted from the product history: every change counts, not just the latest
+ */
+router.get("/products/activity", validateReportQuery, async (req, res) => {
+    const range = readRange(req.query);
+    const report = await productActivity(range, await readCategoryIds(req.query));
+
+    sendReport(req, res, 'product-activity', report, report.series, ['period', 'created', 'updates', 'updatedProducts']);
+});
+
+/**
+ * PRICE CHANGES - How much regular prices went up or down
+ * Purpose: Spot pricing trends and unusual changes
+ * Access: Protected (requires analytics:read scope)
+ * Query Parameters: as for product activity; csv downloads the buckets
+ * Changes are in percent of the previous price, in buckets from -100% to +100% and over,
+ * with a summary and the increases and decreases of each period; changes of the
+ * currency or sales only are left out
+ */
+router.get("/prices/changes", validateReportQuery, async (req, res) => {
+    const range = readRange(req.query);
+    const report = await priceChangeDistribution(range, await readCategoryIds(req.query));
+
+    sendReport(req, res, 'price-changes', report, report.buckets, ['min', 'max', 'count']);
+});
+
+/**
+ * STOCK-OUTS - How often products of each category were out of stock
+ * Purpose: Find the categories that run out most
+ * Access: Protected (requires analytics:read scope)
+ * Query Parameters: as for product activity; csv downloads the series
+ * Built on the daily catalog snapshots (CATALOG_SNAPSHOT_INTERVAL_MS): outOfStockRate
+ * is the share of product-days spent out of stock, per category and period
+ */
+router.get("/stock-outs", validateReportQuery, async (req, res) => {
+    const range = readRange(req.query);
+    const report = await stockOutFrequency(range, await readCategoryIds(req.query));
+
+    sendReport(req, res, 'stock-outs', report, report.series, [
+        'period', 'categoryId', 'category', 'slug', 'days', 'productDays', 'outOfStockDays', 'outOfStockRate'
+    ]);
+});
+
+/**
+ * CATALOG GROWTH - Products created, deleted and restored, and the catalog size, per period
+ * Purpose: Track how the catalog grows over a date range
+ * Access: Protected (requires analytics:read scope)
+ * Query Parameters: as for product activity; csv downloads the series
+ * Sizes come from the last daily snapshot of each period and are null without one
+ */
+router.get("/growth", validateReportQuery, async (req, res) => {
+    const range = readRange(req.query);
+    const report = await catalogGrowth(range, await readCategoryIds(req.query));
+
+    sendReport(req, res, 'catalog-growth', report, report.series, [
+        'period', 'created', 'deleted', 'restored', 'net', 'totalProducts', 'inStock', 'outOfStock', 'units'
+    ]);
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
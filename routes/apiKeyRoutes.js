@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/apiKeys');
+
+// Import middleware for authentication and validation
+const authenticate = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { schemas, validateRequest, validateParam, validateApiKey } = require('../middleware/validation');
+const { ApiError } = require('../utils/errors');
+const { quotaUsage } = require('../utils/rateLimit');
+
+// Every key management route requires the keys:admin scope
+// (after the rate limit of each route, so bad credentials are limited too)
+const requireKeyAdmin = authenticate('keys:admin');
+
+// Handlers throw their errors; middleware/errorHandler answers them as problem+json
+// A malformed key id answers 400 before any handler runs
+router.param('id', validateParam(schemas.objectId));
+
+/**
+ * ISSUE API KEY - Create a new key
+ * Purpose: Hand out credentials to a new client
+ * Access: Protected (requires keys:admin scope)
+ * Body: name, owner, scopes (optional), expiresAt (optional),
+ *       dailyQuota (optional) - requests per UTC day, default API_KEY_DAILY_QUOTA
+ * The plaintext key is returned in this response only and cannot be retrieved later
+ */
+router.post("/", rateLimit('write'), requireKeyAdmin, validateApiKey, async (req, res) => {
+    const { name, owner, scopes, expiresAt, dailyQuota } = req.body;
+
+    const { apiKey, plaintext } = await ApiKey.issue({ name, owner, scopes, expiresAt, dailyQuota });
+
+    res.status(201).json({
+        message: "API key issued successfully. Store it now, it will not be shown again.",
+        key: plaintext,
+        apiKey: apiKey
+    });
+});
+
+/**
+ * LIST API KEYS - Show all keys without their secrets
+ * Access: Protected (requires keys:admin scope)
+ * Query Parameters:
+ *   - owner: Only return keys belonging to this owner
+ *   - active: true to hide revoked and expired keys
+ */
+router.get("/", rateLimit('read'), requireKeyAdmin, validateRequest({ query: schemas.apiKeyListQuery }), async (req, res) => {
+    const { owner, active } = req.query;
+    const filter = {};
+
+    if (owner) {
+        filter.owner = owner;
+    }
+
+    if (active === 'true') {
+        filter.revoked = false;
+        filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+    }
+
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+        count: apiKeys.length,
+        apiKeys: apiKeys
+    });
+});
+
+/**
+ * API KEY USAGE - Requests made with a key today and what is left of its daily quota
+ * Access: Protected (requires keys:admin scope)
+ * URL Parameter: id - MongoDB ObjectId of the key
+ * Counts reset at midnight UTC; limit and remaining are null for keys without a quota
+ */
+router.get("/:id/usage", rateLimit('read'), requireKeyAdmin, async (req, res) => {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+        throw new ApiError("API key not found", 404);
+    }
+
+    res.status(200).json({
+        apiKeyId: apiKey._id,
+        usage: await quotaUsage(apiKey)
+    });
+});
+
+/**
+ * ROTATE API KEY - Replace the secret of an existing key
+ * Purpose: Swap a leaked or old secret while keeping name, owner and scopes
+ * Access: Protected (requires keys:admin scope)
+ * URL Parameter: id - MongoDB ObjectId of the key
+ */
+router.post("/:id/rotate", rateLimit('write'), requireKeyAdmin, async (req, res) => {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+        throw new ApiError("API key not found", 404);
+    }
+
+    if (apiKey.revoked) {
+        throw new ApiError("Revoked API keys cannot be rotated", 409);
+    }
+
+    const plaintext = await apiKey.rotate();
+
+    res.status(200).json({
+        message: "API key rotated successfully. Store it now, it will not be shown again.",
+        key: plaintext,
+        apiKey: apiKey
+    });
+});
+
+/**
+ * REVOKE API KEY - Permanently disable a key
+ * Access: Protected (requires keys:admin scope)
+ * URL Parameter: id - MongoDB ObjectId of the key
+ * The key document is kept so that its history stays visible in the listing
+ */
+router.post("/:id/revoke", rateLimit('write'), requireKeyAdmin, async (req, res) => {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+        throw new ApiError("API key not found", 404);
+    }
+
+    if (!apiKey.revoked) {
+        await apiKey.revoke();
+    }
+
+    res.status(200).json({
+        message: "API key revoked successfully",
+        apiKey: apiKey
+    });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
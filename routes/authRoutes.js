@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/users');
+const RefreshToken = require('../models/refreshTokens');
+const { issueTokenPair } = require('../utils/tokens');
+
+// Import middleware for authentication and validation
+const { optionalAuthenticate } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { validateRegister, validateLogin, validateRefreshToken } = require('../middleware/validation');
+const { ApiError } = require('../utils/errors');
+
+// Handlers throw their errors; middleware/errorHandler answers them as problem+json
+
+/**
+ * REGISTER - Create a user account
+ * Purpose: Sign up people who use the storefront admin UI
+ * Access: Public
+ * Body: email, name, password, role (optional)
+ * New accounts are viewers. The role field is only honoured when the caller is
+ * authenticated with the keys:admin scope. The first admin of a fresh install is
+ * created with the create-user CLI, never through this public route.
+ */
+router.post("/register", rateLimit('auth'), optionalAuthenticate, validateRegister, async (req, res) => {
+    const { email, name, password, role } = req.body;
+
+    const existingUser = await User.exists({ email });
+    if (existingUser) {
+        throw new ApiError("An account with this email already exists", 409, {
+            errors: [{ in: 'body', pointer: '/email', detail: 'is already in use' }]
+        });
+    }
+
+    const callerIsAdmin = Boolean(req.auth && req.auth.scopes.includes('keys:admin'));
+
+    let assignedRole = 'viewer';
+    if (role && callerIsAdmin) {
+        assignedRole = role;
+    } else if (role && role !== 'viewer') {
+        throw new ApiError("Only admins can assign roles", 403);
+    }
+
+    const user = new User({ email, name, role: assignedRole });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+        message: "User registered successfully",
+        user: user
+    });
+});
+
+/**
+ * LOGIN - Exchange email and password for tokens
+ * Access: Public
+ * Body: email, password
+ * Returns a short-lived access token (send as "Authorization: Bearer <token>")
+ * and a refresh token for /refresh
+ */
+router.post("/login", rateLimit('auth'), validateLogin, async (req, res) => {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email }).select('+passwordHash');
+
+    // Same answer for unknown email, wrong password and disabled account
+    if (!user || user.disabled || !(await user.comparePassword(password))) {
+        throw new ApiError("Invalid email or password", 401);
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { tokens } = await issueTokenPair(user);
+
+    res.status(200).json({
+        message: "Logged in successfully",
+        user: user,
+        ...tokens
+    });
+});
+
+/**
+ * REFRESH - Exchange a refresh token for a new token pair
+ * Access: Public (the refresh token is the credential)
+ * Body: refreshToken
+ * Refresh tokens are single use. Presenting one that was already exchanged
+ * revokes every session of that user, since it means the token was stolen.
+ */
+router.post("/refresh", rateLimit('auth'), validateRefreshToken, async (req, res) => {
+    const { refreshToken } = req.body;
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token in one step, so of two requests racing with it only one wins
+    const storedToken = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now }
+    );
+
+    if (!storedToken) {
+        // A live token that was already exchanged (or logged out) is being reused
+        const usedToken = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null }, expiresAt: { $gt: now } });
+        if (usedToken) {
+            await RefreshToken.revokeAllForUser(usedToken.user);
+        }
+        throw new ApiError("Invalid or expired refresh token", 401);
+    }
+
+    const user = await User.findById(storedToken.user);
+    if (!user || user.disabled) {
+        throw new ApiError("Invalid or expired refresh token", 401);
+    }
+
+    const { tokens, refreshToken: newToken } = await issueTokenPair(user);
+
+    await RefreshToken.updateOne({ _id: storedToken._id }, { replacedBy: newToken._id });
+
+    res.status(200).json({
+        message: "Token refreshed successfully",
+        ...tokens
+    });
+});
+
+/**
+ * LOGOUT - Revoke a refresh token
+ * Access: Public (the refresh token is the credential)
+ * Body: refreshToken
+ * The access token stays valid until it expires, which is why it is short-lived
+ */
+router.post("/logout", rateLimit('auth'), validateRefreshToken, async (req, res) => {
+    const { refreshToken } = req.body;
+
+    await RefreshToken.updateOne(
+        { tokenHash: RefreshToken.hashToken(refreshToken), revokedAt: null },
+        { revokedAt: new Date() }
+    );
+
+    res.status(200).json({ message: "Logged out successfully" });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/categories');
+const Product = require('../models/products');
+const {
+    requireCategory,
+    buildTree,
+    createCategory,
+    updateCategory,
+    deleteCategory
+} = require('../utils/categories');
+
+// Import middleware for authentication and validation
+const authenticate = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    schemas,
+    validateRequest,
+    validateCategory,
+    validateCategoryUpdate
+} = require('../middleware/validation');
+
+// Handlers throw their errors; middleware/errorHandler answers them as problem+json
+// (two requests racing for the same slug answer 409 from the unique index)
+
+/**
+ * GET ALL CATEGORIES - List the category tree
+ * Access: Public
+ * Query Parameters:
+ *   - tree: true to nest categories under their parents (default: flat list by name)
+ */
+router.get("/", rateLimit('read'), validateRequest({ query: schemas.categoryListQuery }), async (req, res) => {
+    const categories = await Category.find().sort({ name: 1 }).lean();
+
+    res.status(200).json({
+        count: categories.length,
+        categories: req.query.tree === 'true' ? buildTree(categories) : categories
+    });
+});
+
+/**
+ * GET CATEGORY - One category with its path from the top and its subcategories
+ * Access: Public
+ * URL Parameter: idOrSlug - ObjectId or slug of the category
+ * productCount includes the products of every subcategory
+ */
+router.get("/:idOrSlug", rateLimit('read'), async (req, res) => {
+    const category = await requireCategory(req.params.idOrSlug);
+
+    const [path, children, descendantIds] = await Promise.all([
+        Category.find({ _id: { $in: category.ancestors } }, 'name slug').lean(),
+        Category.find({ parent: category._id }, 'name slug').sort({ name: 1 }).lean(),
+        Category.descendantIds(category._id)
+    ]);
+    const productCount = await Product.countDocuments({ category: { $in: descendantIds } });
+
+    // $in does not keep the order of the ancestors, so put the path back in order
+    const pathById = new Map(path.map(ancestor => [String(ancestor._id), ancestor]));
+
+    res.status(200).json({
+        category: category,
+        path: category.ancestors.map(id => pathById.get(String(id))).filter(Boolean),
+        children: children,
+        productCount: productCount
+    });
+});
+
+/**
+ * CREATE CATEGORY - Add a category to the tree
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * Body: name, slug (optional, defaults to the slugified name), description (optional),
+ *       parent (optional id or slug; omitted for a top-level category)
+ */
+router.post("/", rateLimit('write'), authenticate('products:write'), validateCategory, async (req, res) => {
+    const category = await createCategory(req.body);
+
+    res.status(201).json({
+        message: "Category created successfully",
+        category: category
+    });
+});
+
+/**
+ * UPDATE CATEGORY - Rename or move a category
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameter: idOrSlug - ObjectId or slug of the category
+ * Body: any of name, slug, description, parent (null moves it to the top level)
+ * Moving a category moves all of its subcategories with it
+ */
+router.put("/:idOrSlug", rateLimit('write'), authenticate('products:write'), validateCategoryUpdate, async (req, res) => {
+    const category = await updateCategory(req.params.idOrSlug, req.body);
+
+    res.status(200).json({
+        message: "Category updated successfully",
+        category: category
+    });
+});
+
+/**
+ * DELETE CATEGORY - Remove an empty category
+ * Access: Protected (API key with products:delete scope, or admin user)
+ * URL Parameter: idOrSlug - ObjectId or slug of the category
+ * Categories that still have subcategories or products answer 409
+ */
+router.delete("/:idOrSlug", rateLimit('write'), authenticate('products:delete'), async (req, res) => {
+    const category = await deleteCategory(req.params.idOrSlug);
+
+    res.status(200).json({
+        message: "Category deleted successfully",
+        deletedCategory: category
+    });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUiDist = require('swagger-ui-dist');
+const { buildOpenApiSpec } = require('../utils/openapi');
+
+// Built on first use: routes/index.js (which lists this router) has to finish loading first
+let spec = null;
+const openApiSpec = () => {
+    if (!spec) spec = buildOpenApiSpec(require('./index'));
+    return spec;
+};
+
+/**
+ * OPENAPI DOCUMENT - The API described as OpenAPI 3.1
+ * Purpose: Generate client SDKs and feed API tooling
+ * Access: Public
+ * Built from the route definitions (see utils/openapi)
+ */
+router.get("/openapi.json", (req, res) => {
+    res.status(200).json(openApiSpec());
+});
+
+/**
+ * API DOCS - Interactive API reference (Swagger UI, served from this server)
+ * Access: Public
+ */
+router.get("/docs", (req, res) => {
+    const assets = `${req.baseUrl}/docs`;
+    res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Product API reference</title>
+    <link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${assets}/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#swagger-ui', deepLinking: true });
+    </script>
+</body>
+</html>`);
+});
+
+// Swagger UI's scripts and styles
+router.use("/docs", express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/exchangeRates');
+const { baseCurrency } = require('../utils/currency');
+
+// Import middleware for rate limiting
+const rateLimit = require('../middleware/rateLimit');
+
+/**
+ * GET EXCHANGE RATES - The table used to show prices in other currencies
+ * Purpose: Let clients see which ?currency= values work and at what rate
+ * Access: Public
+ * Each rate is the units of that currency one unit of the base currency buys;
+ * the base currency itself is always 1 and is not listed. The table is loaded
+ * with load-exchange-rates.js; running servers pick up a new one within a minute
+ */
+router.get("/", rateLimit('read'), async (req, res) => {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+
+    res.status(200).json({
+        base: baseCurrency(),
+        count: rates.length,
+        rates: rates
+    });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { parse, validate, execute, specifiedRules, getOperationAST, GraphQLError } = require('graphql');
+const { graphqlSchema } = require('../utils/graphqlSchema');
+const { rootFields, depthLimit, rootFieldLimit } = require('../utils/graphqlLimits');
+const { createLoaders } = require('../utils/graphqlLoaders');
+const { toApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Import middleware for authentication, rate limiting and validation
+const { optionalAuthenticate } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { schemas, validateRequest } = require('../middleware/validation');
+
+const validationRules = [...specifiedRules, depthLimit, rootFieldLimit];
+
+// Each root field does the work of one REST request and is counted like one: every
+// query field after the first as another search (the route counts the first), every
+// mutation field against the write limit, so aliases cannot multiply a request
+const limitSearches = rateLimit('search');
+const limitWrites = rateLimit('write');
+
+// Count the request against a limiter once; resolves to the 429 error when over the limit
+const countAgainst = (limiter, req, res) => new Promise((resolve, reject) => limiter(req, res, resolve).catch(reject));
+
+const countRootFields = async (req, res, document, operation) => {
+    const fields = rootFields(document, operation);
+    const [limiter, count] = operation.operation === 'mutation'
+        ? [limitWrites, fields.length]
+        : [limitSearches, fields.length - 1];
+    for (let counted = 0; counted < count; counted++) {
+        const limited = await countAgainst(limiter, req, res);
+        if (limited) return limited;
+    }
+    return null;
+};
+
+/**
+ * An error as GraphQL clients expect it: message, locations and path, with the
+ * status and details of API errors in extensions. Unexpected errors are logged
+ * and answered like the error handler answers a 500.
+ */
+const formatError = (req, error, status = 400) => {
+    const original = error.originalError;
+    // Syntax, validation and argument errors describe the operation itself
+    if (!original || original instanceof GraphQLError) {
+        return { ...error.toJSON(), extensions: { status, ...error.extensions } };
+    }
+
+    const apiError = toApiError(original);
+    if (apiError) {
+        return { ...error.toJSON(), message: apiError.message, extensions: { status: apiError.status, ...apiError.details } };
+    }
+
+    logger.error('Unhandled error', { method: req.method, url: req.originalUrl, path: error.path, err: original });
+    return {
+        ...error.toJSON(),
+        message: process.env.NODE_ENV === 'production' ? 'Something went wrong!' : original.message,
+        extensions: { status: 500 }
+    };
+};
+
+// A request that cannot run at all answers 400 (or 405) with only errors
+const sendErrors = (req, res, status, errors) => res.status(status).json({
+    errors: errors.map(error => formatError(req, error instanceof GraphQLError ? error : new GraphQLError(error), status))
+});
+
+/**
+ * Run one GraphQL request: { query, variables, operationName }
+ * queriesOnly: GET requests may not run mutations, so they stay safe to repeat and cache
+ */
+const runOperation = async (req, res, { query, variables, operationName }, { queriesOnly = false } = {}) => {
+    if (typeof query !== 'string' || query.trim() === '') {
+        return sendErrors(req, res, 400, ['Send the GraphQL document in "query"']);
+    }
+
+    // Variables arrive as JSON text in a query string
+    let variableValues = variables;
+    if (typeof variables === 'string') {
+        try {
+            variableValues = variables.trim() === '' ? null : JSON.parse(variables);
+        } catch (error) {
+            return sendErrors(req, res, 400, ['"variables" must be a JSON object']);
+        }
+    }
+    if (variableValues !== undefined && variableValues !== null && (typeof variableValues !== 'object' || Array.isArray(variableValues))) {
+        return sendErrors(req, res, 400, ['"variables" must be a JSON object']);
+    }
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        return sendErrors(req, res, 400, [error]);
+    }
+
+    const validationErrors = validate(graphqlSchema, document, validationRules);
+    if (validationErrors.length > 0) {
+        return sendErrors(req, res, 400, validationErrors);
+    }
+
+    const operation = getOperationAST(document, operationName || null);
+    if (!operation) {
+        return sendErrors(req, res, 400, ['Name the operation to run in "operationName"']);
+    }
+    if (queriesOnly && operation.operation !== 'query') {
+        res.set('Allow', 'POST');
+        return sendErrors(req, res, 405, [`Send ${operation.operation}s with POST`]);
+    }
+    const limited = await countRootFields(req, res, document, operation);
+    if (limited) {
+        return sendErrors(req, res, limited.status, [new GraphQLError(limited.message, { extensions: limited.details })]);
+    }
+
+    const result = await execute({
+        schema: graphqlSchema,
+        document,
+        variableValues,
+        operationName: operationName || null,
+        contextValue: { req, loaders: createLoaders() }
+    });
+
+    res.status(200).json({
+        ...(result.errors ? { errors: result.errors.map(error => formatError(req, error)) } : {}),
+        data: result.data === undefined ? null : result.data
+    });
+};
+
+/**
+ * GRAPHQL - Products, search and statistics in exactly the shape the client asks for
+ * Purpose: Fetch lists, search results, stats and products with their categories in one round trip
+ * Access: Public for queries; mutations need products:write (create, update) or products:delete
+ * Body: { query, variables, operationName }
+ * Answers 200 with { data, errors }; errors carry the HTTP status they would have had in
+ * extensions.status. Documents that do not parse or validate answer 400.
+ * Each root field (every alias) counts as one request: query fields against the search
+ * rate limit, mutation fields against the write limit; over either the request answers 429.
+ * Operations may select at most 10 root fields and be nested at most 10 levels deep.
+ */
+router.post("/", rateLimit('search'), optionalAuthenticate, validateRequest({ content: { 'application/json': schemas.graphqlRequest } }), async (req, res) => {
+    await runOperation(req, res, req.body || {});
+});
+
+/**
+ * GRAPHQL (GET) - Queries as query parameters, for clients and caches that prefer GET
+ * Access: Public
+ * Query Parameters: query, variables (JSON), operationName
+ * Mutations answer 405; send them with POST
+ */
+router.get("/", rateLimit('search'), optionalAuthenticate, validateRequest({ query: schemas.graphqlQuery }), async (req, res) => {
+    await runOperation(req, res, req.query, { queriesOnly: true });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const { checkReadiness } = require('../utils/health');
+
+const SERVICE_NAME = 'Product API';
+
+const sendReadiness = async (res) => {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'OK' : 'UNAVAILABLE',
+        timestamp: new Date().toISOString(),
+        service: SERVICE_NAME,
+        checks
+    });
+};
+
+/**
+ * HEALTH CHECK - Overall API status
+ * Purpose: Kept for existing monitors; answers like /health/ready
+ * Access: Public
+ */
+router.get("/", async (req, res) => {
+    await sendReadiness(res);
+});
+
+/**
+ * LIVENESS - Whether the process is up and serving requests
+ * Purpose: Restart the process when this stops answering
+ * Access: Public
+ * Never touches MongoDB, so an outage there does not get healthy processes restarted
+ */
+router.get("/live", (req, res) => {
+    res.status(200).json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        service: SERVICE_NAME,
+        uptimeSeconds: Math.round(process.uptime())
+    });
+});
+
+/**
+ * READINESS - Whether the API can serve traffic
+ * Purpose: Take the instance out of the load balancer while MongoDB is unreachable
+ * Access: Public
+ * Checks the mongoose connection state and pings MongoDB; 503 when either fails
+ */
+router.get("/ready", async (req, res) => {
+    await sendReadiness(res);
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -0,0 +1,16 @@
+// The API routers and the paths they are mounted on
+// app.js mounts them in this order and utils/openapi documents every route in them
+module.exports = [
+    { path: '/api/products', router: require('./productRoutes') },
+    { path: '/api/keys', router: require('./apiKeyRoutes') },
+    { path: '/api/auth', router: require('./authRoutes') },
+    { path: '/api/inventory', router: require('./inventoryRoutes') },
+    { path: '/api/categories', router: require('./categoryRoutes') },
+    { path: '/api/webhooks', router: require('./webhookRoutes') },
+    { path: '/api/exchange-rates', router: require('./exchangeRateRoutes') },
+    { path: '/api/analytics', router: require('./analyticsRoutes') },
+    { path: '/graphql', router: require('./graphqlRoutes') },
+    { path: '/api', router: require('./docsRoutes') },
+    { path: '/health', router: require('./healthRoutes') },
+    { path: '/metrics', router: require('./metricsRoutes') }
+];
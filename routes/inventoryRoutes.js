@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const StockMovement = require('../models/stockMovements');
+const Reservation = require('../models/reservations');
+const {
+    recordMovement,
+    reserveStock,
+    commitReservations,
+    releaseReservations
+} = require('../utils/inventory');
+
+// Import middleware for authentication and validation
+const authenticate = require('../middleware/auth');
+const { actorFromRequest } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    schemas,
+    validateRequest,
+    validateParam,
+    validateStockMovement,
+    validateReservation
+} = require('../middleware/validation');
+
+// Handlers throw their errors; middleware/errorHandler answers them as problem+json
+// A malformed product id answers 400 before any handler runs
+router.param('id', validateParam(schemas.objectId));
+
+// Stock fields of a product or variant for responses
+const stockSummary = (holder) => ({
+    quantity: holder.quantity,
+    reserved: holder.reserved,
+    available: holder.available,
+    inStock: holder.inStock
+});
+
+// ===== RESERVATIONS (Must come before the product routes) =====
+
+/**
+ * RESERVE STOCK - Hold units for a cart
+ * Purpose: Keep stock aside while a customer checks out
+ * Access: Protected (inventory:write scope)
+ * Body:
+ *   - cartId: Identifier of the cart
+ *   - items: [{ productId, variantId (for products with variants), quantity }]
+ *   - ttlSeconds: How long to hold the stock (default: RESERVATION_TTL_SECONDS, max: 1 day)
+ * All items are reserved or none are; a shortfall answers 409 with the product
+ * that ran out. Unused reservations are released automatically after the TTL.
+ */
+router.post("/reservations", rateLimit('write'), authenticate('inventory:write'), validateReservation, async (req, res) => {
+    const { cartId, items, ttlSeconds } = req.body;
+
+    const reservations = await reserveStock({ cartId, items, ttlSeconds, actor: actorFromRequest(req) });
+
+    res.status(201).json({
+        message: "Stock reserved successfully",
+        cartId: cartId,
+        expiresAt: reservations[0].expiresAt,
+        reservations: reservations
+    });
+});
+
+/**
+ * GET CART RESERVATIONS - Show every reservation made for a cart
+ * Access: Protected (inventory:write scope)
+ * URL Parameter: cartId - Identifier of the cart
+ */
+router.get("/reservations/:cartId", rateLimit('read'), authenticate('inventory:write'), async (req, res) => {
+    const reservations = await Reservation.find({ cartId: req.params.cartId }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+        cartId: req.params.cartId,
+        count: reservations.length,
+        reservations: reservations
+    });
+});
+
+/**
+ * COMMIT RESERVATIONS - Check out a cart
+ * Purpose: Turn held units into sales in the stock ledger
+ * Access: Protected (inventory:write scope)
+ * URL Parameter: cartId - Identifier of the cart
+ * Reservations past their TTL are expired instead and listed separately
+ */
+router.post("/reservations/:cartId/commit", rateLimit('write'), authenticate('inventory:write'), async (req, res) => {
+    const { committed, expired } = await commitReservations({
+        cartId: req.params.cartId,
+        actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+        message: expired.length > 0
+            ? "Some reservations had expired and were not committed"
+            : "Reservations committed successfully",
+        committed: committed,
+        expired: expired
+    });
+});
+
+/**
+ * RELEASE RESERVATIONS - Give a cart's held units back
+ * Access: Protected (inventory:write scope)
+ * URL Parameter: cartId - Identifier of the cart
+ */
+router.post("/reservations/:cartId/release", rateLimit('write'), authenticate('inventory:write'), async (req, res) => {
+    const released = await releaseReservations({ cartId: req.params.cartId });
+
+    res.status(200).json({
+        message: "Reservations released successfully",
+        released: released
+    });
+});
+
+// ===== STOCK LEDGER =====
+
+/**
+ * RECORD STOCK MOVEMENT - Receive, adjust, sell or return stock
+ * Access: Protected (inventory:write scope)
+ * URL Parameter: id - MongoDB ObjectId of the product
+ * Body:
+ *   - variantId: Required for products with variants, omitted otherwise
+ *   - type: receipt, adjustment, sale or return
+ *   - quantity: Units moved; positive, except adjustments which take a signed delta
+ *   - reason: Why the stock changed
+ * Movements that would take away reserved or missing units answer 409
+ */
+router.post("/products/:id/movements", rateLimit('write'), authenticate('inventory:write'), validateStockMovement, async (req, res) => {
+    const { type, quantity, reason, variantId } = req.body;
+
+    const { product, movement } = await recordMovement({
+        productId: req.params.id,
+        variantId: variantId || null,
+        type,
+        quantity,
+        reason,
+        actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({
+        message: "Stock movement recorded successfully",
+        movement: movement,
+        stock: stockSummary(variantId ? product.variants.id(variantId) : product)
+    });
+});
+
+/**
+ * GET STOCK MOVEMENTS - Browse a product's stock ledger, newest first
+ * Access: Protected (products:read scope)
+ * URL Parameter: id - MongoDB ObjectId of the product
+ * Query Parameters:
+ *   - type: Only movements of this type
+ *   - variantId: Only movements of this variant
+ *   - page: Page number (default: 1)
+ *   - limit: Items per page (default: 20, max: 100)
+ */
+router.get("/products/:id/movements", rateLimit('read'), authenticate('products:read'), validateRequest({ query: schemas.movementQuery }), async (req, res) => {
+    const { type, variantId, page = 1, limit = 20 } = req.query;
+
+    const filter = { product: req.params.id };
+    if (type) filter.type = type;
+    if (variantId) filter.variant = variantId;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const movements = await StockMovement.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum);
+    const totalMovements = await StockMovement.countDocuments(filter);
+
+    res.status(200).json({
+        pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalMovements / limitNum),
+            totalMovements: totalMovements
+        },
+        count: movements.length,
+        movements: movements
+    });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
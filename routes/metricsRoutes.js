@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/auth');
+const { register } = require('../utils/metrics');
+
+/**
+ * METRICS - Prometheus metrics in the text exposition format
+ * Purpose: Scraped by Prometheus for dashboards and alerts
+ * Access: Requires an API key with metrics:read
+ *         (Prometheus can send it as authorization: { credentials: pk_... })
+ * Request counts and latencies per route, MongoDB command timings,
+ * product counts by category and stock status, and process stats (see utils/metrics)
+ */
+router.get("/", authenticate('metrics:read'), async (req, res) => {
+    const metrics = await register.metrics();
+    res.status(200).type(register.contentType).send(metrics);
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -4,7 +4,71 @@ const Product = require('../models/products');
 
 // Import middleware for authentication and validation
 const authenticate = require('../middleware/auth');
-const validateProduct = require('../middleware/validation');
+const { actorFromRequest } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const cacheResponse = require('../middleware/cache');
+const uploadImage = require('../middleware/upload');
+const { PRODUCT_CACHES } = require('../utils/responseCache');
+const {
+    schemas,
+    validateRequest,
+    validateParam,
+    validateProduct,
+    validateVariant,
+    validateVariantUpdate
+} = require('../middleware/validation');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const {
+    PRICE_SORT_FIELD,
+    readPricing,
+    buildProductFilter,
+    buildSortOptions,
+    effectivePriceStage
+} = require('../utils/productQuery');
+const { withPricing } = require('../utils/pricing');
+const { parseImportRows, importProducts } = require('../utils/productImport');
+const { streamProducts } = require('../utils/productExport');
+const { withTieBreaker } = require('../utils/pagination');
+const { listProducts, searchCatalog } = require('../utils/productListing');
+const { productStatistics } = require('../utils/productStats');
+const { productSuggestIndex } = require('../utils/suggestIndex');
+const { addVariant, updateVariant, removeVariant } = require('../utils/variants');
+const { addMedia, updateMedia, removeMedia, reorderMedia } = require('../utils/productMedia');
+const { streamOverSse } = require('../utils/streamTransports');
+const {
+    snapshotProduct,
+    recordProductVersion,
+    revertProduct
+} = require('../utils/productHistory');
+const ProductVersion = require('../models/productVersions');
+const PriceChange = require('../models/priceHistory');
+const { PATCH_FORMATS, patchProduct } = require('../utils/productPatch');
+const { createProduct, replaceProduct } = require('../utils/productWrites');
+const { runBatch } = require('../utils/productBatch');
+const {
+    purgeDate,
+    trashProduct,
+    restoreProduct,
+    purgeProduct
+} = require('../utils/productTrash');
+const {
+    listETag,
+    setValidators,
+    setProductValidators,
+    latestUpdate,
+    parseIfMatch
+} = require('../utils/conditional');
+
+// Who is making a change and in which request, for the audit trail
+const auditContext = (req) => ({ actor: actorFromRequest(req), requestId: req.id || null });
+
+// Handlers throw their errors; middleware/errorHandler answers them as problem+json
+// A malformed id or version answers 400 before any handler runs
+router.param('id', validateParam(schemas.objectId));
+router.param('variantId', validateParam(schemas.objectId));
+router.param('mediaId', validateParam(schemas.objectId));
+router.param('version', validateParam(schemas.version));
 
 // ===== SPECIFIC ROUTES FIRST (Must come before parameterized routes) =====
 
@@ -13,8 +77,7 @@ const validateProduct = require('../middleware/validation');
  * Purpose: Debugging and health check for the products routes
  * Access: Public
  */
-router.get("/test", (req, res) => {
-    console.log('=== TEST ROUTE HIT ===');
+router.get("/test", rateLimit('read'), (req, res) => {
     res.json({ 
         message: "Test route is working!", 
         timestamp: new Date().toISOString() 
@@ -22,217 +85,280 @@ router.get("/test", (req, res) => {
 });
 
 /**
- * SEARCH ENDPOINT - Full-text search across multiple product fields
- * Purpose: Allow users to search products by name, description, or category
- * Features: Pagination, case-insensitive search, multiple field search
+ * SEARCH ENDPOINT - Relevance-ranked full-text search
+ * Purpose: Allow users to search products by name or description
+ * Features: Weighted text index (name > description), results ordered
+ *           by relevance, facet counts, pagination
  * Access: Public
  * Query Parameters:
- *   - q (required): Search term
+ *   - q (required): Search terms; "quoted phrases" and -excluded words are supported
+ *   - category, inStock, minPrice, maxPrice, currency: Narrow results (same as GET /api/products)
  *   - page: Page number for pagination (default: 1)
  *   - limit: Number of items per page (default: 10)
+ *   - cursor: Switch to cursor pagination; empty for the first page, then nextCursor
+ *   - includeTotal: false to skip counting matching products (default: true)
+ * Facets (categories, stock status, price ranges) are computed over all matches;
+ * price ranges use the price right now, in ?currency or the base currency
+ * Sends ETag and Last-Modified; If-None-Match / If-Modified-Since answer 304
+ * Served from the response cache when possible (X-Cache: HIT or MISS)
  */
-router.get("/search", async (req, res) => {
-    console.log('SEARCH ENDPOINT HIT');
+router.get("/search", rateLimit('search'), validateRequest({ query: schemas.productSearchQuery }), cacheResponse(PRODUCT_CACHES.search), async (req, res) => {
+    const { search, facets, products, pricing } = await searchCatalog(req.query);
     
-    try {
-        const { 
-            q,           // Search query (required)
-            page = 1,    // Pagination: page number
-            limit = 10   // Pagination: items per page
-        } = req.query;
-        
-        // Validate that search query is provided
-        if (!q || q.trim() === '') {
-            return res.status(400).json({ 
-                message: "Search query 'q' is required",
-                example: "/api/products/search?q=phone&page=1&limit=5"
-            });
-        }
-        
-        const searchTerm = q.trim();
-        
-        /**
-         * Build search filter using MongoDB $or operator
-         * Searches in three fields with case-insensitive regex:
-         * - name: Product name
-         * - description: Product description  
-         * - category: Product category
-         * $options: 'i' makes the search case-insensitive
-         */
-        const searchFilter = {
-            $or: [
-                { name: { $regex: searchTerm, $options: 'i' } },        // Search in product name
-                { description: { $regex: searchTerm, $options: 'i' } }, // Search in description
-                { category: { $regex: searchTerm, $options: 'i' } }     // Search in category
-            ]
-        };
-        
-        // Pagination calculations
-        const pageNum = Math.max(1, parseInt(page));    // Ensure page is at least 1
-        const limitNum = Math.max(1, parseInt(limit));  // Ensure limit is at least 1
-        const skip = (pageNum - 1) * limitNum;          // Calculate how many documents to skip
-        
-        console.log(`Searching for: "${searchTerm}", Page: ${pageNum}, Limit: ${limitNum}`);
-        
-        // Execute search query with pagination and sorting
-        const products = await Product.find(searchFilter)
-            .sort({ name: 1 }) // Sort by name ascending (alphabetical order)
-            .skip(skip)        // Skip documents for pagination
-            .limit(limitNum);  // Limit number of results per page
-        
-        // Get total count of matching documents for pagination info
-        const totalResults = await Product.countDocuments(searchFilter);
-        const totalPages = Math.ceil(totalResults / limitNum); // Calculate total pages needed
-        
-        console.log(`Search found ${totalResults} total results, showing ${products.length}`);
-        
-        // Return structured response with search metadata and results
-        res.status(200).json({
-            search: {
-                query: searchTerm,
-                totalResults: totalResults,
-                currentPage: pageNum,
-                totalPages: totalPages,
-                hasNext: pageNum < totalPages,    // Is there a next page?
-                hasPrev: pageNum > 1              // Is there a previous page?
-            },
-            results: products.length,
-            products: products
-        });
-        
-    } catch (error) {
-        console.error("Search error:", error.message);
-        res.status(500).json({ 
-            message: "Search failed", 
-            error: error.message 
-        });
-    }
+    setValidators(res, {
+        etag: listETag(products, { search, facets }),
+        lastModified: latestUpdate(products)
+    });
+    res.status(200).json({
+        search: search,
+        facets: facets,
+        results: products.length,
+        products: products.map(product => withPricing(product, pricing))
+    });
+});
+
+/**
+ * SUGGEST ENDPOINT - Typo-tolerant autocomplete for product names
+ * Purpose: Power search-as-you-type boxes
+ * Features: Prefix matching on every word, tolerates a typo or two in longer words
+ * Access: Public
+ * Query Parameters:
+ *   - q (required): Partial text typed so far
+ *   - limit: Number of suggestions (default: 10, max: 25)
+ * Served from an in-memory index, so it does not touch MongoDB
+ */
+router.get("/suggest", rateLimit('read'), validateRequest({ query: schemas.suggestQuery }), (req, res) => {
+    const { q, limit = 10 } = req.query;
+    
+    const limitNum = Math.min(parseInt(limit), 25);
+    const suggestions = productSuggestIndex.suggest(q, limitNum);
+    
+    res.status(200).json({
+        query: q,
+        count: suggestions.length,
+        suggestions: suggestions
+    });
 });
 
 /**
  * STATISTICS ENDPOINT - Product analytics and business intelligence
  * Purpose: Provide aggregated data for dashboards and reporting
- * Features: Category breakdown, price analytics, stock statistics
+ * Features: Category breakdown rolled up the category tree, price analytics,
+ *           stock statistics, units on hand and inventory value (price x quantity)
+ * Prices and values are regular prices (no sales) in the base currency
+ * (priceStatistics.currency); products priced in a currency without an
+ * exchange rate are left out of them
  * Access: Public
  * Uses MongoDB aggregation pipeline for complex data analysis
+ * Cached for CACHE_TTL_MS (X-Cache: HIT or MISS); clients may keep it as long
  */
-router.get("/stats", async (req, res) => {
-    console.log('STATISTICS ENDPOINT HIT');
-    
-    try {
-        // Get basic product counts
-        const totalProducts = await Product.countDocuments();
-        const inStockCount = await Product.countDocuments({ inStock: true });
-        const outOfStockCount = await Product.countDocuments({ inStock: false });
-        
-        /**
-         * MONGODB AGGREGATION PIPELINE - Category Statistics
-         * Pipeline stages:
-         * 1. $group: Group products by category and calculate aggregates
-         * 2. $sort: Sort categories by product count (descending)
-         * 3. $project: Format and rename fields for clean output
-         */
-        const categoryStats = await Product.aggregate([
-            // Stage 1: Group by category and calculate metrics
-            {
-                $group: {
-                    _id: "$category",                    // Group by category field
-                    count: { $sum: 1 },                 // Count products in category
-                    averagePrice: { $avg: "$price" },   // Calculate average price
-                    totalValue: { $sum: "$price" },     // Sum of all prices in category
-                    minPrice: { $min: "$price" },       // Find minimum price
-                    maxPrice: { $max: "$price" },       // Find maximum price
-                    // Count in-stock products using conditional sum
-                    inStockCount: {
-                        $sum: { 
-                            $cond: [{ $eq: ["$inStock", true] }, 1, 0] 
-                        }
-                    },
-                    // Count out-of-stock products using conditional sum
-                    outOfStockCount: {
-                        $sum: { 
-                            $cond: [{ $eq: ["$inStock", false] }, 1, 0] 
-                        }
-                    }
-                }
-            },
-            // Stage 2: Sort by product count (most popular categories first)
-            {
-                $sort: { count: -1 } // -1 = descending order
-            },
-            // Stage 3: Format the output fields
-            {
-                $project: {
-                    category: "$_id",           // Rename _id to category
-                    count: 1,                   // Keep count field
-                    averagePrice: { $round: ["$averagePrice", 2] },     // Round to 2 decimals
-                    totalValue: { $round: ["$totalValue", 2] },         // Round to 2 decimals
-                    minPrice: 1,                // Keep original value
-                    maxPrice: 1,                // Keep original value
-                    inStockCount: 1,            // Keep calculated count
-                    outOfStockCount: 1,         // Keep calculated count
-                    // Calculate in-stock percentage
-                    inStockPercentage: {
-                        $round: [
-                            { 
-                                $multiply: [
-                                    { $divide: ["$inStockCount", "$count"] }, 
-                                    100 
-                                ] 
-                            },
-                            2  // Round to 2 decimal places
-                        ]
-                    }
-                }
-            }
-        ]);
-        
-        /**
-         * Overall Price Statistics Aggregation
-         * Groups all products together (_id: null) to get overall metrics
-         */
-        const priceStats = await Product.aggregate([
-            {
-                $group: {
-                    _id: null,  // Group all documents together
-                    averagePrice: { $avg: "$price" },
-                    minPrice: { $min: "$price" },
-                    maxPrice: { $max: "$price" },
-                    totalInventoryValue: { $sum: "$price" }
-                }
-            }
-        ]);
-        
-        console.log(`Statistics generated for ${totalProducts} products`);
-        
-        // Return comprehensive statistics response
-        res.status(200).json({
-            summary: {
-                totalProducts: totalProducts,
-                inStock: inStockCount,
-                outOfStock: outOfStockCount,
-                inStockPercentage: totalProducts > 0 ? 
-                    ((inStockCount / totalProducts) * 100).toFixed(2) : 0
-            },
-            priceStatistics: priceStats[0] ? {
-                averagePrice: Math.round(priceStats[0].averagePrice * 100) / 100,
-                minPrice: priceStats[0].minPrice,
-                maxPrice: priceStats[0].maxPrice,
-                totalInventoryValue: Math.round(priceStats[0].totalInventoryValue * 100) / 100
-            } : {},  // Handle case when no products exist
-            categories: categoryStats,
-            lastUpdated: new Date().toISOString()  // Timestamp for data freshness
+router.get("/stats", rateLimit('search'), cacheResponse(PRODUCT_CACHES.stats, { clientMaxAge: true }), async (req, res) => {
+    res.status(200).json(await productStatistics());
+});
+
+// ===== BULK IMPORT & EXPORT =====
+
+// Content types accepted by the import endpoint, mapped to the parser used
+const IMPORT_CONTENT_TYPES = {
+    'text/csv': 'csv',
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson'
+};
+
+/**
+ * BULK IMPORT - Create or update many products from a CSV or NDJSON upload
+ * Purpose: Load spreadsheet catalogs without one POST per product
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * Body: raw CSV (Content-Type: text/csv, header row required) or
+ *       NDJSON (Content-Type: application/x-ndjson, one product per line)
+ *       Columns/keys: sku, name, description, price, currency, category, quantity
+ *       price is an amount of currency (19.99), which defaults to BASE_CURRENCY or,
+ *       on upserts, the currency of the matched product
+ *       quantity only sets the opening stock of new products
+ *       category is a category id or slug; rows with an unknown category are rejected
+ * Query Parameters:
+ *   - format: csv or ndjson, overrides the Content-Type
+ *   - mode: insert (default) or upsert (match live products by sku; trashed ones are left alone)
+ *   - dryRun: true to validate every row without writing anything
+ * Every row is checked with the same rules as validateProduct; rejected rows
+ * are reported by line number and do not stop the other rows
+ */
+router.post(
+    "/import",
+    rateLimit('write'),
+    authenticate('products:write'),
+    express.text({ type: Object.keys(IMPORT_CONTENT_TYPES), limit: process.env.IMPORT_MAX_SIZE || '10mb' }),
+    validateRequest({
+        query: schemas.importQuery,
+        content: { 'text/csv': schemas.importCsv, 'application/x-ndjson': schemas.importNdjson }
+    }),
+    async (req, res) => {
+        const { format: formatParam, mode = 'insert', dryRun } = req.query;
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+        const format = formatParam || IMPORT_CONTENT_TYPES[contentType];
+
+        if (!format) {
+            throw new ApiError("Upload must be CSV (text/csv) or NDJSON (application/x-ndjson)", 415);
+        }
+
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            throw new ApiError("Upload is empty", 400);
+        }
+
+        let rows;
+        try {
+            rows = parseImportRows(req.body, format);
+        } catch (error) {
+            throw new ApiError(`Could not parse upload: ${error.message}`, 400);
+        }
+
+        const report = await importProducts(rows, {
+            mode,
+            dryRun: dryRun === 'true',
+            ...auditContext(req)
         });
-        
+        logger.info('Import finished', { format, mode, dryRun: dryRun === 'true', ...report.summary });
+        res.status(200).json(report);
+    }
+);
+
+/**
+ * BULK EXPORT - Download every product matching the listing filters
+ * Purpose: Pull the catalog back into spreadsheets or other systems
+ * Access: Public
+ * Query Parameters:
+ *   - format: csv, ndjson or json (default: json)
+ *   - category, inStock, minPrice, maxPrice, currency, sort: same as GET /api/products
+ * The response is streamed, so large catalogs are never held in memory
+ * Products are exported as stored: regular prices and sales in their own currency
+ */
+router.get("/export", rateLimit('search'), validateRequest({ query: schemas.exportQuery }), async (req, res, next) => {
+    const { format = 'json', sort = 'name' } = req.query;
+    const sortField = sort.startsWith('-') ? sort.substring(1) : sort;
+    const sortOrder = sort.startsWith('-') ? -1 : 1;
+
+    try {
+        const pricing = await readPricing(req.query);
+        const filter = await buildProductFilter(req.query, pricing);
+        // sort=price sorts by the price right now (see GET /api/products)
+        const cursor = sortField === 'price'
+            ? Product.aggregate([
+                { $match: filter },
+                effectivePriceStage(pricing),
+                { $sort: withTieBreaker(PRICE_SORT_FIELD, sortOrder) },
+                { $unset: PRICE_SORT_FIELD }
+            ]).cursor()
+            : Product.find(filter).sort(buildSortOptions(sort)).lean().cursor();
+        const count = await streamProducts(res, cursor, format);
+        logger.info('Export finished', { format, count });
     } catch (error) {
-        console.error("Statistics error:", error.message);
-        res.status(500).json({ 
-            message: "Failed to get statistics", 
-            error: error.message 
-        });
+        logger.error('Export failed', { format, err: error });
+        // Headers are already sent once streaming starts, so all we can do is cut the response
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            next(error);
+        }
     }
 });
 
+// ===== LIVE STREAM =====
+
+/**
+ * GET STREAM - Product changes as they happen, over Server-Sent Events
+ * Access: Protected (products:read scope)
+ * Query Parameters:
+ *   - category: Only products in this category or its subcategories (id or slug)
+ *   - productId: Only these products (comma-separated ids)
+ *   - lastEventId: Resume after this event, for clients that cannot send the Last-Event-ID header
+ * Events: product.created, product.updated, product.deleted, product.out_of_stock and
+ * product.stock_changed, each with the event as JSON in data.
+ * Reconnecting with Last-Event-ID replays what was missed; stream.reset says that is
+ * no longer possible and the products should be reloaded.
+ * The same path accepts WebSocket connections (see utils/streamTransports)
+ */
+router.get("/stream", rateLimit('stream'), authenticate('products:read'), validateRequest({ query: schemas.streamQuery }), streamOverSse);
+
+// ===== TRASH =====
+
+/**
+ * GET TRASH - Deleted products that can still be restored, most recently deleted first
+ * Access: Protected (API key with products:delete scope, or admin user)
+ * Query Parameters:
+ *   - page: Page number (default: 1)
+ *   - limit: Items per page (default: 20, max: 100)
+ * Each product carries purgeAt, when the purge job removes it for good
+ */
+router.get("/trash", rateLimit('read'), authenticate('products:delete'), validateRequest({ query: schemas.paginationQuery }), async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Filtering on deletedAt opts out of hiding trashed products
+    const filter = { deletedAt: { $ne: null } };
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const products = await Product.find(filter)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum);
+    const totalProducts = await Product.countDocuments(filter);
+
+    res.status(200).json({
+        pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalProducts / limitNum),
+            totalProducts: totalProducts
+        },
+        count: products.length,
+        products: products.map(product => ({ ...product.toJSON(), purgeAt: purgeDate(product.deletedAt) }))
+    });
+});
+
+/**
+ * PURGE PRODUCT - Permanently delete a product from the trash
+ * Access: Protected (products:purge scope; admin users only)
+ * URL Parameter: id - MongoDB ObjectId of the trashed product
+ * Live products have to be deleted (trashed) first
+ */
+router.delete("/trash/:id", rateLimit('write'), authenticate('products:purge'), async (req, res) => {
+    const product = await purgeProduct({ productId: req.params.id, context: auditContext(req) });
+
+    res.status(200).json({
+        message: "Product permanently deleted",
+        deletedProduct: product
+    });
+});
+
+// ===== BATCH =====
+
+/**
+ * BATCH - Create, update and delete many products in one request
+ * Purpose: Let sync jobs send their changes together instead of one call each
+ * Access: Protected (API key with products:write scope, or admin/editor user);
+ *         delete operations also need products:delete
+ * Query Parameters:
+ *   - atomic: true to run every operation in one MongoDB transaction, so either
+ *     all are applied or none is (needs a replica set); otherwise best effort
+ * Body: { "operations": [...] } (or just the array), at most 200 operations:
+ *   - { "op": "create", "data": { ...same fields as POST } }
+ *   - { "op": "update", "id": "...", "data": { ...same fields as PUT }, "ifMatch": "<etag>" }
+ *   - { "op": "delete", "id": "...", "ifMatch": "<etag>" }
+ * Each operation is validated like its single-product route and gets its own
+ * result with a status code; 200 when all succeeded, 207 otherwise
+ */
+router.post("/batch", rateLimit('write'), authenticate('products:write'), validateRequest({ query: schemas.batchQuery, content: { 'application/json': schemas.batch } }), async (req, res) => {
+    const operations = Array.isArray(req.body) ? req.body : (req.body || {}).operations;
+
+    const batch = await runBatch({
+        operations,
+        atomic: req.query.atomic === 'true',
+        canDelete: req.auth.scopes.includes('products:delete'),
+        context: auditContext(req)
+    });
+
+    res.status(batch.failed === 0 ? 200 : 207).json(batch);
+});
+
 // ===== MAIN PRODUCTS ENDPOINT WITH FILTERING & PAGINATION =====
 
 /**
@@ -243,153 +369,57 @@ router.get("/stats", async (req, res) => {
  *   - Pagination for large datasets
  *   - Sorting by any field
  *   - Field selection to reduce payload size
+ *   - Prices right now (sales included) in any currency with an exchange rate
  * Access: Public
  * Query Parameters:
- *   - category: Filter by exact category name
+ *   - category: Filter by category id or slug, including its subcategories
  *   - inStock: Filter by availability (true/false)
- *   - minPrice/maxPrice: Price range filtering
+ *   - minPrice/maxPrice: Price range in currency (e.g. 19.99), compared with the price right now
+ *   - currency: ISO 4217 code to show prices in and read minPrice/maxPrice in (default: BASE_CURRENCY)
  *   - page: Page number (default: 1)
  *   - limit: Items per page (default: 10, max: 100)
- *   - sort: Sort field with optional - prefix for descending
- *   - fields: Comma-separated list of fields to return
+ *   - sort: Sort field with optional - prefix for descending; price sorts by the
+ *     lowest price right now
+ *   - fields: Comma-separated list of fields to return; pricing only when listed
+ *   - cursor: Switch to cursor pagination; empty for the first page, then nextCursor
+ *   - includeTotal: false to skip counting matching products (default: true)
+ * Sends ETag and Last-Modified; If-None-Match / If-Modified-Since answer 304
+ * Served from the response cache when possible (X-Cache: HIT or MISS)
  */
-router.get("/", async (req, res) => {
-    console.log('GET ALL PRODUCTS with FILTERING & PAGINATION');
-    console.log('Query parameters:', req.query);
+router.get("/", rateLimit('read'), validateRequest({ query: schemas.productListQuery }), cacheResponse(PRODUCT_CACHES.list), async (req, res) => {
+    const {
+        category,      // Filter by category and its subcategories
+        inStock,       // Filter by stock status
+        minPrice,      // Filter by minimum price
+        maxPrice,      // Filter by maximum price
+        sort = 'name', // Sort field (default: name, prefix with - for descending)
+        fields         // Field selection (comma-separated list)
+    } = req.query;
     
-    try {
-        // Destructure query parameters with default values
-        const { 
-            category,      // Filter by exact category
-            inStock,       // Filter by stock status
-            minPrice,      // Filter by minimum price
-            maxPrice,      // Filter by maximum price
-            page = 1,      // Pagination: current page (default: 1)
-            limit = 10,    // Pagination: items per page (default: 10)
-            sort = 'name', // Sort field (default: name, prefix with - for descending)
-            fields         // Field selection (comma-separated list)
-        } = req.query;
-        
-        // ===== FILTERING LOGIC =====
-        const filter = {};
-        
-        /**
-         * CATEGORY FILTER - Exact match with case insensitivity
-         * Uses regex with ^ and $ anchors for exact matching
-         * $options: 'i' makes it case-insensitive
-         */
-        if (category && category.trim() !== '') {
-            const cleanCategory = category.trim();
-            filter.category = { $regex: new RegExp(`^${cleanCategory}$`, 'i') };
-            console.log(`Filtering by category: "${cleanCategory}"`);
-        }
-        
-        // STOCK STATUS FILTER - Convert string to boolean
-        if (inStock !== undefined) {
-            filter.inStock = inStock === 'true'; // Convert 'true' string to boolean true
-            console.log(`Filtering by inStock: ${filter.inStock}`);
-        }
-        
-        // PRICE RANGE FILTER - Using MongoDB comparison operators
-        if (minPrice || maxPrice) {
-            filter.price = {};
-            if (minPrice) {
-                filter.price.$gte = parseFloat(minPrice); // $gte = greater than or equal
-                console.log(`Filtering by minPrice: $${filter.price.$gte}`);
-            }
-            if (maxPrice) {
-                filter.price.$lte = parseFloat(maxPrice); // $lte = less than or equal
-                console.log(`Filtering by maxPrice: $${filter.price.$lte}`);
-            }
-        }
-        
-        // ===== PAGINATION LOGIC =====
-        const pageNum = Math.max(1, parseInt(page));                    // Ensure page is at least 1
-        const limitNum = Math.max(1, Math.min(parseInt(limit), 100));  // Limit to max 100 items per page
-        const skip = (pageNum - 1) * limitNum;                         // Calculate documents to skip
-        
-        console.log(`Pagination - Page: ${pageNum}, Limit: ${limitNum}, Skip: ${skip}`);
-        
-        // ===== SORTING LOGIC =====
-        let sortOptions = {};
-        if (sort) {
-            const sortField = sort.startsWith('-') ? sort.substring(1) : sort;
-            const sortOrder = sort.startsWith('-') ? -1 : 1;
-            sortOptions[sortField] = sortOrder;
-            console.log(`Sorting by: ${sortField} (${sortOrder === 1 ? 'asc' : 'desc'})`);
-        }
-        
-        // ===== FIELD SELECTION LOGIC =====
-        /**
-         * FIELD SELECTION - Project only specific fields to reduce response size
-         * Example: fields=name,price returns only name and price fields
-         */
-        let fieldSelection = {};
-        if (fields) {
-            const fieldList = fields.split(',').map(field => field.trim());
-            fieldList.forEach(field => {
-                fieldSelection[field] = 1; // 1 means include this field
-            });
-            console.log(`Selecting fields:`, fieldList);
-        }
-        
-        // ===== DATABASE QUERY EXECUTION =====
-        console.log('Final filter:', JSON.stringify(filter, null, 2));
-        
-        // Build the database query
-        let query = Product.find(filter);
-        
-        // Apply field selection if specified (projection)
-        if (Object.keys(fieldSelection).length > 0) {
-            query = query.select(fieldSelection);
-        }
-        
-        // Execute the final query with sorting and pagination
-        const products = await query
-            .sort(sortOptions)  // Apply sorting
-            .skip(skip)         // Apply pagination skip
-            .limit(limitNum);   // Apply pagination limit
-        
-        // Get total count of documents matching the filter
-        const totalProducts = await Product.countDocuments(filter);
-        const totalPages = Math.ceil(totalProducts / limitNum);
-        
-        console.log(`Found ${products.length} products (${totalProducts} total)`);
-        
-        // ===== RESPONSE STRUCTURE =====
-        res.status(200).json({
-            // Pagination metadata for client navigation
-            pagination: {
-                currentPage: pageNum,
-                totalPages: totalPages,
-                totalProducts: totalProducts,
-                productsPerPage: limitNum,
-                hasNext: pageNum < totalPages,      // Can go to next page?
-                hasPrev: pageNum > 1,               // Can go to previous page?
-                nextPage: pageNum < totalPages ? pageNum + 1 : null,
-                prevPage: pageNum > 1 ? pageNum - 1 : null
-            },
-            // Applied filters (for transparency and debugging)
-            filters: {
-                category: category || null,
-                inStock: inStock !== undefined ? (inStock === 'true') : null,
-                minPrice: minPrice ? parseFloat(minPrice) : null,
-                maxPrice: maxPrice ? parseFloat(maxPrice) : null,
-                sort: sort,
-                fields: fields || null
-            },
-            // Actual results
-            count: products.length,
-            products: products
-        });
-        
-    } catch (error) {
-        console.error("Error fetching products:", error.message);
-        res.status(500).json({ 
-            message: "Internal server error",
-            error: error.message 
-        });
-    }
+    // Filtering, sorting and page or cursor pagination (see utils/productListing)
+    const { products, pagination, pricing, withPrices } = await listProducts(req.query);
+    
+    // ===== RESPONSE STRUCTURE =====
+    setValidators(res, {
+        etag: listETag(products, pagination),
+        lastModified: latestUpdate(products)
+    });
+    res.status(200).json({
+        pagination: pagination,
+        // Applied filters (for transparency and debugging)
+        filters: {
+            category: category || null,
+            inStock: inStock !== undefined ? (inStock === 'true') : null,
+            minPrice: minPrice ? parseFloat(minPrice) : null,
+            maxPrice: maxPrice ? parseFloat(maxPrice) : null,
+            currency: pricing.currency,
+            sort: sort,
+            fields: fields || null
+        },
+        // Actual results
+        count: products.length,
+        products: withPrices ? products.map(product => withPricing(product, pricing)) : products
+    });
 });
 
 // ===== PARAMETERIZED ROUTES LAST (Must come after specific routes) =====
@@ -399,115 +429,480 @@ router.get("/", async (req, res) => {
  * Purpose: Retrieve detailed information about a specific product
  * Access: Public
  * URL Parameter: id - MongoDB ObjectId of the product
+ * Query Parameters:
+ *   - currency: ISO 4217 code to show pricing in (default: the product's own currency)
+ * pricing holds what the product (and each variant) sells for right now, sales included
+ * Sends ETag and Last-Modified; If-None-Match / If-Modified-Since answer 304.
+ * Send the ETag back in If-Match on PUT, PATCH and DELETE to avoid overwriting
+ * someone else's change.
+ * Served from the response cache when possible (X-Cache: HIT or MISS)
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", rateLimit('read'), validateRequest({ query: schemas.productItemQuery }), cacheResponse(PRODUCT_CACHES.item), async (req, res) => {
     const { id } = req.params;
 
-    try {
-        const product = await Product.findById(id);
-        if (!product) {
-            return res.status(404).json({ message: "Product not found" });
-        }
-        res.status(200).json(product);
-    } catch (error) {
-        console.error("Error fetching product:", error.message);
-        res.status(404).json({ message: "Product Not Found" });
+    const pricing = await readPricing(req.query);
+    const product = await Product.findById(id).populate('category', 'name slug ancestors');
+    if (!product) {
+        throw new ApiError("Product not found", 404);
     }
+    setProductValidators(res, product);
+    res.status(200).json(withPricing(product, pricing));
 });
 
 /**
  * CREATE PRODUCT - Add a new product to the database
  * Purpose: Add new products to the inventory
  * Features: Authentication required, data validation
- * Access: Protected (requires valid API key)
+ * Access: Protected (API key with products:write scope, or admin/editor user)
  * Middleware: 
- *   - authenticate: Verifies API key
+ *   - authenticate: Verifies API key or bearer token and scope
  *   - validateProduct: Validates request body data
  */
-router.post("/", authenticate, validateProduct, async (req, res) => {
-    const { name, description, price, category, inStock } = req.body;
-
-    try {
-        // Create new product instance with provided data
-        const newProduct = new Product({
-            name,
-            description,
-            price,
-            category,
-            inStock: inStock !== undefined ? inStock : true // Default to true if not provided
-        });
-
-        // Save to database
-        const savedProduct = await newProduct.save();
-        
-        // Return success response with created product
-        res.status(201).json({
-            message: "Product created successfully",
-            product: savedProduct
-        });
-    } catch (error) {
-        console.error("Error creating product:", error.message);
-        res.status(500).json({ message: "Creating New Product was unsuccessful!" });
-    }
+router.post("/", rateLimit('write'), authenticate('products:write'), validateProduct, async (req, res) => {
+    // The category may be given by id or slug; opening stock goes into the ledger
+    const savedProduct = await createProduct({ data: req.body, context: auditContext(req) });
+    
+    // Return success response with created product
+    setProductValidators(res, savedProduct);
+    res.status(201).json({
+        message: "Product created successfully",
+        product: savedProduct
+    });
 });
 
 /**
  * UPDATE PRODUCT - Modify an existing product
  * Purpose: Update product information
  * Features: Authentication, validation, returns updated document
- * Access: Protected (requires valid API key)
+ * quantity, reserved, inStock and variants are ignored; use /api/inventory to change
+ * stock and the /:id/variants routes to change variants
+ * Access: Protected (API key with products:write scope, or admin/editor user)
  * URL Parameter: id - MongoDB ObjectId of the product to update
+ * Headers: If-Match (optional) - ETag from GET; answers 412 if the product changed since
  */
-router.put("/:id", authenticate, validateProduct, async (req, res) => {
-    try {
-        // findByIdAndUpdate returns the updated document and runs validators
-        const productToUpdate = await Product.findByIdAndUpdate(
-            req.params.id,           // Product ID from URL parameter
-            req.body,                // Update data from request body
-            { 
-                new: true,           // Return updated document (not original)
-                runValidators: true  // Run model validators on update
-            }
-        );
-        
-        if (!productToUpdate) {
-            return res.status(404).json({ message: "Product not found" });
+router.put("/:id", rateLimit('write'), authenticate('products:write'), validateProduct, async (req, res) => {
+    // Only the editable fields are written; stock levels change through stock
+    // movements and variants have their own routes
+    const productToUpdate = await replaceProduct({
+        productId: req.params.id,
+        data: req.body,
+        context: auditContext(req),
+        ifMatch: parseIfMatch(req)
+    });
+    
+    setProductValidators(res, productToUpdate);
+    res.status(200).json({
+        message: "Product updated successfully",
+        product: productToUpdate
+    });
+});
+
+/**
+ * PATCH PRODUCT - Change some fields of a product
+ * Purpose: Partial updates without resending the whole product
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameter: id - MongoDB ObjectId of the product to update
+ * Body, by Content-Type:
+ *   - application/merge-patch+json (or application/json): fields to change,
+ *     null removes a field, e.g. { "price": 8.99, "sku": null }
+ *   - application/json-patch+json: operations,
+ *     e.g. [{ "op": "test", "path": "/price", "value": 9.99 }, { "op": "replace", "path": "/price", "value": 8.99 }]
+ * Editable fields: name, description, price, currency, sales, category, sku. Other fields are
+ * rejected; only changed fields are validated, then the whole product is
+ * checked against the schema. A failed test operation answers 409.
+ * Headers: If-Match (optional) - ETag from GET; answers 412 if the product changed since
+ */
+router.patch(
+    "/:id",
+    rateLimit('write'),
+    authenticate('products:write'),
+    express.json({ type: Object.keys(PATCH_FORMATS) }),
+    validateRequest({
+        content: { 'application/merge-patch+json': schemas.productPatch, 'application/json-patch+json': schemas.jsonPatch }
+    }),
+    async (req, res) => {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const format = PATCH_FORMATS[contentType];
+
+        res.setHeader('Accept-Patch', 'application/merge-patch+json, application/json-patch+json');
+        if (!format) {
+            throw new ApiError("PATCH body must be application/merge-patch+json or application/json-patch+json", 415);
         }
-        
+
+        const { product, changed } = await patchProduct({
+            productId: req.params.id,
+            patch: req.body,
+            format,
+            context: auditContext(req),
+            ifMatch: parseIfMatch(req)
+        });
+
+        setProductValidators(res, product);
         res.status(200).json({
-            message: "Product updated successfully",
-            product: productToUpdate
+            message: changed.length > 0 ? "Product updated successfully" : "Nothing to change",
+            changed: changed,
+            product: product
         });
-    } catch (error) {
-        console.error("Error updating product:", error.message);
-        res.status(500).json({ message: "Internal server error" });
     }
-});
+);
 
 /**
- * DELETE PRODUCT - Remove a product from the database
- * Purpose: Remove products from inventory
- * Features: Authentication required
- * Access: Protected (requires valid API key)
+ * DELETE PRODUCT - Move a product to the trash
+ * Purpose: Take products out of the catalog without losing them
+ * Features: Authentication required; the product can be restored until it is purged
+ * Access: Protected (API key with products:delete scope, or admin user)
  * URL Parameter: id - MongoDB ObjectId of the product to delete
+ * Products with stock reserved by carts answer 409
+ * Headers: If-Match (optional) - ETag from GET; answers 412 if the product changed since
  */
-router.delete("/:id", authenticate, async (req, res) => {
-    try {
-        const deletedProduct = await Product.findByIdAndDelete(req.params.id);
+router.delete("/:id", rateLimit('write'), authenticate('products:delete'), async (req, res) => {
+    const deletedProduct = await trashProduct({
+        productId: req.params.id,
+        context: auditContext(req),
+        ifMatch: parseIfMatch(req)
+    });
 
-        if (!deletedProduct) {
-            return res.status(404).json({ message: "Product not found" });
-        }
+    res.status(200).json({ 
+        message: "Product moved to the trash",
+        deletedProduct: deletedProduct,  // Return deleted product for confirmation
+        purgeAt: purgeDate(deletedProduct.deletedAt)
+    });
+});
 
-        res.status(200).json({ 
-            message: "Product deleted successfully",
-            deletedProduct: deletedProduct  // Return deleted product for confirmation
-        });
-    } catch (error) {
-        console.error("Error deleting product:", error.message);
-        res.status(500).json({ message: "Internal server error" });
+/**
+ * RESTORE PRODUCT - Take a product back out of the trash
+ * Access: Protected (API key with products:delete scope, or admin user)
+ * URL Parameter: id - MongoDB ObjectId of the trashed product
+ */
+router.post("/:id/restore", rateLimit('write'), authenticate('products:delete'), async (req, res) => {
+    const product = await restoreProduct({ productId: req.params.id, context: auditContext(req) });
+
+    res.status(200).json({
+        message: "Product restored successfully",
+        product: product
+    });
+});
+
+// ===== VARIANTS =====
+
+/**
+ * ADD VARIANT - Add a size/colour/... variation to a product
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameter: id - MongoDB ObjectId of the product
+ * Body: sku (unique across the catalog), options (e.g. { "size": "M", "colour": "red" }),
+ *       price (optional, overrides the product price, in the product's currency),
+ *       sales (optional scheduled sale prices), quantity (optional opening stock)
+ * Once a product has variants its stock is the total of its variants' stock
+ */
+router.post("/:id/variants", rateLimit('write'), authenticate('products:write'), validateVariant, async (req, res) => {
+    const { product, variant, previous } = await addVariant({
+        productId: req.params.id,
+        data: req.body,
+        actor: actorFromRequest(req)
+    });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'variant-add',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(201).json({
+        message: "Variant added successfully",
+        variant: variant,
+        product: product
+    });
+});
+
+/**
+ * UPDATE VARIANT - Change the sku, options, price or sales of a variant
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameters: id - product ObjectId, variantId - variant ObjectId
+ * Body: any of sku, options, price (null goes back to the product price),
+ *       sales (replaces the variant's scheduled sales; [] removes them)
+ */
+router.put("/:id/variants/:variantId", rateLimit('write'), authenticate('products:write'), validateVariantUpdate, async (req, res) => {
+    const { sku, options, price, sales } = req.body;
+
+    const { product, variant, previous } = await updateVariant({
+        productId: req.params.id,
+        variantId: req.params.variantId,
+        changes: { sku, options, price, sales }
+    });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'variant-update',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(200).json({
+        message: "Variant updated successfully",
+        variant: variant,
+        product: product
+    });
+});
+
+/**
+ * DELETE VARIANT - Remove a variant from a product
+ * Access: Protected (API key with products:delete scope, or admin user)
+ * URL Parameters: id - product ObjectId, variantId - variant ObjectId
+ * The variant's stock must be adjusted to zero first (409 otherwise)
+ */
+router.delete("/:id/variants/:variantId", rateLimit('write'), authenticate('products:delete'), async (req, res) => {
+    const { product, variant, previous } = await removeVariant({
+        productId: req.params.id,
+        variantId: req.params.variantId
+    });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'variant-remove',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(200).json({
+        message: "Variant deleted successfully",
+        deletedVariant: variant,
+        product: product
+    });
+});
+
+// ===== MEDIA =====
+
+/**
+ * UPLOAD MEDIA - Add an image to the end of a product's media
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameter: id - MongoDB ObjectId of the product
+ * Body: multipart/form-data with file (a JPEG, PNG, WebP or GIF image, at most
+ *       MEDIA_MAX_BYTES) and alt (optional text for screen readers, up to 250 characters)
+ * The file's content decides its type (415 for anything else); 160 and 480 pixel wide
+ * WebP thumbnails are generated. A product holds at most 20 images (409).
+ */
+router.post("/:id/media", rateLimit('write'), authenticate('products:write'), uploadImage('file'), validateRequest({ body: schemas.mediaUpload, bodyType: 'multipart/form-data' }), async (req, res) => {
+    const { product, media, previous } = await addMedia({
+        productId: req.params.id,
+        file: req.file,
+        alt: req.body.alt
+    });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'media-add',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(201).json({
+        message: "Media uploaded successfully",
+        media: media,
+        product: product
+    });
+});
+
+/**
+ * REORDER MEDIA - Put a product's images in a new display order
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameter: id - MongoDB ObjectId of the product
+ * Body: order - every media id of the product, each once, first to last
+ */
+router.put("/:id/media/order", rateLimit('write'), authenticate('products:write'), validateRequest({ body: schemas.mediaOrder }), async (req, res) => {
+    const { product, previous } = await reorderMedia({ productId: req.params.id, order: req.body.order });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'media-reorder',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(200).json({
+        message: "Media reordered successfully",
+        media: product.media,
+        product: product
+    });
+});
+
+/**
+ * UPDATE MEDIA - Change the alt text of an image
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameters: id - product ObjectId, mediaId - media ObjectId
+ * Body: alt (up to 250 characters; "" clears it)
+ */
+router.patch("/:id/media/:mediaId", rateLimit('write'), authenticate('products:write'), validateRequest({ body: schemas.mediaUpdate }), async (req, res) => {
+    const { product, media, previous } = await updateMedia({
+        productId: req.params.id,
+        mediaId: req.params.mediaId,
+        alt: req.body.alt
+    });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'media-update',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(200).json({
+        message: "Media updated successfully",
+        media: media,
+        product: product
+    });
+});
+
+/**
+ * DELETE MEDIA - Remove an image from a product and delete its files
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameters: id - product ObjectId, mediaId - media ObjectId
+ */
+router.delete("/:id/media/:mediaId", rateLimit('write'), authenticate('products:write'), async (req, res) => {
+    const { product, media, previous } = await removeMedia({
+        productId: req.params.id,
+        mediaId: req.params.mediaId
+    });
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'media-remove',
+        before: snapshotProduct(previous),
+        after: snapshotProduct(product)
+    }, auditContext(req));
+
+    res.status(200).json({
+        message: "Media deleted successfully",
+        deletedMedia: media,
+        product: product
+    });
+});
+
+// ===== HISTORY =====
+
+/**
+ * GET PRODUCT HISTORY - Browse the versions of a product, newest first
+ * Purpose: See who changed what and when
+ * Access: Protected (products:read scope)
+ * URL Parameter: id - MongoDB ObjectId of the product (deleted products keep their history)
+ * Query Parameters:
+ *   - action: Only versions with this action (create, update, delete, revert, variant-...)
+ *   - page: Page number (default: 1)
+ *   - limit: Items per page (default: 20, max: 100)
+ * Entries list the field-level changes; fetch one version for its full snapshot
+ */
+router.get("/:id/history", rateLimit('read'), authenticate('products:read'), validateRequest({ query: schemas.historyQuery }), async (req, res) => {
+    const { action, page = 1, limit = 20 } = req.query;
+
+    const filter = { product: req.params.id };
+    if (action) filter.action = action;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    // Of the snapshot only the currency is read, which the prices in the changes are in
+    const versions = await ProductVersion.find(filter)
+        .select('product version action actor requestId changes revertedTo createdAt snapshot.currency')
+        .sort({ version: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum);
+    const totalVersions = await ProductVersion.countDocuments(filter);
+
+    res.status(200).json({
+        pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalVersions / limitNum),
+            totalVersions: totalVersions
+        },
+        count: versions.length,
+        versions: versions.map(version => {
+            const { snapshot, ...entry } = version.toJSON();
+            return entry;
+        })
+    });
+});
+
+/**
+ * GET PRODUCT VERSION - One version with the full snapshot of the product
+ * Access: Protected (products:read scope)
+ * URL Parameters: id - product ObjectId, version - version number
+ */
+router.get("/:id/history/:version", rateLimit('read'), authenticate('products:read'), async (req, res) => {
+    const version = await ProductVersion.findOne({
+        product: req.params.id,
+        version: parseInt(req.params.version)
+    });
+
+    if (!version) {
+        throw new ApiError("Version not found", 404);
     }
+
+    res.status(200).json(version);
+});
+
+/**
+ * GET PRICE HISTORY - Every change to what a product and its variants cost, newest first
+ * Purpose: See when prices, currencies and scheduled sales changed and who changed them
+ * Access: Protected (products:read scope)
+ * URL Parameter: id - MongoDB ObjectId of the product (deleted products keep their history)
+ * Query Parameters:
+ *   - variantId: Only changes to this variant
+ *   - page: Page number (default: 1)
+ *   - limit: Items per page (default: 20, max: 100)
+ * Entries with variant null are the product's own price; each holds the regular
+ * price and sales after the change, in currency
+ */
+router.get("/:id/prices", rateLimit('read'), authenticate('products:read'), validateRequest({ query: schemas.priceHistoryQuery }), async (req, res) => {
+    const { variantId, page = 1, limit = 20 } = req.query;
+
+    const filter = { product: req.params.id };
+    if (variantId) filter.variant = variantId;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const changes = await PriceChange.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum);
+    const totalChanges = await PriceChange.countDocuments(filter);
+
+    res.status(200).json({
+        pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalChanges / limitNum),
+            totalChanges: totalChanges
+        },
+        count: changes.length,
+        changes: changes
+    });
+});
+
+/**
+ * REVERT PRODUCT - Restore an earlier version
+ * Access: Protected (API key with products:write scope, or admin/editor user)
+ * URL Parameters: id - product ObjectId, version - version number to restore
+ * Name, description, price, currency, sales, category, sku and variant
+ * sku/options/price/sales go back
+ * to that version; stock is untouched. The revert is itself a new version.
+ * Answers 409 when variants were added or removed since, or the version's
+ * category or SKU cannot be restored
+ */
+router.post("/:id/revert/:version", rateLimit('write'), authenticate('products:write'), async (req, res) => {
+    const version = parseInt(req.params.version);
+
+    const { product, entry } = await revertProduct({
+        productId: req.params.id,
+        version,
+        ...auditContext(req)
+    });
+
+    res.status(200).json({
+        message: `Product reverted to version ${version}`,
+        version: entry ? entry.version : null,
+        product: product
+    });
 });
 
-// Export the router to be used in server.js
+// Export the router to be mounted by app.js (see routes/index.js)
 module.exports = router;
\ No newline at end of file
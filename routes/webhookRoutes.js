@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/webhooks');
+const WebhookDelivery = require('../models/webhookDeliveries');
+const { redeliver } = require('../utils/webhooks');
+
+// Import middleware for authentication and validation
+const authenticate = require('../middleware/auth');
+const { actorFromRequest } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    schemas,
+    validateRequest,
+    validateParam,
+    validateWebhook,
+    validateWebhookUpdate
+} = require('../middleware/validation');
+const { ApiError } = require('../utils/errors');
+
+// Every webhook route requires the webhooks:admin scope
+// (after the rate limit of each route, so bad credentials are limited too)
+const requireWebhookAdmin = authenticate('webhooks:admin');
+
+// Handlers throw their errors; middleware/errorHandler answers them as problem+json
+// Malformed ids answer 400 before any handler runs
+router.param('id', validateParam(schemas.objectId));
+router.param('deliveryId', validateParam(schemas.objectId));
+
+/**
+ * CREATE WEBHOOK - Subscribe a URL to product events
+ * Access: Protected (requires webhooks:admin scope)
+ * Body: url (http or https), events (optional, default: all of them),
+ *       description (optional), secret (optional, at least 16 characters; generated when left out),
+ *       active (optional, default: true)
+ * The secret signs every delivery (X-Webhook-Signature) and is returned in this response only
+ */
+router.post("/", rateLimit('write'), requireWebhookAdmin, validateWebhook, async (req, res) => {
+    const { url, events, description, active } = req.body;
+    const secret = req.body.secret || Webhook.generateSecret();
+
+    const webhook = await Webhook.create({
+        url,
+        events,
+        description,
+        active,
+        secret,
+        createdBy: actorFromRequest(req)
+    });
+
+    res.status(201).json({
+        message: "Webhook created successfully. Store the secret now, it will not be shown again.",
+        secret: secret,
+        webhook: webhook
+    });
+});
+
+/**
+ * LIST WEBHOOKS - Show all subscriptions without their secrets
+ * Access: Protected (requires webhooks:admin scope)
+ * Query Parameters:
+ *   - event: Only subscriptions that receive this event
+ *   - active: true or false to filter on whether they receive new events
+ */
+router.get("/", rateLimit('read'), requireWebhookAdmin, validateRequest({ query: schemas.webhookListQuery }), async (req, res) => {
+    const { event, active } = req.query;
+    const filter = {};
+
+    if (event) {
+        filter.events = event;
+    }
+
+    if (active !== undefined) {
+        filter.active = active === 'true';
+    }
+
+    const webhooks = await Webhook.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+        count: webhooks.length,
+        webhooks: webhooks
+    });
+});
+
+/**
+ * LIST DELIVERIES - Browse deliveries with their attempts, newest first
+ * Purpose: Check what receivers got; ?status=dead lists the dead letters
+ * Access: Protected (requires webhooks:admin scope)
+ * Query Parameters:
+ *   - status: pending, delivered or dead
+ *   - event: Only deliveries of this event
+ *   - webhook: Only deliveries to this subscription
+ *   - page: Page number (default: 1)
+ *   - limit: Items per page (default: 20, max: 100)
+ */
+router.get("/deliveries", rateLimit('read'), requireWebhookAdmin, validateRequest({ query: schemas.deliveryListQuery }), async (req, res) => {
+    const { status, event, webhook, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (webhook) filter.webhook = webhook;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    const deliveries = await WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum);
+    const totalDeliveries = await WebhookDelivery.countDocuments(filter);
+
+    res.status(200).json({
+        pagination: {
+            currentPage: pageNum,
+            totalPages: Math.ceil(totalDeliveries / limitNum),
+            totalDeliveries: totalDeliveries
+        },
+        count: deliveries.length,
+        deliveries: deliveries
+    });
+});
+
+/**
+ * GET DELIVERY - One delivery with its payload and every attempt
+ * Access: Protected (requires webhooks:admin scope)
+ * URL Parameter: deliveryId - MongoDB ObjectId of the delivery
+ */
+router.get("/deliveries/:deliveryId", rateLimit('read'), requireWebhookAdmin, async (req, res) => {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+    if (!delivery) {
+        throw new ApiError("Delivery not found", 404);
+    }
+
+    res.status(200).json(delivery);
+});
+
+/**
+ * REDELIVER - Send a delivered or dead delivery again
+ * Purpose: Replay dead letters once the receiver is fixed
+ * Access: Protected (requires webhooks:admin scope)
+ * URL Parameter: deliveryId - MongoDB ObjectId of the delivery
+ * The same payload goes out as a new delivery (redeliveryOf points at the original),
+ * signed afresh and retried like any other; the original is left as it was
+ */
+router.post("/deliveries/:deliveryId/redeliver", rateLimit('write'), requireWebhookAdmin, async (req, res) => {
+    const delivery = await redeliver(req.params.deliveryId);
+
+    res.status(202).json({
+        message: "Delivery queued",
+        delivery: delivery
+    });
+});
+
+/**
+ * GET WEBHOOK - One subscription
+ * Access: Protected (requires webhooks:admin scope)
+ * URL Parameter: id - MongoDB ObjectId of the webhook
+ */
+router.get("/:id", rateLimit('read'), requireWebhookAdmin, async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+        throw new ApiError("Webhook not found", 404);
+    }
+
+    res.status(200).json(webhook);
+});
+
+/**
+ * UPDATE WEBHOOK - Change a subscription
+ * Access: Protected (requires webhooks:admin scope)
+ * URL Parameter: id - MongoDB ObjectId of the webhook
+ * Body: any of url, events, description, secret, active
+ * A new secret signs every attempt from now on, retries of older deliveries included
+ */
+router.put("/:id", rateLimit('write'), requireWebhookAdmin, validateWebhookUpdate, async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+        throw new ApiError("Webhook not found", 404);
+    }
+
+    ['url', 'events', 'description', 'secret', 'active'].forEach(field => {
+        if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    });
+    await webhook.save();
+
+    res.status(200).json({
+        message: "Webhook updated successfully",
+        webhook: webhook
+    });
+});
+
+/**
+ * DELETE WEBHOOK - Remove a subscription
+ * Access: Protected (requires webhooks:admin scope)
+ * URL Parameter: id - MongoDB ObjectId of the webhook
+ * Its deliveries are kept; those still pending become dead letters
+ */
+router.delete("/:id", rateLimit('write'), requireWebhookAdmin, async (req, res) => {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+        throw new ApiError("Webhook not found", 404);
+    }
+
+    await WebhookDelivery.updateMany(
+        { webhook: webhook._id, status: 'pending' },
+        { $set: { status: 'dead' } }
+    );
+
+    res.status(200).json({
+        message: "Webhook deleted successfully",
+        webhook: webhook
+    });
+});
+
+// Export the router to be mounted by app.js (see routes/index.js)
+module.exports = router;
@@ -1,58 +1,64 @@
-// server.js - Updated with all middleware
-const express = require('express');
-const bodyParser = require('body-parser');
+// server.js - Connects to MongoDB, starts the background jobs and serves the app
 const dotenv = require('dotenv');
 const connectDB = require('./config /dbConnector');
 
-// Import middleware
-const logger = require('./middleware/logger');
-const errorHandler = require('./middleware/errorHandler');
-
-
 // Load environment variables from .env file
 dotenv.config();
 
-// Initialize Express app
-const ecomApp = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware setup
-
-// 1. Custom logger middleware (logs all requests)
-ecomApp.use(logger);
+const ecomApp = require('./app');
+const logger = require('./utils/logger');
+const Product = require('./models/products');
+const { productSuggestIndex } = require('./utils/suggestIndex');
+const { startReservationExpiryJob } = require('./jobs/reservationExpiry');
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
+const { startWebhookDeliveryJob } = require('./jobs/webhookDelivery');
+const { startPriceScheduleJob } = require('./jobs/priceSchedule');
+const { startCatalogSnapshotJob } = require('./jobs/catalogSnapshot');
+const { countUnmigratedProducts } = require('./utils/pricing');
+const { attachStreamSocket } = require('./utils/streamTransports');
 
-// 2. JSON body parser middleware
-ecomApp.use(bodyParser.json());
+const PORT = process.env.PORT || 3000;
 
-// 3. Connect to MongoDB using Mongoose
-connectDB();
+// Connect to MongoDB using Mongoose
+// Prices are stored in minor units; writes to a catalog that still holds decimal
+// prices would mix the two, so the server stops until migrate-prices has run
+connectDB()
+    .then(countUnmigratedProducts)
+    .then(count => {
+        if (count > 0) {
+            logger.error('Products still have decimal prices; run npm run migrate-prices first', { count });
+            process.exit(1);
+        }
+    })
+    .catch(error => logger.error('Failed to check for decimal prices', { err: error }));
 
-// Routes
-ecomApp.use('/api/products', require('./routes/productRoutes'));
+// Build the in-memory autocomplete index (queries wait for the connection)
+productSuggestIndex.load(Product)
+    .then(count => logger.info('Autocomplete index loaded', { count }))
+    .catch(error => logger.error('Failed to load autocomplete index', { err: error }));
 
-// Root route
-ecomApp.get('/', (req, res) => {
-    res.send('Welcome to the Product API! Go to /api/products to see all products.');
-});
+// Return stock held by cart reservations once their TTL runs out
+startReservationExpiryJob();
 
-// Health check route (no authentication required)
-ecomApp.get('/health', (req, res) => {
-    res.status(200).json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        service: 'Product API'
-    });
-});
+// Permanently delete products left in the trash past TRASH_RETENTION_DAYS
+startTrashPurgeJob();
 
+// Retry webhook deliveries that failed, with exponential backoff
+startWebhookDeliveryJob();
 
+// Mark products changed when their scheduled sales start or end
+startPriceScheduleJob();
 
-// 4. Global error handling middleware (should be last)
-ecomApp.use(errorHandler);
+// Record the catalog once a day for the stock-out and growth reports
+startCatalogSnapshotJob();
 
 // Export the app for testing purposes
 module.exports = ecomApp; 
 
 // Start the server
-ecomApp.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+const server = ecomApp.listen(PORT, () => {
+    logger.info('Server is running', { url: `http://localhost:${PORT}` });
+});
+
+// Accept WebSocket connections to the live product stream
+attachStreamSocket(server, ecomApp);
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase, request, issueKey } = require('./helpers');
+
+useDatabase();
+
+const ACCOUNT = { email: 'ada@example.com', name: 'Ada', password: 'correct horse' };
+
+const login = async () => {
+    const res = await request().post('/api/auth/login').send({ email: ACCOUNT.email, password: ACCOUNT.password }).expect(200);
+    return res.body;
+};
+
+const refresh = (refreshToken) => request().post('/api/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/register', () => {
+    it('creates a viewer without returning the password hash', async () => {
+        const res = await request().post('/api/auth/register').send(ACCOUNT).expect(201);
+        assert.equal(res.body.user.email, ACCOUNT.email);
+        assert.equal(res.body.user.role, 'viewer');
+        assert.equal(res.body.user.passwordHash, undefined);
+    });
+
+    it('refuses an email that is already in use', async () => {
+        await request().post('/api/auth/register').send(ACCOUNT).expect(201);
+        const res = await request().post('/api/auth/register').send(ACCOUNT).expect(409);
+        assert.deepEqual(res.body.errors, [{ in: 'body', pointer: '/email', detail: 'is already in use' }]);
+    });
+
+    it('only lets keys:admin callers assign roles', async () => {
+        await request().post('/api/auth/register').send({ ...ACCOUNT, role: 'admin' }).expect(403);
+
+        const adminKey = await issueKey(['keys:admin']);
+        const res = await request().post('/api/auth/register').set('x-api-key', adminKey).send({ ...ACCOUNT, role: 'editor' }).expect(201);
+        assert.equal(res.body.user.role, 'editor');
+    });
+});
+
+describe('POST /api/auth/login', () => {
+    beforeEach(async () => {
+        await request().post('/api/auth/register').send(ACCOUNT).expect(201);
+    });
+
+    it('returns an access token and a refresh token', async () => {
+        const body = await login();
+        assert.equal(typeof body.accessToken, 'string');
+        assert.equal(typeof body.refreshToken, 'string');
+        assert.ok(new Date(body.refreshTokenExpiresAt) > new Date());
+    });
+
+    it('answers the same 401 for a wrong password and an unknown email', async () => {
+        const wrong = await request().post('/api/auth/login').send({ email: ACCOUNT.email, password: 'wrong password' }).expect(401);
+        const unknown = await request().post('/api/auth/login').send({ email: 'bob@example.com', password: ACCOUNT.password }).expect(401);
+        assert.equal(wrong.body.detail, unknown.body.detail);
+    });
+});
+
+describe('POST /api/auth/refresh', () => {
+    beforeEach(async () => {
+        await request().post('/api/auth/register').send(ACCOUNT).expect(201);
+    });
+
+    it('exchanges a refresh token for a new pair', async () => {
+        const { refreshToken } = await login();
+        const res = await refresh(refreshToken).expect(200);
+        assert.equal(typeof res.body.accessToken, 'string');
+        assert.notEqual(res.body.refreshToken, refreshToken);
+        await refresh(res.body.refreshToken).expect(200);
+    });
+
+    it('revokes every session of the user when an exchanged token is reused', async () => {
+        const first = await login();
+        const other = await login();
+        const rotated = (await refresh(first.refreshToken).expect(200)).body;
+
+        await refresh(first.refreshToken).expect(401);
+
+        // The token it was exchanged for and the other login are gone as well
+        await refresh(rotated.refreshToken).expect(401);
+        await refresh(other.refreshToken).expect(401);
+    });
+
+    it('lets only one of two requests racing with the same token win', async () => {
+        const { refreshToken } = await login();
+        const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+        assert.deepEqual(results.map(res => res.status).sort(), [200, 401]);
+    });
+
+    it('refuses unknown tokens', async () => {
+        await refresh('not-a-refresh-token').expect(401);
+    });
+});
+
+describe('POST /api/auth/logout', () => {
+    it('revokes the refresh token', async () => {
+        await request().post('/api/auth/register').send(ACCOUNT).expect(201);
+        const { refreshToken } = await login();
+
+        await request().post('/api/auth/logout').send({ refreshToken }).expect(200);
+        await refresh(refreshToken).expect(401);
+    });
+});
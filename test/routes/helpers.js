@@ -0,0 +1,70 @@
+// Shared setup for the route tests: the app against a throwaway MongoDB replica set
+// (a single member, so atomic batches can use transactions)
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'route-tests-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+// Rate limits are covered by the unit tests; 0 switches a group off
+['READ', 'SEARCH', 'WRITE', 'AUTH', 'STREAM'].forEach(group => {
+    process.env[`RATE_LIMIT_${group}`] = '0';
+});
+
+const { before, after, beforeEach } = require('node:test');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const supertest = require('supertest');
+const app = require('../../app');
+const ApiKey = require('../../models/apiKeys');
+const Category = require('../../models/categories');
+
+/**
+ * Register the hooks of a route test file: start MongoDB before its tests,
+ * empty every collection before each one and stop it afterwards
+ */
+const useDatabase = () => {
+    let replSet;
+
+    before(async () => {
+        replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+        await mongoose.connect(replSet.getUri());
+        // Unique indexes have to exist before the tests that rely on them
+        await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+    });
+
+    beforeEach(async () => {
+        await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+    });
+
+    after(async () => {
+        await mongoose.disconnect();
+        if (replSet) await replSet.stop();
+    });
+};
+
+const request = () => supertest(app);
+
+// Plaintext of a new API key with these scopes
+const issueKey = async (scopes) => {
+    const { plaintext } = await ApiKey.issue({ name: 'Route tests', owner: 'tests', scopes });
+    return plaintext;
+};
+
+// Create a product through the API and return it as the API shows it
+const createProduct = async (apiKey, fields = {}) => {
+    const category = await Category.findOneAndUpdate(
+        { slug: 'test-category' },
+        { name: 'Test category', slug: 'test-category' },
+        { upsert: true, new: true }
+    );
+    const res = await request()
+        .post('/api/products')
+        .set('x-api-key', apiKey)
+        .send({ name: 'Trail Runner', description: 'Running shoe', price: 89.99, category: String(category._id), ...fields })
+        .expect(201);
+    return res.body.product;
+};
+
+module.exports = {
+    useDatabase,
+    request,
+    issueKey,
+    createProduct
+};
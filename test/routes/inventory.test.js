@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase, request, issueKey, createProduct } = require('./helpers');
+const Product = require('../../models/products');
+const Reservation = require('../../models/reservations');
+
+useDatabase();
+
+let apiKey;
+
+beforeEach(async () => {
+    apiKey = await issueKey(['products:read', 'products:write', 'inventory:write']);
+});
+
+const stockOf = async (productId) => {
+    const { quantity, reserved, available } = await Product.findById(productId);
+    return { quantity, reserved, available };
+};
+
+const move = (productId, body) => request()
+    .post(`/api/inventory/products/${productId}/movements`)
+    .set('x-api-key', apiKey)
+    .send({ reason: 'Route test', ...body });
+
+const reserve = (cartId, items) => request()
+    .post('/api/inventory/reservations')
+    .set('x-api-key', apiKey)
+    .send({ cartId, items });
+
+describe('stock movements', () => {
+    it('applies receipts, sales and adjustments and records each in the ledger', async () => {
+        const product = await createProduct(apiKey, { quantity: 5 });
+
+        const receipt = await move(product._id, { type: 'receipt', quantity: 10 }).expect(201);
+        assert.equal(receipt.body.movement.balanceAfter, 15);
+        assert.deepEqual(receipt.body.stock, { quantity: 15, reserved: 0, available: 15, inStock: true });
+
+        await move(product._id, { type: 'sale', quantity: 4 }).expect(201);
+        await move(product._id, { type: 'adjustment', quantity: -1 }).expect(201);
+        assert.deepEqual(await stockOf(product._id), { quantity: 10, reserved: 0, available: 10 });
+
+        const ledger = await request().get(`/api/inventory/products/${product._id}/movements`).set('x-api-key', apiKey).expect(200);
+        assert.deepEqual(ledger.body.movements.map(movement => [movement.type, movement.quantity, movement.balanceAfter]), [
+            ['adjustment', -1, 10],
+            ['sale', -4, 11],
+            ['receipt', 10, 15]
+        ]);
+    });
+
+    it('refuses to take away more than is available', async () => {
+        const product = await createProduct(apiKey, { quantity: 3 });
+
+        const res = await move(product._id, { type: 'sale', quantity: 4 }).expect(409);
+        assert.equal(res.body.requested, 4);
+        assert.equal(res.body.available, 3);
+        assert.deepEqual(await stockOf(product._id), { quantity: 3, reserved: 0, available: 3 });
+    });
+
+    it('does not sell units held by a cart', async () => {
+        const product = await createProduct(apiKey, { quantity: 10 });
+        await reserve('cart-1', [{ productId: product._id, quantity: 8 }]).expect(201);
+
+        const res = await move(product._id, { type: 'sale', quantity: 3 }).expect(409);
+        assert.equal(res.body.available, 2);
+    });
+});
+
+describe('reservations', () => {
+    it('holds stock for a cart and merges repeated items', async () => {
+        const product = await createProduct(apiKey, { quantity: 10 });
+
+        const res = await reserve('cart-1', [
+            { productId: product._id, quantity: 2 },
+            { productId: product._id, quantity: 3 }
+        ]).expect(201);
+        assert.equal(res.body.reservations.length, 1);
+        assert.equal(res.body.reservations[0].quantity, 5);
+        assert.deepEqual(await stockOf(product._id), { quantity: 10, reserved: 5, available: 5 });
+
+        const listed = await request().get('/api/inventory/reservations/cart-1').set('x-api-key', apiKey).expect(200);
+        assert.equal(listed.body.count, 1);
+    });
+
+    it('reserves every item or none: a shortfall gives back what was already held', async () => {
+        const plenty = await createProduct(apiKey, { name: 'Plenty', quantity: 10 });
+        const scarce = await createProduct(apiKey, { name: 'Scarce', quantity: 1 });
+
+        const res = await reserve('cart-1', [
+            { productId: plenty._id, quantity: 4 },
+            { productId: scarce._id, quantity: 2 }
+        ]).expect(409);
+        assert.equal(res.body.productId, scarce._id);
+
+        assert.deepEqual(await stockOf(plenty._id), { quantity: 10, reserved: 0, available: 10 });
+        assert.deepEqual(await stockOf(scarce._id), { quantity: 1, reserved: 0, available: 1 });
+        assert.equal(await Reservation.countDocuments({ cartId: 'cart-1' }), 0);
+    });
+
+    it('turns held units into sales on commit, once', async () => {
+        const product = await createProduct(apiKey, { quantity: 10 });
+        await reserve('cart-1', [{ productId: product._id, quantity: 3 }]).expect(201);
+
+        const res = await request().post('/api/inventory/reservations/cart-1/commit').set('x-api-key', apiKey).expect(200);
+        assert.equal(res.body.committed.length, 1);
+        assert.deepEqual(res.body.expired, []);
+        assert.deepEqual(await stockOf(product._id), { quantity: 7, reserved: 0, available: 7 });
+
+        const ledger = await request().get(`/api/inventory/products/${product._id}/movements`).set('x-api-key', apiKey).expect(200);
+        assert.equal(ledger.body.movements[0].type, 'sale');
+        assert.equal(ledger.body.movements[0].reservation, res.body.committed[0]._id);
+
+        await request().post('/api/inventory/reservations/cart-1/commit').set('x-api-key', apiKey).expect(404);
+    });
+
+    it('gives held units back on release', async () => {
+        const product = await createProduct(apiKey, { quantity: 10 });
+        await reserve('cart-1', [{ productId: product._id, quantity: 3 }]).expect(201);
+
+        const res = await request().post('/api/inventory/reservations/cart-1/release').set('x-api-key', apiKey).expect(200);
+        assert.equal(res.body.released.length, 1);
+        assert.deepEqual(await stockOf(product._id), { quantity: 10, reserved: 0, available: 10 });
+    });
+
+    it('needs a variantId for products with variants', async () => {
+        const product = await createProduct(apiKey, {
+            variants: [{ sku: 'TR-42', options: { size: '42' }, quantity: 5 }]
+        });
+
+        await reserve('cart-1', [{ productId: product._id, quantity: 1 }]).expect(400);
+        await reserve('cart-1', [{ productId: product._id, variantId: product.variants[0]._id, quantity: 2 }]).expect(201);
+        const variant = (await Product.findById(product._id)).variants[0];
+        assert.deepEqual([variant.reserved, variant.available], [2, 3]);
+    });
+});
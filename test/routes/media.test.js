@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Uploaded files go to a directory of their own, removed after the tests
+const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-route-tests-'));
+process.env.MEDIA_DIR = mediaDir;
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { useDatabase, request, issueKey, createProduct } = require('./helpers');
+
+useDatabase();
+
+after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+
+let apiKey;
+
+beforeEach(async () => {
+    apiKey = await issueKey(['products:read', 'products:write']);
+});
+
+const image = () => sharp({ create: { width: 20, height: 10, channels: 3, background: '#c00' } }).png().toBuffer();
+
+const upload = async (productId, alt) => request()
+    .post(`/api/products/${productId}/media`)
+    .set('x-api-key', apiKey)
+    .field('alt', alt)
+    .attach('file', await image(), { filename: `${alt}.png`, contentType: 'image/png' })
+    .expect(201);
+
+const history = async (productId) => {
+    const res = await request().get(`/api/products/${productId}/history`).set('x-api-key', apiKey).expect(200);
+    return res.body.versions;
+};
+
+const mediaChange = (version) => version.changes.find(change => change.field === 'media');
+
+describe('media history', () => {
+    it('records a version for each upload, alt text change, reorder and removal', async () => {
+        const product = await createProduct(apiKey);
+        const front = (await upload(product._id, 'Front')).body.media;
+        const back = (await upload(product._id, 'Back')).body.media;
+
+        await request().patch(`/api/products/${product._id}/media/${front._id}`).set('x-api-key', apiKey)
+            .send({ alt: 'Front view' }).expect(200);
+        await request().put(`/api/products/${product._id}/media/order`).set('x-api-key', apiKey)
+            .send({ order: [back._id, front._id] }).expect(200);
+        await request().delete(`/api/products/${product._id}/media/${back._id}`).set('x-api-key', apiKey).expect(200);
+
+        const versions = await history(product._id);
+        assert.deepEqual(versions.map(version => version.action), [
+            'media-remove', 'media-reorder', 'media-update', 'media-add', 'media-add', 'create'
+        ]);
+
+        const altOf = (media) => media.map(item => item.alt);
+        const [removed, reordered, updated, added] = versions.map(mediaChange);
+        assert.deepEqual([altOf(added.before), altOf(added.after)], [['Front'], ['Front', 'Back']]);
+        assert.deepEqual([altOf(updated.before), altOf(updated.after)], [['Front', 'Back'], ['Front view', 'Back']]);
+        assert.deepEqual(altOf(reordered.after), ['Back', 'Front view']);
+        assert.deepEqual(removed.after, [{ _id: front._id, url: front.url, alt: 'Front view' }]);
+    });
+
+    it('records nothing for a failed upload', async () => {
+        const product = await createProduct(apiKey);
+        await request().post(`/api/products/${product._id}/media`).set('x-api-key', apiKey)
+            .attach('file', Buffer.from('not an image'), { filename: 'notes.png', contentType: 'image/png' })
+            .expect(415);
+
+        assert.deepEqual((await history(product._id)).map(version => version.action), ['create']);
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase, request, issueKey, createProduct } = require('./helpers');
+
+useDatabase();
+
+let apiKey;
+let adminKey;
+
+beforeEach(async () => {
+    apiKey = await issueKey(['products:read', 'products:write', 'products:delete', 'inventory:write']);
+    adminKey = await issueKey(['products:read', 'products:delete', 'products:purge']);
+});
+
+const trash = (productId) => request().delete(`/api/products/${productId}`).set('x-api-key', apiKey);
+const restore = (productId) => request().post(`/api/products/${productId}/restore`).set('x-api-key', apiKey);
+
+describe('DELETE /api/products/:id', () => {
+    it('moves the product to the trash, out of the catalog', async () => {
+        const product = await createProduct(apiKey, { sku: 'TR-1' });
+
+        const res = await trash(product._id).expect(200);
+        assert.ok(new Date(res.body.purgeAt) > new Date(res.body.deletedProduct.deletedAt));
+
+        await request().get(`/api/products/${product._id}`).expect(404);
+        const listed = await request().get('/api/products/trash').set('x-api-key', apiKey).expect(200);
+        assert.deepEqual(listed.body.products.map(trashed => trashed._id), [product._id]);
+    });
+
+    it('refuses products with stock reserved by carts', async () => {
+        const product = await createProduct(apiKey, { quantity: 5 });
+        await request().post('/api/inventory/reservations').set('x-api-key', apiKey)
+            .send({ cartId: 'cart-1', items: [{ productId: product._id, quantity: 1 }] })
+            .expect(201);
+
+        await trash(product._id).expect(409);
+    });
+});
+
+describe('POST /api/products/:id/restore', () => {
+    it('puts a trashed product back in the catalog', async () => {
+        const product = await createProduct(apiKey, { sku: 'TR-1' });
+        await trash(product._id).expect(200);
+
+        const res = await restore(product._id).expect(200);
+        assert.equal(res.body.product.deletedAt, null);
+        await request().get(`/api/products/${product._id}`).expect(200);
+    });
+
+    it('lets a new product take a trashed SKU, and then refuses to restore the old one', async () => {
+        const product = await createProduct(apiKey, { sku: 'TR-1' });
+        await trash(product._id).expect(200);
+        const replacement = await createProduct(apiKey, { sku: 'TR-1' });
+
+        const res = await restore(product._id).expect(409);
+        assert.deepEqual([res.body.field, res.body.sku], ['sku', 'TR-1']);
+
+        // Once the SKU is free again the restore goes through
+        await trash(replacement._id).expect(200);
+        await restore(product._id).expect(200);
+    });
+
+    it('lets an import upsert create a new product for a SKU only the trash has', async () => {
+        const product = await createProduct(apiKey, { sku: 'TR-1' });
+        await trash(product._id).expect(200);
+
+        const csv = 'sku,name,description,price,category\nTR-1,Trail Runner 2,Running shoe,99.99,test-category\n';
+        const res = await request().post('/api/products/import?mode=upsert').set('x-api-key', apiKey)
+            .set('Content-Type', 'text/csv').send(csv).expect(200);
+        assert.deepEqual([res.body.summary.created, res.body.summary.updated, res.body.summary.failed], [1, 0, 0]);
+
+        const listed = await request().get('/api/products').expect(200);
+        assert.equal(listed.body.products.length, 1);
+        assert.notEqual(listed.body.products[0]._id, product._id);
+        assert.equal(listed.body.products[0].name, 'Trail Runner 2');
+        await restore(product._id).expect(409);
+    });
+
+    it('checks variant SKUs the same way', async () => {
+        const variants = [{ sku: 'TR-42', options: { size: '42' }, quantity: 1 }];
+        const product = await createProduct(apiKey, { variants });
+        await trash(product._id).expect(200);
+        await createProduct(apiKey, { name: 'Road Runner', variants });
+
+        const res = await restore(product._id).expect(409);
+        assert.equal(res.body.sku, 'TR-42');
+    });
+
+    it('answers 404 for live products', async () => {
+        const product = await createProduct(apiKey);
+        await restore(product._id).expect(404);
+    });
+});
+
+describe('DELETE /api/products/trash/:id', () => {
+    it('needs the products:purge scope', async () => {
+        const product = await createProduct(apiKey);
+        await trash(product._id).expect(200);
+
+        await request().delete(`/api/products/trash/${product._id}`).set('x-api-key', apiKey).expect(403);
+    });
+
+    it('permanently deletes trashed products only', async () => {
+        const product = await createProduct(apiKey);
+        await request().delete(`/api/products/trash/${product._id}`).set('x-api-key', adminKey).expect(404);
+
+        await trash(product._id).expect(200);
+        await request().delete(`/api/products/trash/${product._id}`).set('x-api-key', adminKey).expect(200);
+
+        await restore(product._id).expect(404);
+        const listed = await request().get('/api/products/trash').set('x-api-key', adminKey).expect(200);
+        assert.equal(listed.body.count, 0);
+    });
+});
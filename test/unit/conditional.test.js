@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    productETag,
+    listETag,
+    setValidators,
+    latestUpdate,
+    parseETagList,
+    satisfiesIfMatch,
+    sameRevision
+} = require('../../utils/conditional');
+
+const product = { _id: '507f1f77bcf86cd799439011', revision: 8 };
+
+describe('product ETags', () => {
+    it('is the id and revision as a strong tag', () => {
+        assert.equal(productETag(product), '"507f1f77bcf86cd799439011-8"');
+    });
+
+    it('counts products without a revision as revision 0', () => {
+        assert.equal(productETag({ _id: product._id }), '"507f1f77bcf86cd799439011-0"');
+    });
+});
+
+describe('listETag', () => {
+    const other = { _id: '507f1f77bcf86cd799439012', revision: 2 };
+
+    it('is the same for the same products and metadata', () => {
+        assert.equal(listETag([product, other], { page: 1 }), listETag([{ ...product }, { ...other }], { page: 1 }));
+    });
+
+    it('changes with a revision, the order of the products or the metadata', () => {
+        const tag = listETag([product, other], { page: 1 });
+        assert.notEqual(listETag([product, { ...other, revision: 3 }], { page: 1 }), tag);
+        assert.notEqual(listETag([other, product], { page: 1 }), tag);
+        assert.notEqual(listETag([product, other], { page: 2 }), tag);
+    });
+});
+
+describe('setValidators', () => {
+    it('sets ETag, Last-Modified as an HTTP date and no-cache', () => {
+        const headers = {};
+        setValidators({ set: (name, value) => { headers[name] = value; } }, {
+            etag: '"abc"',
+            lastModified: new Date('2024-01-15T10:30:00.000Z')
+        });
+        assert.deepEqual(headers, {
+            ETag: '"abc"',
+            'Last-Modified': 'Mon, 15 Jan 2024 10:30:00 GMT',
+            'Cache-Control': 'no-cache'
+        });
+    });
+});
+
+describe('latestUpdate', () => {
+    it('picks the newest updatedAt and skips products without one', () => {
+        const newest = new Date('2024-03-01T00:00:00.000Z');
+        assert.equal(latestUpdate([
+            { updatedAt: new Date('2024-01-01T00:00:00.000Z') },
+            {},
+            { updatedAt: newest }
+        ]), newest);
+        assert.equal(latestUpdate([]), null);
+    });
+});
+
+describe('If-Match', () => {
+    it('parses nothing, * and lists of tags', () => {
+        assert.equal(parseETagList(undefined), null);
+        assert.equal(parseETagList('  '), null);
+        assert.equal(parseETagList(' * '), '*');
+        assert.deepEqual(parseETagList('"a-1", W/"a-2" ,"b-3"'), ['"a-1"', 'W/"a-2"', '"b-3"']);
+    });
+
+    it('is satisfied by no condition, * or the current tag', () => {
+        assert.equal(satisfiesIfMatch(product, null), true);
+        assert.equal(satisfiesIfMatch(product, '*'), true);
+        assert.equal(satisfiesIfMatch(product, parseETagList('"other-1", "507f1f77bcf86cd799439011-8"')), true);
+    });
+
+    it('is not satisfied by an older revision or a weak tag', () => {
+        assert.equal(satisfiesIfMatch(product, parseETagList('"507f1f77bcf86cd799439011-7"')), false);
+        assert.equal(satisfiesIfMatch(product, parseETagList('W/"507f1f77bcf86cd799439011-8"')), false);
+        assert.equal(satisfiesIfMatch(product, parseETagList('garbage')), false);
+    });
+});
+
+describe('sameRevision', () => {
+    it('matches the revision that was read', () => {
+        assert.deepEqual(sameRevision(product), { revision: 8 });
+    });
+
+    it('matches products without a revision yet', () => {
+        assert.deepEqual(sameRevision({ _id: product._id }), { revision: { $in: [0, null] } });
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSchema, parse, validate, getOperationAST } = require('graphql');
+const { rootFields, depthLimit, rootFieldLimit, MAX_ROOT_FIELDS } = require('../../utils/graphqlLimits');
+
+const schema = buildSchema(`
+    type Query { productStats: Stats, category: Category }
+    type Mutation { deleteProduct(id: ID!): Boolean }
+    type Stats { count: Int }
+    type Category { name: String, parent: Category }
+`);
+
+const errorsOf = (query, rule) => validate(schema, parse(query), [rule]).map(error => error.message);
+
+const aliased = (count, field, prefix = 'a') => Array.from({ length: count }, (_, i) => `${prefix}${i}: ${field}`).join(' ');
+
+describe('rootFields', () => {
+    const fieldsOf = (query, operationName) => {
+        const document = parse(query);
+        return rootFields(document, getOperationAST(document, operationName)).map(field => (field.alias || field.name).value);
+    };
+
+    it('counts every alias and the fields of fragments', () => {
+        const query = `
+            query Stats { a: productStats { count } b: productStats { count } ...More ... on Query { d: productStats { count } } }
+            fragment More on Query { c: productStats { count } }
+        `;
+        assert.deepEqual(fieldsOf(query, 'Stats'), ['a', 'b', 'c', 'd']);
+    });
+
+    it('leaves out introspection fields', () => {
+        assert.deepEqual(fieldsOf('{ __typename productStats { count } }'), ['productStats']);
+    });
+
+    it('reads the operation asked for', () => {
+        assert.deepEqual(fieldsOf('query A { productStats { count } } mutation B { x: deleteProduct(id: "1") y: deleteProduct(id: "2") }', 'B'), ['x', 'y']);
+    });
+});
+
+describe('rootFieldLimit', () => {
+    it(`allows up to ${MAX_ROOT_FIELDS} root fields`, () => {
+        assert.deepEqual(errorsOf(`{ ${aliased(MAX_ROOT_FIELDS, 'productStats { count }')} }`, rootFieldLimit), []);
+    });
+
+    it('turns away aliased fields beyond the limit', () => {
+        assert.deepEqual(errorsOf(`mutation { ${aliased(MAX_ROOT_FIELDS + 1, 'deleteProduct(id: "1")')} }`, rootFieldLimit), [
+            `The operation selects ${MAX_ROOT_FIELDS + 1} root fields; at most ${MAX_ROOT_FIELDS} are allowed`
+        ]);
+    });
+
+    it('counts fields spread in through fragments', () => {
+        const query = `{ ...First ...Second }
+            fragment First on Query { ${aliased(6, 'productStats { count }')} }
+            fragment Second on Query { ${aliased(6, 'productStats { count }', 'b')} }`;
+        assert.equal(errorsOf(query, rootFieldLimit).length, 1);
+    });
+});
+
+describe('depthLimit', () => {
+    const nested = (levels) => `{ category { ${'parent { '.repeat(levels - 2)}name${' }'.repeat(levels - 2)} } }`;
+
+    it('allows 10 levels and turns away 11', () => {
+        assert.deepEqual(errorsOf(nested(10), depthLimit), []);
+        assert.deepEqual(errorsOf(nested(11), depthLimit), ['The operation is nested 11 levels deep; at most 10 are allowed']);
+    });
+});
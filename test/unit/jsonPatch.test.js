@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PatchError, parsePointer, applyMergePatch, applyJsonPatch } = require('../../utils/jsonPatch');
+
+describe('applyMergePatch', () => {
+    it('merges objects key by key and removes keys set to null', () => {
+        const target = { name: 'Desk lamp', price: 19.99, sku: 'LAMP-1' };
+        assert.deepEqual(applyMergePatch(target, { price: 24.99, sku: null }), { name: 'Desk lamp', price: 24.99 });
+    });
+
+    it('replaces arrays and non-object values as a whole', () => {
+        const target = { sales: [{ price: 15 }, { price: 12 }], tags: { a: 1 } };
+        assert.deepEqual(applyMergePatch(target, { sales: [{ price: 10 }], tags: 'none' }), { sales: [{ price: 10 }], tags: 'none' });
+    });
+
+    it('merges nested objects and creates missing ones', () => {
+        assert.deepEqual(applyMergePatch({ a: { b: 1, c: 2 } }, { a: { c: null, d: 3 }, e: { f: 4 } }), { a: { b: 1, d: 3 }, e: { f: 4 } });
+    });
+
+    it('leaves the target alone', () => {
+        const target = { a: { b: 1 } };
+        applyMergePatch(target, { a: { b: 2 } });
+        assert.deepEqual(target, { a: { b: 1 } });
+    });
+});
+
+describe('parsePointer', () => {
+    it('splits a pointer and unescapes ~1 and ~0', () => {
+        assert.deepEqual(parsePointer('/a/b~1c/d~0e'), ['a', 'b/c', 'd~e']);
+        assert.deepEqual(parsePointer(''), []);
+    });
+
+    it('rejects pointers that do not start with /', () => {
+        assert.throws(() => parsePointer('price'), PatchError);
+    });
+});
+
+describe('applyJsonPatch', () => {
+    const product = () => ({ name: 'Desk lamp', price: 19.99, sales: [{ price: 15 }, { price: 12 }] });
+
+    it('adds, replaces and removes values', () => {
+        const patched = applyJsonPatch(product(), [
+            { op: 'replace', path: '/price', value: 24.99 },
+            { op: 'add', path: '/sku', value: 'LAMP-1' },
+            { op: 'remove', path: '/sales/0' }
+        ]);
+        assert.deepEqual(patched, { name: 'Desk lamp', price: 24.99, sku: 'LAMP-1', sales: [{ price: 12 }] });
+    });
+
+    it('inserts into arrays at an index or at the end with -', () => {
+        const patched = applyJsonPatch(product(), [
+            { op: 'add', path: '/sales/1', value: { price: 14 } },
+            { op: 'add', path: '/sales/-', value: { price: 10 } }
+        ]);
+        assert.deepEqual(patched.sales, [{ price: 15 }, { price: 14 }, { price: 12 }, { price: 10 }]);
+    });
+
+    it('moves and copies values', () => {
+        const patched = applyJsonPatch(product(), [
+            { op: 'copy', from: '/price', path: '/regularPrice' },
+            { op: 'move', from: '/name', path: '/title' }
+        ]);
+        assert.deepEqual(patched, { title: 'Desk lamp', price: 19.99, regularPrice: 19.99, sales: [{ price: 15 }, { price: 12 }] });
+    });
+
+    it('replaces the whole document at the root path', () => {
+        assert.deepEqual(applyJsonPatch(product(), [{ op: 'replace', path: '', value: { name: 'Lamp' } }]), { name: 'Lamp' });
+    });
+
+    it('answers a failed test with 409 and applies nothing', () => {
+        const document = product();
+        assert.throws(
+            () => applyJsonPatch(document, [
+                { op: 'replace', path: '/price', value: 1 },
+                { op: 'test', path: '/name', value: 'Floor lamp' }
+            ]),
+            error => error instanceof PatchError && error.status === 409 && error.details.operation === 1
+        );
+        assert.deepEqual(document, product());
+    });
+
+    it('passes a test on equal values', () => {
+        assert.deepEqual(applyJsonPatch(product(), [{ op: 'test', path: '/sales/1', value: { price: 12 } }]), product());
+    });
+
+    it('names the failing operation for paths that do not exist', () => {
+        assert.throws(
+            () => applyJsonPatch(product(), [{ op: 'remove', path: '/sku' }]),
+            error => error instanceof PatchError && error.status === 400 && error.details.operation === 0
+        );
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'add', path: '/sales/5', value: {} }]), /out of bounds/);
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'replace', path: '/missing/price', value: 1 }]), /does not exist/);
+    });
+
+    it('rejects malformed operations', () => {
+        assert.throws(() => applyJsonPatch(product(), { op: 'add' }), /must be an array/);
+        assert.throws(() => applyJsonPatch(product(), [{ path: '/price' }]), /"op" and a "path"/);
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'add', path: '/price' }]), /needs a "value"/);
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'copy', path: '/price' }]), /needs a "from"/);
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'increment', path: '/price' }]), /Unknown operation/);
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'remove', path: '' }]), /cannot be removed/);
+    });
+
+    it('refuses to move a value into one of its own children', () => {
+        assert.throws(() => applyJsonPatch(product(), [{ op: 'move', from: '/sales', path: '/sales/0' }]), /own children/);
+    });
+});
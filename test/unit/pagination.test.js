@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, buildCursorFilter, withTieBreaker } = require('../../utils/pagination');
+
+const { ObjectId } = mongoose.Types;
+
+const roundTrip = (doc, sortField, sortOrder) => decodeCursor(encodeCursor(doc, sortField, sortOrder), sortField, sortOrder);
+
+describe('cursor tokens', () => {
+    const id = new ObjectId();
+
+    it('round-trips strings, numbers, booleans and null', () => {
+        for (const value of ['Desk lamp', 1999, 0, true, null]) {
+            const position = roundTrip({ _id: id, name: value }, 'name', 1);
+            assert.deepEqual(position, { sortField: 'name', sortOrder: 1, value, id });
+        }
+    });
+
+    it('treats a missing sort value as null', () => {
+        assert.equal(roundTrip({ _id: id }, 'sku', -1).value, null);
+    });
+
+    it('keeps dates and ids as dates and ids', () => {
+        const createdAt = new Date('2024-01-15T12:00:00.000Z');
+        const category = new ObjectId();
+        assert.deepEqual(roundTrip({ _id: id, createdAt }, 'createdAt', -1).value, createdAt);
+        assert.deepEqual(roundTrip({ _id: id, category }, 'category', 1).value, category);
+    });
+
+    it('reads the sort value of mongoose documents through get()', () => {
+        const doc = { _id: id, get: (path) => ({ quantity: 42 })[path] };
+        assert.equal(roundTrip(doc, 'quantity', 1).value, 42);
+    });
+
+    it('refuses to build a cursor from a field holding a list', () => {
+        const doc = { _id: id, 'variants.sku': ['A-1', 'A-2'] };
+        assert.throws(() => encodeCursor(doc, 'variants.sku', 1), /holding a list/);
+    });
+
+    it('rejects a cursor issued for another sort', () => {
+        const token = encodeCursor({ _id: id, name: 'Desk lamp' }, 'name', 1);
+        assert.throws(() => decodeCursor(token, 'name', -1), /does not match/);
+        assert.throws(() => decodeCursor(token, 'price', 1), /does not match/);
+    });
+
+    it('rejects tokens that are not cursors', () => {
+        assert.throws(() => decodeCursor('not-a-cursor', 'name', 1), /Invalid cursor/);
+        const noId = Buffer.from(JSON.stringify({ s: 'name', o: 1, v: 'a' })).toString('base64url');
+        assert.throws(() => decodeCursor(noId, 'name', 1), /Invalid cursor/);
+        const objectValue = Buffer.from(JSON.stringify({ s: 'name', o: 1, v: { $gt: '' }, id: String(id) })).toString('base64url');
+        assert.throws(() => decodeCursor(objectValue, 'name', 1), /Invalid cursor value/);
+    });
+});
+
+describe('buildCursorFilter', () => {
+    const id = new ObjectId();
+
+    it('continues after the value, then after the id among equal values', () => {
+        assert.deepEqual(buildCursorFilter({ sortField: 'name', sortOrder: 1, value: 'b', id }), {
+            $or: [{ name: { $gt: 'b' } }, { name: 'b', _id: { $gt: id } }]
+        });
+    });
+
+    it('puts missing values last when descending', () => {
+        assert.deepEqual(buildCursorFilter({ sortField: 'quantity', sortOrder: -1, value: 5, id }), {
+            $or: [{ quantity: { $lt: 5 } }, { quantity: 5, _id: { $lt: id } }, { quantity: null }]
+        });
+    });
+
+    it('puts missing values first when ascending', () => {
+        assert.deepEqual(buildCursorFilter({ sortField: 'sku', sortOrder: 1, value: null, id }), {
+            $or: [{ sku: null, _id: { $gt: id } }, { sku: { $ne: null } }]
+        });
+        assert.deepEqual(buildCursorFilter({ sortField: 'sku', sortOrder: -1, value: null, id }), {
+            sku: null, _id: { $lt: id }
+        });
+    });
+
+    it('needs only the id when sorting by id', () => {
+        assert.deepEqual(buildCursorFilter({ sortField: '_id', sortOrder: -1, value: id, id }), { _id: { $lt: id } });
+    });
+});
+
+describe('withTieBreaker', () => {
+    it('adds _id in the same direction', () => {
+        assert.deepEqual(withTieBreaker('name', -1), { name: -1, _id: -1 });
+        assert.deepEqual(withTieBreaker('_id', 1), { _id: 1 });
+    });
+});
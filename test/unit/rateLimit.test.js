@@ -0,0 +1,147 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../../utils/rateLimitStore');
+const {
+    setRateLimitStore,
+    groupPolicy,
+    hitSlidingWindow,
+    consumeQuota,
+    quotaUsage
+} = require('../../utils/rateLimit');
+
+const WINDOW_MS = 60 * 1000;
+// Start of some fixed window
+const WINDOW_START = 1000 * WINDOW_MS;
+
+const hits = async (count, key, policy, now) => {
+    const results = [];
+    for (let i = 0; i < count; i++) results.push(await hitSlidingWindow(key, policy, now));
+    return results;
+};
+
+beforeEach(() => {
+    setRateLimitStore(new MemoryStore({ sweepIntervalMs: WINDOW_MS }));
+});
+
+describe('groupPolicy', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    it('uses the default limit and a 60 second window', () => {
+        delete process.env.RATE_LIMIT_SEARCH;
+        delete process.env.RATE_LIMIT_WINDOW_MS;
+        assert.deepEqual(groupPolicy('search'), { limit: 30, windowMs: WINDOW_MS });
+    });
+
+    it('reads RATE_LIMIT_<GROUP> and RATE_LIMIT_WINDOW_MS', () => {
+        process.env.RATE_LIMIT_STREAM = '5';
+        process.env.RATE_LIMIT_WINDOW_MS = '1000';
+        assert.deepEqual(groupPolicy('stream'), { limit: 5, windowMs: 1000 });
+    });
+
+    it('takes 0 as switched off and ignores values that are not limits', () => {
+        process.env.RATE_LIMIT_WRITE = '0';
+        process.env.RATE_LIMIT_READ = 'lots';
+        process.env.RATE_LIMIT_WINDOW_MS = '0';
+        assert.deepEqual(groupPolicy('write'), { limit: 0, windowMs: WINDOW_MS });
+        assert.equal(groupPolicy('read').limit, 300);
+    });
+
+    it('rejects unknown groups', () => {
+        assert.throws(() => groupPolicy('admin'), /Unknown rate limit group/);
+    });
+});
+
+describe('hitSlidingWindow', () => {
+    const policy = { limit: 4, windowMs: WINDOW_MS };
+
+    it('allows up to the limit within a window and counts down what remains', async () => {
+        const results = await hits(5, 'rate:read:ip:1', policy, WINDOW_START + 10 * 1000);
+        assert.deepEqual(results.map(result => result.allowed), [true, true, true, true, false]);
+        assert.deepEqual(results.map(result => result.remaining), [3, 2, 1, 0, 0]);
+        assert.equal(results[0].resetMs, 50 * 1000);
+        assert.equal(results[0].retryAfterMs, 0);
+    });
+
+    it('keeps callers apart by key', async () => {
+        await hits(4, 'rate:read:ip:1', policy, WINDOW_START);
+        const [other] = await hits(1, 'rate:read:ip:2', policy, WINDOW_START);
+        assert.equal(other.allowed, true);
+    });
+
+    it('weighs the previous window by how much of it still overlaps', async () => {
+        await hits(4, 'rate:read:ip:1', policy, WINDOW_START);
+
+        // Right after the boundary the previous window still counts in full
+        const [boundary] = await hits(1, 'rate:read:ip:1', policy, WINDOW_START + WINDOW_MS);
+        assert.equal(boundary.allowed, false);
+    });
+
+    it('lets requests through again as the previous window slides out', async () => {
+        await hits(4, 'rate:read:ip:1', policy, WINDOW_START);
+
+        // Halfway through the next window the previous one counts for half: 2 + current
+        const results = await hits(3, 'rate:read:ip:1', policy, WINDOW_START + WINDOW_MS + 30 * 1000);
+        assert.deepEqual(results.map(result => result.allowed), [true, true, false]);
+        assert.deepEqual(results.map(result => result.remaining), [1, 0, 0]);
+        // With 3 in this window, 1 of the previous 4 may still count: wait until 3/4 of it slid out
+        assert.equal(results[2].retryAfterMs, 15 * 1000);
+    });
+
+    it('waits for a full window to end and slide out far enough', async () => {
+        const results = await hits(3, 'rate:auth:ip:1', { limit: 2, windowMs: WINDOW_MS }, WINDOW_START);
+        assert.equal(results[2].allowed, false);
+        // The rest of this window, then until 1 of its 3 requests is left in the next one
+        assert.equal(results[2].retryAfterMs, WINDOW_MS + (2 / 3) * WINDOW_MS);
+    });
+});
+
+describe('daily quotas', () => {
+    const saved = process.env.API_KEY_DAILY_QUOTA;
+    const now = Date.parse('2026-10-19T15:00:00.000Z');
+
+    afterEach(() => {
+        if (saved === undefined) delete process.env.API_KEY_DAILY_QUOTA;
+        else process.env.API_KEY_DAILY_QUOTA = saved;
+    });
+
+    it('counts requests against the key\'s own quota until the next UTC day', async () => {
+        const apiKey = { _id: 'key-1', dailyQuota: 2 };
+        const results = [];
+        for (let i = 0; i < 3; i++) results.push(await consumeQuota(apiKey, now));
+
+        assert.deepEqual(results.map(result => result.allowed), [true, true, false]);
+        assert.deepEqual(results.map(result => result.remaining), [1, 0, 0]);
+        assert.deepEqual(results[0].resetsAt, new Date('2026-10-20T00:00:00.000Z'));
+
+        const nextDay = await consumeQuota(apiKey, Date.parse('2026-10-20T00:00:01.000Z'));
+        assert.equal(nextDay.used, 1);
+    });
+
+    it('falls back to API_KEY_DAILY_QUOTA, and counts keys without a quota too', async () => {
+        process.env.API_KEY_DAILY_QUOTA = '10';
+        assert.equal((await consumeQuota({ _id: 'key-2' }, now)).limit, 10);
+
+        delete process.env.API_KEY_DAILY_QUOTA;
+        const unlimited = await consumeQuota({ _id: 'key-3' }, now);
+        assert.deepEqual([unlimited.allowed, unlimited.limit, unlimited.remaining, unlimited.used], [true, null, null, 1]);
+    });
+
+    it('reports today\'s use without counting a request', async () => {
+        const apiKey = { _id: 'key-4', dailyQuota: 5 };
+        await consumeQuota(apiKey, now);
+
+        const usage = await quotaUsage(apiKey, now);
+        assert.deepEqual(usage, {
+            date: '2026-10-19',
+            limit: 5,
+            used: 1,
+            remaining: 4,
+            resetsAt: new Date('2026-10-20T00:00:00.000Z')
+        });
+        assert.equal((await quotaUsage(apiKey, now)).used, 1);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema } = require('../../utils/schema');
+
+const errorsOf = (schema, value, options) => validateSchema(schema, value, options).errors;
+
+describe('validateSchema types', () => {
+    it('accepts a value of one of the listed types', () => {
+        assert.deepEqual(errorsOf({ type: ['number', 'null'] }, null), []);
+        assert.deepEqual(errorsOf({ type: ['number', 'null'] }, 19.99), []);
+    });
+
+    it('names every allowed type when none fits', () => {
+        assert.deepEqual(errorsOf({ type: ['integer', 'null'] }, 1.5), [{ pointer: '', detail: 'must be a whole number or null' }]);
+        assert.deepEqual(errorsOf({ type: 'object' }, []), [{ pointer: '', detail: 'must be an object' }]);
+    });
+
+    it('does not count NaN or Infinity as numbers', () => {
+        assert.equal(errorsOf({ type: 'number' }, NaN).length, 1);
+        assert.equal(errorsOf({ type: 'number' }, Infinity).length, 1);
+    });
+});
+
+describe('validateSchema coercion', () => {
+    const query = {
+        type: 'object',
+        properties: { page: { type: 'integer', minimum: 1 }, inStock: { type: 'boolean' }, q: { type: 'string' } }
+    };
+
+    it('reads query strings as the numbers and booleans the schema wants', () => {
+        const { value, errors } = validateSchema(query, { page: ' 2 ', inStock: 'false', q: '42' }, { coerce: true });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(value, { page: 2, inStock: false, q: '42' });
+    });
+
+    it('leaves strings that do not read as one alone', () => {
+        const { errors } = validateSchema(query, { page: 'two', inStock: 'yes' }, { coerce: true });
+        assert.deepEqual(errors.map(error => error.pointer), ['/page', '/inStock']);
+    });
+
+    it('only reads numbers written the way parseInt and parseFloat read them', () => {
+        const { errors } = validateSchema(query, { page: '0.5e1' }, { coerce: true });
+        assert.deepEqual(errors, [{ pointer: '/page', detail: 'must be a whole number' }]);
+        assert.equal(errorsOf(query, { page: '1e3' }, { coerce: true }).length, 1);
+        assert.equal(errorsOf(query, { page: '5.0' }, { coerce: true }).length, 1);
+        assert.equal(errorsOf(query, { page: '0x10' }, { coerce: true }).length, 1);
+
+        const price = { type: 'object', properties: { minPrice: { type: 'number' } } };
+        assert.deepEqual(validateSchema(price, { minPrice: '19.99' }, { coerce: true }).value, { minPrice: 19.99 });
+        assert.deepEqual(validateSchema(price, { minPrice: '1e3' }, { coerce: true }).value, { minPrice: 1000 });
+        assert.equal(errorsOf(price, { minPrice: '0x10' }, { coerce: true }).length, 1);
+        assert.equal(errorsOf(price, { minPrice: 'Infinity' }, { coerce: true }).length, 1);
+    });
+
+    it('only coerces when asked to', () => {
+        assert.deepEqual(errorsOf(query, { page: '2' }), [{ pointer: '/page', detail: 'must be a whole number' }]);
+    });
+});
+
+describe('validateSchema keywords', () => {
+    it('checks enum, minimum, exclusiveMinimum and maximum', () => {
+        assert.deepEqual(errorsOf({ enum: ['csv', 'json'] }, 'xml'), [{ pointer: '', detail: 'must be one of: csv, json' }]);
+        assert.deepEqual(errorsOf({ type: 'number', minimum: 0 }, -1), [{ pointer: '', detail: 'must be at least 0' }]);
+        assert.deepEqual(errorsOf({ type: 'number', exclusiveMinimum: 0 }, 0), [{ pointer: '', detail: 'must be greater than 0' }]);
+        assert.deepEqual(errorsOf({ type: 'integer', maximum: 100 }, 101), [{ pointer: '', detail: 'must be at most 100' }]);
+    });
+
+    it('checks string lengths and patterns', () => {
+        assert.deepEqual(errorsOf({ type: 'string', minLength: 1 }, ''), [{ pointer: '', detail: 'must not be empty' }]);
+        assert.deepEqual(errorsOf({ type: 'string', maxLength: 3 }, 'abcd'), [{ pointer: '', detail: 'must be at most 3 characters' }]);
+        assert.deepEqual(errorsOf({ type: 'string', pattern: '^[A-Z]{3}$' }, 'usd'), [{ pointer: '', detail: 'has an invalid format' }]);
+    });
+
+    it('checks the formats', () => {
+        assert.deepEqual(errorsOf({ type: 'string', format: 'objectId' }, '507f1f77bcf86cd799439011'), []);
+        assert.deepEqual(errorsOf({ type: 'string', format: 'objectId' }, 'abcdefghijkl'), [{ pointer: '', detail: 'must be a valid id' }]);
+        assert.deepEqual(errorsOf({ type: 'string', format: 'date-time' }, 'tomorrow'), [{ pointer: '', detail: 'must be a valid date' }]);
+        assert.deepEqual(errorsOf({ type: 'string', format: 'uri' }, 'ftp://example.com'), [{ pointer: '', detail: 'must be an http or https URL' }]);
+    });
+
+    it('replaces the messages of a schema with x-message', () => {
+        assert.deepEqual(errorsOf({ type: 'string', pattern: '\\S', 'x-message': 'must be a non-empty string' }, 5), [
+            { pointer: '', detail: 'must be a non-empty string' }
+        ]);
+    });
+});
+
+describe('validateSchema objects and arrays', () => {
+    const sale = {
+        type: 'object',
+        required: ['price', 'startsAt'],
+        properties: { price: { type: 'number', minimum: 0 }, startsAt: { type: 'string', format: 'date-time' } }
+    };
+
+    it('points at required, invalid and extra properties', () => {
+        const schema = { ...sale, additionalProperties: false };
+        assert.deepEqual(errorsOf(schema, { price: -1, endsAt: 'x' }), [
+            { pointer: '/startsAt', detail: 'is required' },
+            { pointer: '/price', detail: 'must be at least 0' },
+            { pointer: '/endsAt', detail: 'is not allowed' }
+        ]);
+    });
+
+    it('treats undefined properties as missing', () => {
+        assert.deepEqual(errorsOf(sale, { price: undefined, startsAt: '2026-11-24T00:00:00Z' }), [{ pointer: '/price', detail: 'is required' }]);
+    });
+
+    it('checks array items and counts', () => {
+        const schema = { type: 'array', items: sale, minItems: 1, maxItems: 2 };
+        assert.deepEqual(errorsOf(schema, []), [{ pointer: '', detail: 'must not be empty' }]);
+        assert.deepEqual(errorsOf(schema, [{ price: 1, startsAt: 'x' }]), [{ pointer: '/0/startsAt', detail: 'must be a valid date' }]);
+        assert.deepEqual(errorsOf({ ...schema, items: undefined }, [1, 2, 3]), [{ pointer: '', detail: 'must have at most 2 items' }]);
+    });
+
+    it('checks property names and additional properties', () => {
+        const options = {
+            type: 'object',
+            minProperties: 1,
+            propertyNames: { type: 'string', pattern: '^[a-z]+$' },
+            additionalProperties: { type: 'string' }
+        };
+        assert.deepEqual(errorsOf(options, {}), [{ pointer: '', detail: 'must not be empty' }]);
+        assert.deepEqual(errorsOf(options, { size: 'M', 'a/b': 'x', colour: 1 }), [
+            { pointer: '/a~1b', detail: 'has an invalid format' },
+            { pointer: '/colour', detail: 'must be a string' }
+        ]);
+    });
+});
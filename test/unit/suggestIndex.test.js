@@ -0,0 +1,94 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SuggestIndex, tokenize } = require('../../utils/suggestIndex');
+
+const PRODUCTS = [
+    { _id: 'p1', name: 'iPhone 15 Pro', category: 'phones', sku: 'IPH15P' },
+    { _id: 'p2', name: 'iPhone 15', category: 'phones' },
+    { _id: 'p3', name: 'Crème brûlée torch', category: 'kitchen' },
+    { _id: 'p4', name: 'Trail Runner', category: 'shoes', variants: [{ sku: 'TR42' }, { sku: 'TR43' }] },
+    { _id: 'p5', name: 'Phone case', category: 'accessories' }
+];
+
+const names = (results) => results.map(result => result.name);
+
+describe('tokenize', () => {
+    it('lowercases, strips accents and splits on anything but letters and digits', () => {
+        assert.deepEqual(tokenize('Crème Brûlée-Torch (2 pack)'), ['creme', 'brulee', 'torch', '2', 'pack']);
+        assert.deepEqual(tokenize(null), []);
+    });
+});
+
+describe('SuggestIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SuggestIndex();
+        PRODUCTS.forEach(product => index.upsert(product));
+    });
+
+    it('finds products by the prefix of a term, exact matches first', () => {
+        const results = index.suggest('iph');
+        assert.deepEqual(names(results), ['iPhone 15', 'iPhone 15 Pro', 'Phone case']);
+        assert.deepEqual(results.map(result => result.typos), [0, 0, 1]);
+    });
+
+    it('forgives typos in longer terms, a swapped pair counting as one', () => {
+        const [best] = index.suggest('iphnoe');
+        assert.equal(best.typos, 1);
+        assert.ok(['iPhone 15', 'iPhone 15 Pro'].includes(best.name));
+        assert.deepEqual(names(index.suggest('runnr')), ['Trail Runner']);
+    });
+
+    it('matches short terms exactly', () => {
+        assert.deepEqual(index.suggest('ip').length, 2);
+        assert.deepEqual(index.suggest('xp'), []);
+    });
+
+    it('needs every query term to match', () => {
+        assert.deepEqual(index.suggest('iphone pro')[0], { _id: 'p1', name: 'iPhone 15 Pro', category: 'phones', typos: 0 });
+        assert.deepEqual(index.suggest('iphone torch'), []);
+    });
+
+    it('ranks closer matches first, then names starting with the query', () => {
+        assert.deepEqual(names(index.suggest('phone')), ['Phone case', 'iPhone 15', 'iPhone 15 Pro']);
+        assert.deepEqual(index.suggest('phone').map(result => result.typos), [0, 1, 1]);
+    });
+
+    it('finds products by their own and their variants\' SKUs', () => {
+        assert.deepEqual(names(index.suggest('iph15p')), ['iPhone 15 Pro']);
+        assert.deepEqual(names(index.suggest('tr43')), ['Trail Runner']);
+    });
+
+    it('matches accented names without the accents', () => {
+        assert.deepEqual(names(index.suggest('creme brulee')), ['Crème brûlée torch']);
+    });
+
+    it('returns at most limit results with id and category', () => {
+        assert.deepEqual(index.suggest('iphone', 1), [{ _id: 'p2', name: 'iPhone 15', category: 'phones', typos: 0 }]);
+        assert.deepEqual(index.suggest('  '), []);
+    });
+
+    it('replaces a product on upsert and forgets it on remove', () => {
+        index.upsert({ _id: 'p4', name: 'Road Runner', category: 'shoes' });
+        assert.deepEqual(index.suggest('trail'), []);
+        assert.deepEqual(names(index.suggest('road')), ['Road Runner']);
+
+        index.remove('p4');
+        assert.deepEqual(index.suggest('runner'), []);
+        assert.equal(index.size, PRODUCTS.length - 1);
+    });
+
+    it('loads every product from the model', async () => {
+        const Product = {
+            find: () => ({
+                lean: () => ({
+                    cursor: async function* cursor() { yield* PRODUCTS.slice(0, 2); }
+                })
+            })
+        };
+        assert.equal(await index.load(Product), 2);
+        assert.deepEqual(index.suggest('trail'), []);
+        assert.deepEqual(names(index.suggest('iphone')), ['iPhone 15', 'iPhone 15 Pro']);
+    });
+});
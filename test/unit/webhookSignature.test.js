@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signatureHeader, verifySignature } = require('../../utils/webhookSignature');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ id: 'evt_1', type: 'product.updated', data: { productId: '507f1f77bcf86cd799439011' } });
+const TIMESTAMP = 1760886000;
+const NOW = TIMESTAMP * 1000;
+
+describe('signatureHeader', () => {
+    it('is the timestamp and the HMAC-SHA256 of "<t>.<body>"', () => {
+        const hmac = crypto.createHmac('sha256', SECRET).update(`${TIMESTAMP}.${BODY}`).digest('hex');
+        assert.equal(signatureHeader(SECRET, BODY, TIMESTAMP), `t=${TIMESTAMP},v1=${hmac}`);
+    });
+
+    it('uses the current time by default', () => {
+        const [, t] = signatureHeader(SECRET, BODY).match(/^t=(\d+),v1=[0-9a-f]{64}$/);
+        assert.ok(Math.abs(Number(t) - Date.now() / 1000) < 5);
+    });
+});
+
+describe('verifySignature', () => {
+    const header = signatureHeader(SECRET, BODY, TIMESTAMP);
+
+    it('accepts a signature made with the secret over the same body', () => {
+        assert.equal(verifySignature(SECRET, header, BODY, NOW), true);
+        assert.equal(verifySignature(SECRET, header.replace(',', ' , '), BODY, NOW + 60 * 1000), true);
+    });
+
+    it('rejects another secret or a changed body', () => {
+        assert.equal(verifySignature('whsec_other', header, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, header, BODY.replace('updated', 'deleted'), NOW), false);
+    });
+
+    it('rejects signatures more than five minutes off, either way', () => {
+        assert.equal(verifySignature(SECRET, header, BODY, NOW + 5 * 60 * 1000), true);
+        assert.equal(verifySignature(SECRET, header, BODY, NOW + 5 * 60 * 1000 + 1000), false);
+        assert.equal(verifySignature(SECRET, header, BODY, NOW - 6 * 60 * 1000), false);
+    });
+
+    it('rejects a timestamp changed after signing', () => {
+        const moved = header.replace(`t=${TIMESTAMP}`, `t=${TIMESTAMP + 1}`);
+        assert.equal(verifySignature(SECRET, moved, BODY, NOW), false);
+    });
+
+    it('rejects missing and malformed headers', () => {
+        assert.equal(verifySignature(SECRET, undefined, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${TIMESTAMP}`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `v1=${header.split('v1=')[1]}`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${TIMESTAMP},v1=abc`, BODY, NOW), false);
+        assert.equal(verifySignature(SECRET, `t=${TIMESTAMP},v1=not-hex`, BODY, NOW), false);
+    });
+});
@@ -0,0 +1,443 @@
+// Time-series reports over the catalog: activity, price changes, stock-outs and growth
+// Counts come from product timestamps, the product and price histories, and the daily
+// catalog snapshots taken by jobs/catalogSnapshot. Periods are UTC days, weeks
+// starting on Monday, or calendar months.
+const Product = require('../models/products');
+const Category = require('../models/categories');
+const ProductVersion = require('../models/productVersions');
+const PriceChange = require('../models/priceHistory');
+const CatalogSnapshot = require('../models/catalogSnapshots');
+const { categoryFilterIds } = require('./categories');
+const { ApiError } = require('./errors');
+
+// Thrown for problems the caller can fix
+class AnalyticsError extends ApiError {}
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Reports cover this many days up to now unless ?from= says otherwise
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest series one report returns: a year of days, with room to spare
+const MAX_PERIODS = 400;
+
+// History actions that change an existing product (see models/productVersions)
+const UPDATE_ACTIONS = [
+    'update', 'variant-add', 'variant-update', 'variant-remove',
+    'media-add', 'media-update', 'media-remove', 'media-reorder', 'revert'
+];
+
+// Lower bounds of the price-change buckets, in percent; the last bucket (+100% and
+// more) is open-ended. Prices never go below 0, so nothing falls under -100%.
+const CHANGE_BUCKET_BOUNDARIES = [-100, -50, -25, -10, -5, 0, 5, 10, 25, 50, 100];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== RANGES AND PERIODS =====
+
+// Start of the period `date` falls in, the same as $dateTrunc in UTC
+const periodStart = (date, interval) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+    if (interval === 'week') {
+        // getUTCDay() is 0 on Sunday
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+    return start;
+};
+
+const nextPeriod = (start, interval) => {
+    const next = new Date(start);
+    if (interval === 'month') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+    } else {
+        next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+    }
+    return next;
+};
+
+/**
+ * The range of a report from its query: { from, to, interval, periods }
+ * from is inclusive and to exclusive (defaults: the last 30 days up to now);
+ * periods are the starts of every period the range touches, so the first and
+ * last can be partial
+ * Throws 400 when from is not before to, or the range has too many periods
+ */
+const readRange = (query, now = new Date()) => {
+    const to = query.to ? new Date(query.to) : now;
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    const interval = query.interval || 'day';
+
+    if (from >= to) {
+        throw new AnalyticsError('from must be before to', 400, { from, to });
+    }
+
+    const periods = [];
+    for (let start = periodStart(from, interval); start < to; start = nextPeriod(start, interval)) {
+        if (periods.length === MAX_PERIODS) {
+            throw new AnalyticsError(`The range covers more than ${MAX_PERIODS} periods; shorten it or use a longer interval`, 400, {
+                from, to, interval
+            });
+        }
+        periods.push(start);
+    }
+    return { from, to, interval, periods };
+};
+
+// Ids of ?category= and its subcategories, or null when no category was asked for
+const readCategoryIds = async (query) => (
+    query.category && query.category.trim() !== '' ? categoryFilterIds(query.category.trim()) : null
+);
+
+const describeRange = ({ from, to, interval }) => ({ from, to, interval });
+
+// Aggregation expression: start of the period the date at `path` falls in
+const periodExpression = (path, interval) => ({
+    $dateTrunc: {
+        date: path,
+        unit: interval,
+        timezone: 'UTC',
+        ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+    }
+});
+
+const inRange = ({ from, to }) => ({ $gte: from, $lt: to });
+
+/**
+ * One row per period of the range, merging rows grouped by period (_id)
+ * Fields missing for a period take their value from `empty`
+ */
+const fillSeries = (range, rowLists, empty) => {
+    const byPeriod = new Map();
+    rowLists.flat().forEach(row => {
+        const key = row._id.getTime();
+        byPeriod.set(key, { ...byPeriod.get(key), ...row });
+    });
+
+    return range.periods.map(period => {
+        const row = byPeriod.get(period.getTime()) || {};
+        const values = {};
+        Object.keys(empty).forEach(field => {
+            values[field] = row[field] === undefined ? empty[field] : row[field];
+        });
+        return { period, ...values };
+    });
+};
+
+const sumOf = (series, field) => series.reduce((sum, row) => sum + row[field], 0);
+
+const round = (value, digits) => (value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+/**
+ * Count the documents of a raw collection per period of the date at `field`
+ * The raw collection skips the product model's hooks, so trashed products count too
+ */
+const countByPeriod = (collection, field, as, match, range) => collection.aggregate([
+    { $match: { ...match, [field]: inRange(range) } },
+    { $group: { _id: periodExpression(`$${field}`, range.interval), [as]: { $sum: 1 } } }
+]).toArray();
+
+/**
+ * History entries with the given actions per period, counted into fields.entries,
+ * and the number of products they touched into fields.products (when given)
+ */
+const historyByPeriod = (actions, fields, categoryIds, range) => ProductVersion.aggregate([
+    {
+        $match: {
+            createdAt: inRange(range),
+            action: { $in: actions },
+            // Snapshots keep the category as a string
+            ...(categoryIds ? { 'snapshot.category': { $in: categoryIds.map(String) } } : {})
+        }
+    },
+    { $group: { _id: { period: periodExpression('$createdAt', range.interval), product: '$product' }, entries: { $sum: 1 } } },
+    {
+        $group: {
+            _id: '$_id.period',
+            [fields.entries]: { $sum: '$entries' },
+            ...(fields.products ? { [fields.products]: { $sum: 1 } } : {})
+        }
+    }
+]);
+
+// ===== REPORTS =====
+
+/**
+ * Products created and updated per period
+ * created counts products by createdAt (trashed ones included; purged ones are gone);
+ * updatedAt only keeps the latest change of a product, so updates are counted from
+ * the product history instead: updates is the number of changes, updatedProducts the
+ * number of products changed in the period
+ * categoryIds: limit to products in these categories, or null for all
+ */
+const productActivity = async (range, categoryIds = null) => {
+    const categoryMatch = categoryIds ? { category: { $in: categoryIds } } : {};
+    const [created, updated] = await Promise.all([
+        countByPeriod(Product.collection, 'createdAt', 'created', categoryMatch, range),
+        historyByPeriod(UPDATE_ACTIONS, { entries: 'updates', products: 'updatedProducts' }, categoryIds, range)
+    ]);
+
+    const series = fillSeries(range, [created, updated], { created: 0, updates: 0, updatedProducts: 0 });
+
+    return {
+        range: describeRange(range),
+        totals: { created: sumOf(series, 'created'), updates: sumOf(series, 'updates') },
+        series
+    };
+};
+
+/**
+ * How regular prices changed: a histogram of the change in percent, a summary and
+ * the number of increases and decreases per period
+ * Only changes within one currency count; entries that only changed sales or the
+ * currency, and prices raised from 0, are left out
+ */
+const priceChangeDistribution = async (range, categoryIds = null) => {
+    const match = {
+        createdAt: inRange(range),
+        price: { $ne: null },
+        previousPrice: { $gt: 0 },
+        $expr: {
+            $and: [
+                { $ne: ['$price', '$previousPrice'] },
+                // Entries recorded before prices had a currency have no previous one
+                { $eq: [{ $ifNull: ['$previousCurrency', '$currency'] }, '$currency'] }
+            ]
+        }
+    };
+    if (categoryIds) {
+        // Price history does not keep the category; trashed products still count
+        match.product = { $in: await Product.collection.distinct('_id', { category: { $in: categoryIds } }) };
+    }
+
+    const counts = {
+        changes: { $sum: 1 },
+        increases: { $sum: { $cond: [{ $gt: ['$change', 0] }, 1, 0] } },
+        decreases: { $sum: { $cond: [{ $lt: ['$change', 0] }, 1, 0] } },
+        averageChange: { $avg: '$change' }
+    };
+
+    const [raw] = await PriceChange.aggregate([
+        { $match: match },
+        { $addFields: { change: { $multiply: [{ $divide: [{ $subtract: ['$price', '$previousPrice'] }, '$previousPrice'] }, 100] } } },
+        {
+            $facet: {
+                buckets: [{
+                    $bucket: {
+                        groupBy: '$change',
+                        boundaries: CHANGE_BUCKET_BOUNDARIES,
+                        default: 'other',
+                        output: { count: { $sum: 1 } }
+                    }
+                }],
+                summary: [{ $group: { _id: null, ...counts, largestIncrease: { $max: '$change' }, largestDecrease: { $min: '$change' } } }],
+                series: [{ $group: { _id: periodExpression('$createdAt', range.interval), ...counts } }]
+            }
+        }
+    ]);
+
+    const bucketCounts = new Map(raw.buckets.map(bucket => [bucket._id, bucket.count]));
+    const summary = raw.summary[0] || {};
+
+    return {
+        range: describeRange(range),
+        summary: {
+            changes: summary.changes || 0,
+            increases: summary.increases || 0,
+            decreases: summary.decreases || 0,
+            averageChange: summary.changes ? round(summary.averageChange, 2) : null,
+            largestIncrease: summary.largestIncrease > 0 ? round(summary.largestIncrease, 2) : null,
+            largestDecrease: summary.largestDecrease < 0 ? round(summary.largestDecrease, 2) : null
+        },
+        buckets: CHANGE_BUCKET_BOUNDARIES.map((min, index) => ({
+            min,
+            max: index + 1 < CHANGE_BUCKET_BOUNDARIES.length ? CHANGE_BUCKET_BOUNDARIES[index + 1] : null,
+            count: bucketCounts.get(index + 1 < CHANGE_BUCKET_BOUNDARIES.length ? min : 'other') || 0
+        })),
+        series: fillSeries(range, [raw.series], { changes: 0, increases: 0, decreases: 0, averageChange: null })
+            .map(row => ({ ...row, averageChange: round(row.averageChange, 2) }))
+    };
+};
+
+// Name and slug of each category id, for labelling rows
+const categoryLabels = async (ids) => {
+    const categories = await Category.find({ _id: { $in: ids } }, 'name slug').lean();
+    return new Map(categories.map(category => [String(category._id), category]));
+};
+
+// Share of product-days spent out of stock (0-1), or null without any
+const outOfStockRate = (outOfStockDays, productDays) => (productDays > 0 ? round(outOfStockDays / productDays, 4) : null);
+
+/**
+ * How often products of each category were out of stock, from the daily snapshots
+ * productDays adds up the products of the category over the days of the period,
+ * outOfStockDays those out of stock, so outOfStockRate is the share of the time an
+ * average product could not be bought. Days without a snapshot are not counted;
+ * snapshotDays says how many days the range has snapshots for.
+ * Categories are reported on their own (products directly in them); categoryIds
+ * limits the report to these categories
+ */
+const stockOutFrequency = async (range, categoryIds = null) => {
+    const dayMatch = { day: { $gte: periodStart(range.from, 'day'), $lt: range.to } };
+    const [rows, snapshotDays] = await Promise.all([
+        CatalogSnapshot.aggregate([
+            { $match: dayMatch },
+            { $unwind: '$categories' },
+            ...(categoryIds ? [{ $match: { 'categories.category': { $in: categoryIds } } }] : []),
+            {
+                $group: {
+                    _id: { period: periodExpression('$day', range.interval), category: '$categories.category' },
+                    days: { $sum: 1 },
+                    productDays: { $sum: '$categories.products' },
+                    outOfStockDays: { $sum: '$categories.outOfStock' }
+                }
+            },
+            { $sort: { '_id.period': 1, '_id.category': 1 } }
+        ]),
+        CatalogSnapshot.countDocuments(dayMatch)
+    ]);
+
+    const labels = await categoryLabels(rows.map(row => row._id.category).filter(Boolean));
+    const label = (id) => {
+        const category = id ? labels.get(String(id)) : null;
+        return { categoryId: id, category: category ? category.name : null, slug: category ? category.slug : null };
+    };
+
+    const totals = new Map();
+    const series = rows.map(row => {
+        const key = String(row._id.category);
+        const total = totals.get(key) || { ...label(row._id.category), productDays: 0, outOfStockDays: 0 };
+        total.productDays += row.productDays;
+        total.outOfStockDays += row.outOfStockDays;
+        totals.set(key, total);
+
+        return {
+            period: row._id.period,
+            ...label(row._id.category),
+            days: row.days,
+            productDays: row.productDays,
+            outOfStockDays: row.outOfStockDays,
+            outOfStockRate: outOfStockRate(row.outOfStockDays, row.productDays)
+        };
+    });
+
+    return {
+        range: describeRange(range),
+        snapshotDays,
+        // Most often out of stock first
+        categories: [...totals.values()]
+            .map(total => ({ ...total, outOfStockRate: outOfStockRate(total.outOfStockDays, total.productDays) }))
+            .sort((a, b) => (b.outOfStockRate || 0) - (a.outOfStockRate || 0)),
+        series
+    };
+};
+
+/**
+ * How the catalog grew: products created, deleted and restored per period, and the
+ * size of the catalog at the end of each period
+ * created counts by createdAt (as productActivity does); deletions and restores come
+ * from the product history, which outlives purged products. totalProducts, inStock,
+ * outOfStock and units are those of the last snapshot in the period, null for
+ * periods without one. With categoryIds, everything is limited to those categories.
+ */
+const catalogGrowth = async (range, categoryIds = null) => {
+    const categoryMatch = categoryIds ? { category: { $in: categoryIds } } : {};
+    const wanted = categoryIds ? new Set(categoryIds.map(String)) : null;
+
+    const [created, deleted, restored, snapshots] = await Promise.all([
+        countByPeriod(Product.collection, 'createdAt', 'created', categoryMatch, range),
+        historyByPeriod(['delete'], { entries: 'deleted' }, categoryIds, range),
+        historyByPeriod(['restore'], { entries: 'restored' }, categoryIds, range),
+        CatalogSnapshot.aggregate([
+            { $match: { day: { $gte: periodStart(range.from, 'day'), $lt: range.to } } },
+            { $sort: { day: 1 } },
+            { $group: { _id: periodExpression('$day', range.interval), snapshot: { $last: '$$ROOT' } } }
+        ])
+    ]);
+
+    const totals = snapshots.map(({ _id, snapshot }) => {
+        if (!wanted) {
+            const { products, inStock, outOfStock, units } = snapshot;
+            return { _id, totalProducts: products, inStock, outOfStock, units };
+        }
+        const counts = snapshot.categories.filter(entry => entry.category && wanted.has(String(entry.category)));
+        return {
+            _id,
+            totalProducts: counts.reduce((sum, entry) => sum + entry.products, 0),
+            inStock: counts.reduce((sum, entry) => sum + entry.inStock, 0),
+            outOfStock: counts.reduce((sum, entry) => sum + entry.outOfStock, 0),
+            units: counts.reduce((sum, entry) => sum + entry.units, 0)
+        };
+    });
+
+    const series = fillSeries(range, [created, deleted, restored, totals], {
+        created: 0, deleted: 0, restored: 0, net: 0, totalProducts: null, inStock: null, outOfStock: null, units: null
+    }).map(row => ({ ...row, net: row.created - row.deleted + row.restored }));
+
+    const known = series.filter(row => row.totalProducts !== null);
+    return {
+        range: describeRange(range),
+        totals: {
+            created: sumOf(series, 'created'),
+            deleted: sumOf(series, 'deleted'),
+            restored: sumOf(series, 'restored'),
+            net: sumOf(series, 'net'),
+            startProducts: known.length > 0 ? known[0].totalProducts : null,
+            endProducts: known.length > 0 ? known[known.length - 1].totalProducts : null
+        },
+        series
+    };
+};
+
+// ===== SNAPSHOTS =====
+
+/**
+ * Record the live catalog (trash left out) as the snapshot of the UTC day of `at`
+ * Runs again on the same day replace the day's snapshot
+ * Returns the snapshot
+ */
+const captureCatalogSnapshot = async (at = new Date()) => {
+    const rows = await Product.aggregate([
+        {
+            $group: {
+                _id: '$category',
+                products: { $sum: 1 },
+                inStock: { $sum: { $cond: ['$inStock', 1, 0] } },
+                units: { $sum: '$quantity' }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+
+    const categories = rows.map(row => ({
+        category: row._id || null,
+        products: row.products,
+        inStock: row.inStock,
+        outOfStock: row.products - row.inStock,
+        units: row.units
+    }));
+
+    return CatalogSnapshot.findOneAndUpdate(
+        { day: periodStart(at, 'day') },
+        {
+            capturedAt: at,
+            products: categories.reduce((sum, entry) => sum + entry.products, 0),
+            inStock: categories.reduce((sum, entry) => sum + entry.inStock, 0),
+            outOfStock: categories.reduce((sum, entry) => sum + entry.outOfStock, 0),
+            units: categories.reduce((sum, entry) => sum + entry.units, 0),
+            categories
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = {
+    AnalyticsError,
+    INTERVALS,
+    readRange,
+    readCategoryIds,
+    productActivity,
+    priceChangeDistribution,
+    stockOutFrequency,
+    catalogGrowth,
+    captureCatalogSnapshot
+};
@@ -0,0 +1,876 @@
+// What the route definitions cannot say about each operation: its summary,
+// operationId (SDK method name), tags and responses. Parameters and request bodies
+// come from the validation schemas on the routes, descriptions included.
+// Keyed by "METHOD /mounted/path" exactly as the route is declared; utils/openapi
+// combines these with the routes, and `npm run openapi:check` fails on any route
+// that has no entry here
+const { version } = require('../package.json');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+const STRING = { type: 'string' };
+const INTEGER = { type: 'integer' };
+const NUMBER = { type: 'number' };
+const BOOLEAN = { type: 'boolean' };
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const NULLABLE_INTEGER = { type: ['integer', 'null'] };
+
+const API_INFO = {
+    title: 'Product API',
+    version,
+    description: 'Products, categories, inventory and accounts of the store. ' +
+        'Errors are application/problem+json; see the Problem schema.'
+};
+
+const TAGS = [
+    { name: 'Products', description: 'The catalog' },
+    { name: 'Product variants', description: 'Sizes, colours and other variations of a product' },
+    { name: 'Product media', description: 'Images of a product, with thumbnails' },
+    { name: 'Product history', description: 'Versions of a product and reverting to them' },
+    { name: 'Trash', description: 'Deleted products that can still be restored' },
+    { name: 'Bulk', description: 'Import, export and batches' },
+    { name: 'Categories', description: 'The category tree' },
+    { name: 'Inventory', description: 'Stock ledger and cart reservations' },
+    { name: 'Auth', description: 'User accounts and tokens' },
+    { name: 'API keys', description: 'Machine credentials (keys:admin)' },
+    { name: 'Webhooks', description: 'Signed notifications of product events (webhooks:admin)' },
+    { name: 'Currencies', description: 'Exchange rates for showing prices in other currencies' },
+    { name: 'Analytics', description: 'Time series of catalog activity, prices, stock-outs and growth (analytics:read)' },
+    { name: 'GraphQL', description: 'Products, search and statistics in the shape the client asks for' },
+    { name: 'Docs', description: 'This document' },
+    { name: 'Operations', description: 'Health checks and Prometheus metrics' }
+];
+
+// ===== SHARED RESPONSE SHAPES =====
+
+const message = (properties) => object({ message: STRING, ...properties });
+
+const pagePagination = object({
+    mode: { type: 'string', enum: ['page'] },
+    currentPage: INTEGER,
+    totalPages: NULLABLE_INTEGER,
+    totalProducts: NULLABLE_INTEGER,
+    productsPerPage: INTEGER,
+    hasNext: BOOLEAN,
+    hasPrev: BOOLEAN,
+    nextPage: NULLABLE_INTEGER,
+    prevPage: NULLABLE_INTEGER
+});
+
+const cursorPagination = object({
+    mode: { type: 'string', enum: ['cursor'] },
+    totalProducts: NULLABLE_INTEGER,
+    productsPerPage: INTEGER,
+    hasNext: BOOLEAN,
+    nextCursor: { type: ['string', 'null'] }
+});
+
+// { currentPage, totalPages, <total> } of the simple paginated listings
+const simplePagination = (total) => object({ currentPage: INTEGER, totalPages: INTEGER, [total]: INTEGER });
+
+const tokenPair = {
+    accessToken: STRING,
+    tokenType: { type: 'string', enum: ['Bearer'] },
+    expiresIn: STRING,
+    refreshToken: STRING,
+    refreshTokenExpiresAt: DATE_TIME
+};
+
+const searchFacets = object({
+    categories: arrayOf(object({ value: ref('ObjectId'), name: { type: ['string', 'null'] }, slug: { type: ['string', 'null'] }, count: INTEGER })),
+    stock: object({ inStock: INTEGER, outOfStock: INTEGER }),
+    priceRanges: arrayOf(object({ currency: STRING, min: NUMBER, max: { type: ['number', 'null'] }, count: INTEGER }))
+});
+
+// What a product or variant sells for right now (see utils/pricing)
+const pricing = (properties = {}) => ({
+    type: 'object',
+    required: ['price', 'regularPrice', 'onSale', 'saleEndsAt', ...Object.keys(properties)],
+    properties: {
+        ...properties,
+        price: { type: 'number', description: 'Price right now in currency, sales included; the lowest variant price for products with variants' },
+        regularPrice: { type: 'number', description: 'Price without the sale' },
+        onSale: BOOLEAN,
+        saleEndsAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+});
+
+const batchResult = {
+    type: 'object',
+    required: ['index', 'op', 'id', 'status'],
+    description: 'Successful results carry product (or deletedAt); failed ones carry the members of a Problem',
+    properties: {
+        index: INTEGER,
+        op: { type: ['string', 'null'] },
+        id: {},
+        status: INTEGER,
+        product: ref('Product'),
+        deletedAt: DATE_TIME,
+        detail: STRING,
+        errors: arrayOf(ref('FieldError'))
+    },
+    additionalProperties: true
+};
+
+const categoryNode = {
+    allOf: [ref('Category'), object({ children: arrayOf({ $ref: '#/components/schemas/Category' }) })],
+    description: 'With tree=true each category carries its subcategories in children'
+};
+
+const categoryStats = {
+    type: 'object',
+    properties: {
+        categoryId: ref('ObjectId'),
+        category: STRING,
+        slug: STRING,
+        parent: { type: ['string', 'null'] },
+        count: INTEGER,
+        directCount: INTEGER,
+        averagePrice: { type: ['number', 'null'] },
+        totalValue: NUMBER,
+        minPrice: { type: ['number', 'null'] },
+        maxPrice: { type: ['number', 'null'] },
+        unitsOnHand: INTEGER,
+        reservedUnits: INTEGER,
+        inStockCount: INTEGER,
+        outOfStockCount: INTEGER,
+        inStockPercentage: NUMBER
+    }
+};
+
+const importReport = object({
+    summary: object({
+        mode: STRING,
+        dryRun: BOOLEAN,
+        totalRows: INTEGER,
+        valid: INTEGER,
+        invalid: INTEGER,
+        created: INTEGER,
+        updated: INTEGER,
+        failed: INTEGER
+    }),
+    errors: arrayOf(object({ line: INTEGER, sku: { type: ['string', 'null'] }, errors: arrayOf(STRING) }))
+});
+
+const healthCheck = {
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: ['up', 'down'] },
+        state: STRING,
+        latencyMs: NUMBER,
+        error: STRING
+    },
+    required: ['status', 'state']
+};
+
+const readiness = object({
+    status: { type: 'string', enum: ['OK', 'UNAVAILABLE'] },
+    timestamp: DATE_TIME,
+    service: STRING,
+    checks: object({ mongodb: healthCheck })
+});
+
+const readinessResponses = {
+    200: { description: 'Ready to serve traffic: MongoDB is connected and answers a ping', schema: readiness },
+    503: { description: 'A dependency is down; checks says which', schema: readiness }
+};
+
+const stockSummary = object({ quantity: INTEGER, reserved: INTEGER, available: INTEGER, inStock: BOOLEAN });
+
+const ok = (description, schema) => ({ 200: { description, schema } });
+const created = (description, schema) => ({ 201: { description, schema } });
+
+// Body of every GraphQL answer; errors carry the HTTP status they stand for in extensions.status
+const graphqlResult = object({
+    data: { type: ['object', 'null'] },
+    errors: arrayOf(object({
+        message: STRING,
+        locations: arrayOf(object({ line: INTEGER, column: INTEGER })),
+        path: arrayOf({ type: ['string', 'integer'] }),
+        extensions: object({ status: INTEGER })
+    }, ['message']))
+}, []);
+
+const graphqlResponses = {
+    200: { description: 'The operation ran; data holds what resolved and errors what failed', schema: graphqlResult },
+    400: { description: 'The document does not parse or validate, so nothing ran', schema: graphqlResult }
+};
+
+// JSON report, or its rows as CSV with format=csv
+const report = (description, schema) => ({
+    200: {
+        description,
+        content: {
+            'application/json': { schema },
+            'text/csv': { schema: STRING }
+        }
+    }
+});
+
+const NULLABLE_NUMBER = { type: ['number', 'null'] };
+// Category of a stock-out row; null for products without a category
+const reportCategory = {
+    categoryId: { type: ['string', 'null'] },
+    category: { type: ['string', 'null'] },
+    slug: { type: ['string', 'null'] }
+};
+const analyticsRange = object({ from: DATE_TIME, to: DATE_TIME, interval: { type: 'string', enum: ['day', 'week', 'month'] } });
+
+// ===== OPERATIONS =====
+
+const OPERATIONS = {
+    // ----- Products
+    'GET /api/products/test': {
+        operationId: 'testProductRoutes',
+        tags: ['Products'],
+        summary: 'Check that the product routes respond',
+        responses: ok('Routing works', object({ message: STRING, timestamp: DATE_TIME }))
+    },
+    'GET /api/products/search': {
+        operationId: 'searchProducts',
+        tags: ['Products'],
+        summary: 'Full-text search ranked by relevance, with facets',
+        conditional: 'read',
+        responses: ok('Matching products, most relevant first; facets count all matches, price ranges in currency', object({
+            search: { oneOf: [
+                object({ query: STRING, mode: { type: 'string', enum: ['page'] }, totalResults: NULLABLE_INTEGER, currentPage: INTEGER, totalPages: NULLABLE_INTEGER, hasNext: BOOLEAN, hasPrev: BOOLEAN }),
+                object({ query: STRING, mode: { type: 'string', enum: ['cursor'] }, totalResults: NULLABLE_INTEGER, hasNext: BOOLEAN, nextCursor: { type: ['string', 'null'] } })
+            ] },
+            facets: searchFacets,
+            results: INTEGER,
+            products: arrayOf(ref('Product'))
+        }))
+    },
+    'GET /api/products/suggest': {
+        operationId: 'suggestProducts',
+        tags: ['Products'],
+        summary: 'Typo-tolerant autocomplete on product names',
+        responses: ok('Suggestions, closest first', object({
+            query: STRING,
+            count: INTEGER,
+            suggestions: arrayOf(object({ _id: ref('ObjectId'), name: STRING, category: {}, typos: INTEGER }))
+        }))
+    },
+    'GET /api/products/stats': {
+        operationId: 'getProductStats',
+        tags: ['Products'],
+        summary: 'Catalog statistics: stock, prices and inventory value by category',
+        responses: ok('Statistics; prices and values are regular prices in the base currency (priceStatistics.currency), ' +
+            'leaving out products in a currency without an exchange rate', object({
+            summary: { type: 'object', additionalProperties: true },
+            priceStatistics: { type: 'object', additionalProperties: true },
+            categories: arrayOf(categoryStats),
+            lastUpdated: DATE_TIME
+        }))
+    },
+    'GET /api/products': {
+        operationId: 'listProducts',
+        tags: ['Products'],
+        summary: 'List products with filters, sorting and pagination',
+        conditional: 'read',
+        responses: ok('A page of products', object({
+            pagination: { oneOf: [pagePagination, cursorPagination] },
+            filters: { type: 'object', additionalProperties: true },
+            count: INTEGER,
+            products: arrayOf(ref('Product'))
+        }))
+    },
+    'GET /api/products/:id': {
+        operationId: 'getProduct',
+        tags: ['Products'],
+        summary: 'Get a product',
+        conditional: 'read',
+        responses: ok('The product, with its category populated; send its ETag back in If-Match on PUT, PATCH and DELETE', ref('Product'))
+    },
+    'POST /api/products': {
+        operationId: 'createProduct',
+        tags: ['Products'],
+        summary: 'Create a product',
+        responses: created('Created; quantity (or each variant\'s quantity) is recorded as opening stock', message({ product: ref('Product') })),
+        errors: { 409: 'A product with this SKU already exists' }
+    },
+    'PUT /api/products/:id': {
+        operationId: 'replaceProduct',
+        tags: ['Products'],
+        summary: 'Replace the editable fields of a product',
+        conditional: 'write',
+        responses: ok('Updated; stock and variants are left as they were', message({ product: ref('Product') })),
+        errors: { 409: 'A product with this SKU already exists' }
+    },
+    'PATCH /api/products/:id': {
+        operationId: 'patchProduct',
+        tags: ['Products'],
+        summary: 'Change some fields of a product (JSON Merge Patch or JSON Patch)',
+        conditional: 'write',
+        responses: ok('Updated', message({ changed: arrayOf(STRING), product: ref('Product') })),
+        errors: { 409: 'A test operation failed, or the SKU is taken', 415: 'Unsupported patch format' }
+    },
+    'DELETE /api/products/:id': {
+        operationId: 'deleteProduct',
+        tags: ['Products'],
+        summary: 'Move a product to the trash',
+        conditional: 'write',
+        responses: ok('Trashed', message({ deletedProduct: ref('Product'), purgeAt: DATE_TIME })),
+        errors: { 409: 'Stock of the product is reserved by carts' }
+    },
+
+    // ----- Bulk
+    'POST /api/products/import': {
+        operationId: 'importProducts',
+        tags: ['Bulk'],
+        summary: 'Create or update many products from CSV or NDJSON',
+        responses: ok('Import report; every row is checked like POST /api/products and rejected rows do not stop the others', importReport),
+        errors: { 415: 'The upload is neither CSV nor NDJSON' }
+    },
+    'GET /api/products/export': {
+        operationId: 'exportProducts',
+        tags: ['Bulk'],
+        summary: 'Download every product matching the listing filters',
+        responses: {
+            200: {
+                description: 'The products, streamed',
+                content: {
+                    'application/json': { schema: arrayOf(ref('Product')) },
+                    'application/x-ndjson': { schema: STRING },
+                    'text/csv': { schema: STRING }
+                }
+            }
+        }
+    },
+    'POST /api/products/batch': {
+        operationId: 'batchProducts',
+        tags: ['Bulk'],
+        summary: 'Create, update and delete up to 200 products in one request',
+        responses: {
+            200: { description: 'Every operation succeeded', schema: ref('BatchResult') },
+            207: { description: 'Some operations failed; each operation has a result of its own', schema: ref('BatchResult') }
+        },
+        errors: { 501: 'Atomic batches need MongoDB running as a replica set' }
+    },
+
+    // ----- Live stream
+    'GET /api/products/stream': {
+        operationId: 'streamProductChanges',
+        tags: ['Products'],
+        summary: 'Receive product changes as they happen (Server-Sent Events)',
+        responses: {
+            200: {
+                description: 'An endless stream of events: product.created, product.updated, product.deleted, ' +
+                    'product.out_of_stock and product.stock_changed, with the event as JSON data ({ id, type, createdAt, data }). ' +
+                    'Reconnecting with the Last-Event-ID header replays the events missed since while they are still buffered ' +
+                    '(STREAM_BUFFER_SIZE); otherwise a stream.reset event says to reload the products. The same URL accepts ' +
+                    'WebSocket connections, which get each event as one JSON text message; browsers pass the credential as an ' +
+                    'auth.<credential> subprotocol next to products-stream.',
+                content: { 'text/event-stream': { schema: STRING } }
+            }
+        }
+    },
+
+    // ----- Trash
+    'GET /api/products/trash': {
+        operationId: 'listTrash',
+        tags: ['Trash'],
+        summary: 'Trashed products, most recently deleted first',
+        responses: ok('A page of trashed products', object({
+            pagination: simplePagination('totalProducts'),
+            count: INTEGER,
+            products: arrayOf({ allOf: [ref('Product'), object({ purgeAt: DATE_TIME })] })
+        }))
+    },
+    'DELETE /api/products/trash/:id': {
+        operationId: 'purgeProduct',
+        tags: ['Trash'],
+        summary: 'Permanently delete a trashed product',
+        responses: ok('Purged', message({ deletedProduct: ref('Product') })),
+        errors: { 409: 'The product is not in the trash' }
+    },
+    'POST /api/products/:id/restore': {
+        operationId: 'restoreProduct',
+        tags: ['Trash'],
+        summary: 'Take a product back out of the trash',
+        responses: ok('Restored', message({ product: ref('Product') })),
+        errors: { 409: 'The product is not in the trash, or its SKU was taken meanwhile' }
+    },
+
+    // ----- Variants
+    'POST /api/products/:id/variants': {
+        operationId: 'addVariant',
+        tags: ['Product variants'],
+        summary: 'Add a variant',
+        responses: created('Added', message({ variant: ref('Variant'), product: ref('Product') })),
+        errors: { 409: 'The SKU or options clash with another variant' }
+    },
+    'PUT /api/products/:id/variants/:variantId': {
+        operationId: 'updateVariant',
+        tags: ['Product variants'],
+        summary: 'Change the sku, options, price or sales of a variant',
+        responses: ok('Updated', message({ variant: ref('Variant'), product: ref('Product') })),
+        errors: { 409: 'The SKU or options clash with another variant' }
+    },
+    'DELETE /api/products/:id/variants/:variantId': {
+        operationId: 'deleteVariant',
+        tags: ['Product variants'],
+        summary: 'Remove a variant without stock',
+        responses: ok('Removed', message({ deletedVariant: ref('Variant'), product: ref('Product') })),
+        errors: { 409: 'The variant still has stock or reservations' }
+    },
+
+    // ----- Media
+    'POST /api/products/:id/media': {
+        operationId: 'uploadProductMedia',
+        tags: ['Product media'],
+        summary: 'Upload an image, added after the existing ones',
+        responses: created('Uploaded; 160 and 480 pixel wide WebP thumbnails are generated', message({ media: ref('Media'), product: ref('Product') })),
+        errors: {
+            409: 'The product already has 20 images',
+            413: 'The file is larger than MEDIA_MAX_BYTES',
+            415: 'The file is not a JPEG, PNG, WebP or GIF image'
+        }
+    },
+    'PUT /api/products/:id/media/order': {
+        operationId: 'reorderProductMedia',
+        tags: ['Product media'],
+        summary: 'Put the images in a new display order',
+        responses: ok('Reordered', message({ media: arrayOf(ref('Media')), product: ref('Product') })),
+        errors: { 409: 'Images were added or removed meanwhile' }
+    },
+    'PATCH /api/products/:id/media/:mediaId': {
+        operationId: 'updateProductMedia',
+        tags: ['Product media'],
+        summary: 'Change the alt text of an image',
+        responses: ok('Updated', message({ media: ref('Media'), product: ref('Product') }))
+    },
+    'DELETE /api/products/:id/media/:mediaId': {
+        operationId: 'deleteProductMedia',
+        tags: ['Product media'],
+        summary: 'Remove an image and delete its files',
+        responses: ok('Removed', message({ deletedMedia: ref('Media'), product: ref('Product') }))
+    },
+
+    // ----- History
+    'GET /api/products/:id/history': {
+        operationId: 'listProductHistory',
+        tags: ['Product history'],
+        summary: 'Versions of a product, newest first',
+        responses: ok('A page of versions, without their snapshots', object({
+            pagination: simplePagination('totalVersions'),
+            count: INTEGER,
+            versions: arrayOf(ref('ProductVersion'))
+        }))
+    },
+    'GET /api/products/:id/history/:version': {
+        operationId: 'getProductVersion',
+        tags: ['Product history'],
+        summary: 'One version with the full snapshot of the product',
+        responses: ok('The version', ref('ProductVersion'))
+    },
+    'GET /api/products/:id/prices': {
+        operationId: 'listProductPriceHistory',
+        tags: ['Product history'],
+        summary: 'Changes to the prices, currency and sales of a product and its variants, newest first',
+        responses: ok('A page of price changes', object({
+            pagination: simplePagination('totalChanges'),
+            count: INTEGER,
+            changes: arrayOf(ref('PriceChange'))
+        }))
+    },
+    'POST /api/products/:id/revert/:version': {
+        operationId: 'revertProduct',
+        tags: ['Product history'],
+        summary: 'Restore the descriptive fields of an earlier version',
+        responses: ok('Reverted as a new version; stock is untouched', message({ version: NULLABLE_INTEGER, product: ref('Product') })),
+        errors: { 409: 'Variants were added or removed since, the category or SKU cannot be restored, or the version predates the price migration' }
+    },
+
+    // ----- Categories
+    'GET /api/categories': {
+        operationId: 'listCategories',
+        tags: ['Categories'],
+        summary: 'List categories',
+        responses: ok('Categories by name', object({ count: INTEGER, categories: arrayOf(categoryNode) }))
+    },
+    'GET /api/categories/:idOrSlug': {
+        operationId: 'getCategory',
+        tags: ['Categories'],
+        summary: 'Get a category with its path and subcategories',
+        responses: ok('The category', object({
+            category: ref('Category'),
+            path: arrayOf(object({ _id: ref('ObjectId'), name: STRING, slug: STRING })),
+            children: arrayOf(object({ _id: ref('ObjectId'), name: STRING, slug: STRING })),
+            productCount: INTEGER
+        }))
+    },
+    'POST /api/categories': {
+        operationId: 'createCategory',
+        tags: ['Categories'],
+        summary: 'Create a category',
+        responses: created('Created', message({ category: ref('Category') })),
+        errors: { 409: 'The slug is already in use' }
+    },
+    'PUT /api/categories/:idOrSlug': {
+        operationId: 'updateCategory',
+        tags: ['Categories'],
+        summary: 'Rename or move a category',
+        responses: ok('Updated', message({ category: ref('Category') })),
+        errors: { 409: 'The slug is in use, or the move would put the category under itself' }
+    },
+    'DELETE /api/categories/:idOrSlug': {
+        operationId: 'deleteCategory',
+        tags: ['Categories'],
+        summary: 'Delete an empty category',
+        responses: ok('Deleted', message({ deletedCategory: ref('Category') })),
+        errors: { 409: 'The category still has subcategories or products' }
+    },
+
+    // ----- Inventory
+    'POST /api/inventory/reservations': {
+        operationId: 'reserveStock',
+        tags: ['Inventory'],
+        summary: 'Hold stock for a cart',
+        responses: created('Reserved', message({ cartId: STRING, expiresAt: DATE_TIME, reservations: arrayOf(ref('Reservation')) })),
+        errors: { 409: 'Not enough stock available; nothing was reserved' }
+    },
+    'GET /api/inventory/reservations/:cartId': {
+        operationId: 'listCartReservations',
+        tags: ['Inventory'],
+        summary: 'Every reservation made for a cart',
+        responses: ok('Reservations, oldest first', object({ cartId: STRING, count: INTEGER, reservations: arrayOf(ref('Reservation')) }))
+    },
+    'POST /api/inventory/reservations/:cartId/commit': {
+        operationId: 'commitCartReservations',
+        tags: ['Inventory'],
+        summary: 'Check out a cart, turning its reservations into sales',
+        responses: ok('Committed', message({ committed: arrayOf(ref('Reservation')), expired: arrayOf(ref('Reservation')) }))
+    },
+    'POST /api/inventory/reservations/:cartId/release': {
+        operationId: 'releaseCartReservations',
+        tags: ['Inventory'],
+        summary: 'Give the stock held by a cart back',
+        responses: ok('Released', message({ released: arrayOf(ref('Reservation')) }))
+    },
+    'POST /api/inventory/products/:id/movements': {
+        operationId: 'recordStockMovement',
+        tags: ['Inventory'],
+        summary: 'Receive, adjust, sell or return stock',
+        responses: created('Recorded', message({ movement: ref('StockMovement'), stock: stockSummary })),
+        errors: { 409: 'The movement would take away reserved or missing units' }
+    },
+    'GET /api/inventory/products/:id/movements': {
+        operationId: 'listStockMovements',
+        tags: ['Inventory'],
+        summary: 'Stock ledger of a product, newest first',
+        responses: ok('A page of movements', object({
+            pagination: simplePagination('totalMovements'),
+            count: INTEGER,
+            movements: arrayOf(ref('StockMovement'))
+        }))
+    },
+
+    // ----- Auth
+    'POST /api/auth/register': {
+        operationId: 'register',
+        tags: ['Auth'],
+        summary: 'Create a user account',
+        responses: created('Registered; new accounts are viewers unless an admin assigns a role', message({ user: ref('User') })),
+        errors: { 409: 'An account with this email already exists' }
+    },
+    'POST /api/auth/login': {
+        operationId: 'login',
+        tags: ['Auth'],
+        summary: 'Exchange email and password for tokens',
+        responses: ok('Logged in', message({ user: ref('User'), ...tokenPair })),
+        errors: { 401: 'Invalid email or password' }
+    },
+    'POST /api/auth/refresh': {
+        operationId: 'refreshToken',
+        tags: ['Auth'],
+        summary: 'Exchange a refresh token for a new token pair',
+        responses: ok('New tokens; the refresh token sent is used up', message(tokenPair)),
+        errors: { 401: 'Invalid or expired refresh token; reusing one that was already exchanged revokes every session of the user' }
+    },
+    'POST /api/auth/logout': {
+        operationId: 'logout',
+        tags: ['Auth'],
+        summary: 'Revoke a refresh token',
+        responses: ok('Logged out', message({}))
+    },
+
+    // ----- API keys
+    'POST /api/keys': {
+        operationId: 'issueApiKey',
+        tags: ['API keys'],
+        summary: 'Issue an API key',
+        responses: created('Issued; the plaintext key is in this response only', message({ key: STRING, apiKey: ref('ApiKey') }))
+    },
+    'GET /api/keys': {
+        operationId: 'listApiKeys',
+        tags: ['API keys'],
+        summary: 'List API keys without their secrets',
+        responses: ok('Keys, newest first', object({ count: INTEGER, apiKeys: arrayOf(ref('ApiKey')) }))
+    },
+    'GET /api/keys/:id/usage': {
+        operationId: 'getApiKeyUsage',
+        tags: ['API keys'],
+        summary: 'Requests made with a key today and what is left of its daily quota',
+        responses: ok('Usage today; counts reset at midnight UTC, limit and remaining are null for keys without a quota', object({
+            apiKeyId: ref('ObjectId'),
+            usage: object({
+                date: { type: 'string', format: 'date' },
+                limit: NULLABLE_INTEGER,
+                used: INTEGER,
+                remaining: NULLABLE_INTEGER,
+                resetsAt: DATE_TIME
+            })
+        }))
+    },
+    'POST /api/keys/:id/rotate': {
+        operationId: 'rotateApiKey',
+        tags: ['API keys'],
+        summary: 'Replace the secret of a key',
+        responses: ok('Rotated; the new plaintext key is in this response only', message({ key: STRING, apiKey: ref('ApiKey') })),
+        errors: { 409: 'Revoked keys cannot be rotated' }
+    },
+    'POST /api/keys/:id/revoke': {
+        operationId: 'revokeApiKey',
+        tags: ['API keys'],
+        summary: 'Permanently disable a key',
+        responses: ok('Revoked', message({ apiKey: ref('ApiKey') }))
+    },
+
+    // ----- Webhooks
+    'POST /api/webhooks': {
+        operationId: 'createWebhook',
+        tags: ['Webhooks'],
+        summary: 'Subscribe a URL to product events',
+        responses: created('Created; the secret that signs deliveries is in this response only', message({ secret: STRING, webhook: ref('Webhook') }))
+    },
+    'GET /api/webhooks': {
+        operationId: 'listWebhooks',
+        tags: ['Webhooks'],
+        summary: 'List subscriptions without their secrets',
+        responses: ok('Subscriptions, newest first', object({ count: INTEGER, webhooks: arrayOf(ref('Webhook')) }))
+    },
+    'GET /api/webhooks/deliveries': {
+        operationId: 'listWebhookDeliveries',
+        tags: ['Webhooks'],
+        summary: 'Deliveries and their attempts, newest first',
+        responses: ok('A page of deliveries', object({
+            pagination: simplePagination('totalDeliveries'),
+            count: INTEGER,
+            deliveries: arrayOf(ref('WebhookDelivery'))
+        }))
+    },
+    'GET /api/webhooks/deliveries/:deliveryId': {
+        operationId: 'getWebhookDelivery',
+        tags: ['Webhooks'],
+        summary: 'A delivery with its payload and every attempt',
+        responses: ok('The delivery', ref('WebhookDelivery'))
+    },
+    'POST /api/webhooks/deliveries/:deliveryId/redeliver': {
+        operationId: 'redeliverWebhookDelivery',
+        tags: ['Webhooks'],
+        summary: 'Send a delivered or dead delivery again',
+        responses: { 202: { description: 'Queued as a new delivery whose redeliveryOf is the original', schema: message({ delivery: ref('WebhookDelivery') }) } },
+        errors: { 409: 'The delivery is still being retried, or its webhook was deleted' }
+    },
+    'GET /api/webhooks/:id': {
+        operationId: 'getWebhook',
+        tags: ['Webhooks'],
+        summary: 'A subscription',
+        responses: ok('The subscription', ref('Webhook'))
+    },
+    'PUT /api/webhooks/:id': {
+        operationId: 'updateWebhook',
+        tags: ['Webhooks'],
+        summary: 'Change a subscription',
+        responses: ok('Updated', message({ webhook: ref('Webhook') }))
+    },
+    'DELETE /api/webhooks/:id': {
+        operationId: 'deleteWebhook',
+        tags: ['Webhooks'],
+        summary: 'Remove a subscription',
+        responses: ok('Deleted; its deliveries are kept and pending ones become dead letters', message({ webhook: ref('Webhook') }))
+    },
+
+    // ----- Currencies
+    'GET /api/exchange-rates': {
+        operationId: 'listExchangeRates',
+        tags: ['Currencies'],
+        summary: 'The exchange-rate table',
+        responses: ok('The rates by currency code: the units of each currency one unit of the base currency buys. ' +
+            'Only these currencies (and the base) work as ?currency=', object({ base: STRING, count: INTEGER, rates: arrayOf(ref('ExchangeRate')) }))
+    },
+
+    // ----- Analytics
+    'GET /api/analytics/products/activity': {
+        operationId: 'getProductActivity',
+        tags: ['Analytics'],
+        summary: 'Products created and updated per period',
+        responses: report('Counts per period: created by createdAt, updates every change in the product history ' +
+            'and updatedProducts the products changed', object({
+            range: analyticsRange,
+            totals: object({ created: INTEGER, updates: INTEGER }),
+            series: arrayOf(object({ period: DATE_TIME, created: INTEGER, updates: INTEGER, updatedProducts: INTEGER }))
+        }))
+    },
+    'GET /api/analytics/prices/changes': {
+        operationId: 'getPriceChangeDistribution',
+        tags: ['Analytics'],
+        summary: 'Distribution of regular price changes, in percent of the previous price',
+        responses: report('Histogram, summary and counts per period of changes within one currency; changes of the ' +
+            'currency or sales alone are left out', object({
+            range: analyticsRange,
+            summary: object({
+                changes: INTEGER,
+                increases: INTEGER,
+                decreases: INTEGER,
+                averageChange: NULLABLE_NUMBER,
+                largestIncrease: NULLABLE_NUMBER,
+                largestDecrease: NULLABLE_NUMBER
+            }),
+            buckets: arrayOf(object({ min: INTEGER, max: NULLABLE_INTEGER, count: INTEGER })),
+            series: arrayOf(object({
+                period: DATE_TIME, changes: INTEGER, increases: INTEGER, decreases: INTEGER, averageChange: NULLABLE_NUMBER
+            }))
+        }))
+    },
+    'GET /api/analytics/stock-outs': {
+        operationId: 'getStockOutFrequency',
+        tags: ['Analytics'],
+        summary: 'How often products of each category were out of stock',
+        responses: report('Rates per category, overall and per period, from the daily catalog snapshots: ' +
+            'outOfStockRate is outOfStockDays / productDays, days without a snapshot are not counted', object({
+            range: analyticsRange,
+            snapshotDays: INTEGER,
+            categories: arrayOf(object({
+                ...reportCategory,
+                productDays: INTEGER,
+                outOfStockDays: INTEGER,
+                outOfStockRate: NULLABLE_NUMBER
+            })),
+            series: arrayOf(object({
+                period: DATE_TIME,
+                ...reportCategory,
+                days: INTEGER,
+                productDays: INTEGER,
+                outOfStockDays: INTEGER,
+                outOfStockRate: NULLABLE_NUMBER
+            }))
+        }))
+    },
+    'GET /api/analytics/growth': {
+        operationId: 'getCatalogGrowth',
+        tags: ['Analytics'],
+        summary: 'Products created, deleted and restored, and the catalog size, per period',
+        responses: report('Growth per period; sizes are those of the last daily snapshot of each period, null without one', object({
+            range: analyticsRange,
+            totals: object({
+                created: INTEGER,
+                deleted: INTEGER,
+                restored: INTEGER,
+                net: INTEGER,
+                startProducts: NULLABLE_INTEGER,
+                endProducts: NULLABLE_INTEGER
+            }),
+            series: arrayOf(object({
+                period: DATE_TIME,
+                created: INTEGER,
+                deleted: INTEGER,
+                restored: INTEGER,
+                net: INTEGER,
+                totalProducts: NULLABLE_INTEGER,
+                inStock: NULLABLE_INTEGER,
+                outOfStock: NULLABLE_INTEGER,
+                units: NULLABLE_INTEGER
+            }))
+        }))
+    },
+
+    // ----- GraphQL
+    'POST /graphql': {
+        operationId: 'postGraphql',
+        tags: ['GraphQL'],
+        summary: 'Run a GraphQL query or mutation',
+        responses: graphqlResponses
+    },
+    'GET /graphql': {
+        operationId: 'getGraphql',
+        tags: ['GraphQL'],
+        summary: 'Run a GraphQL query from the query string',
+        responses: {
+            ...graphqlResponses,
+            405: { description: 'A mutation; send it with POST', schema: graphqlResult }
+        }
+    },
+
+    // ----- Docs
+    'GET /api/openapi.json': {
+        operationId: 'getOpenApiSpec',
+        tags: ['Docs'],
+        summary: 'This OpenAPI document',
+        responses: ok('OpenAPI 3.1 document', { type: 'object' })
+    },
+    'GET /api/docs': {
+        operationId: 'getApiDocs',
+        tags: ['Docs'],
+        summary: 'Interactive API reference',
+        responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: STRING } } } }
+    },
+
+    // ----- Operations -----
+    'GET /health': {
+        operationId: 'getHealth',
+        tags: ['Operations'],
+        summary: 'Overall API status (same as /health/ready)',
+        responses: readinessResponses
+    },
+    'GET /health/live': {
+        operationId: 'getLiveness',
+        tags: ['Operations'],
+        summary: 'Whether the process is up',
+        responses: ok('The process is serving requests; MongoDB is not checked, so an outage there does not get healthy processes restarted', object({
+            status: { type: 'string', enum: ['OK'] },
+            timestamp: DATE_TIME,
+            service: STRING,
+            uptimeSeconds: INTEGER
+        }))
+    },
+    'GET /health/ready': {
+        operationId: 'getReadiness',
+        tags: ['Operations'],
+        summary: 'Whether the API can serve traffic',
+        responses: readinessResponses
+    },
+    'GET /metrics': {
+        operationId: 'getMetrics',
+        tags: ['Operations'],
+        summary: 'Prometheus metrics',
+        responses: {
+            200: {
+                description: 'Request counts and latencies per route, MongoDB command timings, product counts by ' +
+                    'category and stock status, and process stats, in the Prometheus text exposition format',
+                content: { 'text/plain': { schema: STRING } }
+            }
+        }
+    }
+};
+
+// Schemas referenced above that are not models or request bodies
+const EXTRA_SCHEMAS = {
+    Pricing: pricing({
+        currency: { type: 'string', description: 'The requested currency, or the product\'s own when it cannot be converted' },
+        exchangeRate: { type: ['number', 'null'], description: 'Units of currency per unit of the product\'s currency; null when not converted' }
+    }),
+    VariantPricing: pricing(),
+    BatchResult: object({
+        atomic: BOOLEAN,
+        committed: { type: ['boolean', 'null'] },
+        succeeded: INTEGER,
+        failed: INTEGER,
+        results: arrayOf(batchResult)
+    })
+};
+
+module.exports = { API_INFO, TAGS, OPERATIONS, EXTRA_SCHEMAS, ref };
@@ -0,0 +1,67 @@
+// Backends for the response cache (see utils/responseCache)
+//
+// A backend keeps string values that expire on their own. Any object with these
+// methods can replace the in-memory LRU (see setCacheStore), e.g. one on Redis
+// (GET, SET PX, SCAN + DEL) so every instance shares one cache:
+//
+//   get(key)                -> Promise<string|null>  null when missing or expired
+//   set(key, value, ttlMs)  -> Promise<void>
+//   deletePrefix(prefix)    -> Promise<void>         drop every key starting with prefix
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Least recently used entries kept in this process, bounded by count and size
+ * A Map iterates in insertion order, so re-inserting an entry on every read keeps
+ * the least recently used one first
+ */
+class LruCacheStore {
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.entries = new Map();
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            this.remove(key);
+            return null;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        // Strings are UTF-16 in memory; length is close enough for a budget
+        const size = value.length * 2;
+        if (size > this.maxBytes) return;
+
+        this.remove(key);
+        this.entries.set(key, { value, size, expiresAt: Date.now() + ttlMs });
+        this.bytes += size;
+
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    async deletePrefix(prefix) {
+        [...this.entries.keys()]
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.remove(key));
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+    }
+}
+
+module.exports = { LruCacheStore };
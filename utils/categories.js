@@ -0,0 +1,206 @@
+// Category tree operations: lookups by id or slug, descendant filters and moves
+const mongoose = require('mongoose');
+const Category = require('../models/categories');
+const Product = require('../models/products');
+const { ApiError } = require('./errors');
+
+// Thrown for problems the caller can fix
+class CategoryError extends ApiError {}
+
+/**
+ * Find a category by its id or its slug
+ * Names work too as long as they slugify to the stored slug, so "Electronics"
+ * and "electronics " both find the "electronics" category
+ * Returns null when nothing matches
+ */
+const resolveCategory = async (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+
+    if (mongoose.isValidObjectId(value)) {
+        const category = await Category.findById(value);
+        if (category) return category;
+    }
+    return Category.findOne({ slug: Category.slugify(value) });
+};
+
+// Like resolveCategory, but a miss is an error
+const requireCategory = async (value, message = 'Category not found') => {
+    const category = await resolveCategory(value);
+    if (!category) {
+        throw new CategoryError(message, 404, { category: value });
+    }
+    return category;
+};
+
+/**
+ * Ids to filter products by when listing a category: the category and all of
+ * its descendants. An unknown category gives an empty list, so nothing matches.
+ */
+const categoryFilterIds = async (value) => {
+    const category = await resolveCategory(value);
+    return category ? Category.descendantIds(category._id) : [];
+};
+
+/**
+ * Map of every id and slug to its category id, for resolving many rows at once
+ * (bulk import) without one query per row
+ */
+const loadCategoryLookup = async () => {
+    const categories = await Category.find({}, '_id slug').lean();
+    const lookup = new Map();
+    categories.forEach(category => {
+        lookup.set(String(category._id), category._id);
+        lookup.set(category.slug, category._id);
+    });
+    return {
+        resolve: (value) => lookup.get(String(value).trim()) || lookup.get(Category.slugify(value)) || null
+    };
+};
+
+// Nest a flat list of categories under their parents, sorted by name
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const parent = node.parent && nodes.get(String(node.parent));
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    const sortByName = (list) => {
+        list.sort((a, b) => a.name.localeCompare(b.name));
+        list.forEach(node => sortByName(node.children));
+        return list;
+    };
+    return sortByName(roots);
+};
+
+const assertSlugFree = async (slug, exceptId = null) => {
+    if (!slug) {
+        throw new CategoryError('Slug must contain at least one letter or number');
+    }
+    const existing = await Category.findOne({ slug, _id: { $ne: exceptId } }, '_id');
+    if (existing) {
+        throw new CategoryError('A category with this slug already exists', 409, { slug });
+    }
+};
+
+/**
+ * Create a category
+ * data: { name, slug?, description?, parent? (id or slug) }
+ * The slug defaults to the slugified name
+ */
+const createCategory = async ({ name, slug, description, parent }) => {
+    const parentCategory = parent ? await requireCategory(parent, 'Parent category not found') : null;
+    const finalSlug = Category.slugify(slug || name);
+    await assertSlugFree(finalSlug);
+
+    return Category.create({
+        name,
+        slug: finalSlug,
+        description: description || null,
+        parent: parentCategory ? parentCategory._id : null,
+        ancestors: parentCategory ? [...parentCategory.ancestors, parentCategory._id] : []
+    });
+};
+
+/**
+ * Rename, re-slug, describe or move a category
+ * changes: any of { name, slug, description, parent } (parent null moves it to the top)
+ * Moving a category carries its whole subtree along
+ */
+const updateCategory = async (idOrSlug, changes) => {
+    const category = await requireCategory(idOrSlug);
+
+    if (changes.name !== undefined) category.name = changes.name;
+    if (changes.description !== undefined) category.description = changes.description || null;
+
+    if (changes.slug !== undefined) {
+        const slug = Category.slugify(changes.slug);
+        await assertSlugFree(slug, category._id);
+        category.slug = slug;
+    }
+
+    let moved = false;
+    if (changes.parent !== undefined) {
+        const parentCategory = changes.parent
+            ? await requireCategory(changes.parent, 'Parent category not found')
+            : null;
+
+        if (parentCategory && (parentCategory._id.equals(category._id) ||
+            parentCategory.ancestors.some(id => id.equals(category._id)))) {
+            throw new CategoryError('A category cannot be moved under itself or one of its descendants', 409);
+        }
+
+        category.parent = parentCategory ? parentCategory._id : null;
+        category.ancestors = parentCategory ? [...parentCategory.ancestors, parentCategory._id] : [];
+        moved = true;
+    }
+
+    await category.save();
+
+    if (moved) {
+        // Descendants keep the part of their path from this category down and
+        // take the new path above it
+        await Category.updateMany(
+            { ancestors: category._id },
+            [{
+                $set: {
+                    ancestors: {
+                        $concatArrays: [
+                            { $literal: category.ancestors },
+                            {
+                                $slice: [
+                                    '$ancestors',
+                                    { $indexOfArray: ['$ancestors', category._id] },
+                                    { $size: '$ancestors' }
+                                ]
+                            }
+                        ]
+                    }
+                }
+            }]
+        );
+    }
+
+    return category;
+};
+
+/**
+ * Delete a category
+ * Only empty leaves can go: no subcategories and no products, not even in the trash
+ */
+const deleteCategory = async (idOrSlug) => {
+    const category = await requireCategory(idOrSlug);
+
+    const [children, products] = await Promise.all([
+        Category.countDocuments({ parent: category._id }),
+        // Trashed products count too, so restoring one never finds its category gone
+        Product.countDocuments({ category: category._id }).setOptions({ withDeleted: true })
+    ]);
+    if (children > 0 || products > 0) {
+        throw new CategoryError('Only categories without subcategories or products can be deleted', 409, {
+            subcategories: children,
+            products
+        });
+    }
+
+    await Category.deleteOne({ _id: category._id });
+    return category;
+};
+
+module.exports = {
+    CategoryError,
+    resolveCategory,
+    requireCategory,
+    categoryFilterIds,
+    loadCategoryLookup,
+    buildTree,
+    createCategory,
+    updateCategory,
+    deleteCategory
+};
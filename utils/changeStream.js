@@ -0,0 +1,134 @@
+// Live product events for the SSE and WebSocket streams (GET /api/products/stream)
+// The stream carries the events webhooks get (see utils/webhooks) plus
+// product.stock_changed for every change to stock or reservations. Each event is
+// numbered and kept in a ring buffer of STREAM_BUFFER_SIZE, so a client that
+// reconnects with Last-Event-ID gets what it missed. Events only reach clients
+// connected to the process whose request raised them.
+const logger = require('./logger');
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+// Ids are "<epoch>-<sequence>". The epoch changes with every process start, so an
+// id from an earlier process (or another instance) is known not to be resumable.
+const EPOCH = Date.now().toString(36);
+
+let sequence = 0;
+const buffer = [];
+const subscribers = new Set();
+
+const bufferSize = () => parseInt(process.env.STREAM_BUFFER_SIZE, 10) || DEFAULT_BUFFER_SIZE;
+
+// Category of the product an event is about; null when the product is gone (purged)
+const categoryOf = (data) => {
+    const category = data.product && data.product.category;
+    return category ? String(category._id || category) : null;
+};
+
+/**
+ * Number, buffer and send events to every connected client
+ * events: [{ event, data }] as utils/webhooks builds them; data.productId is required
+ * Never throws, so it cannot fail the write that raised the events
+ */
+const publishStreamEvents = (events) => {
+    events.forEach(({ event, data }) => {
+        try {
+            sequence += 1;
+            const id = `${EPOCH}-${sequence}`;
+            const entry = {
+                id,
+                sequence,
+                type: event,
+                productId: String(data.productId),
+                categoryId: categoryOf(data),
+                // Serialized once for every client
+                json: JSON.stringify({ id, type: event, createdAt: new Date().toISOString(), data })
+            };
+
+            buffer.push(entry);
+            while (buffer.length > bufferSize()) buffer.shift();
+
+            subscribers.forEach(subscriber => {
+                try {
+                    subscriber(entry);
+                } catch (error) {
+                    logger.warn('Failed to send stream event to a client', { event, err: error });
+                }
+            });
+        } catch (error) {
+            logger.error('Failed to publish stream event', { event, err: error });
+        }
+    });
+};
+
+// Raise product.stock_changed; product is the document after the change
+const publishStockChange = (product, variantId = null) => publishStreamEvents([{
+    event: 'product.stock_changed',
+    data: {
+        productId: String(product._id),
+        variantId: variantId ? String(variantId) : null,
+        product
+    }
+}]);
+
+/**
+ * Which events a client wants: { productIds, categoryIds }, each a list of ids or
+ * null for any. An event has to pass both.
+ */
+const eventFilter = ({ productIds = null, categoryIds = null }) => {
+    const products = productIds ? new Set(productIds.map(String)) : null;
+    const categories = categoryIds ? new Set(categoryIds.map(String)) : null;
+    return (entry) => (!products || products.has(entry.productId)) &&
+        (!categories || (entry.categoryId !== null && categories.has(entry.categoryId)));
+};
+
+/**
+ * The buffered events after lastEventId, or null when the client missed more than
+ * the buffer holds (or the id is from another process) and should reload instead
+ */
+const eventsAfter = (lastEventId) => {
+    const [epoch, number] = String(lastEventId).split('-');
+    const after = parseInt(number, 10);
+    if (epoch !== EPOCH || !Number.isInteger(after) || after > sequence) return null;
+
+    // The oldest event kept has to come right after the last one the client saw
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+    if (after < oldest - 1) return null;
+
+    return buffer.filter(entry => entry.sequence > after);
+};
+
+/**
+ * Start streaming to one client
+ * filter: see eventFilter; lastEventId: from the client's Last-Event-ID, or null
+ * send(entry): deliver one event ({ id, type, json }); called with a
+ * { type: 'stream.reset' } entry first when the missed events cannot be replayed
+ * Returns a function that stops the stream
+ */
+const openStream = ({ filter, lastEventId = null, send }) => {
+    const wanted = eventFilter(filter);
+
+    if (lastEventId) {
+        const missed = eventsAfter(lastEventId);
+        if (missed === null) {
+            send({ id: null, type: 'stream.reset', json: JSON.stringify({ type: 'stream.reset', reason: 'Missed events are no longer available; reload the products' }) });
+        } else {
+            missed.filter(wanted).forEach(send);
+        }
+    }
+
+    const subscriber = (entry) => {
+        if (wanted(entry)) send(entry);
+    };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+};
+
+// Clients connected right now, for logs and metrics
+const connectedClients = () => subscribers.size;
+
+module.exports = {
+    publishStreamEvents,
+    publishStockChange,
+    openStream,
+    connectedClients
+};
@@ -0,0 +1,89 @@
+// Conditional requests: ETag and Last-Modified validators, If-Match preconditions
+const crypto = require('crypto');
+
+const PRECONDITION_FAILED_MESSAGE = 'The product has changed since it was read; fetch it again and reapply your changes';
+
+// Products written before revisions existed have no revision field yet
+const currentRevision = (product) => product.revision || 0;
+
+/**
+ * Strong ETag of a product, built from its id and revision
+ * Every write bumps the revision (see the product model), so the tag changes
+ * whenever the product does
+ */
+const productETag = (product) => `"${product._id}-${currentRevision(product)}"`;
+
+/**
+ * Strong ETag of a list response: the version of every product in it plus the
+ * rest of the response (pagination, facets), which changes when other products do
+ */
+const listETag = (products, meta = {}) => {
+    const hash = crypto.createHash('sha1');
+    products.forEach(product => hash.update(`${product._id}-${currentRevision(product)}\n`));
+    hash.update(JSON.stringify(meta));
+    return `"${hash.digest('base64url')}"`;
+};
+
+/**
+ * Set ETag and Last-Modified on a response
+ * Express answers 304 by itself when the request's If-None-Match or
+ * If-Modified-Since shows the client already has this version. no-cache makes
+ * clients revalidate every time instead of guessing a freshness lifetime from
+ * Last-Modified.
+ */
+const setValidators = (res, { etag, lastModified }) => {
+    if (etag) res.set('ETag', etag);
+    if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+    res.set('Cache-Control', 'no-cache');
+};
+
+const setProductValidators = (res, product) => setValidators(res, {
+    etag: productETag(product),
+    lastModified: product.updatedAt
+});
+
+// The newest updatedAt in a list, or null for an empty one
+const latestUpdate = (products) => products.reduce((latest, product) => {
+    if (!product.updatedAt) return latest;
+    return !latest || product.updatedAt > latest ? product.updatedAt : latest;
+}, null);
+
+/**
+ * An If-Match value: the header, or the ifMatch of a batch operation
+ * Returns null when there is none, '*' for any current version, or the list of tags
+ */
+const parseETagList = (value) => {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+    if (value.trim() === '*') return '*';
+    return value.match(/(W\/)?"[^"]*"/g) || [];
+};
+
+// The If-Match header of a request, parsed as above
+const parseIfMatch = (req) => parseETagList(req.get('If-Match'));
+
+/**
+ * Whether a product satisfies an If-Match condition from parseIfMatch
+ * If-Match uses strong comparison, so weak tags (W/"...") never match
+ */
+const satisfiesIfMatch = (product, ifMatch) => {
+    if (ifMatch === null || ifMatch === '*') return true;
+    return ifMatch.includes(productETag(product));
+};
+
+// Filter that matches a product only while it is still at the revision it was read at
+const sameRevision = (product) => ({
+    revision: currentRevision(product) || { $in: [0, null] }
+});
+
+module.exports = {
+    PRECONDITION_FAILED_MESSAGE,
+    productETag,
+    listETag,
+    setValidators,
+    setProductValidators,
+    latestUpdate,
+    parseETagList,
+    parseIfMatch,
+    satisfiesIfMatch,
+    sameRevision
+};
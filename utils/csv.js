@@ -0,0 +1,99 @@
+// Minimal RFC 4180 CSV reading and writing, enough for spreadsheet exports
+
+/**
+ * Parse CSV text into an array of rows, each row an array of strings
+ * Handles quoted fields, escaped quotes ("") and newlines inside quotes
+ * Throws when a quoted field is never closed
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let i = 0;
+
+    // Spreadsheet tools often prepend a byte order mark
+    if (text.charCodeAt(0) === 0xfeff) {
+        i = 1;
+    }
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => !(cells.length === 1 && cells[0].trim() === ''));
+};
+
+/**
+ * Parse CSV text whose first row is a header into objects keyed by column name
+ * Each record also carries the 1-based line of the source row as `line`
+ */
+const parseCsvRecords = (text) => {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        return { columns: [], records: [] };
+    }
+
+    const columns = header.map(column => column.trim());
+    const records = rows.map((cells, index) => {
+        const values = {};
+        columns.forEach((column, columnIndex) => {
+            values[column] = cells[columnIndex] !== undefined ? cells[columnIndex] : '';
+        });
+        return { line: index + 2, values };
+    });
+
+    return { columns, records };
+};
+
+// Quote a single value when it contains a delimiter, quote or newline
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build one CSV line (with trailing CRLF) from a list of values
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+module.exports = { parseCsv, parseCsvRecords, toCsvRow };
@@ -0,0 +1,172 @@
+// Currencies, minor units and the exchange-rate table
+// Prices are stored as whole numbers of the currency's minor unit (cents for USD,
+// yen for JPY), so 19.99 USD is 1999; requests and responses use the amount itself
+// (see utils/priceUnits). Converting between currencies goes through the base
+// currency (BASE_CURRENCY, default USD) with the rates in models/exchangeRates.
+const ExchangeRate = require('../models/exchangeRates');
+const { ApiError } = require('./errors');
+const { invalidateProducts } = require('./responseCache');
+
+// Thrown for problems the caller can fix
+class CurrencyError extends ApiError {}
+
+// Every ISO 4217 code this Node.js build knows
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+// Read when first needed: the models load this module before .env is
+const baseCurrency = () => (process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+
+const isSupportedCurrency = (code) => typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+
+const digitsCache = new Map();
+
+// Digits after the decimal point of a currency: 2 for USD, 0 for JPY, 3 for KWD
+const minorUnitDigits = (code) => {
+    if (!digitsCache.has(code)) {
+        digitsCache.set(code, new Intl.NumberFormat('en', { style: 'currency', currency: code })
+            .resolvedOptions().maximumFractionDigits);
+    }
+    return digitsCache.get(code);
+};
+
+/**
+ * Minor units of an amount in the currency's main unit: 19.99 USD is 1999
+ * Null when the amount has more decimals than the currency (19.999 USD, 5.5 JPY)
+ */
+const toMinorUnits = (amount, code) => {
+    const minor = amount * 10 ** minorUnitDigits(code);
+    const rounded = Math.round(minor);
+    // 19.99 * 100 is 1998.999... in floating point
+    return Math.abs(minor - rounded) < 1e-6 ? rounded : null;
+};
+
+// The amount in the currency's main unit: 1999 is 19.99 USD; null stays null
+const fromMinorUnits = (amount, code) => (amount === null || amount === undefined
+    ? amount
+    : amount / 10 ** minorUnitDigits(code));
+
+// "must have at most 2 decimals in USD", for amounts toMinorUnits refused
+const precisionError = (code) => {
+    const digits = minorUnitDigits(code);
+    return digits === 0 ? `must be a whole number in ${code}` : `must have at most ${digits} decimals in ${code}`;
+};
+
+// How long the table is kept in memory before it is read again
+const RATE_CACHE_MS = 60 * 1000;
+
+let cachedRates = null;
+// The table last read, kept when the cache is cleared so a reload can tell whether it changed
+let lastTable = null;
+
+const sameRates = (a, b) => {
+    const currencies = Object.keys(a.rates);
+    return a.base === b.base
+        && currencies.length === Object.keys(b.rates).length
+        && currencies.every(currency => a.rates[currency] === b.rates[currency]);
+};
+
+/**
+ * The exchange-rate table: { base, rates } where rates maps each currency to the
+ * units one base unit buys (the base currency itself is always 1)
+ * Kept in memory for a minute, so a table loaded with load-exchange-rates.js is
+ * picked up by running servers within that time. A table that differs from the
+ * last one drops the cached product responses, whose prices were converted with it.
+ */
+const getExchangeRates = async () => {
+    if (cachedRates && cachedRates.loadedAt > Date.now() - RATE_CACHE_MS) {
+        return cachedRates.table;
+    }
+
+    const base = baseCurrency();
+    const rows = await ExchangeRate.find({}, 'currency rate').lean();
+    const rates = Object.fromEntries(rows.map(row => [row.currency, row.rate]));
+    rates[base] = 1;
+
+    const table = { base, rates };
+    if (lastTable && !sameRates(lastTable, table)) {
+        invalidateProducts();
+    }
+    lastTable = table;
+    cachedRates = { table, loadedAt: Date.now() };
+    return table;
+};
+
+// Forget the cached table, e.g. after loading a new one
+const clearExchangeRateCache = () => {
+    cachedRates = null;
+};
+
+/**
+ * Replace the whole exchange-rate table
+ * rates: { EUR: 0.92, GBP: 0.79, ... } per unit of the base currency
+ * Currencies left out of the new table are removed
+ */
+const replaceExchangeRates = async (rates, { source = null } = {}) => {
+    const currencies = Object.keys(rates);
+    await ExchangeRate.bulkWrite([
+        ...currencies.map(currency => ({
+            updateOne: {
+                filter: { currency },
+                update: { $set: { rate: rates[currency], source } },
+                upsert: true
+            }
+        })),
+        { deleteMany: { filter: { currency: { $nin: currencies } } } }
+    ]);
+    clearExchangeRateCache();
+    invalidateProducts();
+};
+
+/**
+ * Multiply an amount in minor units of `from` by this to get minor units of `to`
+ * Returns null when the table has no rate for one of them
+ */
+const conversionFactor = (from, to, { rates }) => {
+    if (from === to) return 1;
+    if (!rates[from] || !rates[to]) return null;
+    return (rates[to] / rates[from]) * 10 ** (minorUnitDigits(to) - minorUnitDigits(from));
+};
+
+// Round half up to a whole number of minor units (the queries round the same way)
+const roundMinor = (amount) => Math.floor(amount + 0.5);
+
+// Convert an amount in minor units; null when there is no rate
+const convertAmount = (amount, from, to, table) => {
+    const factor = conversionFactor(from, to, table);
+    return factor === null || amount === null || amount === undefined ? null : roundMinor(amount * factor);
+};
+
+/**
+ * Check a currency asked for in a request (?currency=) against the table
+ * Returns the code in upper case; throws 400 for unknown codes and codes without a rate
+ */
+const requireRate = (code, table) => {
+    const currency = code.trim().toUpperCase();
+    if (!isSupportedCurrency(currency)) {
+        throw new CurrencyError(`Unknown currency "${code}"; use an ISO 4217 code such as EUR`, 400, { currency: code });
+    }
+    if (!table.rates[currency]) {
+        throw new CurrencyError(`No exchange rate for ${currency}`, 400, {
+            currency,
+            available: Object.keys(table.rates).sort()
+        });
+    }
+    return currency;
+};
+
+module.exports = {
+    CurrencyError,
+    baseCurrency,
+    isSupportedCurrency,
+    minorUnitDigits,
+    toMinorUnits,
+    fromMinorUnits,
+    precisionError,
+    getExchangeRates,
+    clearExchangeRateCache,
+    replaceExchangeRates,
+    conversionFactor,
+    roundMinor,
+    convertAmount,
+    requireRate
+};
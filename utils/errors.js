@@ -0,0 +1,80 @@
+// Errors that carry an HTTP status, and the mapping of library errors onto them
+// The error handler turns every error into a problem+json response (RFC 9457)
+
+/**
+ * Base class for errors the caller can do something about
+ * status: HTTP status to answer with
+ * details: extra members for the problem response, e.g. { reserved: 3 }
+ */
+class ApiError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = new.target.name;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Request input that failed validation
+ * errors: [{ in: 'body' | 'query' | 'params', pointer: '/variants/0/sku', detail }]
+ * where pointer is a JSON pointer into that part of the request
+ */
+class RequestValidationError extends ApiError {
+    constructor(errors, message = 'Validation failed') {
+        super(message, 400, { errors });
+    }
+}
+
+// 'variants.0.sku' -> '/variants/0/sku'
+const pathToPointer = (path) => `/${String(path).split('.').join('/')}`;
+
+/**
+ * The ApiError for an error thrown by Mongoose, MongoDB or the body parser,
+ * or null when the error is unexpected (a bug or an outage: answered with 500)
+ */
+const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    // Mongoose schema validation
+    if (error.name === 'ValidationError' && error.errors) {
+        return new RequestValidationError(Object.entries(error.errors).map(([path, fieldError]) => ({
+            in: 'body',
+            pointer: pathToPointer(path),
+            detail: fieldError.message
+        })));
+    }
+
+    // A value that does not fit its schema type, usually a malformed id
+    if (error.name === 'CastError') {
+        const inParams = error.path === '_id';
+        return new RequestValidationError([{
+            in: inParams ? 'params' : 'body',
+            pointer: inParams ? '/id' : pathToPointer(error.path),
+            detail: error.kind === 'ObjectId' ? 'must be a valid id' : `must be a valid ${String(error.kind).toLowerCase()}`
+        }], error.kind === 'ObjectId' ? 'Invalid ID format' : 'Validation failed');
+    }
+
+    // Unique index
+    if (error.code === 11000) {
+        const fields = Object.keys(error.keyValue || {});
+        return new ApiError(
+            fields.length > 0 ? `Another record already uses this ${fields.join(', ')}` : 'Duplicate value',
+            409,
+            { errors: fields.map(field => ({ in: 'body', pointer: pathToPointer(field), detail: 'is already in use' })) }
+        );
+    }
+
+    // body-parser: malformed JSON, bodies over the limit, unsupported charsets...
+    const status = error.status || error.statusCode;
+    if (error.type && status >= 400 && status < 500) {
+        return new ApiError(
+            error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message,
+            status
+        );
+    }
+
+    return null;
+};
+
+module.exports = { ApiError, RequestValidationError, toApiError };
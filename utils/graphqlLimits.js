@@ -0,0 +1,80 @@
+// Limits on the size of GraphQL operations (see routes/graphqlRoutes)
+// Each root field runs the work of one REST request, so a document may not ask for
+// more than a handful of them (aliases included) or nest without end.
+const { GraphQLError, Kind } = require('graphql');
+
+// Deepest selection a query may have; categories nest through parent and children without end
+const MAX_QUERY_DEPTH = 10;
+// Root fields one operation may select, counting every alias and fragment
+const MAX_ROOT_FIELDS = 10;
+
+const fragmentsOf = (document) => Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+
+// Levels of fields below a selection set, following fragments
+const selectionDepth = (selectionSet, fragments, visited = new Set()) => {
+    if (!selectionSet) return 0;
+    return Math.max(0, ...selectionSet.selections.map(selection => {
+        if (selection.kind === Kind.FIELD) {
+            return 1 + selectionDepth(selection.selectionSet, fragments, visited);
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+            return selectionDepth(selection.selectionSet, fragments, visited);
+        }
+        // Fragment spreads; cycles are reported by the standard rules
+        const name = selection.name.value;
+        if (visited.has(name) || !fragments[name]) return 0;
+        return selectionDepth(fragments[name].selectionSet, fragments, new Set([...visited, name]));
+    }));
+};
+
+// Field nodes directly in a selection set, with those of its fragments
+const fieldsOf = (selectionSet, fragments, visited = new Set()) => selectionSet.selections.flatMap(selection => {
+    if (selection.kind === Kind.FIELD) return [selection];
+    if (selection.kind === Kind.INLINE_FRAGMENT) return fieldsOf(selection.selectionSet, fragments, visited);
+    const name = selection.name.value;
+    if (visited.has(name) || !fragments[name]) return [];
+    return fieldsOf(fragments[name].selectionSet, fragments, new Set([...visited, name]));
+});
+
+/**
+ * Root fields an operation of the document runs, once per alias; the introspection
+ * fields (__schema, __type, __typename) are left out, as they touch no data
+ */
+const rootFields = (document, operation) => fieldsOf(operation.selectionSet, fragmentsOf(document))
+    .filter(field => !field.name.value.startsWith('__'));
+
+// Validation rule turning away operations nested deeper than MAX_QUERY_DEPTH
+const depthLimit = (context) => ({
+    OperationDefinition(node) {
+        const depth = selectionDepth(node.selectionSet, fragmentsOf(context.getDocument()));
+        if (depth > MAX_QUERY_DEPTH) {
+            context.reportError(new GraphQLError(
+                `The operation is nested ${depth} levels deep; at most ${MAX_QUERY_DEPTH} are allowed`,
+                { nodes: [node] }
+            ));
+        }
+    }
+});
+
+// Validation rule turning away operations with more than MAX_ROOT_FIELDS root fields
+const rootFieldLimit = (context) => ({
+    OperationDefinition(node) {
+        const count = rootFields(context.getDocument(), node).length;
+        if (count > MAX_ROOT_FIELDS) {
+            context.reportError(new GraphQLError(
+                `The operation selects ${count} root fields; at most ${MAX_ROOT_FIELDS} are allowed`,
+                { nodes: [node] }
+            ));
+        }
+    }
+});
+
+module.exports = {
+    MAX_QUERY_DEPTH,
+    MAX_ROOT_FIELDS,
+    rootFields,
+    depthLimit,
+    rootFieldLimit
+};
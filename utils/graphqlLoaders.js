@@ -0,0 +1,28 @@
+// Batched lookups for the nested fields of the GraphQL schema (see utils/graphqlSchema)
+// Every lookup of one kind that the resolvers ask for while a request runs is sent as
+// one query, so the categories of a page of 100 products cost one query, not 100.
+// Loaders are made for each request and cache only for it.
+const DataLoader = require('dataloader');
+const Category = require('../models/categories');
+
+// Ids are ObjectIds or strings; both name the same document
+const cacheKeyFn = String;
+
+// The documents in the order of ids, null where there is none
+const inIdOrder = (ids, documents) => {
+    const byId = new Map(documents.map(document => [String(document._id), document]));
+    return ids.map(id => byId.get(String(id)) || null);
+};
+
+const createLoaders = () => ({
+    // Category by id
+    category: new DataLoader(async (ids) => inIdOrder(ids, await Category.find({ _id: { $in: ids } }).lean()), { cacheKeyFn }),
+
+    // Subcategories of a category by its id, sorted by name
+    childCategories: new DataLoader(async (ids) => {
+        const children = await Category.find({ parent: { $in: ids } }).sort({ name: 1 }).lean();
+        return ids.map(id => children.filter(child => String(child.parent) === String(id)));
+    }, { cacheKeyFn })
+});
+
+module.exports = { createLoaders };
@@ -0,0 +1,562 @@
+// GraphQL schema of the /graphql endpoint (see routes/graphqlRoutes)
+// The queries run the same code as GET /api/products, /search, /stats and /:id, and
+// their arguments are checked against the same schemas as those query strings. The
+// mutations validate, record history and raise events like POST, PATCH and DELETE
+// /api/products. Nested fields (categories) are batched by utils/graphqlLoaders.
+const mongoose = require('mongoose');
+const { buildSchema, GraphQLError, GraphQLScalarType, Kind } = require('graphql');
+const Product = require('../models/products');
+const { schemas, checkProduct, normalizeProduct } = require('../middleware/validation');
+const { actorFromRequest, missingScopeError } = require('../middleware/auth');
+const { validateSchema } = require('./schema');
+const { ApiError, RequestValidationError } = require('./errors');
+const { listProducts, searchCatalog } = require('./productListing');
+const { productStatistics } = require('./productStats');
+const { readPricing } = require('./productQuery');
+const { withPricing } = require('./pricing');
+const { productETag, parseETagList } = require('./conditional');
+const { createProduct } = require('./productWrites');
+const { patchProduct } = require('./productPatch');
+const { trashProduct, purgeDate } = require('./productTrash');
+
+const typeDefs = `
+"""Date and time in ISO 8601, e.g. 2024-01-15T12:00:00.000Z"""
+scalar DateTime
+
+type Query {
+    """Products matching the filters, a page at a time (GET /api/products)"""
+    products(
+        """Category id or slug, including its subcategories"""
+        category: String
+        inStock: Boolean
+        """Lowest price right now, an amount of currency such as 19.99"""
+        minPrice: Float
+        maxPrice: Float
+        """ISO 4217 code to show prices in and read minPrice/maxPrice in (default: BASE_CURRENCY)"""
+        currency: String
+        page: Int
+        """Items per page (default: 10, max: 100)"""
+        limit: Int
+        """Field to sort by (default: name), - prefix for descending; price sorts by the lowest price right now"""
+        sort: String
+        """Switch to cursor pagination: empty for the first page, then pagination.nextCursor"""
+        cursor: String
+        """false skips counting the matching products"""
+        includeTotal: Boolean
+    ): ProductPage!
+
+    """Relevance-ranked full-text search with facet counts (GET /api/products/search)"""
+    searchProducts(
+        """Search terms; "quoted phrases" and -excluded words are supported"""
+        q: String!
+        category: String
+        inStock: Boolean
+        minPrice: Float
+        maxPrice: Float
+        currency: String
+        page: Int
+        """Results per page (default: 10, max: 100)"""
+        limit: Int
+        cursor: String
+        includeTotal: Boolean
+    ): SearchResult!
+
+    """Counts, prices and inventory value by category (GET /api/products/stats)"""
+    productStats: ProductStats!
+
+    """One product, or null when there is none (GET /api/products/:id)"""
+    product(id: ID!, currency: String): Product
+}
+
+type Mutation {
+    """Create a product (products:write); opening stock goes into the stock ledger"""
+    createProduct(input: ProductInput!): Product!
+
+    """
+    Change some fields of a product (products:write). Fields left out stay as they are;
+    null removes an optional field. ifMatch is the etag of the product as read: the
+    update fails if it changed since.
+    """
+    updateProduct(id: ID!, input: ProductPatchInput!, ifMatch: String): ProductUpdate!
+
+    """Move a product to the trash (products:delete); products with reserved stock cannot be deleted"""
+    deleteProduct(id: ID!, ifMatch: String): DeletedProduct!
+}
+
+"""Prices are amounts of the currency, e.g. 19.99 for 19.99 USD"""
+type Product {
+    id: ID!
+    name: String!
+    description: String!
+    """Regular price, in currency"""
+    price: Float!
+    currency: String!
+    sales: [Sale!]!
+    category: Category
+    sku: String
+    """Units on hand; products with variants keep their stock on the variants"""
+    quantity: Int!
+    """Units held by carts"""
+    reserved: Int!
+    available: Int!
+    inStock: Boolean!
+    variants: [Variant!]!
+    media: [Media!]!
+    """What the product sells for right now, in the requested currency when there is a rate for it"""
+    pricing: Pricing
+    """Send as ifMatch to updateProduct and deleteProduct"""
+    etag: String!
+    revision: Int!
+    createdAt: DateTime
+    updatedAt: DateTime
+    deletedAt: DateTime
+}
+
+type Variant {
+    id: ID!
+    sku: String!
+    options: [VariantOption!]!
+    """null when the variant sells at the product price"""
+    price: Float
+    sales: [Sale!]!
+    quantity: Int!
+    reserved: Int!
+    available: Int!
+    inStock: Boolean!
+    pricing: Pricing
+}
+
+type VariantOption {
+    name: String!
+    value: String!
+}
+
+"""A sale price from startsAt until (not including) endsAt"""
+type Sale {
+    price: Float!
+    startsAt: DateTime!
+    endsAt: DateTime!
+}
+
+type Pricing {
+    currency: String!
+    """Price right now, sales included; for products with variants the lowest variant price"""
+    price: Float!
+    regularPrice: Float!
+    onSale: Boolean!
+    saleEndsAt: DateTime
+    """Units of currency per unit of the product's own currency, null when they are the same"""
+    exchangeRate: Float
+}
+
+type Media {
+    id: ID!
+    url: String!
+    contentType: String!
+    size: Int!
+    width: Int!
+    height: Int!
+    alt: String!
+    originalName: String
+    thumbnails: [Thumbnail!]!
+    createdAt: DateTime
+}
+
+type Thumbnail {
+    width: Int!
+    height: Int!
+    url: String!
+}
+
+type Category {
+    id: ID!
+    name: String!
+    slug: String!
+    description: String
+    parent: Category
+    """Every category above this one, root first"""
+    ancestors: [Category!]!
+    children: [Category!]!
+}
+
+type ProductPage {
+    pagination: Pagination!
+    count: Int!
+    products: [Product!]!
+}
+
+type Pagination {
+    """page or cursor"""
+    mode: String!
+    currentPage: Int
+    totalPages: Int
+    """null when includeTotal is false"""
+    totalProducts: Int
+    productsPerPage: Int!
+    hasNext: Boolean!
+    hasPrev: Boolean
+    nextPage: Int
+    prevPage: Int
+    nextCursor: String
+}
+
+type SearchResult {
+    search: SearchInfo!
+    facets: SearchFacets!
+    results: Int!
+    products: [Product!]!
+}
+
+type SearchInfo {
+    query: String!
+    """page or cursor"""
+    mode: String!
+    totalResults: Int
+    currentPage: Int
+    totalPages: Int
+    hasNext: Boolean!
+    hasPrev: Boolean
+    nextCursor: String
+}
+
+"""Counts over every match, not just the page"""
+type SearchFacets {
+    categories: [CategoryFacet!]!
+    stock: StockFacet!
+    priceRanges: [PriceRangeFacet!]!
+}
+
+type CategoryFacet {
+    categoryId: ID!
+    category: Category
+    name: String
+    slug: String
+    count: Int!
+}
+
+type StockFacet {
+    inStock: Int!
+    outOfStock: Int!
+}
+
+type PriceRangeFacet {
+    currency: String!
+    min: Float!
+    """null for the open-ended last range"""
+    max: Float
+    count: Int!
+}
+
+"""Prices and values are regular prices in the base currency"""
+type ProductStats {
+    summary: StatsSummary!
+    """null when there are no products"""
+    priceStatistics: PriceStatistics
+    """Counts roll up the category tree: a category includes its subcategories"""
+    categories: [CategoryStats!]!
+    lastUpdated: DateTime!
+}
+
+type StatsSummary {
+    totalProducts: Int!
+    inStock: Int!
+    outOfStock: Int!
+    inStockPercentage: Float!
+    unitsOnHand: Int!
+    reservedUnits: Int!
+    availableUnits: Int!
+}
+
+type PriceStatistics {
+    currency: String!
+    averagePrice: Float
+    minPrice: Float
+    maxPrice: Float
+    totalInventoryValue: Float!
+}
+
+type CategoryStats {
+    categoryId: ID!
+    category: Category
+    name: String
+    slug: String
+    count: Int!
+    """Products filed directly under this category"""
+    directCount: Int!
+    averagePrice: Float
+    totalValue: Float
+    minPrice: Float
+    maxPrice: Float
+    unitsOnHand: Int!
+    reservedUnits: Int!
+    inStockCount: Int!
+    outOfStockCount: Int!
+    inStockPercentage: Float
+}
+
+type ProductUpdate {
+    """The fields that changed, empty when the input changed nothing"""
+    changed: [String!]!
+    product: Product!
+}
+
+type DeletedProduct {
+    product: Product!
+    """When the trash purge job removes the product for good"""
+    purgeAt: DateTime!
+}
+
+input SaleInput {
+    price: Float!
+    startsAt: DateTime!
+    endsAt: DateTime!
+}
+
+input VariantOptionInput {
+    name: String!
+    value: String!
+}
+
+input VariantInput {
+    sku: String!
+    options: [VariantOptionInput!]!
+    price: Float
+    sales: [SaleInput!]
+    quantity: Int
+}
+
+input ProductInput {
+    name: String!
+    description: String!
+    price: Float!
+    """Default: BASE_CURRENCY"""
+    currency: String
+    sales: [SaleInput!]
+    """Category id or slug"""
+    category: String!
+    sku: String
+    """Opening stock; products with variants set it per variant"""
+    quantity: Int
+    variants: [VariantInput!]
+}
+
+input ProductPatchInput {
+    name: String
+    description: String
+    price: Float
+    currency: String
+    sales: [SaleInput!]
+    category: String
+    sku: String
+}
+`;
+
+// ===== INPUT =====
+
+/**
+ * Arguments as the query string of the matching REST route, checked against its
+ * schema so both accept the same values; returns the query
+ */
+const readArguments = (schema, args) => {
+    const query = {};
+    Object.entries(args).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) query[name] = String(value);
+    });
+    const { errors } = validateSchema(schema, query, { coerce: true });
+    if (errors.length > 0) {
+        throw new RequestValidationError(errors.map(error => ({ in: 'arguments', ...error })));
+    }
+    return query;
+};
+
+const checkId = (id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw new RequestValidationError([{ in: 'arguments', pointer: '/id', detail: 'must be a valid id' }], 'Invalid ID format');
+    }
+};
+
+/**
+ * Product input as the JSON body the REST routes take: plain objects, and variant
+ * options as an object of name -> value; null stays null (a merge patch removes the field)
+ */
+const toProductData = (input) => {
+    const data = JSON.parse(JSON.stringify(input));
+    if (Array.isArray(data.variants)) {
+        data.variants.forEach(variant => {
+            variant.options = Object.fromEntries(variant.options.map(option => [option.name, option.value]));
+        });
+    }
+    return data;
+};
+
+// Mutations need credentials with the scope, like the routes they mirror
+const requireScope = (req, scope) => {
+    if (!req.auth) {
+        throw new ApiError('Access denied. No API key or token provided.', 401);
+    }
+    const error = missingScopeError(req.auth, [scope]);
+    if (error) throw error;
+};
+
+// Who is making a change and in which request, for the audit trail
+const auditContext = (req) => ({ actor: actorFromRequest(req), requestId: req.id || null });
+
+// A written product as the queries return it, priced in its own currency
+const priced = async (product) => withPricing(product, await readPricing({}));
+
+// ===== RESOLVERS =====
+
+const resolvers = {
+    DateTime: {
+        serialize: (value) => new Date(value).toISOString(),
+        // Dates are passed on as sent; the product schemas check their format
+        parseValue: (value) => {
+            if (typeof value !== 'string') throw new GraphQLError('DateTime must be an ISO 8601 string');
+            return value;
+        },
+        parseLiteral: (ast) => {
+            if (ast.kind !== Kind.STRING) throw new GraphQLError('DateTime must be an ISO 8601 string', { nodes: [ast] });
+            return ast.value;
+        }
+    },
+
+    Query: {
+        products: async (root, args) => {
+            const { products, pagination, pricing } = await listProducts(readArguments(schemas.productListQuery, args));
+            return {
+                pagination,
+                count: products.length,
+                products: products.map(product => withPricing(product, pricing))
+            };
+        },
+        searchProducts: async (root, args) => {
+            const { search, facets, products, pricing } = await searchCatalog(readArguments(schemas.productSearchQuery, args));
+            return {
+                search,
+                facets,
+                results: products.length,
+                products: products.map(product => withPricing(product, pricing))
+            };
+        },
+        productStats: () => productStatistics(),
+        product: async (root, { id, currency }) => {
+            checkId(id);
+            const pricing = await readPricing(readArguments(schemas.productItemQuery, { currency }));
+            const product = await Product.findById(id);
+            return product ? withPricing(product, pricing) : null;
+        }
+    },
+
+    Mutation: {
+        createProduct: async (root, { input }, { req }) => {
+            requireScope(req, 'products:write');
+            const data = toProductData(input);
+            const errors = checkProduct(data);
+            if (errors.length > 0) {
+                throw new RequestValidationError(errors.map(error => ({ in: 'arguments', ...error, pointer: `/input${error.pointer}` })));
+            }
+            normalizeProduct(data);
+            return priced(await createProduct({ data, context: auditContext(req) }));
+        },
+        updateProduct: async (root, { id, input, ifMatch }, { req }) => {
+            requireScope(req, 'products:write');
+            checkId(id);
+            const { product, changed } = await patchProduct({
+                productId: id,
+                patch: toProductData(input),
+                format: 'merge',
+                context: auditContext(req),
+                ifMatch: parseETagList(ifMatch)
+            });
+            return { changed, product: await priced(product) };
+        },
+        deleteProduct: async (root, { id, ifMatch }, { req }) => {
+            requireScope(req, 'products:delete');
+            checkId(id);
+            const product = await trashProduct({
+                productId: id,
+                context: auditContext(req),
+                ifMatch: parseETagList(ifMatch)
+            });
+            return { product: await priced(product), purgeAt: purgeDate(product.deletedAt) };
+        }
+    },
+
+    Product: {
+        id: (product) => String(product._id),
+        category: (product, args, { loaders }) => (product.category ? loaders.category.load(product.category._id || product.category) : null),
+        // Search results are plain objects without the virtual
+        available: (product) => (product.available !== undefined ? product.available : Math.max(0, (product.quantity || 0) - (product.reserved || 0))),
+        sales: (product) => product.sales || [],
+        // Variant prices are in the currency of the product's pricing
+        variants: (product) => (product.variants || []).map(variant => (variant.pricing && product.pricing
+            ? { ...variant, pricing: { currency: product.pricing.currency, ...variant.pricing } }
+            : variant)),
+        media: (product) => product.media || [],
+        etag: (product) => productETag(product),
+        revision: (product) => product.revision || 0
+    },
+
+    Variant: {
+        id: (variant) => String(variant._id),
+        // A Map on documents, an object once serialized
+        options: (variant) => Object.entries(variant.options instanceof Map ? Object.fromEntries(variant.options) : variant.options || {})
+            .map(([name, value]) => ({ name, value })),
+        available: (variant) => (variant.available !== undefined ? variant.available : Math.max(0, (variant.quantity || 0) - (variant.reserved || 0))),
+        sales: (variant) => variant.sales || []
+    },
+
+    Media: {
+        id: (media) => String(media._id)
+    },
+
+    Category: {
+        id: (category) => String(category._id),
+        parent: (category, args, { loaders }) => (category.parent ? loaders.category.load(category.parent) : null),
+        ancestors: async (category, args, { loaders }) => (await loaders.category.loadMany(category.ancestors || []))
+            .filter(ancestor => ancestor && !(ancestor instanceof Error)),
+        children: (category, args, { loaders }) => loaders.childCategories.load(category._id)
+    },
+
+    CategoryFacet: {
+        categoryId: (facet) => String(facet.value),
+        category: (facet, args, { loaders }) => (facet.value ? loaders.category.load(facet.value) : null)
+    },
+
+    StatsSummary: {
+        // A string with two decimals in the REST response
+        inStockPercentage: (summary) => Number(summary.inStockPercentage)
+    },
+
+    ProductStats: {
+        priceStatistics: (stats) => (stats.priceStatistics.currency ? stats.priceStatistics : null)
+    },
+
+    CategoryStats: {
+        categoryId: (row) => String(row.categoryId),
+        category: (row, args, { loaders }) => loaders.category.load(row.categoryId),
+        // The REST response calls the name category
+        name: (row) => row.category
+    }
+};
+
+// Put the resolvers on the types of a schema built from SDL: field resolvers on
+// object types, serialize and parse functions on scalars
+const addResolvers = (schema, typeResolvers) => {
+    Object.entries(typeResolvers).forEach(([typeName, fields]) => {
+        const type = schema.getType(typeName);
+        if (type instanceof GraphQLScalarType) {
+            Object.assign(type, fields);
+            return;
+        }
+        const typeFields = type.getFields();
+        Object.entries(fields).forEach(([fieldName, resolve]) => {
+            typeFields[fieldName].resolve = resolve;
+        });
+    });
+    return schema;
+};
+
+const graphqlSchema = addResolvers(buildSchema(typeDefs), resolvers);
+
+module.exports = { graphqlSchema };
@@ -0,0 +1,49 @@
+// Liveness and readiness checks behind /health
+const mongoose = require('mongoose');
+
+// A ping slower than this counts as MongoDB being down
+const PING_TIMEOUT_MS = parseInt(process.env.HEALTH_PING_TIMEOUT_MS, 10) || 2000;
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// The mongoose connection state, then a ping to prove the server answers
+const checkMongo = async () => {
+    const state = CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+    if (mongoose.connection.readyState !== 1) {
+        return { status: 'down', state };
+    }
+
+    const startedAt = process.hrtime.bigint();
+    try {
+        await withTimeout(mongoose.connection.db.admin().ping(), PING_TIMEOUT_MS);
+        return {
+            status: 'up',
+            state,
+            latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100
+        };
+    } catch (error) {
+        return { status: 'down', state, error: error.message };
+    }
+};
+
+/**
+ * Whether the API can serve traffic: every dependency answers
+ * Returns { ready, checks: { mongodb: { status, state, latencyMs?, error? } } }
+ */
+const checkReadiness = async () => {
+    const checks = { mongodb: await checkMongo() };
+    return {
+        ready: Object.values(checks).every(check => check.status === 'up'),
+        checks
+    };
+};
+
+module.exports = { checkReadiness };
@@ -0,0 +1,359 @@
+// Stock ledger and cart reservations
+// Every stock change goes through a single conditional findOneAndUpdate on the
+// product, so two checkouts racing for the last unit cannot both win: the second
+// update simply matches nothing.
+const mongoose = require('mongoose');
+const Product = require('../models/products');
+const StockMovement = require('../models/stockMovements');
+const Reservation = require('../models/reservations');
+const { ApiError } = require('./errors');
+const { publishOutOfStock } = require('./webhooks');
+const { publishStockChange } = require('./changeStream');
+
+// Thrown for problems the caller can fix
+class InventoryError extends ApiError {}
+
+const DEFAULT_RESERVATION_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS, 10) || 15 * 60;
+const MAX_RESERVATION_TTL_SECONDS = 24 * 60 * 60;
+
+// quantity - reserved, treating missing fields on older documents as 0
+const availableExpression = { $subtract: [{ $ifNull: ['$quantity', 0] }, { $ifNull: ['$reserved', 0] }] };
+
+// Variant ids are compared inside aggregation expressions, where Mongoose does not cast
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// quantity - reserved of one variant
+const variantAvailableExpression = (variantId) => ({
+    $let: {
+        vars: {
+            variant: {
+                $arrayElemAt: [
+                    { $filter: { input: { $ifNull: ['$variants', []] }, cond: { $eq: ['$$this._id', toObjectId(variantId)] } } },
+                    0
+                ]
+            }
+        },
+        in: { $subtract: [{ $ifNull: ['$$variant.quantity', 0] }, { $ifNull: ['$$variant.reserved', 0] }] }
+    }
+});
+
+/**
+ * Pipeline stages that recompute the derived stock fields
+ * - each variant's inStock
+ * - product quantity/reserved as the variant totals (when the product has variants)
+ * - product inStock
+ * Mirrors the Product pre-save hook for updates that bypass save()
+ */
+const stockTotalsStages = [
+    {
+        $set: {
+            variants: {
+                $map: {
+                    input: { $ifNull: ['$variants', []] },
+                    as: 'variant',
+                    in: {
+                        $mergeObjects: ['$$variant', {
+                            inStock: {
+                                $gt: [{ $subtract: [{ $ifNull: ['$$variant.quantity', 0] }, { $ifNull: ['$$variant.reserved', 0] }] }, 0]
+                            }
+                        }]
+                    }
+                }
+            }
+        }
+    },
+    {
+        $set: {
+            quantity: { $cond: [{ $gt: [{ $size: '$variants' }, 0] }, { $sum: '$variants.quantity' }, { $ifNull: ['$quantity', 0] }] },
+            reserved: { $cond: [{ $gt: [{ $size: '$variants' }, 0] }, { $sum: '$variants.reserved' }, { $ifNull: ['$reserved', 0] }] }
+        }
+    },
+    { $set: { inStock: { $gt: [availableExpression, 0] } } }
+];
+
+/**
+ * Update pipeline that applies stock deltas and recomputes inStock in the same write
+ * With a variantId the deltas apply to that variant and the product totals follow
+ */
+const stockUpdate = (quantityDelta, reservedDelta, variantId = null) => {
+    if (!variantId) {
+        return [
+            {
+                $set: {
+                    quantity: { $add: [{ $ifNull: ['$quantity', 0] }, quantityDelta] },
+                    reserved: { $add: [{ $ifNull: ['$reserved', 0] }, reservedDelta] }
+                }
+            },
+            ...stockTotalsStages
+        ];
+    }
+
+    return [
+        {
+            $set: {
+                variants: {
+                    $map: {
+                        input: '$variants',
+                        as: 'variant',
+                        in: {
+                            $cond: [
+                                { $eq: ['$$variant._id', toObjectId(variantId)] },
+                                {
+                                    $mergeObjects: ['$$variant', {
+                                        quantity: { $add: [{ $ifNull: ['$$variant.quantity', 0] }, quantityDelta] },
+                                        reserved: { $add: [{ $ifNull: ['$$variant.reserved', 0] }, reservedDelta] }
+                                    }]
+                                },
+                                '$$variant'
+                            ]
+                        }
+                    }
+                }
+            }
+        },
+        ...stockTotalsStages
+    ];
+};
+
+/**
+ * Filter for the stock a change applies to
+ * Products with variants keep their stock on the variants, so a change without a
+ * variantId must only match products that have none
+ */
+const stockTarget = (productId, variantId = null) => (variantId
+    ? { _id: productId, 'variants._id': variantId }
+    : { _id: productId, 'variants.0': { $exists: false } });
+
+// Filter that only matches while at least `units` are available
+const hasAvailable = (productId, units, variantId = null) => ({
+    ...stockTarget(productId, variantId),
+    $expr: { $gte: [variantId ? variantAvailableExpression(variantId) : availableExpression, units] }
+});
+
+// Work out why a conditional update matched nothing
+const explainMiss = async (productId, units, variantId = null) => {
+    const product = await Product.findById(productId, 'quantity reserved variants');
+    if (!product) {
+        return new InventoryError('Product not found', 404, { productId });
+    }
+
+    if (!variantId && product.variants.length > 0) {
+        return new InventoryError('variantId is required for products with variants', 400, { productId });
+    }
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) {
+        return new InventoryError('Variant not found', 404, { productId, variantId });
+    }
+
+    return new InventoryError('Insufficient stock', 409, {
+        productId,
+        variantId: variantId || undefined,
+        requested: units,
+        available: (variant || product).available
+    });
+};
+
+/**
+ * Record a stock movement and apply it to the product
+ * quantity is positive for receipt, sale and return; adjustments take a signed delta
+ * variantId is required for products with variants and must be omitted otherwise
+ * Returns { product, movement }
+ */
+const recordMovement = async ({ productId, variantId = null, type, quantity, reason, actor, reservation = null }) => {
+    const delta = type === 'sale' ? -quantity : quantity;
+
+    // Stock that leaves may not dig into units held by reservations
+    const filter = delta < 0 ? hasAvailable(productId, -delta, variantId) : stockTarget(productId, variantId);
+    const product = await Product.findOneAndUpdate(filter, stockUpdate(delta, 0, variantId), { new: true });
+
+    if (!product) {
+        throw await explainMiss(productId, -delta, variantId);
+    }
+
+    const movement = await StockMovement.create({
+        product: product._id,
+        variant: variantId,
+        type,
+        quantity: delta,
+        balanceAfter: variantId ? product.variants.id(variantId).quantity : product.quantity,
+        reason,
+        actor,
+        reservation
+    });
+
+    publishStockChange(product, variantId);
+
+    // Only units on hand could leave, so this movement is what sold the product out
+    if (delta < 0 && !product.inStock) {
+        publishOutOfStock(product, variantId);
+    }
+
+    return { product, movement };
+};
+
+/**
+ * Hold stock for a cart
+ * items: [{ productId, variantId?, quantity }]; repeated products/variants are merged
+ * Either every item is reserved or none is: if one product runs short or the
+ * reservations cannot be saved, the holds already placed for this request are
+ * given back and their reservations removed before failing
+ */
+const reserveStock = async ({ cartId, items, ttlSeconds = DEFAULT_RESERVATION_TTL_SECONDS, actor }) => {
+    const ttl = Math.min(ttlSeconds, MAX_RESERVATION_TTL_SECONDS);
+    const wanted = new Map();
+    items.forEach(({ productId, variantId = null, quantity }) => {
+        const key = `${productId}:${variantId || ''}`;
+        const item = wanted.get(key) || { productId: String(productId), variantId, units: 0 };
+        item.units += quantity;
+        wanted.set(key, item);
+    });
+
+    // Reservation ids are chosen before the insert, so a failed insert can be cleaned up whatever part of it was written
+    const held = [];
+    let reservations;
+    try {
+        for (const { productId, variantId, units } of wanted.values()) {
+            const product = await Product.findOneAndUpdate(
+                hasAvailable(productId, units, variantId),
+                stockUpdate(0, units, variantId),
+                { new: true }
+            );
+            if (!product) {
+                throw await explainMiss(productId, units, variantId);
+            }
+            held.push({ productId, variantId, units, product, reservationId: new mongoose.Types.ObjectId() });
+        }
+
+        const expiresAt = new Date(Date.now() + ttl * 1000);
+        reservations = await Reservation.insertMany(held.map(({ productId, variantId, units, reservationId }) => ({
+            _id: reservationId,
+            cartId,
+            product: productId,
+            variant: variantId,
+            quantity: units,
+            expiresAt,
+            actor
+        })));
+    } catch (error) {
+        await Promise.all(held.map(async ({ productId, variantId, units, reservationId }) => {
+            // A reservation that was saved and already released or expired gave its units back itself
+            const { deletedCount } = await Reservation.deleteOne({ _id: reservationId, status: 'active' });
+            if (deletedCount === 0 && await Reservation.exists({ _id: reservationId })) return;
+            await Product.findOneAndUpdate({ _id: productId }, stockUpdate(0, -units, variantId));
+        }));
+        throw error;
+    }
+
+    // Only announced once the reservations that hold the units exist
+    held.forEach(({ product, variantId }) => publishStockChange(product, variantId));
+    held.filter(({ product }) => !product.inStock)
+        .forEach(({ product, variantId }) => publishOutOfStock(product, variantId));
+
+    return reservations;
+};
+
+/**
+ * Move one active reservation to a final status and give its units back
+ * Claiming the reservation first (active -> status) makes each one finish exactly once
+ */
+const closeReservation = async (reservationId, status) => {
+    const reservation = await Reservation.findOneAndUpdate(
+        { _id: reservationId, status: 'active' },
+        { status },
+        { new: true }
+    );
+    if (!reservation) return null;
+
+    const product = await Product.findOneAndUpdate(
+        { _id: reservation.product },
+        stockUpdate(0, -reservation.quantity, reservation.variant),
+        { new: true }
+    );
+    if (product) publishStockChange(product, reservation.variant);
+    return reservation;
+};
+
+/**
+ * Check out a cart: every active reservation becomes a sale
+ * Reservations that ran past their TTL are expired instead of sold
+ * Returns { committed, expired }
+ */
+const commitReservations = async ({ cartId, actor }) => {
+    const reservations = await Reservation.find({ cartId, status: 'active' });
+    if (reservations.length === 0) {
+        throw new InventoryError('No active reservations for this cart', 404, { cartId });
+    }
+
+    const committed = [];
+    const expired = [];
+    for (const reservation of reservations) {
+        if (reservation.expiresAt <= new Date()) {
+            const closed = await closeReservation(reservation._id, 'expired');
+            if (closed) expired.push(closed);
+            continue;
+        }
+
+        const claimed = await Reservation.findOneAndUpdate(
+            { _id: reservation._id, status: 'active' },
+            { status: 'committed' },
+            { new: true }
+        );
+        if (!claimed) continue;
+
+        // The units leave stock and stop being held in one write
+        const product = await Product.findOneAndUpdate(
+            { _id: claimed.product },
+            stockUpdate(-claimed.quantity, -claimed.quantity, claimed.variant),
+            { new: true }
+        );
+        const stockHolder = product && claimed.variant ? product.variants.id(claimed.variant) : product;
+        if (product) publishStockChange(product, claimed.variant);
+
+        await StockMovement.create({
+            product: claimed.product,
+            variant: claimed.variant,
+            type: 'sale',
+            quantity: -claimed.quantity,
+            balanceAfter: stockHolder ? stockHolder.quantity : 0,
+            reason: `Checkout of cart ${cartId}`,
+            actor,
+            reservation: claimed._id
+        });
+        committed.push(claimed);
+    }
+
+    return { committed, expired };
+};
+
+// Give back every active reservation of a cart
+const releaseReservations = async ({ cartId }) => {
+    const reservations = await Reservation.find({ cartId, status: 'active' }, '_id');
+    const released = [];
+    for (const reservation of reservations) {
+        const closed = await closeReservation(reservation._id, 'released');
+        if (closed) released.push(closed);
+    }
+    return released;
+};
+
+// Expire every reservation past its TTL; used by the background job
+const expireReservations = async () => {
+    const overdue = await Reservation.find({ status: 'active', expiresAt: { $lte: new Date() } }, '_id');
+    let count = 0;
+    for (const reservation of overdue) {
+        if (await closeReservation(reservation._id, 'expired')) count++;
+    }
+    return count;
+};
+
+module.exports = {
+    InventoryError,
+    stockTotalsStages,
+    DEFAULT_RESERVATION_TTL_SECONDS,
+    recordMovement,
+    reserveStock,
+    commitReservations,
+    releaseReservations,
+    expireReservations
+};
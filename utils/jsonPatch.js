@@ -0,0 +1,174 @@
+// JSON Merge Patch (RFC 7386) and JSON Patch (RFC 6902) over plain JSON values
+const { isDeepStrictEqual } = require('util');
+const { ApiError } = require('./errors');
+
+// Thrown when a patch is malformed or cannot be applied
+class PatchError extends ApiError {}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+/**
+ * Apply a JSON Merge Patch
+ * Objects merge key by key, null removes a key and anything else replaces the value
+ * Returns a new value; target is not modified
+ */
+const applyMergePatch = (target, patch) => {
+    if (!isPlainObject(patch)) return structuredClone(patch);
+
+    const result = isPlainObject(target) ? { ...target } : {};
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    });
+    return result;
+};
+
+// "/a/b~1c" -> ['a', 'b/c']; "" points at the whole document
+const parsePointer = (pointer) => {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new PatchError(`Invalid JSON pointer "${pointer}"`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+const childOf = (container, token) => {
+    if (Array.isArray(container)) {
+        return ARRAY_INDEX.test(token) ? container[Number(token)] : undefined;
+    }
+    if (isPlainObject(container) && Object.prototype.hasOwnProperty.call(container, token)) {
+        return container[token];
+    }
+    return undefined;
+};
+
+const getValue = (document, pointer) => {
+    let value = document;
+    for (const token of parsePointer(pointer)) {
+        value = childOf(value, token);
+        if (value === undefined) {
+            throw new PatchError(`Path "${pointer}" does not exist`);
+        }
+    }
+    return value;
+};
+
+// The container holding the last token of a path, and that token
+const locate = (document, pointer) => {
+    const tokens = parsePointer(pointer);
+    let parent = document;
+    for (const token of tokens.slice(0, -1)) {
+        parent = childOf(parent, token);
+        if (parent === undefined) {
+            throw new PatchError(`Path "${pointer}" does not exist`);
+        }
+    }
+    return { parent, key: tokens[tokens.length - 1] };
+};
+
+// The operations below change the document in place and return it, except at
+// the root ("" path), where the returned value replaces the document
+const addValue = (document, pointer, value) => {
+    if (pointer === '') return value;
+
+    const { parent, key } = locate(document, pointer);
+    if (Array.isArray(parent)) {
+        const index = key === '-' ? parent.length : Number(key);
+        if ((key !== '-' && !ARRAY_INDEX.test(key)) || index > parent.length) {
+            throw new PatchError(`Array index out of bounds at "${pointer}"`);
+        }
+        parent.splice(index, 0, value);
+    } else if (isPlainObject(parent)) {
+        parent[key] = value;
+    } else {
+        throw new PatchError(`Path "${pointer}" does not exist`);
+    }
+    return document;
+};
+
+const removeValue = (document, pointer) => {
+    if (pointer === '') {
+        throw new PatchError('The whole document cannot be removed');
+    }
+
+    const { parent, key } = locate(document, pointer);
+    if (childOf(parent, key) === undefined) {
+        throw new PatchError(`Path "${pointer}" does not exist`);
+    }
+    if (Array.isArray(parent)) {
+        parent.splice(Number(key), 1);
+    } else {
+        delete parent[key];
+    }
+    return document;
+};
+
+const applyOperation = (document, operation) => {
+    if (!isPlainObject(operation) || typeof operation.op !== 'string' || typeof operation.path !== 'string') {
+        throw new PatchError('Each operation needs an "op" and a "path"');
+    }
+
+    const { op, path, from, value } = operation;
+    if (['add', 'replace', 'test'].includes(op) && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+        throw new PatchError(`"${op}" needs a "value"`);
+    }
+    if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+        throw new PatchError(`"${op}" needs a "from" pointer`);
+    }
+
+    switch (op) {
+        case 'add':
+            return addValue(document, path, structuredClone(value));
+        case 'remove':
+            return removeValue(document, path);
+        case 'replace':
+            getValue(document, path);
+            return path === '' ? structuredClone(value) : addValue(removeValue(document, path), path, structuredClone(value));
+        case 'move': {
+            if (path.startsWith(`${from}/`)) {
+                throw new PatchError(`Cannot move "${from}" into one of its own children`);
+            }
+            const moved = getValue(document, from);
+            return addValue(removeValue(document, from), path, moved);
+        }
+        case 'copy':
+            return addValue(document, path, structuredClone(getValue(document, from)));
+        case 'test':
+            if (!isDeepStrictEqual(getValue(document, path), value)) {
+                throw new PatchError(`Test failed at "${path}"`, 409);
+            }
+            return document;
+        default:
+            throw new PatchError(`Unknown operation "${op}"`);
+    }
+};
+
+/**
+ * Apply a JSON Patch: a list of add, remove, replace, move, copy and test operations
+ * The patch is all or nothing: the document is copied first and a failing
+ * operation throws a PatchError naming its index
+ * Returns the patched copy
+ */
+const applyJsonPatch = (document, operations) => {
+    if (!Array.isArray(operations)) {
+        throw new PatchError('A JSON Patch must be an array of operations');
+    }
+
+    let result = structuredClone(document);
+    operations.forEach((operation, index) => {
+        try {
+            result = applyOperation(result, operation);
+        } catch (error) {
+            if (error instanceof PatchError) error.details = { ...error.details, operation: index };
+            throw error;
+        }
+    });
+    return result;
+};
+
+module.exports = { PatchError, isPlainObject, parsePointer, applyMergePatch, applyJsonPatch };
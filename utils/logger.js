@@ -0,0 +1,87 @@
+// Structured logger: one JSON object per line on stdout
+// { time, level, msg, requestId?, ...fields }
+// LOG_LEVEL (error, warn, info, debug; default info) sets the least severe level written.
+// Lines written while a request is handled carry its requestId automatically
+// (see runWithLogContext and middleware/requestId), including lines from utils and models.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const DEFAULT_LEVEL = 'info';
+
+const logContext = new AsyncLocalStorage();
+
+const levelRank = (level) => LOG_LEVELS.indexOf(level);
+
+// Read on every line so tests and scripts can change LOG_LEVEL after loading this module
+const enabledRank = () => {
+    const rank = levelRank(String(process.env.LOG_LEVEL || DEFAULT_LEVEL).toLowerCase());
+    return rank === -1 ? levelRank(DEFAULT_LEVEL) : rank;
+};
+
+// Errors do not serialize to JSON on their own
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    stack: error.stack
+});
+
+const serializeFields = (fields) => Object.fromEntries(Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => [key, value instanceof Error ? serializeError(value) : value]));
+
+const write = (level, msg, fields) => {
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...logContext.getStore(),
+        ...serializeFields(fields)
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        // Circular or otherwise unserializable fields must not lose the line
+        line = JSON.stringify({ time: entry.time, level, msg, ...logContext.getStore(), logError: error.message });
+    }
+    process.stdout.write(`${line}\n`);
+};
+
+/**
+ * A logger whose lines all carry the given fields
+ * Usage: logger.info('Import finished', { created: 12 })
+ *        logger.error('Trash purge failed', { err: error })
+ */
+const createLogger = (bindings = {}) => {
+    const logger = {
+        child: (fields) => createLogger({ ...bindings, ...fields }),
+        isLevelEnabled: (level) => levelRank(level) !== -1 && levelRank(level) <= enabledRank()
+    };
+    LOG_LEVELS.forEach(level => {
+        logger[level] = (msg, fields = {}) => {
+            if (logger.isLevelEnabled(level)) write(level, msg, { ...bindings, ...fields });
+        };
+    });
+    return logger;
+};
+
+/**
+ * Run fn with fields (such as the requestId) added to every line logged inside it,
+ * including from callbacks and awaits that continue its work
+ */
+const runWithLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+// Header values that must never reach the logs
+const REDACTED_HEADERS = ['authorization', 'x-api-key', 'cookie', 'set-cookie'];
+
+const redactHeaders = (headers) => Object.fromEntries(Object.entries(headers)
+    .map(([name, value]) => [name, REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value]));
+
+module.exports = createLogger();
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.createLogger = createLogger;
+module.exports.runWithLogContext = runWithLogContext;
+module.exports.redactHeaders = redactHeaders;
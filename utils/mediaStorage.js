@@ -0,0 +1,75 @@
+// Backends for uploaded media files (see utils/productMedia)
+//
+// A backend stores files by key, e.g. products/<productId>/<mediaId>.jpg, and says
+// where clients load them from. Any object with these methods can replace the local
+// directory (see setMediaStorage), e.g. one on S3 behind a CDN:
+//
+//   put(key, buffer, contentType) -> Promise<string>  public URL of the stored file
+//   delete(key)                   -> Promise<void>    a missing file is not an error
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_DIR = 'uploads';
+const DEFAULT_BASE_URL = '/media';
+
+/**
+ * Files in a directory of this server (MEDIA_DIR), which the app serves at /media
+ * (see serveMedia); MEDIA_BASE_URL is the prefix of the URLs handed out, e.g. a CDN
+ * in front of /media. Instances behind a load balancer need a shared directory.
+ */
+class LocalMediaStorage {
+    constructor({ dir = process.env.MEDIA_DIR || DEFAULT_DIR, baseUrl = process.env.MEDIA_BASE_URL || DEFAULT_BASE_URL } = {}) {
+        this.dir = path.resolve(dir);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        // A key is never reused for other content, so clients may keep files for good
+        this.serve = express.static(this.dir, { immutable: true, maxAge: '365d', index: false, dotfiles: 'deny' });
+    }
+
+    // Keys are made by utils/productMedia, never by clients; this guards against mistakes
+    filePath(key) {
+        const file = path.resolve(this.dir, key);
+        if (!file.startsWith(this.dir + path.sep)) {
+            throw new Error(`Media key outside the media directory: ${key}`);
+        }
+        return file;
+    }
+
+    async put(key, buffer) {
+        const file = this.filePath(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        return `${this.baseUrl}/${key}`;
+    }
+
+    async delete(key) {
+        await fs.rm(this.filePath(key), { force: true });
+    }
+}
+
+// Created on first use, so MEDIA_DIR and MEDIA_BASE_URL are read after .env is loaded
+let storage = null;
+
+const getMediaStorage = () => {
+    if (!storage) storage = new LocalMediaStorage();
+    return storage;
+};
+
+// Replace the backend, e.g. with one on S3; call before the server starts
+const setMediaStorage = (backend) => {
+    storage = backend;
+};
+
+/**
+ * Middleware serving the files of the local backend (mounted at /media by app.js)
+ * Other backends serve their own files, so requests fall through to the 404 handler
+ */
+const serveMedia = (req, res, next) => {
+    const backend = getMediaStorage();
+    if (backend instanceof LocalMediaStorage) {
+        return backend.serve(req, res, next);
+    }
+    next();
+};
+
+module.exports = { LocalMediaStorage, getMediaStorage, setMediaStorage, serveMedia };
@@ -0,0 +1,145 @@
+// Prometheus metrics, served as text by GET /metrics
+// - http_requests_total / http_request_duration_seconds: per route pattern, method and status
+// - response_cache_lookups_total: hits and misses of the response cache (see middleware/cache)
+// - mongodb_command_duration_seconds: every command the driver sends (see instrumentMongoClient)
+// - catalog_products: catalog size by category and stock status, counted when scraped
+// - process_* and nodejs_*: CPU, memory, event loop lag, handles and GC (prom-client defaults)
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const Product = require('../models/products');
+const logger = require('./logger');
+const { connectedClients } = require('./changeStream');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests answered, by route pattern, method and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time to answer HTTP requests, by route pattern, method and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const cacheLookups = new client.Counter({
+    name: 'response_cache_lookups_total',
+    help: 'Response cache lookups, by cache and result (hit or miss)',
+    labelNames: ['cache', 'result'],
+    registers: [register]
+});
+
+const mongoCommandDuration = new client.Histogram({
+    name: 'mongodb_command_duration_seconds',
+    help: 'Time MongoDB took to run commands, by command, collection and outcome',
+    labelNames: ['command', 'collection', 'outcome'],
+    buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+    registers: [register]
+});
+
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Route label of a request: the pattern it matched (/api/products/:id), never the
+ * raw URL, so ids do not create a time series each. Requests no route matched
+ * share one label.
+ */
+const routeLabel = (req) => {
+    if (!req.route) return UNMATCHED_ROUTE;
+    const base = req.routeBase !== undefined ? req.routeBase : req.baseUrl;
+    const path = req.route.path;
+    return path === '/' && base ? base : `${base.replace(/\/$/, '')}${path}`;
+};
+
+const observeRequest = (req, res, seconds) => {
+    const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+};
+
+const observeCacheLookup = (cache, hit) => {
+    cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+};
+
+// Connection handshakes and heartbeats say nothing about query performance
+const IGNORED_COMMANDS = ['hello', 'ismaster', 'isMaster', 'ping', 'saslStart', 'saslContinue', 'endSessions', 'buildInfo'];
+
+/**
+ * Time every command of a MongoClient connected with monitorCommands: true
+ * Usage: instrumentMongoClient(mongoose.connection.getClient())
+ */
+const instrumentMongoClient = (mongoClient) => {
+    // Collection names are only on the started event
+    const collections = new Map();
+
+    const finish = (outcome) => (event) => {
+        const collection = collections.get(event.requestId);
+        collections.delete(event.requestId);
+        if (IGNORED_COMMANDS.includes(event.commandName)) return;
+        mongoCommandDuration.observe(
+            { command: event.commandName, collection: collection || '', outcome },
+            event.duration / 1000
+        );
+    };
+
+    mongoClient.on('commandStarted', (event) => {
+        if (IGNORED_COMMANDS.includes(event.commandName)) return;
+        const target = event.command[event.commandName];
+        // getMore names its collection separately; the others name it directly
+        collections.set(event.requestId, typeof target === 'string' ? target : event.command.collection);
+    });
+    mongoClient.on('commandSucceeded', finish('success'));
+    mongoClient.on('commandFailed', finish('failure'));
+};
+
+// Clients of GET /api/products/stream, over SSE or WebSocket
+new client.Gauge({
+    name: 'stream_clients',
+    help: 'Clients connected to the live product stream',
+    registers: [register],
+    collect() {
+        this.set(connectedClients());
+    }
+});
+
+// Product counts, gathered on each scrape; left empty while MongoDB is unreachable
+new client.Gauge({
+    name: 'catalog_products',
+    help: 'Products in the catalog (trash excluded), by category slug and stock status',
+    labelNames: ['category', 'stock_status'],
+    registers: [register],
+    async collect() {
+        this.reset();
+        if (mongoose.connection.readyState !== 1) return;
+
+        try {
+            const groups = await Product.aggregate([
+                { $group: { _id: { category: '$category', inStock: '$inStock' }, count: { $sum: 1 } } },
+                { $lookup: { from: 'categories', localField: '_id.category', foreignField: '_id', as: 'category' } }
+            ]);
+            groups.forEach(group => {
+                const category = group.category[0];
+                this.set({
+                    category: category ? category.slug : 'uncategorized',
+                    stock_status: group._id.inStock ? 'in_stock' : 'out_of_stock'
+                }, group.count);
+            });
+        } catch (error) {
+            logger.warn('Failed to count products for metrics', { err: error });
+        }
+    }
+});
+
+module.exports = {
+    register,
+    observeRequest,
+    observeCacheLookup,
+    routeLabel,
+    instrumentMongoClient
+};
@@ -0,0 +1,464 @@
+// Builds the OpenAPI 3.1 document of the API from the routers themselves
+// Paths, parameters, request bodies and required scopes are read from the route
+// definitions (the validateRequest / validateParam schemas, with their descriptions,
+// and the authenticate scopes on each route); summaries and responses come from
+// utils/apiOperations. Response models are generated from the Mongoose schemas.
+const { schemas: requestSchemas } = require('../middleware/validation');
+const { API_INFO, TAGS, OPERATIONS, EXTRA_SCHEMAS, ref } = require('./apiOperations');
+const Product = require('../models/products');
+const Category = require('../models/categories');
+const ApiKey = require('../models/apiKeys');
+const User = require('../models/users');
+const StockMovement = require('../models/stockMovements');
+const Reservation = require('../models/reservations');
+const ProductVersion = require('../models/productVersions');
+const Webhook = require('../models/webhooks');
+const WebhookDelivery = require('../models/webhookDeliveries');
+const PriceChange = require('../models/priceHistory');
+const ExchangeRate = require('../models/exchangeRates');
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// Fields sent in responses that are not stored: toJSON virtuals, and the pricing the
+// product read routes add (see utils/pricing); Mongoose does not know their types
+const VIRTUALS = {
+    Product: {
+        available: { type: 'integer', description: 'quantity - reserved' },
+        pricing: { ...ref('Pricing'), description: 'What the product sells for right now (product listing, search and GET by id)' }
+    },
+    Variant: {
+        available: { type: 'integer', description: 'quantity - reserved' },
+        pricing: ref('VariantPricing')
+    }
+};
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const nullable = (schema) => (schema.$ref || !schema.type
+    ? { oneOf: [schema, { type: 'null' }] }
+    : { ...schema, type: [].concat(schema.type, 'null') });
+
+// ===== MONGOOSE SCHEMAS TO JSON SCHEMA =====
+
+/**
+ * JSON Schema of one Mongoose path
+ * named: Mongoose schemas that have a component of their own, by schema
+ */
+const fromSchemaType = (schemaType, named) => {
+    const { options = {} } = schemaType;
+    let schema;
+
+    switch (schemaType.instance) {
+        case 'String':
+            schema = { type: 'string' };
+            if (schemaType.enumValues && schemaType.enumValues.length > 0) schema.enum = [...schemaType.enumValues];
+            break;
+        case 'Number':
+            schema = { type: 'number' };
+            if (typeof options.min === 'number') schema.minimum = options.min;
+            break;
+        case 'Boolean':
+            schema = { type: 'boolean' };
+            break;
+        case 'Date':
+            schema = { type: 'string', format: 'date-time' };
+            break;
+        case 'ObjectId':
+            schema = ref('ObjectId');
+            break;
+        case 'Map':
+            schema = { type: 'object', additionalProperties: fromSchemaType(schemaType.$__schemaType, named) };
+            break;
+        case 'Array':
+            schema = {
+                type: 'array',
+                items: schemaType.schema
+                    ? fromMongooseSchema(schemaType.schema, named)
+                    : fromSchemaType(schemaType.embeddedSchemaType || schemaType.caster, named)
+            };
+            break;
+        case 'Embedded':
+            schema = fromMongooseSchema(schemaType.schema, named);
+            break;
+        default:
+            // Mixed: anything JSON can hold
+            schema = {};
+    }
+
+    return options.default === null ? nullable(schema) : schema;
+};
+
+/**
+ * JSON Schema of the documents of a Mongoose schema, as sent in responses
+ * Fields that are never selected (password and key hashes) are left out
+ */
+const fromMongooseSchema = (schema, named, name = null) => {
+    if (!name && named.has(schema)) return ref(named.get(schema));
+
+    const root = { type: 'object', properties: {}, required: [] };
+    Object.entries(schema.paths).forEach(([path, schemaType]) => {
+        // Map values (options.$*) are described by the Map itself
+        if (path === '__v' || path.includes('$*') || schemaType.options.select === false) return;
+
+        // Nested paths such as actor.type become nested objects
+        const parts = path.split('.');
+        let target = root;
+        parts.slice(0, -1).forEach(part => {
+            target.properties[part] = target.properties[part] || { type: 'object', properties: {}, required: [] };
+            target = target.properties[part];
+        });
+
+        const key = parts[parts.length - 1];
+        target.properties[key] = fromSchemaType(schemaType, named);
+        // Required fields and fields with a default are always in the document
+        if (schemaType.isRequired || schemaType.options.default !== undefined || ['_id', 'createdAt', 'updatedAt'].includes(path)) {
+            target.required.push(key);
+        }
+    });
+
+    Object.assign(root.properties, VIRTUALS[name] || {});
+    return root;
+};
+
+// Response models, one component per model (and per sub-schema with a name)
+const modelSchemas = () => {
+    const models = {
+        Product: Product.schema,
+        Variant: Product.schema.path('variants').schema,
+        Sale: Product.schema.path('sales').schema,
+        Media: Product.schema.path('media').schema,
+        Category: Category.schema,
+        ApiKey: ApiKey.schema,
+        User: User.schema,
+        StockMovement: StockMovement.schema,
+        Reservation: Reservation.schema,
+        ProductVersion: ProductVersion.schema,
+        Webhook: Webhook.schema,
+        WebhookDelivery: WebhookDelivery.schema,
+        WebhookAttempt: WebhookDelivery.schema.path('attempts').schema,
+        PriceChange: PriceChange.schema,
+        ExchangeRate: ExchangeRate.schema
+    };
+    const named = new Map(Object.entries(models).map(([name, schema]) => [schema, name]));
+    return Object.fromEntries(Object.entries(models).map(([name, schema]) => [name, fromMongooseSchema(schema, named, name)]));
+};
+
+// ===== ROUTES =====
+
+// '/api/products' + '/:id' -> '/api/products/:id'
+const joinPath = (base, path) => (path === '/' ? base : `${base.replace(/\/$/, '')}${path}`);
+
+// Express route path to an OpenAPI path: /products/:id -> /products/{id}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParams = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+/**
+ * Every route of the mounted routers, in mount order
+ * mounts: [{ path, router }] (see routes/index.js)
+ * Returns [{ key: 'GET /api/products/:id', method, path, handlers, paramSchemas }]
+ * where handlers includes router-level middleware added with router.use
+ */
+const listRoutes = (mounts) => mounts.flatMap(({ path: base, router }) => {
+    const routes = [];
+    const shared = [];
+
+    router.stack.forEach(layer => {
+        if (!layer.route) {
+            shared.push(layer.handle);
+            return;
+        }
+        Object.keys(layer.route.methods).filter(method => method !== '_all').forEach(method => {
+            const path = joinPath(base, layer.route.path);
+            routes.push({
+                key: `${method.toUpperCase()} ${path}`,
+                method,
+                path,
+                handlers: [...shared, ...layer.route.stack.map(routeLayer => routeLayer.handle)],
+                paramSchemas: router.params || {}
+            });
+        });
+    });
+
+    return routes;
+});
+
+// ===== OPERATIONS =====
+
+// product -> ProductInput, refreshToken -> RefreshTokenInput
+const inputName = (key) => `${key.charAt(0).toUpperCase()}${key.slice(1)}Input`;
+
+// Request body schemas of middleware/validation, one component each; query and
+// parameter schemas become parameters instead
+const BODY_SCHEMAS = Object.entries(requestSchemas)
+    .filter(([key, schema]) => schema.type === 'object' && !key.endsWith('Query'));
+const BODY_SCHEMA_NAMES = new Map(BODY_SCHEMAS.map(([key, schema]) => [schema, inputName(key)]));
+
+const problemContent = (schemaName = 'Problem') => ({
+    'application/problem+json': { schema: ref(schemaName) }
+});
+
+const STANDARD_RESPONSES = {
+    BadRequest: { description: 'The request is invalid; errors names each bad field', content: problemContent('ValidationProblem') },
+    Unauthorized: { description: 'Missing or invalid API key or access token', content: problemContent() },
+    Forbidden: { description: 'The key or role lacks a required scope', content: problemContent() },
+    NotFound: { description: 'No such resource', content: problemContent() },
+    PreconditionFailed: {
+        description: 'If-Match does not match; etag is the current ETag',
+        content: problemContent()
+    },
+    TooManyRequests: {
+        description: 'Rate limit or daily API key quota exceeded; retry after Retry-After seconds',
+        headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } },
+        content: problemContent()
+    },
+    Error: { description: 'Unexpected error', content: problemContent() }
+};
+
+// Request headers of the conditional request support (see utils/conditional)
+const CONDITIONAL_HEADERS = {
+    read: [
+        { name: 'If-None-Match', in: 'header', schema: { type: 'string' }, description: 'ETag of a cached copy; answers 304 if unchanged' },
+        { name: 'If-Modified-Since', in: 'header', schema: { type: 'string' }, description: 'Last-Modified of a cached copy; answers 304 if unchanged' }
+    ],
+    write: [
+        { name: 'If-Match', in: 'header', schema: { type: 'string' }, description: 'ETag from GET; answers 412 if the product changed since' }
+    ]
+};
+
+const VALIDATOR_HEADERS = {
+    ETag: { description: 'Current version of the resource', schema: { type: 'string' } },
+    'Last-Modified': { description: 'When the resource last changed', schema: { type: 'string' } }
+};
+
+// A parameter of a validated schema; its description moves up to the parameter
+const parameter = (name, location, required, propertySchema) => {
+    const { description, ...schema } = clone(propertySchema);
+    return { name, in: location, required, schema, ...(description ? { description } : {}) };
+};
+
+// A body schema as a component reference when it has one
+const bodySchema = (schema) => (BODY_SCHEMA_NAMES.has(schema) ? ref(BODY_SCHEMA_NAMES.get(schema)) : clone(schema));
+
+const buildOperation = (route, doc) => {
+    const validators = route.handlers.filter(handler => handler.schemas).map(handler => handler.schemas);
+    const auth = route.handlers.find(handler => Array.isArray(handler.requiredScopes));
+    const schemaOf = (location) => (validators.find(schemas => schemas[location]) || {})[location];
+
+    const operation = {
+        operationId: doc.operationId,
+        tags: doc.tags,
+        summary: doc.summary
+    };
+
+    // Parameters: route parameters, then the query string, then headers
+    const paramsSchema = schemaOf('params');
+    const parameters = pathParams(route.path).map(name => {
+        const validator = (route.paramSchemas[name] || []).find(fn => fn.schema);
+        const schema = validator ? validator.schema : ((paramsSchema && paramsSchema.properties[name]) || { type: 'string' });
+        return parameter(name, 'path', true, schema);
+    });
+
+    const querySchema = schemaOf('query');
+    if (querySchema) {
+        Object.entries(querySchema.properties).forEach(([name, schema]) => {
+            parameters.push(parameter(name, 'query', (querySchema.required || []).includes(name), schema));
+        });
+    }
+    parameters.push(...(CONDITIONAL_HEADERS[doc.conditional] || []));
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    // Request body: the validated schema, or those the route checks itself, by media type
+    const content = schemaOf('content');
+    if (content) {
+        operation.requestBody = {
+            required: true,
+            content: Object.fromEntries(Object.entries(content).map(([mediaType, schema]) => [mediaType, { schema: bodySchema(schema) }]))
+        };
+    }
+
+    if (auth) {
+        const scopes = auth.requiredScopes;
+        operation.security = auth.optional
+            ? [{}, { ApiKey: [] }, { BearerAuth: [] }]
+            : [{ ApiKey: scopes }, { BearerAuth: scopes }];
+        if (scopes.length > 0) {
+            operation['x-required-scopes'] = scopes;
+            operation.description = `Requires ${scopes.join(', ')}.`;
+        }
+    } else {
+        operation.security = [];
+    }
+
+    operation.responses = buildResponses(route, doc, {
+        validated: Boolean(paramsSchema || querySchema || content ||
+            pathParams(route.path).some(name => route.paramSchemas[name])),
+        auth,
+        rateLimited: route.handlers.some(handler => handler.rateLimitGroup)
+    });
+    return operation;
+};
+
+const buildResponses = (route, doc, { validated, auth, rateLimited }) => {
+    const responses = {};
+
+    Object.entries(doc.responses).forEach(([status, response]) => {
+        const built = { description: response.description };
+        if (response.content) {
+            built.content = response.content;
+        } else if (response.schema) {
+            built.content = { 'application/json': { schema: response.schema } };
+        }
+        if (doc.conditional && Number(status) < 300) built.headers = VALIDATOR_HEADERS;
+        responses[status] = built;
+    });
+    if (doc.conditional === 'read') {
+        responses['304'] = { description: 'Not modified since the copy named by If-None-Match / If-Modified-Since' };
+    }
+
+    const standard = (status, name) => {
+        if (!responses[status]) responses[status] = { $ref: `#/components/responses/${name}` };
+    };
+    if (validated) standard('400', 'BadRequest');
+    if (auth) standard('401', 'Unauthorized');
+    if (auth && !auth.optional) standard('403', 'Forbidden');
+    if (pathParams(route.path).length > 0) standard('404', 'NotFound');
+    if (doc.conditional === 'write') standard('412', 'PreconditionFailed');
+    if (rateLimited) standard('429', 'TooManyRequests');
+
+    Object.entries(doc.errors || {}).forEach(([status, description]) => {
+        responses[status] = { description, content: problemContent() };
+    });
+    responses.default = { $ref: '#/components/responses/Error' };
+    return responses;
+};
+
+// ===== DOCUMENT =====
+
+const baseComponents = () => ({
+    securitySchemes: {
+        ApiKey: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'x-api-key',
+            description: 'Machine API key (also accepted as Authorization: Bearer pk_...)'
+        },
+        BearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT',
+            description: 'User access token from POST /api/auth/login'
+        }
+    },
+    schemas: {
+        ObjectId: OBJECT_ID,
+        FieldError: {
+            type: 'object',
+            required: ['pointer', 'detail'],
+            properties: {
+                in: { type: 'string', enum: ['body', 'query', 'params'] },
+                pointer: { type: 'string', description: 'JSON Pointer to the field, e.g. /variants/1/sku' },
+                detail: { type: 'string' }
+            }
+        },
+        Problem: {
+            type: 'object',
+            description: 'Error response (RFC 9457); some errors add members of their own',
+            required: ['type', 'title', 'status', 'detail'],
+            properties: {
+                type: { type: 'string' },
+                title: { type: 'string' },
+                status: { type: 'integer' },
+                detail: { type: 'string' },
+                instance: { type: 'string' },
+                requestId: { type: ['string', 'null'] }
+            },
+            additionalProperties: true
+        },
+        ValidationProblem: {
+            allOf: [
+                ref('Problem'),
+                { type: 'object', properties: { errors: { type: 'array', items: ref('FieldError') } } }
+            ]
+        },
+        ...modelSchemas(),
+        ...Object.fromEntries(BODY_SCHEMAS.map(([key, schema]) => [inputName(key), clone(schema)])),
+        ...EXTRA_SCHEMAS
+    },
+    responses: STANDARD_RESPONSES
+});
+
+/**
+ * The OpenAPI document of the routes of the given routers
+ * Routes without an entry in utils/apiOperations are left out; findSpecProblems
+ * lists them
+ */
+const buildOpenApiSpec = (mounts) => {
+    const paths = {};
+
+    listRoutes(mounts).forEach(route => {
+        const doc = OPERATIONS[route.key];
+        if (!doc) return;
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method] = buildOperation(route, doc);
+    });
+
+    return {
+        openapi: '3.1.0',
+        info: API_INFO,
+        tags: TAGS,
+        paths,
+        components: baseComponents()
+    };
+};
+
+// Every "$ref" in the document, with where it was found
+const collectRefs = (value, at = '#', refs = []) => {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectRefs(item, `${at}/${index}`, refs));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => {
+            if (key === '$ref' && typeof item === 'string') {
+                refs.push({ ref: item, at });
+            } else {
+                collectRefs(item, `${at}/${key}`, refs);
+            }
+        });
+    }
+    return refs;
+};
+
+const resolveRef = (spec, pointer) => pointer.replace(/^#\//, '').split('/')
+    .reduce((node, key) => (node === undefined ? undefined : node[key.replace(/~1/g, '/').replace(/~0/g, '~')]), spec);
+
+// "GET /api/products?limit" for each query parameter of the document without a description
+const undescribedParameters = (spec) => Object.entries(spec.paths).flatMap(([path, operations]) => Object.entries(operations)
+    .flatMap(([method, operation]) => (operation.parameters || [])
+        .filter(param => param.in === 'query' && !param.description)
+        .map(param => `${method.toUpperCase()} ${path}?${param.name}`)));
+
+/**
+ * What keeps the document from describing the API completely
+ * Returns { undocumented, stale, undescribed, brokenRefs }:
+ *   - undocumented: routes that exist but have no operation, so are missing from the spec
+ *   - stale: operations for routes that no longer exist
+ *   - undescribed: query parameters whose validation schema has no description
+ *   - brokenRefs: $refs that point nowhere
+ */
+const findSpecProblems = (mounts) => {
+    const routes = listRoutes(mounts);
+    const keys = new Set(routes.map(route => route.key));
+    const spec = buildOpenApiSpec(mounts);
+
+    return {
+        undocumented: routes.filter(route => !OPERATIONS[route.key]).map(route => route.key),
+        stale: Object.keys(OPERATIONS).filter(key => !keys.has(key)),
+        undescribed: undescribedParameters(spec),
+        brokenRefs: collectRefs(spec)
+            .filter(({ ref: pointer }) => resolveRef(spec, pointer) === undefined)
+            .map(({ ref: pointer, at }) => `${pointer} (at ${at})`)
+    };
+};
+
+module.exports = { buildOpenApiSpec, findSpecProblems, listRoutes };
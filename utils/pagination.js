@@ -0,0 +1,99 @@
+// Opaque cursor tokens for keyset pagination
+// A cursor remembers the sort field, direction and the sort value + _id of the last
+// item on a page; the next page starts strictly after that position. Unlike skip,
+// this stays fast on deep pages and does not shift when products are inserted.
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Types;
+
+// Keep Dates and ObjectIds recognisable after the JSON round trip
+// Lists have no single position to continue from, so they cannot be cursor sort values
+const encodeValue = (value) => {
+    if (Array.isArray(value)) throw new Error('Cursor pagination cannot sort by a field holding a list');
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof ObjectId) return { $oid: value.toHexString() };
+    return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string') return new Date(value.$date);
+        if (typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) return new ObjectId(value.$oid);
+        throw new Error('Invalid cursor value');
+    }
+    return value;
+};
+
+/**
+ * Build the cursor pointing just after a document
+ * sortField/sortOrder must be the ones the page was sorted by
+ */
+const encodeCursor = (doc, sortField, sortOrder) => {
+    const value = typeof doc.get === 'function' ? doc.get(sortField) : doc[sortField];
+    const payload = {
+        s: sortField,
+        o: sortOrder,
+        v: encodeValue(value),
+        id: doc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor token from a client
+ * Throws when the token is malformed or was issued for a different sort
+ */
+const decodeCursor = (token, sortField, sortOrder) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!payload || typeof payload !== 'object' || !ObjectId.isValid(payload.id)) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (payload.s !== sortField || payload.o !== sortOrder) {
+        throw new Error('Cursor does not match the requested sort');
+    }
+
+    return { sortField, sortOrder, value: decodeValue(payload.v), id: new ObjectId(payload.id) };
+};
+
+/**
+ * MongoDB filter selecting everything after the cursor position
+ * MongoDB sorts null/missing values before everything else, so they need their
+ * own branches: they come first ascending and last descending.
+ */
+const buildCursorFilter = ({ sortField, sortOrder, value, id }) => {
+    const idAfter = { _id: sortOrder === 1 ? { $gt: id } : { $lt: id } };
+
+    if (sortField === '_id') {
+        return idAfter;
+    }
+
+    if (value === null) {
+        return sortOrder === 1
+            ? { $or: [{ [sortField]: null, ...idAfter }, { [sortField]: { $ne: null } }] }
+            : { [sortField]: null, ...idAfter };
+    }
+
+    const valueAfter = { [sortField]: sortOrder === 1 ? { $gt: value } : { $lt: value } };
+    const branches = [valueAfter, { [sortField]: value, ...idAfter }];
+    if (sortOrder === -1) {
+        branches.push({ [sortField]: null });
+    }
+    return { $or: branches };
+};
+
+/**
+ * Sort options for keyset pagination: the requested field plus _id as a tie-breaker
+ * so that every position in the result set is unique
+ */
+const withTieBreaker = (sortField, sortOrder) => (
+    sortField === '_id' ? { _id: sortOrder } : { [sortField]: sortOrder, _id: sortOrder }
+);
+
+module.exports = { encodeCursor, decodeCursor, buildCursorFilter, withTieBreaker };
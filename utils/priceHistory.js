@@ -0,0 +1,60 @@
+// Price history: an entry for every change to what a product or variant costs
+// Derived from the before/after snapshots of the product history (see
+// utils/productHistory), so every write path that records a version records this too
+const PriceChange = require('../models/priceHistory');
+const logger = require('./logger');
+
+const sameSales = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+// Price entries for one recorded product change
+const priceEntriesFor = ({ productId, action, before, after }, { actor, requestId }) => {
+    // Deletes, restores and purges do not change prices
+    if (!after) return [];
+
+    const currencyChanged = !before || before.currency !== after.currency;
+    const entry = (variant, now, then) => ({
+        product: productId,
+        variant,
+        action,
+        currency: after.currency,
+        price: now.price,
+        previousPrice: then ? then.price : null,
+        previousCurrency: before ? before.currency : null,
+        sales: now.sales || [],
+        actor,
+        requestId
+    });
+
+    const entries = [];
+    if (currencyChanged || before.price !== after.price || !sameSales(before.sales, after.sales)) {
+        entries.push(entry(null, after, before));
+    }
+
+    const beforeVariants = new Map((before ? before.variants : []).map(variant => [variant._id, variant]));
+    after.variants.forEach(variant => {
+        const previous = beforeVariants.get(variant._id);
+        if (currencyChanged || !previous || previous.price !== variant.price || !sameSales(previous.sales, variant.sales)) {
+            entries.push(entry(variant._id, variant, previous));
+        }
+    });
+    return entries;
+};
+
+/**
+ * Record the price changes among product changes
+ * changes: [{ productId, action, before, after }] with snapshots as recorded in
+ * the product history; context: { actor, requestId }
+ * The change itself is already saved, so a failed write is logged instead of thrown
+ */
+const recordPriceChanges = async (changes, context) => {
+    const entries = changes.flatMap(change => priceEntriesFor(change, context));
+    if (entries.length === 0) return;
+
+    try {
+        await PriceChange.insertMany(entries);
+    } catch (error) {
+        logger.error('Failed to record price history', { err: error });
+    }
+};
+
+module.exports = { recordPriceChanges };
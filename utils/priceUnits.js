@@ -0,0 +1,144 @@
+// Decimal prices at the edges of the API
+// Clients send and receive prices as decimal amounts of the product's currency
+// (19.99 USD, as before prices had a currency); the database holds whole minor
+// units (1999, see utils/currency). Request data is converted on the way in by the
+// write helpers. On the way out, Mongoose documents convert themselves (the toJSON
+// transform below, set on every schema holding a price); plain objects from lean
+// queries, aggregations and history snapshots go through pricesFromMinorUnits.
+const { minorUnitDigits, toMinorUnits, fromMinorUnits, precisionError } = require('./currency');
+const { RequestValidationError } = require('./errors');
+
+// Field paths of a history change that hold a price or sales (see utils/productHistory)
+const PRICE_FIELD = /^(variants\.[^.]+\.)?price$/;
+const SALES_FIELD = /^(variants\.[^.]+\.)?sales$/;
+
+// A copy of something holding a price (product, variant, sale) with convert applied
+// to its price and to the prices of its sales
+const convertHolder = (holder, convert) => ({
+    ...holder,
+    ...(typeof holder.price === 'number' ? { price: convert(holder.price) } : {}),
+    ...(Array.isArray(holder.sales) ? { sales: holder.sales.map(sale => convertHolder(sale, convert)) } : {})
+});
+
+// A copy of product-shaped data with convert applied to every price, variants included
+const convertProduct = (product, convert) => {
+    const copy = convertHolder(product, convert);
+    if (Array.isArray(product.variants)) {
+        copy.variants = product.variants.map(variant => convertHolder(variant, convert));
+    }
+    return copy;
+};
+
+/**
+ * Read the decimal prices of product-shaped request data (price, sales, variants
+ * and their sales) as minor units of currency
+ * Returns { data, errors }: a converted copy, and [{ pointer, detail }] for prices
+ * with more decimals than the currency has
+ */
+const pricesToMinorUnits = (data, currency) => {
+    const errors = [];
+    const convertAt = (pointer) => (amount) => {
+        const minor = toMinorUnits(amount, currency);
+        if (minor === null) errors.push({ pointer: `${pointer}/price`, detail: precisionError(currency) });
+        return minor === null ? amount : minor;
+    };
+
+    const sales = (holder, pointer) => (Array.isArray(holder.sales)
+        ? { sales: holder.sales.map((sale, index) => ({ ...sale, price: convertAt(`${pointer}/sales/${index}`)(sale.price) })) }
+        : {});
+    const converted = (holder, pointer) => ({
+        ...holder,
+        ...(typeof holder.price === 'number' ? { price: convertAt(pointer)(holder.price) } : {}),
+        ...sales(holder, pointer)
+    });
+
+    const copy = converted(data, '');
+    if (Array.isArray(data.variants)) {
+        copy.variants = data.variants.map((variant, index) => converted(variant, `/variants/${index}`));
+    }
+    return { data: copy, errors };
+};
+
+// pricesToMinorUnits for a request body: the converted copy, or a 400 naming the prices
+const readDecimalPrices = (data, currency) => {
+    const { data: converted, errors } = pricesToMinorUnits(data, currency);
+    if (errors.length > 0) {
+        throw new RequestValidationError(errors.map(error => ({ in: 'body', ...error })));
+    }
+    return converted;
+};
+
+// A copy of a stored product (plain object) with decimal prices; products without
+// a currency are returned as they are
+const pricesFromMinorUnits = (product) => (product && product.currency
+    ? convertProduct(product, amount => fromMinorUnits(amount, product.currency))
+    : product);
+
+/**
+ * History changes ([{ field, before, after }], see utils/productHistory) with
+ * decimal prices; before values are read in the previous currency when the same
+ * change moved the product to another one
+ */
+const changesFromMinorUnits = (changes, currency) => {
+    const currencyChange = changes.find(change => change.field === 'currency');
+    const previousCurrency = currencyChange ? currencyChange.before : currency;
+
+    const convert = (field, value, code) => {
+        if (!code || value === null || value === undefined) return value;
+        if (PRICE_FIELD.test(field)) return fromMinorUnits(value, code);
+        if (SALES_FIELD.test(field) && Array.isArray(value)) {
+            return value.map(sale => convertHolder(sale, amount => fromMinorUnits(amount, code)));
+        }
+        return value;
+    };
+    return changes.map(change => ({
+        ...change,
+        before: convert(change.field, change.before, previousCurrency),
+        after: convert(change.field, change.after, currency)
+    }));
+};
+
+/**
+ * Prices a stored product keeps when it moves to currency without sending them
+ * again (sent: the fields the request rewrites, e.g. ['price', 'sales'])
+ * Minor units keep their value between currencies with the same decimals (USD to
+ * EUR) but not otherwise (USD to JPY), so those prices have to be sent again
+ * Returns [{ pointer, detail }], empty when nothing stands in the way
+ */
+const currencyChangeErrors = (product, currency, sent) => {
+    if (!product.currency || minorUnitDigits(product.currency) === minorUnitDigits(currency)) return [];
+
+    const detail = `is in ${product.currency}, which has other decimals than ${currency}; send it with the new currency`;
+    const errors = [];
+    if (!sent.includes('price')) errors.push({ pointer: '/price', detail });
+    if (!sent.includes('sales') && (product.sales || []).length > 0) errors.push({ pointer: '/sales', detail });
+    (product.variants || []).forEach((variant, index) => {
+        const hasPrices = (variant.price !== null && variant.price !== undefined) || (variant.sales || []).length > 0;
+        if (hasPrices) {
+            errors.push({
+                pointer: `/variants/${index}`,
+                detail: `has prices in ${product.currency}; remove them through the variant routes before changing to ${currency}`
+            });
+        }
+    });
+    return errors;
+};
+
+/**
+ * toJSON transform of the schemas holding a price (products, variants, sales):
+ * the price as a decimal amount of the currency of the document it belongs to
+ */
+const decimalPriceTransform = (doc, ret) => {
+    const { currency } = doc.ownerDocument();
+    if (currency && typeof ret.price === 'number') ret.price = fromMinorUnits(ret.price, currency);
+    return ret;
+};
+
+module.exports = {
+    pricesToMinorUnits,
+    readDecimalPrices,
+    pricesFromMinorUnits,
+    changesFromMinorUnits,
+    currencyChangeErrors,
+    decimalPriceTransform
+};
@@ -0,0 +1,230 @@
+// Effective prices: scheduled sales, variant prices and currency conversion
+// A product (or variant) sells at the price of its sale running at that moment,
+// otherwise at its regular price; variants without a price of their own sell at
+// the product's effective price. Each rule is written twice, as JavaScript for
+// responses and as an aggregation expression for the price filters and the price
+// sort, and the two must agree.
+const Product = require('../models/products');
+const { conversionFactor, roundMinor, fromMinorUnits } = require('./currency');
+const { pricesFromMinorUnits } = require('./priceUnits');
+
+// ===== IN JAVASCRIPT =====
+
+// The sale running at `at`, or null; sales of one product or variant never overlap
+const activeSale = (sales, at) => (sales || []).find(sale => sale.startsAt <= at && sale.endsAt > at) || null;
+
+// What the product itself (or a variant product's default) sells for at `at`
+const productPriceAt = (product, at) => {
+    const sale = activeSale(product.sales, at);
+    return { price: sale ? sale.price : product.price, regularPrice: product.price, sale };
+};
+
+// What a variant sells for at `at`
+const variantPriceAt = (product, variant, at) => {
+    const sale = activeSale(variant.sales, at);
+    if (sale) {
+        return { price: sale.price, regularPrice: variant.price === null || variant.price === undefined ? product.price : variant.price, sale };
+    }
+    if (variant.price !== null && variant.price !== undefined) {
+        return { price: variant.price, regularPrice: variant.price, sale: null };
+    }
+    return productPriceAt(product, at);
+};
+
+// Prices are worked out in minor units and sent as decimal amounts of `currency`
+const describe = ({ price, regularPrice, sale }, factor, currency) => ({
+    price: fromMinorUnits(factor === 1 ? price : roundMinor(price * factor), currency),
+    regularPrice: fromMinorUnits(factor === 1 ? regularPrice : roundMinor(regularPrice * factor), currency),
+    onSale: Boolean(sale),
+    saleEndsAt: sale ? sale.endsAt : null
+});
+
+/**
+ * The product as JSON with what it sells for at `at` added as pricing (and on
+ * each variant), in `currency` when given and the table has rates for both
+ * currencies, otherwise in the product's own currency
+ * pricing.price of a product with variants is its lowest variant price ("from")
+ * Accepts documents and plain objects (search results); every price in the
+ * result is a decimal amount (see utils/priceUnits)
+ * Products loaded without their price (fields=) get no pricing
+ */
+const withPricing = (product, { currency = null, rates, at = new Date() }) => {
+    const isDocument = typeof product.toJSON === 'function';
+    const stored = isDocument ? product.toObject() : product;
+    const json = isDocument ? product.toJSON() : pricesFromMinorUnits(product);
+    if (typeof stored.price !== 'number' || !stored.currency) return json;
+
+    const target = currency && conversionFactor(stored.currency, currency, rates) !== null ? currency : stored.currency;
+    const factor = conversionFactor(stored.currency, target, rates);
+
+    const variants = Array.isArray(stored.variants) ? stored.variants : [];
+    const variantPrices = variants.map(variant => variantPriceAt(stored, variant, at));
+    variantPrices.forEach((price, index) => {
+        json.variants[index].pricing = describe(price, factor, target);
+    });
+
+    const lowest = variantPrices.length > 0
+        ? variantPrices.reduce((low, price) => (price.price < low.price ? price : low))
+        : productPriceAt(stored, at);
+
+    json.pricing = {
+        currency: target,
+        ...describe(lowest, factor, target),
+        // Units of the shown currency per unit of the product's currency
+        exchangeRate: target === stored.currency ? null : rates.rates[target] / rates.rates[stored.currency]
+    };
+    return json;
+};
+
+// ===== AS AGGREGATION EXPRESSIONS =====
+
+// Price of the sale in `salesPath` running at `at`; missing when there is none
+const activeSaleExpression = (salesPath, at) => ({
+    $let: {
+        vars: {
+            sale: {
+                $arrayElemAt: [
+                    {
+                        $filter: {
+                            input: { $ifNull: [salesPath, []] },
+                            as: 'sale',
+                            cond: { $and: [{ $lte: ['$$sale.startsAt', at] }, { $gt: ['$$sale.endsAt', at] }] }
+                        }
+                    },
+                    0
+                ]
+            }
+        },
+        in: '$$sale.price'
+    }
+});
+
+const productPriceExpression = (at) => ({ $ifNull: [activeSaleExpression('$sales', at), '$price'] });
+
+/**
+ * Every price a product sells at, at `at`, in its own currency: one per variant,
+ * or just its own for products without variants
+ */
+const effectivePricesExpression = (at) => ({
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+        {
+            $map: {
+                input: '$variants',
+                as: 'variant',
+                in: {
+                    $ifNull: [
+                        activeSaleExpression('$$variant.sales', at),
+                        { $ifNull: ['$$variant.price', productPriceExpression(at)] }
+                    ]
+                }
+            }
+        },
+        [productPriceExpression(at)]
+    ]
+});
+
+// Factor from the product's currency to `currency`; null for currencies without a rate
+const factorExpression = (currency, rates) => ({
+    $switch: {
+        branches: [...new Set([currency, ...Object.keys(rates.rates)])]
+            .map(code => ({ code, factor: conversionFactor(code, currency, rates) }))
+            .filter(({ factor }) => factor !== null)
+            .map(({ code, factor }) => ({ case: { $eq: ['$currency', code] }, then: factor })),
+        default: null
+    }
+});
+
+// amount * factor rounded half up, as roundMinor does
+const convertedExpression = (amount, factor) => ({ $floor: { $add: [{ $multiply: [amount, factor] }, 0.5] } });
+
+// Every price of the product at `at`, converted to `currency` (nulls when it cannot be)
+const pricesInExpression = ({ currency, rates, at }) => ({
+    $let: {
+        vars: { factor: factorExpression(currency, rates) },
+        in: {
+            $map: {
+                input: effectivePricesExpression(at),
+                as: 'price',
+                in: { $cond: [{ $eq: ['$$factor', null] }, null, convertedExpression('$$price', '$$factor')] }
+            }
+        }
+    }
+});
+
+/**
+ * Filter expression: some price of the product at `at`, in `currency`, lies in
+ * [minPrice, maxPrice] (either may be null). Products whose currency has no rate
+ * never match.
+ */
+const priceRangeExpression = ({ minPrice, maxPrice, currency, rates, at }) => ({
+    $anyElementTrue: [{
+        $map: {
+            input: pricesInExpression({ currency, rates, at }),
+            as: 'price',
+            in: {
+                $and: [
+                    { $ne: ['$$price', null] },
+                    ...(minPrice !== null ? [{ $gte: ['$$price', minPrice] }] : []),
+                    ...(maxPrice !== null ? [{ $lte: ['$$price', maxPrice] }] : [])
+                ]
+            }
+        }
+    }]
+});
+
+// Sort key: the lowest price of the product at `at` in `currency` (null without a rate)
+const lowestPriceExpression = ({ currency, rates, at }) => ({ $min: pricesInExpression({ currency, rates, at }) });
+
+/**
+ * Regular price of the product in `currency` (sales left out), for statistics
+ * Null when the product's currency has no rate
+ */
+const regularPriceExpression = (currency, rates) => ({
+    $let: {
+        vars: { factor: factorExpression(currency, rates) },
+        in: { $cond: [{ $eq: ['$$factor', null] }, null, convertedExpression('$price', '$$factor')] }
+    }
+});
+
+// ===== DECIMAL PRICES =====
+
+// Products written before prices had a currency, which hold decimal prices
+// until migrate-prices.js converts them
+const UNMIGRATED = { currency: { $exists: false } };
+
+// How many products still hold decimal prices; read through the raw collection,
+// since the model fills in the default currency
+const countUnmigratedProducts = () => Product.collection.countDocuments(UNMIGRATED);
+
+// ===== SALE BOUNDARIES =====
+
+/**
+ * Bump the revision of every product with a sale that started or ended in
+ * (since, until]: what it sells for changed without a write, and the revision is
+ * what ETags and the response cache follow (see the product model)
+ * Returns the number of products touched
+ */
+const touchScheduledPriceChanges = async (since, until) => {
+    const crossed = { $gt: since, $lte: until };
+    // The model's update hook bumps the revision too; it ends up bumped once
+    const result = await Product.updateMany({
+        $or: ['sales.startsAt', 'sales.endsAt', 'variants.sales.startsAt', 'variants.sales.endsAt']
+            .map(path => ({ [path]: crossed }))
+    }, { $inc: { revision: 1 } });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    activeSale,
+    productPriceAt,
+    variantPriceAt,
+    withPricing,
+    factorExpression,
+    priceRangeExpression,
+    lowestPriceExpression,
+    regularPriceExpression,
+    UNMIGRATED,
+    countUnmigratedProducts,
+    touchScheduledPriceChanges
+};
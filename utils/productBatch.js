@@ -0,0 +1,249 @@
+// Batches of product creates, updates and deletes, all or nothing or best effort
+const mongoose = require('mongoose');
+const Product = require('../models/products');
+const { productSuggestIndex } = require('./suggestIndex');
+const { checkProduct, normalizeProduct } = require('../middleware/validation');
+const { recordProductVersions } = require('./productHistory');
+const { parseETagList } = require('./conditional');
+const { createProduct, replaceProduct } = require('./productWrites');
+const { trashProduct } = require('./productTrash');
+const { ApiError, toApiError } = require('./errors');
+const logger = require('./logger');
+const { invalidateProducts } = require('./responseCache');
+
+// Kept small enough that an atomic batch stays well inside the transaction time limit
+const MAX_BATCH_OPERATIONS = 200;
+
+const OPERATION_TYPES = ['create', 'update', 'delete'];
+
+// Thrown when the batch as a whole cannot run
+class BatchError extends ApiError {}
+
+// Ends the transaction of an atomic batch at its first failed operation
+class BatchAborted extends Error {
+    constructor(failure) {
+        super('Batch operation failed');
+        this.name = 'BatchAborted';
+        this.failure = failure;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check one operation the way its single-product route would
+ * Returns null when it can run, or the failed result for it, with pointers
+ * relative to the operation; valid product data is normalized in place
+ */
+const checkOperation = (operation, { canDelete }) => {
+    if (!isPlainObject(operation) || !OPERATION_TYPES.includes(operation.op)) {
+        return { status: 400, detail: `op must be one of ${OPERATION_TYPES.join(', ')}` };
+    }
+
+    const { op, id, data, ifMatch } = operation;
+    if (op !== 'create' && !mongoose.isValidObjectId(id)) {
+        return { status: 400, detail: 'Invalid ID format', errors: [{ pointer: '/id', detail: 'must be a valid id' }] };
+    }
+    if (ifMatch !== undefined && typeof ifMatch !== 'string') {
+        return { status: 400, detail: 'Validation failed', errors: [{ pointer: '/ifMatch', detail: 'must be an ETag string' }] };
+    }
+    if (op === 'delete' && !canDelete) {
+        // Same rule as DELETE /api/products/:id
+        return { status: 403, detail: 'Deleting products needs the products:delete scope' };
+    }
+
+    if (op !== 'delete') {
+        if (!isPlainObject(data)) {
+            return { status: 400, detail: 'Validation failed', errors: [{ pointer: '/data', detail: 'must be an object with the product fields' }] };
+        }
+        const errors = checkProduct(data);
+        if (errors.length > 0) {
+            return {
+                status: 400,
+                detail: 'Validation failed',
+                errors: errors.map(error => ({ ...error, pointer: `/data${error.pointer}` }))
+            };
+        }
+        normalizeProduct(data);
+    }
+    return null;
+};
+
+// Run one checked operation; returns its result (without the index)
+const applyOperation = async (operation, { context, session, history }) => {
+    const { op, id, data } = operation;
+    const ifMatch = parseETagList(operation.ifMatch);
+
+    if (op === 'create') {
+        const product = await createProduct({ data, context, session, history });
+        return { status: 201, id: product._id, product };
+    }
+    if (op === 'update') {
+        const product = await replaceProduct({ productId: id, data, context, ifMatch, session, history });
+        return { status: 200, id: product._id, product };
+    }
+    const product = await trashProduct({ productId: id, context, ifMatch, session, history });
+    return { status: 200, id: product._id, deletedAt: product.deletedAt };
+};
+
+// Result for an operation that failed with an error the caller can fix, or null;
+// failures carry the same members as a problem response (status, detail, errors...)
+const failureFromError = (error) => {
+    const apiError = toApiError(error);
+    return apiError ? { status: apiError.status, detail: apiError.message, ...apiError.details } : null;
+};
+
+const isTransactionUnsupported = (error) => error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+/**
+ * Products written in a rolled back transaction were already put in the
+ * autocomplete index by the model hooks, so reload them from what was kept
+ */
+const refreshSuggestions = async (ids) => {
+    if (ids.length === 0) return;
+    const kept = await Product.find({ _id: { $in: ids } }).lean();
+    const keptIds = new Set(kept.map(product => String(product._id)));
+    kept.forEach(product => productSuggestIndex.upsert(product));
+    ids.filter(id => !keptIds.has(String(id))).forEach(id => productSuggestIndex.remove(id));
+};
+
+// Run every operation in one transaction, stopping at the first failure
+const runAtomic = async (operations, results, context) => {
+    const session = await mongoose.startSession();
+    const history = [];
+    let applied = [];
+
+    try {
+        await session.withTransaction(async () => {
+            // withTransaction may run this again after a transient error
+            history.length = 0;
+            applied = [];
+
+            for (let index = 0; index < operations.length; index++) {
+                try {
+                    applied.push({ index, ...await applyOperation(operations[index], { context, session, history }) });
+                } catch (error) {
+                    const failure = failureFromError(error);
+                    if (!failure) throw error;
+                    throw new BatchAborted({ index, ...failure });
+                }
+            }
+        });
+    } catch (error) {
+        await refreshSuggestions(applied.map(result => result.id)).catch(refreshError => {
+            logger.error('Failed to refresh autocomplete after a rolled back batch', { err: refreshError });
+        });
+
+        if (isTransactionUnsupported(error)) {
+            throw new BatchError('Atomic batches need MongoDB to run as a replica set; retry without atomic=true', 501);
+        }
+        if (!(error instanceof BatchAborted)) throw error;
+
+        const { failure } = error;
+        results[failure.index] = { ...results[failure.index], ...failure };
+        operations.forEach((operation, index) => {
+            if (index === failure.index) return;
+            results[index] = {
+                ...results[index],
+                status: 424,
+                detail: `Not applied: operation ${failure.index} failed and the batch was rolled back`
+            };
+        });
+        return false;
+    } finally {
+        await session.endSession();
+        // Responses cached while the transaction was open still show the old products
+        invalidateProducts(applied.map(result => result.id));
+    }
+
+    applied.forEach(({ index, ...result }) => {
+        results[index] = { ...results[index], ...result };
+    });
+    await recordProductVersions(history, context);
+    return true;
+};
+
+// Run every operation on its own; failures do not stop the rest
+const runBestEffort = async (operations, results, pending, context) => {
+    const history = [];
+
+    for (const index of pending) {
+        try {
+            const result = await applyOperation(operations[index], { context, session: null, history });
+            results[index] = { ...results[index], ...result };
+        } catch (error) {
+            const failure = failureFromError(error);
+            if (!failure) {
+                logger.error('Batch operation failed', { index, err: error });
+            }
+            results[index] = { ...results[index], ...(failure || { status: 500, detail: 'Internal server error' }) };
+        }
+    }
+
+    await recordProductVersions(history, context);
+};
+
+/**
+ * Run a batch of product operations
+ * operations: [{ op: 'create', data }, { op: 'update', id, data, ifMatch? },
+ *              { op: 'delete', id, ifMatch? }], each validated like the
+ *              matching single-product route (POST, PUT, DELETE)
+ * atomic: true runs everything in one transaction, so either every operation is
+ *         applied or none is; otherwise each operation stands on its own
+ * canDelete: whether the caller holds products:delete
+ * context: { actor, requestId } for the ledger and the audit trail
+ * Returns { atomic, committed, succeeded, failed, results } with one
+ * { index, op, id, status, ... } result per operation, in order
+ */
+const runBatch = async ({ operations, atomic = false, canDelete = false, context }) => {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw new BatchError('operations must be a non-empty array');
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw new BatchError(`A batch can hold at most ${MAX_BATCH_OPERATIONS} operations`, 400, {
+            operations: operations.length
+        });
+    }
+
+    const results = operations.map((operation, index) => ({
+        index,
+        op: isPlainObject(operation) ? operation.op : null,
+        id: isPlainObject(operation) && operation.id !== undefined ? operation.id : null
+    }));
+
+    const pending = [];
+    operations.forEach((operation, index) => {
+        const failure = checkOperation(operation, { canDelete });
+        if (failure) {
+            results[index] = { ...results[index], ...failure };
+        } else {
+            pending.push(index);
+        }
+    });
+
+    let committed = null;
+    if (atomic) {
+        if (pending.length < operations.length) {
+            // Nothing runs while any operation is invalid
+            pending.forEach(index => {
+                results[index] = { ...results[index], status: 424, detail: 'Not applied: the batch has invalid operations' };
+            });
+            committed = false;
+        } else {
+            committed = await runAtomic(operations, results, context);
+        }
+    } else {
+        await runBestEffort(operations, results, pending, context);
+    }
+
+    const succeeded = results.filter(result => result.status < 300).length;
+    return {
+        atomic,
+        committed,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+    };
+};
+
+module.exports = { MAX_BATCH_OPERATIONS, BatchError, runBatch };
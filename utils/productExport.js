@@ -0,0 +1,68 @@
+// Streams products to the response as CSV, NDJSON or a JSON array
+const { once } = require('events');
+const { toCsvRow } = require('./csv');
+const { pricesFromMinorUnits } = require('./priceUnits');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// CSV column order; matches what the import endpoint reads back
+const CSV_COLUMNS = [
+    '_id', 'sku', 'name', 'description', 'price', 'currency', 'category',
+    'quantity', 'reserved', 'inStock', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Write every document from a Mongoose query cursor to the response
+ * Documents are written one at a time and we wait for 'drain' when the socket
+ * buffer is full, so memory use does not grow with the size of the catalog
+ */
+const streamProducts = async (res, cursor, format) => {
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${extension}"`);
+
+    const write = async (chunk) => {
+        if (!res.write(chunk)) {
+            // 'close' covers a client that disconnects while we are waiting
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+    };
+
+    if (format === 'csv') await write(toCsvRow(CSV_COLUMNS));
+    if (format === 'json') await write('[');
+
+    let count = 0;
+    try {
+        for await (const stored of cursor) {
+            // Stop reading from MongoDB if the client went away
+            if (res.destroyed) break;
+
+            // Prices as decimal amounts, as the import endpoint reads them back
+            const product = pricesFromMinorUnits(stored);
+
+            if (format === 'csv') {
+                await write(toCsvRow(CSV_COLUMNS.map(column => product[column])));
+            } else if (format === 'ndjson') {
+                await write(JSON.stringify(product) + '\n');
+            } else {
+                await write((count > 0 ? ',' : '') + JSON.stringify(product));
+            }
+            count++;
+        }
+    } finally {
+        await cursor.close();
+    }
+
+    if (format === 'json') await write(']');
+    res.end();
+    return count;
+};
+
+module.exports = { EXPORT_FORMATS, streamProducts };
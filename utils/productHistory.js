@@ -0,0 +1,291 @@
+// Product audit trail: snapshots, field-level diffs, version numbers and reverts
+const Product = require('../models/products');
+const Category = require('../models/categories');
+const ProductVersion = require('../models/productVersions');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+const { publishProductChanges } = require('./webhooks');
+const { recordPriceChanges } = require('./priceHistory');
+
+// Thrown for problems the caller can fix
+class HistoryError extends ApiError {}
+
+// Product fields kept in every version; variants are kept separately below
+const VERSIONED_FIELDS = ['name', 'description', 'price', 'currency', 'sales', 'category', 'sku'];
+
+// Concurrent writers can pick the same next version; the unique index rejects
+// one of them and it tries again with a fresh number
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Option values with sorted keys, so the same options always compare equal
+const sortedOptions = (options) => {
+    const entries = options instanceof Map ? [...options.entries()] : Object.entries(options || {});
+    return Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+};
+
+// Scheduled sales with ISO dates, so snapshots compare and store the same way
+const snapshotSales = (sales) => (sales || []).map(sale => ({
+    price: sale.price,
+    startsAt: new Date(sale.startsAt).toISOString(),
+    endsAt: new Date(sale.endsAt).toISOString()
+}));
+
+/**
+ * The descriptive state of a product: what a version records and a revert restores
+ * Stock (quantity, reserved, inStock) is left out; it changes through the stock
+ * ledger, which is its own audit trail. Media is kept as its ids, URLs and alt
+ * texts in display order, recorded but not restored by reverts.
+ * Accepts a Mongoose document or a plain (lean) object
+ */
+const snapshotProduct = (product) => {
+    const doc = typeof product.toObject === 'function' ? product.toObject({ depopulate: true }) : product;
+
+    const snapshot = {};
+    VERSIONED_FIELDS.forEach(field => {
+        const value = doc[field];
+        snapshot[field] = value === undefined || value === null ? null : value;
+    });
+    if (snapshot.category) snapshot.category = String(snapshot.category._id || snapshot.category);
+    snapshot.sales = snapshotSales(doc.sales);
+
+    snapshot.variants = (doc.variants || []).map(variant => ({
+        _id: String(variant._id),
+        sku: variant.sku,
+        options: sortedOptions(variant.options),
+        price: variant.price === undefined ? null : variant.price,
+        sales: snapshotSales(variant.sales)
+    }));
+
+    snapshot.media = (doc.media || []).map(item => ({
+        _id: String(item._id),
+        url: item.url,
+        alt: item.alt || ''
+    }));
+    return snapshot;
+};
+
+// Flatten a snapshot into dotted field paths; variant fields are keyed by variant id,
+// media stays one field so a new order shows as a change
+const flattenSnapshot = (snapshot) => {
+    const fields = {};
+    if (!snapshot) return fields;
+
+    VERSIONED_FIELDS.forEach(field => { fields[field] = snapshot[field]; });
+    snapshot.variants.forEach(variant => {
+        ['sku', 'options', 'price', 'sales'].forEach(field => {
+            fields[`variants.${variant._id}.${field}`] = variant[field];
+        });
+    });
+    // Versions recorded before media was versioned have none
+    fields.media = snapshot.media || [];
+    return fields;
+};
+
+/**
+ * Field-level differences between two snapshots
+ * Either side may be null (creation, deletion)
+ * Returns [{ field, before, after }] for every field that changed
+ */
+const diffSnapshots = (before, after) => {
+    const beforeFields = flattenSnapshot(before);
+    const afterFields = flattenSnapshot(after);
+    const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+    const changes = [];
+    fields.forEach(field => {
+        const beforeValue = beforeFields[field] === undefined ? null : beforeFields[field];
+        const afterValue = afterFields[field] === undefined ? null : afterFields[field];
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+            changes.push({ field, before: beforeValue, after: afterValue });
+        }
+    });
+    return changes;
+};
+
+// Highest recorded version per product id
+const latestVersions = async (productIds) => {
+    const rows = await ProductVersion.aggregate([
+        { $match: { product: { $in: productIds } } },
+        { $group: { _id: '$product', version: { $max: '$version' } } }
+    ]);
+    return new Map(rows.map(row => [String(row._id), row.version]));
+};
+
+/**
+ * Append history entries for many product changes at once (bulk import uses this)
+ * changes: [{ productId, action, before, after, revertedTo? }] with before/after
+ * snapshots (null for creation and deletion respectively)
+ * context: { actor, requestId }
+ * Updates that changed nothing are skipped. The change itself is already saved
+ * when this runs, so a failed history write is logged instead of thrown.
+ * The same changes then go to the price history (see utils/priceHistory) and are
+ * published to webhook subscribers (see utils/webhooks)
+ * Returns the entries written
+ */
+const recordProductVersions = async (changes, { actor, requestId = null }) => {
+    const recorded = changes
+        .map(change => ({ ...change, diff: diffSnapshots(change.before, change.after) }))
+        .filter(change => change.action !== 'update' || change.diff.length > 0);
+    let pending = recorded;
+    const written = [];
+
+    try {
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            const latest = await latestVersions(pending.map(change => change.productId));
+
+            const entries = pending.map(change => {
+                const key = String(change.productId);
+                const version = (latest.get(key) || 0) + 1;
+                latest.set(key, version);
+                return {
+                    product: change.productId,
+                    version,
+                    action: change.action,
+                    actor,
+                    requestId,
+                    changes: change.diff,
+                    snapshot: change.after || change.before,
+                    revertedTo: change.revertedTo || null
+                };
+            });
+
+            try {
+                written.push(...await ProductVersion.insertMany(entries, { ordered: false }));
+                pending = [];
+            } catch (error) {
+                if (!error.writeErrors) throw error;
+                if (error.insertedDocs) written.push(...error.insertedDocs);
+
+                const retry = new Set(error.writeErrors
+                    .filter(writeError => writeError.code === 11000)
+                    .map(writeError => writeError.index));
+                if (retry.size < error.writeErrors.length || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+                pending = pending.filter((change, index) => retry.has(index));
+            }
+        }
+    } catch (error) {
+        logger.error('Failed to record product history', { err: error });
+    }
+
+    await recordPriceChanges(recorded, { actor, requestId });
+    await publishProductChanges(recorded);
+
+    return written;
+};
+
+// Append the history entry for one product change; returns it (or null if skipped)
+const recordProductVersion = async (change, context) => {
+    const [entry] = await recordProductVersions([change], context);
+    return entry || null;
+};
+
+/**
+ * Record a product change now, or, when history is an array, add it there for
+ * the caller to record with recordProductVersions later (a batch records its
+ * entries together once its transaction has committed)
+ */
+const recordOrDefer = async (change, context, history = null) => {
+    if (history) {
+        history.push(change);
+        return null;
+    }
+    return recordProductVersion(change, context);
+};
+
+/**
+ * Restore the descriptive fields of a product to an earlier version
+ * Variants that exist in both get their sku, options, price and sales back; the set of
+ * variants itself is not changed here, since adding or removing a variant has
+ * stock rules of its own (see the variant routes). Media is left as it is: the
+ * files of removed images are gone.
+ * Returns { product, entry } where entry is the new 'revert' version
+ */
+const revertProduct = async ({ productId, version, actor, requestId }) => {
+    const target = await ProductVersion.findOne({ product: productId, version });
+    if (!target) {
+        throw new HistoryError('Version not found', 404, { productId, version });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new HistoryError('Product not found; restore deleted products before reverting them', 404, { productId });
+    }
+
+    const before = snapshotProduct(product);
+    const wanted = target.snapshot;
+
+    const currentIds = new Set(before.variants.map(variant => variant._id));
+    const wantedIds = new Set(wanted.variants.map(variant => variant._id));
+    const missingVariants = [...wantedIds].filter(id => !currentIds.has(id));
+    const extraVariants = [...currentIds].filter(id => !wantedIds.has(id));
+    if (missingVariants.length > 0 || extraVariants.length > 0) {
+        throw new HistoryError(
+            `Variants were added or removed since version ${version}; change them through the variant routes first`,
+            409,
+            { missingVariants, extraVariants }
+        );
+    }
+
+    // Versions recorded before prices had a currency hold decimal prices; 20 would
+    // come back as 0.20 (migrate-prices.js converts them)
+    if (!wanted.currency) {
+        throw new HistoryError(
+            `Version ${version} has prices from before they had a currency; run the price migration before reverting to it`,
+            409,
+            { version }
+        );
+    }
+
+    if (wanted.category && !(await Category.exists({ _id: wanted.category }))) {
+        throw new HistoryError(`The category of version ${version} no longer exists`, 409, {
+            category: wanted.category
+        });
+    }
+
+    product.name = wanted.name;
+    product.description = wanted.description;
+    product.price = wanted.price;
+    product.currency = wanted.currency;
+    product.sales = wanted.sales || [];
+    product.category = wanted.category;
+    product.sku = wanted.sku || undefined;
+    const wantedById = new Map(wanted.variants.map(variant => [variant._id, variant]));
+    product.variants.forEach(variant => {
+        const wantedVariant = wantedById.get(String(variant._id));
+        variant.sku = wantedVariant.sku;
+        variant.options = wantedVariant.options;
+        variant.price = wantedVariant.price;
+        variant.sales = wantedVariant.sales || [];
+    });
+
+    try {
+        await product.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new HistoryError(`A SKU from version ${version} is now used by another product`, 409, {
+                duplicate: error.keyValue
+            });
+        }
+        throw error;
+    }
+
+    const entry = await recordProductVersion({
+        productId: product._id,
+        action: 'revert',
+        before,
+        after: snapshotProduct(product),
+        revertedTo: version
+    }, { actor, requestId });
+
+    return { product, entry };
+};
+
+module.exports = {
+    HistoryError,
+    snapshotProduct,
+    diffSnapshots,
+    recordProductVersion,
+    recordProductVersions,
+    recordOrDefer,
+    revertProduct
+};
@@ -0,0 +1,316 @@
+// Bulk product import from CSV or NDJSON uploads
+const mongoose = require('mongoose');
+const Product = require('../models/products');
+const { productSuggestIndex } = require('./suggestIndex');
+const { checkProduct, describeFieldError, normalizeProduct } = require('../middleware/validation');
+const StockMovement = require('../models/stockMovements');
+const { parseCsvRecords } = require('./csv');
+const { loadCategoryLookup } = require('./categories');
+const { snapshotProduct, recordProductVersions } = require('./productHistory');
+const { baseCurrency } = require('./currency');
+const { pricesToMinorUnits, currencyChangeErrors } = require('./priceUnits');
+
+// Columns read from each row; anything else (e.g. _id from an export) is ignored
+const IMPORT_FIELDS = ['sku', 'name', 'description', 'price', 'currency', 'category', 'quantity'];
+
+// Rows are written in batches so a large upload is not one giant bulkWrite
+const BATCH_SIZE = 500;
+
+/**
+ * Turn CSV cell strings into the types the validator expects
+ * Empty cells count as missing; values that cannot be converted are left as
+ * strings so the validator reports them
+ */
+const coerceCsvValues = (values) => {
+    const data = {};
+    IMPORT_FIELDS.forEach(field => {
+        const raw = values[field];
+        if (raw === undefined || raw.trim() === '') return;
+        const value = raw.trim();
+
+        if (field === 'price' || field === 'quantity') {
+            data[field] = Number.isNaN(Number(value)) ? value : Number(value);
+        } else {
+            data[field] = raw;
+        }
+    });
+    return data;
+};
+
+// Keep only the importable fields of an NDJSON object
+const pickImportFields = (object) => {
+    const data = {};
+    IMPORT_FIELDS.forEach(field => {
+        if (object[field] !== undefined && object[field] !== null) {
+            data[field] = object[field];
+        }
+    });
+    return data;
+};
+
+/**
+ * Parse an upload into rows of { line, data, errors }
+ * format: 'csv' or 'ndjson'
+ * A malformed NDJSON line becomes a row error; a malformed CSV file throws
+ */
+const parseImportRows = (text, format) => {
+    if (format === 'csv') {
+        const { columns, records } = parseCsvRecords(text);
+        const missing = ['name', 'description', 'price', 'category'].filter(column => !columns.includes(column));
+        if (records.length > 0 && missing.length > 0) {
+            throw new Error(`CSV header is missing columns: ${missing.join(', ')}`);
+        }
+        return records.map(({ line, values }) => ({ line, data: coerceCsvValues(values), errors: [] }));
+    }
+
+    return text.split(/\r?\n/)
+        .map((content, index) => ({ line: index + 1, content: content.trim() }))
+        .filter(({ content }) => content !== '')
+        .map(({ line, content }) => {
+            try {
+                const object = JSON.parse(content);
+                if (!object || typeof object !== 'object' || Array.isArray(object)) {
+                    return { line, data: {}, errors: ['Line must be a JSON object'] };
+                }
+                return { line, data: pickImportFields(object), errors: [] };
+            } catch (error) {
+                return { line, data: {}, errors: [`Invalid JSON: ${error.message}`] };
+            }
+        });
+};
+
+/**
+ * Validate every row with the product rules and flag duplicate SKUs in the file
+ * Fills in row.errors; valid rows are normalized in place
+ */
+const validateRows = (rows, mode) => {
+    const firstLineBySku = new Map();
+
+    rows.forEach(row => {
+        if (row.errors.length > 0) return;
+
+        row.errors = checkProduct(row.data).map(describeFieldError);
+        if (row.errors.length > 0) return;
+
+        normalizeProduct(row.data);
+
+        if (mode === 'upsert' && !row.data.sku) {
+            row.errors.push('SKU is required in upsert mode');
+            return;
+        }
+
+        if (row.data.sku) {
+            if (firstLineBySku.has(row.data.sku)) {
+                row.errors.push(`Duplicate SKU in file (first seen on line ${firstLineBySku.get(row.data.sku)})`);
+            } else {
+                firstLineBySku.set(row.data.sku, row.line);
+            }
+        }
+    });
+};
+
+/**
+ * Replace the category id or slug of every valid row with the category id
+ * Rows naming a category that does not exist are rejected
+ */
+const resolveRowCategories = async (rows) => {
+    const categories = await loadCategoryLookup();
+
+    rows.forEach(row => {
+        if (row.errors.length > 0) return;
+
+        const categoryId = categories.resolve(row.data.category);
+        if (!categoryId) {
+            row.errors.push(`Category "${row.data.category}" not found`);
+            return;
+        }
+        row.data.category = categoryId;
+    });
+};
+
+/**
+ * Store the decimal price of every valid row in minor units of its currency
+ * Rows without a currency are priced in the currency of the product an upsert
+ * matches, or else in BASE_CURRENCY like new products
+ */
+const convertRowPrices = async (rows, mode) => {
+    const existingBySku = new Map();
+    if (mode === 'upsert') {
+        const skus = rows.filter(row => row.errors.length === 0).map(row => row.data.sku);
+        const existing = await Product.find({ sku: { $in: skus }, deletedAt: null }, 'sku currency price sales variants').lean();
+        existing.forEach(product => existingBySku.set(product.sku, product));
+    }
+
+    rows.forEach(row => {
+        if (row.errors.length > 0) return;
+
+        const existing = existingBySku.get(row.data.sku);
+        const currency = row.data.currency || (existing && existing.currency) || baseCurrency();
+        const { data, errors } = pricesToMinorUnits(row.data, currency);
+        if (existing) errors.push(...currencyChangeErrors(existing, currency, ['price']));
+
+        row.errors = errors.map(describeFieldError);
+        if (row.errors.length === 0) row.data = data;
+    });
+};
+
+/**
+ * Bulk write operation for one row
+ * bulkWrite skips save hooks, so inStock is computed here. Stock only changes
+ * through movements, so quantity is the opening stock of new products and is
+ * left alone when an upsert matches an existing product.
+ */
+const toOperation = (row, mode) => {
+    const { quantity = 0, ...fields } = row.data;
+    const stock = { quantity, inStock: quantity > 0 };
+
+    if (mode === 'upsert') {
+        return {
+            updateOne: {
+                // Only live products hold their SKU (see the sku_live index), so a SKU that
+                // only a trashed product has is taken by a new product
+                filter: { sku: row.data.sku, deletedAt: null },
+                // The model's revision hook does not run for bulkWrite
+                update: { $set: fields, $setOnInsert: stock, $inc: { revision: 1 } },
+                upsert: true
+            }
+        };
+    }
+    return { insertOne: { document: { _id: new mongoose.Types.ObjectId(), ...fields, ...stock } } };
+};
+
+// Write one batch of valid rows and record the outcome on each row
+const writeBatch = async (batch, mode, { actor, requestId }) => {
+    const operations = batch.map(row => toOperation(row, mode));
+
+    // Products an upsert may overwrite, as they were before, for the audit trail
+    const previousBySku = new Map();
+    if (mode === 'upsert') {
+        const existing = await Product.find({ sku: { $in: batch.map(row => row.data.sku) } }).lean();
+        existing.forEach(product => previousBySku.set(product.sku, snapshotProduct(product)));
+    }
+
+    let result;
+    let writeErrors = [];
+    try {
+        result = await Product.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+        if (!error.writeErrors) throw error;
+        result = error.result;
+        writeErrors = error.writeErrors;
+    }
+
+    const failedIndexes = new Map(writeErrors.map(writeError => [writeError.index, writeError]));
+    const upsertedIds = (result && result.upsertedIds) || {};
+
+    // bulkWrite skips document middleware, so refresh the autocomplete index here
+    const written = await Product.find(mode === 'upsert'
+        ? { sku: { $in: batch.map(row => row.data.sku) } }
+        : { _id: { $in: operations.map(operation => operation.insertOne.document._id) } }
+    ).lean();
+    written.forEach(product => productSuggestIndex.upsert(product));
+    const writtenBySku = new Map(written.map(product => [product.sku, product]));
+    const writtenById = new Map(written.map(product => [String(product._id), product]));
+
+    batch.forEach((row, index) => {
+        const writeError = failedIndexes.get(index);
+        if (writeError) {
+            row.status = 'failed';
+            row.errors.push(writeError.code === 11000
+                ? 'A product with this SKU already exists'
+                : writeError.errmsg || 'Write failed');
+        } else if (mode === 'upsert') {
+            row.status = upsertedIds[index] ? 'created' : 'updated';
+        } else {
+            row.status = 'created';
+        }
+    });
+
+    // Opening stock of created products goes into the ledger
+    const openingStock = [];
+    batch.forEach((row, index) => {
+        if (row.status !== 'created' || !(row.data.quantity > 0)) return;
+
+        const product = mode === 'upsert'
+            ? writtenBySku.get(row.data.sku)
+            : operations[index].insertOne.document;
+        if (!product) return;
+
+        openingStock.push({
+            product: product._id,
+            type: 'receipt',
+            quantity: row.data.quantity,
+            balanceAfter: row.data.quantity,
+            reason: 'Opening stock (bulk import)',
+            actor
+        });
+    });
+    if (openingStock.length > 0) {
+        await StockMovement.insertMany(openingStock);
+    }
+
+    // Every created or updated product gets a version in its history
+    const versions = [];
+    batch.forEach((row, index) => {
+        if (row.status !== 'created' && row.status !== 'updated') return;
+
+        const product = mode === 'upsert'
+            ? writtenBySku.get(row.data.sku)
+            : writtenById.get(String(operations[index].insertOne.document._id));
+        if (!product) return;
+
+        versions.push({
+            productId: product._id,
+            action: row.status === 'created' ? 'create' : 'update',
+            before: row.status === 'created' ? null : previousBySku.get(row.data.sku) || null,
+            after: snapshotProduct(product)
+        });
+    });
+    await recordProductVersions(versions, { actor, requestId });
+};
+
+/**
+ * Import parsed rows
+ * Options:
+ *   - mode: 'insert' (default) always creates, 'upsert' matches existing products by SKU
+ *   - dryRun: validate only, nothing is written
+ *   - actor: who is importing, recorded on opening stock movements and product history
+ *   - requestId: id of the upload request, recorded in product history
+ * Returns a summary plus the errors of every rejected row
+ */
+const importProducts = async (rows, { mode = 'insert', dryRun = false, actor, requestId = null } = {}) => {
+    validateRows(rows, mode);
+    await resolveRowCategories(rows);
+    await convertRowPrices(rows, mode);
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    rows.filter(row => row.errors.length > 0).forEach(row => { row.status = 'invalid'; });
+
+    if (dryRun) {
+        validRows.forEach(row => { row.status = 'valid'; });
+    } else {
+        for (let start = 0; start < validRows.length; start += BATCH_SIZE) {
+            await writeBatch(validRows.slice(start, start + BATCH_SIZE), mode, { actor, requestId });
+        }
+    }
+
+    const countStatus = (status) => rows.filter(row => row.status === status).length;
+
+    return {
+        summary: {
+            mode,
+            dryRun,
+            totalRows: rows.length,
+            valid: validRows.length,
+            invalid: countStatus('invalid'),
+            created: countStatus('created'),
+            updated: countStatus('updated'),
+            failed: countStatus('failed')
+        },
+        errors: rows
+            .filter(row => row.errors.length > 0)
+            .map(row => ({ line: row.line, sku: row.data.sku || null, errors: row.errors }))
+    };
+};
+
+module.exports = { IMPORT_FIELDS, parseImportRows, importProducts };
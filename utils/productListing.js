@@ -0,0 +1,258 @@
+// Product listing and search: the queries behind GET /api/products and
+// GET /api/products/search, shared with the GraphQL endpoint (see utils/graphqlSchema)
+// Both take the query parameters as sent, already checked against
+// schemas.productListQuery / productSearchQuery
+const Product = require('../models/products');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+const { encodeCursor, decodeCursor, buildCursorFilter, withTieBreaker } = require('./pagination');
+const { searchProducts, SCORE_FIELD } = require('./productSearch');
+const {
+    PRICE_SORT_FIELD,
+    CURSOR_SORT_FIELDS,
+    readPricing,
+    buildProductFilter,
+    buildSortOptions,
+    effectivePriceStage
+} = require('./productQuery');
+
+// Position in a cursor-paginated listing; a cursor that cannot be read is a bad query
+const readCursor = (cursor, sortField, sortOrder) => {
+    try {
+        return decodeCursor(cursor, sortField, sortOrder);
+    } catch (error) {
+        throw new ApiError(error.message, 400, {
+            errors: [{ in: 'query', pointer: '/cursor', detail: 'must be the nextCursor of a listing with the same sort' }]
+        });
+    }
+};
+
+/**
+ * One page of products matching the filters
+ * Query parameters: category, inStock, minPrice, maxPrice, currency, page, limit,
+ * sort, fields, cursor, includeTotal (see GET /api/products)
+ * Returns { products, pagination, pricing, withPrices }; products are documents,
+ * withPrices says whether they were loaded with what pricing needs
+ */
+const listProducts = async (query) => {
+    // Destructure query parameters with default values
+    const {
+        page = 1,      // Pagination: current page (default: 1)
+        limit = 10,    // Pagination: items per page (default: 10)
+        sort = 'name', // Sort field (default: name, prefix with - for descending)
+        fields,        // Field selection (comma-separated list)
+        cursor,        // Cursor pagination: token from a previous nextCursor
+        includeTotal   // 'false' skips counting matching products
+    } = query;
+
+    // ===== PAGINATION LOGIC =====
+    /**
+     * Two pagination modes:
+     * - Page mode (default): page/limit with skip, kept for existing clients
+     * - Cursor mode: pass cursor (empty for the first page), then the nextCursor
+     *   from each response. Faster on deep pages and stable under inserts.
+     * includeTotal=false skips the countDocuments call in either mode
+     */
+    const useCursor = cursor !== undefined;
+    const wantTotal = includeTotal !== 'false';
+    const pageNum = parseInt(page);                     // At least 1 (checked by validateRequest)
+    const limitNum = Math.min(parseInt(limit), 100);    // Limit to max 100 items per page
+    const skip = useCursor ? 0 : (pageNum - 1) * limitNum;         // Calculate documents to skip
+
+    // ===== SORTING LOGIC =====
+    const requestedField = sort.startsWith('-') ? sort.substring(1) : sort;
+    const sortOrder = sort.startsWith('-') ? -1 : 1;
+    if (useCursor && !CURSOR_SORT_FIELDS.includes(requestedField)) {
+        throw new ApiError('This sort cannot be used with cursor pagination', 400, {
+            errors: [{ in: 'query', pointer: '/sort', detail: `must be one of: ${CURSOR_SORT_FIELDS.join(', ')} with cursor` }]
+        });
+    }
+    // sort=price sorts by the lowest price right now, computed per product
+    const byPrice = requestedField === 'price';
+    const sortField = byPrice ? PRICE_SORT_FIELD : requestedField;
+    // Cursor mode needs _id as a tie-breaker so every position is unique
+    const sortOptions = useCursor || byPrice ? withTieBreaker(sortField, sortOrder) : buildSortOptions(sort);
+
+    // ===== FILTERING LOGIC =====
+    // Category, stock and price filters (shared with the export endpoint)
+    // Every price in the response is taken at the same moment
+    const pricing = await readPricing(query);
+    const filter = await buildProductFilter(query, pricing);
+
+    // ===== CURSOR LOGIC =====
+    const cursorFilter = useCursor && cursor !== '' ? buildCursorFilter(readCursor(cursor, sortField, sortOrder)) : null;
+    const queryFilter = cursorFilter ? { $and: [filter, cursorFilter] } : filter;
+
+    // ===== FIELD SELECTION LOGIC =====
+    /**
+     * FIELD SELECTION - Project only specific fields to reduce response size
+     * Example: fields=name,price returns only name and price fields
+     */
+    let fieldSelection = {};
+    const fieldList = fields ? fields.split(',').map(field => field.trim()) : [];
+    // pricing is computed from the prices, sales and variants, so those are loaded for it
+    const withPrices = !fields || fieldList.includes('pricing');
+    if (fields) {
+        fieldList.forEach(field => {
+            fieldSelection[field] = 1; // 1 means include this field
+        });
+        if (fieldSelection.pricing) {
+            delete fieldSelection.pricing;
+            ['price', 'currency', 'sales', 'variants'].forEach(field => { fieldSelection[field] = 1; });
+        }
+        // Prices are stored in minor units of the currency and sent as decimal
+        // amounts of it, so they cannot be sent without it
+        if (fieldSelection.price || fieldSelection.sales || fieldSelection.variants) {
+            fieldSelection.currency = 1;
+        }
+        // The next cursor is built from the sort field, so it must be loaded
+        if (useCursor && !byPrice) {
+            fieldSelection[sortField] = 1;
+        }
+        // The ETag and Last-Modified of the list are built from these
+        fieldSelection.revision = 1;
+        fieldSelection.updatedAt = 1;
+    }
+
+    // ===== DATABASE QUERY EXECUTION =====
+    logger.debug('Product list query', { filter: queryFilter, sort: sortOptions, fields: fieldSelection, skip, limit: limitNum });
+
+    // Execute the final query with sorting and pagination
+    // One extra document is fetched to know whether another page exists without counting
+    let results;
+    let sortKeys = null;
+    if (byPrice) {
+        // The sort key is computed, so this takes an aggregation; the cursor
+        // filter runs once the key exists
+        const projection = Object.keys(fieldSelection).length > 0 ? fieldSelection : undefined;
+        const rows = await Product.aggregate([
+            { $match: filter },
+            effectivePriceStage(pricing),
+            ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+            { $sort: sortOptions },
+            { $skip: skip },
+            { $limit: limitNum + 1 },
+            ...(projection ? [{ $project: { ...projection, [PRICE_SORT_FIELD]: 1 } }] : [])
+        ]);
+        // Documents again, so the response looks the same as for any other sort;
+        // the sort keys are kept aside for the next cursor
+        sortKeys = rows.map(row => row[PRICE_SORT_FIELD]);
+        // hydrate reads a projection without _id as leaving it out; MongoDB includes it
+        results = rows.map(({ [PRICE_SORT_FIELD]: sortKey, ...row }) => Product.hydrate(row, projection && { _id: 1, ...projection }));
+    } else {
+        // Build the database query
+        let dbQuery = Product.find(queryFilter);
+
+        // Apply field selection if specified (projection)
+        if (Object.keys(fieldSelection).length > 0) {
+            dbQuery = dbQuery.select(fieldSelection);
+        }
+
+        results = await dbQuery
+            .sort(sortOptions)  // Apply sorting
+            .skip(skip)         // Apply pagination skip
+            .limit(limitNum + 1);
+    }
+    const hasNext = results.length > limitNum;
+    const products = results.slice(0, limitNum);
+
+    // Get total count of documents matching the filter (not the cursor position)
+    const totalProducts = wantTotal ? await Product.countDocuments(filter) : null;
+    const totalPages = wantTotal ? Math.ceil(totalProducts / limitNum) : null;
+
+    logger.debug('Product list results', { total: wantTotal ? totalProducts : null, returned: products.length });
+
+    // Where the next page starts: the last product, or its computed sort key
+    const lastPosition = () => (sortKeys
+        ? { _id: products[products.length - 1]._id, [sortField]: sortKeys[products.length - 1] }
+        : products[products.length - 1]);
+
+    // Pagination metadata for client navigation
+    const pagination = useCursor ? {
+        mode: 'cursor',
+        totalProducts: totalProducts,
+        productsPerPage: limitNum,
+        hasNext: hasNext,
+        nextCursor: hasNext ? encodeCursor(lastPosition(), sortField, sortOrder) : null
+    } : {
+        mode: 'page',
+        currentPage: pageNum,
+        totalPages: totalPages,
+        totalProducts: totalProducts,
+        productsPerPage: limitNum,
+        hasNext: hasNext,                   // Can go to next page?
+        hasPrev: pageNum > 1,               // Can go to previous page?
+        nextPage: hasNext ? pageNum + 1 : null,
+        prevPage: pageNum > 1 ? pageNum - 1 : null
+    };
+
+    return { products, pagination, pricing, withPrices };
+};
+
+/**
+ * One page of search results with facet counts
+ * Query parameters: q, category, inStock, minPrice, maxPrice, currency, page, limit,
+ * cursor, includeTotal (see GET /api/products/search)
+ * Returns { search, facets, products, pricing }; products are plain objects
+ */
+const searchCatalog = async (query) => {
+    const {
+        q,           // Search query (required)
+        page = 1,    // Pagination: page number
+        limit = 10,  // Pagination: items per page
+        cursor,      // Cursor pagination: token from a previous nextCursor
+        includeTotal // 'false' skips counting matching products
+    } = query;
+
+    const searchTerm = q.trim();
+
+    // Pagination calculations (page mode, or cursor mode when cursor is passed)
+    const useCursor = cursor !== undefined;
+    const wantTotal = includeTotal !== 'false';
+    const pageNum = Math.max(1, parseInt(page));    // Ensure page is at least 1
+    const limitNum = Math.min(Math.max(1, parseInt(limit)), 100); // Between 1 and 100 items per page
+    const skip = useCursor ? 0 : (pageNum - 1) * limitNum; // Calculate how many documents to skip
+
+    const position = useCursor && cursor !== '' ? readCursor(cursor, SCORE_FIELD, -1) : null;
+    const pricing = await readPricing(query);
+
+    const { products, hasNext, totalResults, facets } = await searchProducts({
+        q: searchTerm,
+        filter: await buildProductFilter(query, pricing),
+        pricing,
+        position,
+        skip,
+        limit: limitNum,
+        includeTotal: wantTotal
+    });
+    const totalPages = wantTotal ? Math.ceil(totalResults / limitNum) : null; // Calculate total pages needed
+
+    logger.debug('Product search', {
+        q: searchTerm,
+        page: useCursor ? null : pageNum,
+        limit: limitNum,
+        total: wantTotal ? totalResults : null,
+        returned: products.length
+    });
+
+    // Search metadata for client navigation
+    const search = useCursor ? {
+        query: searchTerm,
+        mode: 'cursor',
+        totalResults: totalResults,
+        hasNext: hasNext,
+        nextCursor: hasNext ? encodeCursor(products[products.length - 1], SCORE_FIELD, -1) : null
+    } : {
+        query: searchTerm,
+        mode: 'page',
+        totalResults: totalResults,
+        currentPage: pageNum,
+        totalPages: totalPages,
+        hasNext: hasNext,                 // Is there a next page?
+        hasPrev: pageNum > 1              // Is there a previous page?
+    };
+
+    return { search, facets, products, pricing };
+};
+
+module.exports = { listProducts, searchCatalog };
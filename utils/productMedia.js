@@ -0,0 +1,256 @@
+// Product images: uploads with generated thumbnails, alt text, ordering and removal
+// Files go to the media storage backend (see utils/mediaStorage); the product keeps
+// what it knows about them in its media array, in display order. Like the variant
+// operations, each returns previous, the product as it was before the change, for
+// the caller to record in the product history.
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Product = require('../models/products');
+const { getMediaStorage } = require('./mediaStorage');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+
+// Thrown for problems the caller can fix
+class MediaError extends ApiError {}
+
+// Accepted Content-Types and the image format (as sharp names it) the file must really be in
+const MEDIA_TYPES = {
+    'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+    'image/png': { format: 'png', extension: 'png' },
+    'image/webp': { format: 'webp', extension: 'webp' },
+    'image/gif': { format: 'gif', extension: 'gif' }
+};
+
+const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Largest file accepted, from MEDIA_MAX_BYTES
+const maxUploadBytes = () => parseInt(process.env.MEDIA_MAX_BYTES, 10) || DEFAULT_MAX_UPLOAD_BYTES;
+
+const MAX_MEDIA_PER_PRODUCT = 20;
+
+// Widths of the generated thumbnails; images narrower than one are not scaled up
+const THUMBNAIL_WIDTHS = [160, 480];
+
+/**
+ * The type of an uploaded file, judged by its content rather than the Content-Type
+ * the client declared, with its dimensions as displayed (EXIF rotation applied)
+ * Throws 415 for anything but a JPEG, PNG, WebP or GIF image
+ */
+const readImage = async (buffer) => {
+    let metadata = null;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        // Not an image sharp can read; answered below
+    }
+
+    const match = metadata && Object.entries(MEDIA_TYPES).find(([, type]) => type.format === metadata.format);
+    if (!match) {
+        throw new MediaError(`The file is not an image of an accepted type (${Object.keys(MEDIA_TYPES).join(', ')})`, 415);
+    }
+
+    const [contentType, { extension }] = match;
+    const { width, height } = metadata.autoOrient || metadata;
+    return { contentType, extension, width, height };
+};
+
+// WebP thumbnails of the image, one per THUMBNAIL_WIDTHS entry
+const makeThumbnails = async (buffer) => {
+    const thumbnails = [];
+    // One at a time; resizing is CPU-bound
+    for (const width of THUMBNAIL_WIDTHS) {
+        const { data, info } = await sharp(buffer)
+            .rotate()
+            .resize({ width, withoutEnlargement: true })
+            .webp()
+            .toBuffer({ resolveWithObject: true });
+        thumbnails.push({ name: `${width}w`, width: info.width, height: info.height, data });
+    }
+    return thumbnails;
+};
+
+/**
+ * Delete stored files by key
+ * Runs after the product no longer points at them, so failures are logged, not thrown
+ */
+const deleteFiles = async (keys) => {
+    const storage = getMediaStorage();
+    await Promise.all(keys.map(key => storage.delete(key).catch(error => {
+        logger.warn('Failed to delete media file', { key, err: error });
+    })));
+};
+
+// Delete the files (original and thumbnails) of media items, e.g. of a purged product
+const deleteMediaFiles = (media) => deleteFiles((media || []).flatMap(item => [
+    item.key,
+    ...(item.thumbnails || []).map(thumbnail => thumbnail.key)
+]));
+
+const notFound = async (productId) => {
+    const exists = await Product.exists({ _id: productId });
+    return exists
+        ? new MediaError('Media not found', 404)
+        : new MediaError('Product not found', 404, { productId });
+};
+
+/**
+ * Add an uploaded image to the end of the product's media
+ * file: the multer file (buffer, size, originalname); alt: text for screen readers
+ * Files are stored before the product is updated and deleted again if that fails
+ * Returns { product, media, previous }
+ */
+const addMedia = async ({ productId, file, alt = '' }) => {
+    if (!file) {
+        throw new MediaError('Send the image as multipart/form-data in the "file" field', 400);
+    }
+
+    const current = await Product.findById(productId);
+    if (!current) {
+        throw new MediaError('Product not found', 404, { productId });
+    }
+    if (current.media.length >= MAX_MEDIA_PER_PRODUCT) {
+        throw new MediaError(`A product can have at most ${MAX_MEDIA_PER_PRODUCT} media items; delete one first`, 409);
+    }
+
+    const image = await readImage(file.buffer);
+    const thumbnails = await makeThumbnails(file.buffer);
+
+    const storage = getMediaStorage();
+    const mediaId = new mongoose.Types.ObjectId();
+    const base = `products/${productId}/${mediaId}`;
+    const stored = [];
+    const store = async (key, data, contentType) => {
+        const url = await storage.put(key, data, contentType);
+        stored.push(key);
+        return url;
+    };
+
+    try {
+        const key = `${base}.${image.extension}`;
+        const item = {
+            _id: mediaId,
+            key,
+            url: await store(key, file.buffer, image.contentType),
+            contentType: image.contentType,
+            size: file.size,
+            width: image.width,
+            height: image.height,
+            alt,
+            originalName: file.originalname || null,
+            thumbnails: []
+        };
+        for (const thumbnail of thumbnails) {
+            const thumbnailKey = `${base}-${thumbnail.name}.webp`;
+            item.thumbnails.push({
+                width: thumbnail.width,
+                height: thumbnail.height,
+                key: thumbnailKey,
+                url: await store(thumbnailKey, thumbnail.data, 'image/webp')
+            });
+        }
+
+        // The limit is checked again here, so concurrent uploads cannot go past it
+        const product = await Product.findOneAndUpdate(
+            { _id: productId, [`media.${MAX_MEDIA_PER_PRODUCT - 1}`]: { $exists: false } },
+            { $push: { media: item } },
+            { new: true, runValidators: true }
+        );
+        if (!product) {
+            throw (await Product.exists({ _id: productId }))
+                ? new MediaError(`A product can have at most ${MAX_MEDIA_PER_PRODUCT} media items; delete one first`, 409)
+                : new MediaError('Product not found', 404, { productId });
+        }
+
+        return { product, media: product.media.id(mediaId), previous: current };
+    } catch (error) {
+        await deleteFiles(stored);
+        throw error;
+    }
+};
+
+// Change the alt text of a media item; returns { product, media, previous }
+const updateMedia = async ({ productId, mediaId, alt }) => {
+    const current = await Product.findOne({ _id: productId, 'media._id': mediaId });
+    if (!current) {
+        throw await notFound(productId);
+    }
+
+    const product = await Product.findOneAndUpdate(
+        { _id: productId, 'media._id': mediaId },
+        { $set: { 'media.$.alt': alt } },
+        { new: true, runValidators: true }
+    );
+    // Removed by a concurrent request in the meantime
+    if (!product) {
+        throw await notFound(productId);
+    }
+    return { product, media: product.media.id(mediaId), previous: current };
+};
+
+/**
+ * Remove a media item and delete its files
+ * Returns { product, media, previous } with the removed item
+ */
+const removeMedia = async ({ productId, mediaId }) => {
+    const current = await Product.findOne({ _id: productId, 'media._id': mediaId });
+    if (!current) {
+        throw await notFound(productId);
+    }
+    const media = current.media.id(mediaId);
+
+    const product = await Product.findOneAndUpdate(
+        { _id: productId, 'media._id': mediaId },
+        { $pull: { media: { _id: mediaId } } },
+        { new: true }
+    );
+    // Removed by a concurrent request in the meantime
+    if (!product) {
+        throw await notFound(productId);
+    }
+
+    await deleteMediaFiles([media]);
+    return { product, media, previous: current };
+};
+
+/**
+ * Put the product's media in a new display order
+ * order: every media id of the product, each once, first to last
+ * Returns { product, previous }
+ */
+const reorderMedia = async ({ productId, order }) => {
+    const current = await Product.findById(productId);
+    if (!current) {
+        throw new MediaError('Product not found', 404, { productId });
+    }
+
+    const byId = new Map(current.media.map(item => [String(item._id), item]));
+    const wanted = order.map(String);
+    if (wanted.length !== byId.size || new Set(wanted).size !== wanted.length || !wanted.every(id => byId.has(id))) {
+        throw new MediaError('order must list every media id of the product exactly once', 400, {
+            mediaIds: [...byId.keys()]
+        });
+    }
+
+    // Only if the set of media is still the one that was checked
+    const product = await Product.findOneAndUpdate(
+        { _id: productId, media: { $size: wanted.length }, 'media._id': { $all: current.media.map(item => item._id) } },
+        { $set: { media: wanted.map(id => byId.get(id).toObject()) } },
+        { new: true }
+    );
+    if (!product) {
+        throw new MediaError('Media was added or removed meanwhile; read the product and try again', 409);
+    }
+    return { product, previous: current };
+};
+
+module.exports = {
+    MediaError,
+    MEDIA_TYPES,
+    MAX_MEDIA_PER_PRODUCT,
+    maxUploadBytes,
+    addMedia,
+    updateMedia,
+    removeMedia,
+    reorderMedia,
+    deleteMediaFiles
+};
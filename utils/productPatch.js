@@ -0,0 +1,215 @@
+// PATCH for products: JSON Merge Patch or JSON Patch over the editable fields
+const { isDeepStrictEqual } = require('util');
+const Product = require('../models/products');
+const { checkProduct, normalizeProduct } = require('../middleware/validation');
+const { resolveCategory } = require('./categories');
+const { snapshotProduct, recordProductVersion } = require('./productHistory');
+const { PatchError, isPlainObject, parsePointer, applyMergePatch, applyJsonPatch } = require('./jsonPatch');
+const { PRECONDITION_FAILED_MESSAGE, productETag, satisfiesIfMatch, sameRevision } = require('./conditional');
+const { minorUnitDigits, fromMinorUnits } = require('./currency');
+const { pricesToMinorUnits, currencyChangeErrors } = require('./priceUnits');
+const { toApiError } = require('./errors');
+
+// Content types accepted by PATCH, mapped to the patch format
+// Plain JSON is read as a merge patch, which is what most clients mean by it
+const PATCH_FORMATS = {
+    'application/merge-patch+json': 'merge',
+    'application/json-patch+json': 'json-patch',
+    'application/json': 'merge'
+};
+
+// Product fields clients can change with PUT or PATCH
+const EDITABLE_FIELDS = ['name', 'description', 'price', 'currency', 'sales', 'category', 'sku'];
+
+// Fields that exist on a product but are not edited directly, and where they change instead
+const READ_ONLY_FIELDS = {
+    quantity: 'stock changes through stock movements in /api/inventory',
+    reserved: 'stock changes through reservations in /api/inventory',
+    available: 'available is quantity minus reserved',
+    inStock: 'inStock follows the available stock',
+    variants: 'variants have their own routes under /api/products/:id/variants',
+    deletedAt: 'use DELETE /api/products/:id and POST /api/products/:id/restore',
+    _id: 'set by the server',
+    revision: 'set by the server',
+    createdAt: 'set by the server',
+    updatedAt: 'set by the server'
+};
+
+// Only editable fields may be patched; everything else is rejected with a reason
+const assertEditable = (field) => {
+    if (EDITABLE_FIELDS.includes(field)) return;
+    if (READ_ONLY_FIELDS[field]) {
+        throw new PatchError(`"${field}" cannot be patched: ${READ_ONLY_FIELDS[field]}`, 400, { field });
+    }
+    throw new PatchError(`Unknown field "${field}"`, 400, { field, editableFields: EDITABLE_FIELDS });
+};
+
+// Field values as a client sends them, prices as decimal amounts of currency
+const plainValue = (field, value, currency) => {
+    if (field === 'category') return String(value);
+    if (field === 'price') return fromMinorUnits(value, currency);
+    if (field === 'sales') {
+        return value.map(sale => ({
+            price: fromMinorUnits(sale.price, currency),
+            startsAt: sale.startsAt.toISOString(),
+            endsAt: sale.endsAt.toISOString()
+        }));
+    }
+    return value;
+};
+
+// The editable fields of a product as plain JSON, the document a patch applies to
+const editableView = (product) => {
+    const view = {};
+    EDITABLE_FIELDS.forEach(field => {
+        const value = product.get(field);
+        if (value !== undefined && value !== null) {
+            view[field] = plainValue(field, value, product.currency);
+        }
+    });
+    return view;
+};
+
+// Apply the patch to the editable view and return the patched view
+const applyPatch = (view, patch, format) => {
+    if (format === 'json-patch') {
+        if (!Array.isArray(patch)) {
+            throw new PatchError('A JSON Patch must be an array of operations');
+        }
+        // Check every path up front so nothing read-only is even looked at
+        patch.forEach(operation => {
+            if (!isPlainObject(operation)) return;
+            [operation.path, operation.from].forEach(pointer => {
+                if (typeof pointer !== 'string' || pointer === '') return;
+                assertEditable(parsePointer(pointer)[0]);
+            });
+        });
+        return applyJsonPatch(view, patch);
+    }
+
+    if (!isPlainObject(patch)) {
+        throw new PatchError('A merge patch must be a JSON object');
+    }
+    Object.keys(patch).forEach(assertEditable);
+    return applyMergePatch(view, patch);
+};
+
+/**
+ * Patch a product
+ * format: 'merge' or 'json-patch' (see PATCH_FORMATS)
+ * context: { actor, requestId } for the audit trail
+ * ifMatch: the request's If-Match (see utils/conditional); when set, the patch
+ * only applies to the version the client read and otherwise fails with 412
+ * Only the fields that change are validated; the patched product as a whole
+ * must still pass the schema before it is saved
+ * Returns { product, changed } where changed lists the fields that changed
+ */
+const patchProduct = async ({ productId, patch, format, context, ifMatch = null }) => {
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new PatchError('Product not found', 404);
+    }
+    if (!satisfiesIfMatch(product, ifMatch)) {
+        throw new PatchError(PRECONDITION_FAILED_MESSAGE, 412, { etag: productETag(product) });
+    }
+
+    const view = editableView(product);
+    const patched = applyPatch(view, patch, format);
+    if (!isPlainObject(patched)) {
+        throw new PatchError('The patched product must be a JSON object');
+    }
+    Object.keys(patched).forEach(assertEditable);
+
+    const changed = EDITABLE_FIELDS.filter(field => !isDeepStrictEqual(view[field], patched[field]));
+    if (changed.length === 0) {
+        return { product, changed };
+    }
+
+    // Removed fields are undefined here; the schema decides whether they may go
+    const changes = {};
+    changed.forEach(field => { changes[field] = patched[field]; });
+
+    const errors = checkProduct(changes, { partial: true });
+    if (errors.length > 0) {
+        throw new PatchError('Validation failed', 400, { errors: errors.map(error => ({ in: 'body', ...error })) });
+    }
+
+    // The same amount is another number of minor units in a currency with other
+    // decimals (19.99 USD is 1999, 19.99 KWD is 19990), so the prices the patch
+    // kept are written again in the new currency
+    const currency = changes.currency === undefined ? product.currency : changes.currency.trim().toUpperCase();
+    if (minorUnitDigits(currency) !== minorUnitDigits(product.currency)) {
+        ['price', 'sales']
+            .filter(field => !changed.includes(field) && patched[field] !== undefined)
+            .forEach(field => {
+                changed.push(field);
+                changes[field] = patched[field];
+            });
+    }
+    normalizeProduct(changes);
+
+    const { data: stored, errors: priceErrors } = pricesToMinorUnits(changes, currency);
+    priceErrors.push(...currencyChangeErrors(product, currency, ['price', 'sales']));
+    if (priceErrors.length > 0) {
+        throw new PatchError('Validation failed', 400, { errors: priceErrors.map(error => ({ in: 'body', ...error })) });
+    }
+    Object.assign(changes, stored);
+
+    if (changes.category !== undefined) {
+        const category = await resolveCategory(changes.category);
+        if (!category) {
+            throw new PatchError('Category not found', 400, { category: changes.category });
+        }
+        changes.category = category._id;
+    }
+
+    const before = snapshotProduct(product);
+    changed.forEach(field => product.set(field, changes[field]));
+
+    // A schema failure goes to the error handler as a validation problem
+    await product.validate();
+
+    // Only the changed fields are written, so stock that moved in the meantime
+    // is kept; with If-Match the write also requires the revision that was read
+    const update = {};
+    changed.forEach(field => {
+        if (changes[field] === undefined) {
+            update.$unset = { ...update.$unset, [field]: 1 };
+        } else {
+            update.$set = { ...update.$set, [field]: product.get(field) };
+        }
+    });
+
+    let updated;
+    try {
+        updated = await Product.findOneAndUpdate(
+            { _id: product._id, ...(ifMatch ? sameRevision(product) : {}) },
+            update,
+            { new: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new PatchError('A product with this SKU already exists', 409, toApiError(error).details);
+        }
+        throw error;
+    }
+
+    if (!updated) {
+        const current = await Product.findById(product._id, 'revision');
+        if (!current) {
+            throw new PatchError('Product not found', 404);
+        }
+        throw new PatchError(PRECONDITION_FAILED_MESSAGE, 412, { etag: productETag(current) });
+    }
+
+    await recordProductVersion({
+        productId: updated._id,
+        action: 'update',
+        before,
+        after: snapshotProduct(updated)
+    }, context);
+
+    return { product: updated, changed };
+};
+
+module.exports = { PATCH_FORMATS, EDITABLE_FIELDS, patchProduct };
@@ -0,0 +1,118 @@
+// Builds MongoDB filters and sort options from product listing query parameters
+// Shared by GET /api/products and the export endpoint so both accept the same filters
+const { categoryFilterIds } = require('./categories');
+const { getExchangeRates, requireRate, minorUnitDigits, toMinorUnits } = require('./currency');
+const { priceRangeExpression, lowestPriceExpression } = require('./pricing');
+
+// Computed sort key of sort=price: the lowest price of the product right now
+const PRICE_SORT_FIELD = 'effectivePrice';
+
+/**
+ * Fields cursor pagination can sort by: those holding one value per product
+ * A cursor compares the sort value of the last product with $gt/$lt, which does not
+ * follow how MongoDB sorts by a list (its smallest or largest element), so list
+ * fields such as variants.sku or sales.price are sorted in page mode only
+ */
+const CURSOR_SORT_FIELDS = [
+    '_id', 'name', 'description', 'price', 'currency', 'category', 'sku',
+    'quantity', 'reserved', 'inStock', 'revision', 'createdAt', 'updatedAt'
+];
+
+/**
+ * How prices are read for one request: { currency, rates, at }
+ * currency is the ?currency= asked for (null when none was), rates the exchange-rate
+ * table and at the moment prices are taken at, so every price in one response
+ * agrees on which sales are running
+ * Throws 400 for unknown currencies and currencies without a rate
+ */
+const readPricing = async (query, at = new Date()) => {
+    const rates = await getExchangeRates();
+    const currency = query.currency ? requireRate(query.currency, rates) : null;
+    return { currency, rates, at };
+};
+
+// Prices are compared in the requested currency, or the base currency by default
+const comparedIn = ({ currency, rates, at }) => ({ currency: currency || rates.base, rates, at });
+
+/**
+ * Build the product filter from query parameters
+ * Supported: category (id or slug, includes subcategories), inStock (true/false),
+ * minPrice, maxPrice (with currency)
+ * pricing: the request's readPricing, read here when not given
+ * Async because the category is looked up to find its descendants
+ */
+const buildProductFilter = async (query, pricing = null) => {
+    const { category, inStock, minPrice, maxPrice } = query;
+    const filter = {};
+
+    /**
+     * CATEGORY FILTER - The category and everything below it
+     * A parent category lists the products of all of its subcategories;
+     * an unknown category matches no products
+     */
+    if (category && category.trim() !== '') {
+        filter.category = { $in: await categoryFilterIds(category.trim()) };
+    }
+
+    // STOCK STATUS FILTER - Convert string to boolean
+    // inStock is derived from stock, including the stock of every variant
+    if (inStock !== undefined) {
+        filter.inStock = inStock === 'true'; // Convert 'true' string to boolean true
+    }
+
+    /**
+     * PRICE RANGE FILTER - Compared with the price a customer would pay right now
+     * Amounts of ?currency (or the base currency); a product matches when its own
+     * price, or the price of any variant, falls in the range, sales included
+     * (variants without a price override sell at the product price). Products priced
+     * in a currency without an exchange rate never match.
+     */
+    if (minPrice || maxPrice) {
+        const compared = comparedIn(pricing || await readPricing(query));
+        // Compared in minor units; an amount between two of them (19.999 USD) stays in between
+        const inMinorUnits = (amount) => {
+            const value = parseFloat(amount);
+            const minor = toMinorUnits(value, compared.currency);
+            return minor === null ? value * 10 ** minorUnitDigits(compared.currency) : minor;
+        };
+        filter.$expr = priceRangeExpression({
+            ...compared,
+            minPrice: minPrice ? inMinorUnits(minPrice) : null,
+            maxPrice: maxPrice ? inMinorUnits(maxPrice) : null
+        });
+    }
+
+    return filter;
+};
+
+/**
+ * Build sort options from the sort parameter
+ * A leading - sorts descending, e.g. "-price"
+ */
+const buildSortOptions = (sort) => {
+    const sortOptions = {};
+    if (sort) {
+        const sortField = sort.startsWith('-') ? sort.substring(1) : sort;
+        const sortOrder = sort.startsWith('-') ? -1 : 1;
+        sortOptions[sortField] = sortOrder;
+    }
+    return sortOptions;
+};
+
+/**
+ * Aggregation stage adding PRICE_SORT_FIELD, for sort=price
+ * The stored price ignores sales and variants, so sorting by price sorts by the
+ * lowest price of each product at pricing.at instead (null without an exchange rate)
+ */
+const effectivePriceStage = (pricing) => ({
+    $addFields: { [PRICE_SORT_FIELD]: lowestPriceExpression(comparedIn(pricing)) }
+});
+
+module.exports = {
+    PRICE_SORT_FIELD,
+    CURSOR_SORT_FIELDS,
+    readPricing,
+    buildProductFilter,
+    buildSortOptions,
+    effectivePriceStage
+};
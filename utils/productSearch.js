@@ -0,0 +1,126 @@
+// Relevance-ranked product search over the weighted text index, with facet counts
+const Product = require('../models/products');
+const Category = require('../models/categories');
+const { buildCursorFilter, withTieBreaker } = require('./pagination');
+const { minorUnitDigits } = require('./currency');
+const { lowestPriceExpression } = require('./pricing');
+
+// Lower bounds of the price buckets reported in the facets, in whole units of the
+// currency (25 is 25.00 USD); the last bucket is open-ended
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+
+// The boundaries in minor units of a currency, to bucket prices stored in them
+const bucketBoundaries = (currency) => PRICE_BUCKET_BOUNDARIES.map(bound => bound * 10 ** minorUnitDigits(currency));
+
+// Results are ordered by this computed field (descending), with _id as tie-breaker
+const SCORE_FIELD = 'score';
+
+// Turn the raw $facet output into the shape returned by the API
+const formatFacets = (raw, currency) => {
+    const boundaries = bucketBoundaries(currency);
+    return {
+        categories: raw.categories.map(bucket => ({
+            value: bucket._id,
+            name: bucket.category[0] ? bucket.category[0].name : null,
+            slug: bucket.category[0] ? bucket.category[0].slug : null,
+            count: bucket.count
+        })),
+        stock: {
+            inStock: (raw.stock.find(bucket => bucket._id === true) || { count: 0 }).count,
+            outOfStock: (raw.stock.find(bucket => bucket._id === false) || { count: 0 }).count
+        },
+        // Bucketed in minor units, reported in whole units of the currency
+        priceRanges: raw.price.map(bucket => {
+            const index = boundaries.indexOf(bucket._id);
+            const max = index === -1 ? null : PRICE_BUCKET_BOUNDARIES[index + 1];
+            return {
+                currency,
+                min: index === -1 ? PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1] : PRICE_BUCKET_BOUNDARIES[index],
+                max: max === undefined ? null : max,
+                count: bucket.count
+            };
+        })
+    };
+};
+
+/**
+ * Run a search in one aggregation
+ * Options:
+ *   - q: search terms (MongoDB $text syntax, so "quoted phrases" and -exclusions work)
+ *   - filter: extra product filter (category, inStock, price), applied to results and facets
+ *   - pricing: { currency, rates, at } (see readPricing in utils/productQuery); price
+ *     ranges bucket the lowest price of each product then, in currency (or the base currency)
+ *   - position: decoded cursor to continue from, or null
+ *   - skip/limit: page mode offset and page size
+ *   - includeTotal: also count every match
+ * Returns { products, hasNext, totalResults, facets }
+ */
+const searchProducts = async ({ q, filter = {}, pricing, position = null, skip = 0, limit = 10, includeTotal = true }) => {
+    const currency = pricing.currency || pricing.rates.base;
+
+    const results = [];
+    if (position) {
+        results.push({ $match: buildCursorFilter(position) });
+    }
+    results.push(
+        { $sort: withTieBreaker(SCORE_FIELD, -1) },
+        { $skip: skip },
+        // One extra document tells us whether another page exists
+        { $limit: limit + 1 }
+    );
+
+    const facets = {
+        results,
+        categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            {
+                $lookup: {
+                    from: Category.collection.name,
+                    localField: '_id',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { name: 1, slug: 1 } }],
+                    as: 'category'
+                }
+            }
+        ],
+        stock: [
+            { $group: { _id: '$inStock', count: { $sum: 1 } } }
+        ],
+        price: [
+            { $addFields: { lowestPrice: lowestPriceExpression({ ...pricing, currency }) } },
+            // Products priced in a currency without an exchange rate fit no range
+            { $match: { lowestPrice: { $ne: null } } },
+            {
+                $bucket: {
+                    groupBy: '$lowestPrice',
+                    boundaries: bucketBoundaries(currency),
+                    default: 'other',
+                    output: { count: { $sum: 1 } }
+                }
+            }
+        ]
+    };
+    if (includeTotal) {
+        facets.total = [{ $count: 'count' }];
+    }
+
+    // $text has to be in the first stage; the score is exposed as a normal field
+    // so the cursor filter can compare against it
+    const [raw] = await Product.aggregate([
+        { $match: { $text: { $search: q }, ...filter } },
+        { $addFields: { [SCORE_FIELD]: { $meta: 'textScore' } } },
+        { $facet: facets }
+    ]);
+
+    const hasNext = raw.results.length > limit;
+
+    return {
+        products: raw.results.slice(0, limit),
+        hasNext,
+        totalResults: includeTotal ? ((raw.total[0] && raw.total[0].count) || 0) : null,
+        facets: formatFacets(raw, currency)
+    };
+};
+
+module.exports = { searchProducts, SCORE_FIELD };
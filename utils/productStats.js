@@ -0,0 +1,216 @@
+// Catalog statistics behind GET /api/products/stats, shared with the GraphQL endpoint
+// (see utils/graphqlSchema)
+const Product = require('../models/products');
+const Category = require('../models/categories');
+const logger = require('./logger');
+const { getExchangeRates, minorUnitDigits, fromMinorUnits } = require('./currency');
+const { factorExpression, regularPriceExpression } = require('./pricing');
+
+/**
+ * Inventory value of one product: price times units on hand
+ * Products with variants add up each variant's units at the variant's own price,
+ * falling back to the product price for variants without one
+ * In the product's own currency; the statistics multiply it by baseFactor
+ */
+const inventoryValue = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+        {
+            $reduce: {
+                input: "$variants",
+                initialValue: 0,
+                in: {
+                    $add: ["$$value", {
+                        $multiply: [{ $ifNull: ["$$this.price", "$price"] }, { $ifNull: ["$$this.quantity", 0] }]
+                    }]
+                }
+            }
+        },
+        { $multiply: ["$price", { $ifNull: ["$quantity", 0] }] }
+    ]
+};
+
+/**
+ * Product analytics: counts, price statistics and a category breakdown rolled up
+ * the category tree
+ * Prices and values are regular prices (no sales) in the base currency
+ * (priceStatistics.currency), added up in minor units and rounded to them; products
+ * priced in a currency without an exchange rate are left out of them
+ * Uses MongoDB aggregation pipelines for the breakdowns
+ */
+const productStatistics = async () => {
+    // Get basic product counts
+    const totalProducts = await Product.countDocuments();
+    
+    // Prices are converted to the base currency before they are compared or added up
+    const rates = await getExchangeRates();
+    // Minor units of the base currency per unit, to send amounts such as 19.99
+    const scale = 10 ** minorUnitDigits(rates.base);
+    const baseValues = {
+        $addFields: {
+            basePrice: regularPriceExpression(rates.base, rates),
+            baseFactor: factorExpression(rates.base, rates)
+        }
+    };
+    const inStockCount = await Product.countDocuments({ inStock: true });
+    const outOfStockCount = await Product.countDocuments({ inStock: false });
+    
+    /**
+     * MONGODB AGGREGATION PIPELINE - Category Statistics
+     * Counts roll up the category tree: a parent category reports its own
+     * products plus those of every subcategory
+     * Pipeline stages:
+     * 1. $lookup: Fetch each product's category to learn its ancestors
+     * 2. $addFields + $unwind: One copy of the product per category on its path
+     * 3. $group: Group by category and calculate aggregates
+     * 4. $lookup: Fetch the category name and slug
+     * 5. $sort: Sort categories by product count (descending)
+     * 6. $project: Format and rename fields for clean output
+     */
+    const categoryStats = await Product.aggregate([
+        baseValues,
+        // Stage 1: Join the product's category
+        {
+            $lookup: {
+                from: Category.collection.name,
+                localField: "category",
+                foreignField: "_id",
+                as: "categoryDoc"
+            }
+        },
+        // Stage 2: The product counts towards its category and all ancestors
+        {
+            $addFields: {
+                rollupCategory: {
+                    $concatArrays: [
+                        { $ifNull: [{ $arrayElemAt: ["$categoryDoc.ancestors", 0] }, []] },
+                        ["$category"]
+                    ]
+                }
+            }
+        },
+        { $unwind: "$rollupCategory" },
+        // Stage 3: Group by category and calculate metrics
+        {
+            $group: {
+                _id: "$rollupCategory",             // Group by category on the path
+                count: { $sum: 1 },                 // Count products in category and below
+                // Products filed directly under this category
+                directCount: {
+                    $sum: { $cond: [{ $eq: ["$category", "$rollupCategory"] }, 1, 0] }
+                },
+                averagePrice: { $avg: "$basePrice" },   // Calculate average price
+                // Inventory value: price of each product times the units on hand
+                totalValue: { $sum: { $multiply: [inventoryValue, "$baseFactor"] } },
+                unitsOnHand: { $sum: { $ifNull: ["$quantity", 0] } },
+                reservedUnits: { $sum: { $ifNull: ["$reserved", 0] } },
+                minPrice: { $min: "$basePrice" },       // Find minimum price
+                maxPrice: { $max: "$basePrice" },       // Find maximum price
+                // Count in-stock products using conditional sum
+                inStockCount: {
+                    $sum: { 
+                        $cond: [{ $eq: ["$inStock", true] }, 1, 0] 
+                    }
+                },
+                // Count out-of-stock products using conditional sum
+                outOfStockCount: {
+                    $sum: { 
+                        $cond: [{ $eq: ["$inStock", false] }, 1, 0] 
+                    }
+                }
+            }
+        },
+        // Stage 4: Name the category
+        {
+            $lookup: {
+                from: Category.collection.name,
+                localField: "_id",
+                foreignField: "_id",
+                as: "categoryInfo"
+            }
+        },
+        // Stage 5: Sort by product count (most popular categories first)
+        {
+            $sort: { count: -1 } // -1 = descending order
+        },
+        // Stage 6: Format the output fields
+        {
+            $project: {
+                _id: 0,
+                categoryId: "$_id",
+                category: { $arrayElemAt: ["$categoryInfo.name", 0] },
+                slug: { $arrayElemAt: ["$categoryInfo.slug", 0] },
+                parent: { $ifNull: [{ $arrayElemAt: ["$categoryInfo.parent", 0] }, null] },
+                count: 1,                   // Keep count field
+                directCount: 1,             // Keep count field
+                // Round to whole minor units, then back to amounts of the base currency
+                averagePrice: { $divide: [{ $round: ["$averagePrice", 0] }, scale] },
+                totalValue: { $divide: [{ $round: ["$totalValue", 0] }, scale] },
+                minPrice: { $divide: ["$minPrice", scale] },
+                maxPrice: { $divide: ["$maxPrice", scale] },
+                unitsOnHand: 1,             // Keep calculated total
+                reservedUnits: 1,           // Keep calculated total
+                inStockCount: 1,            // Keep calculated count
+                outOfStockCount: 1,         // Keep calculated count
+                // Calculate in-stock percentage
+                inStockPercentage: {
+                    $round: [
+                        { 
+                            $multiply: [
+                                { $divide: ["$inStockCount", "$count"] }, 
+                                100 
+                            ] 
+                        },
+                        2  // Round to 2 decimal places
+                    ]
+                }
+            }
+        }
+    ]);
+    
+    /**
+     * Overall Price Statistics Aggregation
+     * Groups all products together (_id: null) to get overall metrics
+     */
+    const priceStats = await Product.aggregate([
+        baseValues,
+        {
+            $group: {
+                _id: null,  // Group all documents together
+                averagePrice: { $avg: "$basePrice" },
+                minPrice: { $min: "$basePrice" },
+                maxPrice: { $max: "$basePrice" },
+                totalInventoryValue: { $sum: { $multiply: [inventoryValue, "$baseFactor"] } },
+                unitsOnHand: { $sum: { $ifNull: ["$quantity", 0] } },
+                reservedUnits: { $sum: { $ifNull: ["$reserved", 0] } }
+            }
+        }
+    ]);
+    
+    logger.debug('Statistics generated', { totalProducts });
+    
+    // Return comprehensive statistics
+    return {
+        summary: {
+            totalProducts: totalProducts,
+            inStock: inStockCount,
+            outOfStock: outOfStockCount,
+            inStockPercentage: totalProducts > 0 ? 
+                ((inStockCount / totalProducts) * 100).toFixed(2) : 0,
+            unitsOnHand: priceStats[0] ? priceStats[0].unitsOnHand : 0,
+            reservedUnits: priceStats[0] ? priceStats[0].reservedUnits : 0,
+            availableUnits: priceStats[0] ? priceStats[0].unitsOnHand - priceStats[0].reservedUnits : 0
+        },
+        priceStatistics: priceStats[0] ? {
+            currency: rates.base,
+            averagePrice: priceStats[0].averagePrice === null ? null : fromMinorUnits(Math.round(priceStats[0].averagePrice), rates.base),
+            minPrice: fromMinorUnits(priceStats[0].minPrice, rates.base),
+            maxPrice: fromMinorUnits(priceStats[0].maxPrice, rates.base),
+            totalInventoryValue: fromMinorUnits(Math.round(priceStats[0].totalInventoryValue), rates.base)
+        } : {},  // Handle case when no products exist
+        categories: categoryStats,
+        lastUpdated: new Date().toISOString()  // Timestamp for data freshness
+    };
+};
+
+module.exports = { productStatistics };
@@ -0,0 +1,180 @@
+// Soft delete: moving products to the trash, restoring them and purging them for good
+const Product = require('../models/products');
+const { snapshotProduct, recordProductVersion, recordProductVersions, recordOrDefer } = require('./productHistory');
+const { deleteMediaFiles } = require('./productMedia');
+const { PRECONDITION_FAILED_MESSAGE, productETag, satisfiesIfMatch, sameRevision } = require('./conditional');
+const { ApiError } = require('./errors');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expired products are purged in batches so one sweep never loads the whole trash
+const PURGE_BATCH_SIZE = 500;
+
+// Thrown for problems the caller can fix
+class TrashError extends ApiError {}
+
+// Days a product stays in the trash before the purge job removes it
+const retentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+// When a trashed product becomes due for purging
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY_MS);
+
+/**
+ * Move a product to the trash
+ * Products with units held by cart reservations stay live until the carts check
+ * out or let go, so no reservation ever points at a trashed product
+ * context: { actor, requestId } for the audit trail
+ * ifMatch: the request's If-Match (see utils/conditional); a product that has
+ * changed since the client read it is not trashed (412)
+ * session and history let a batch run this inside its transaction (see
+ * utils/productBatch and recordOrDefer)
+ */
+const trashProduct = async ({ productId, context, ifMatch = null, session = null, history = null }) => {
+    // Live products only; the soft delete middleware adds deletedAt: null
+    const filter = { _id: productId, reserved: { $in: [0, null] } };
+
+    if (ifMatch) {
+        const current = await Product.findById(productId, 'revision').session(session);
+        if (!current) {
+            throw new TrashError('Product not found', 404);
+        }
+        if (!satisfiesIfMatch(current, ifMatch)) {
+            throw new TrashError(PRECONDITION_FAILED_MESSAGE, 412, { etag: productETag(current) });
+        }
+        Object.assign(filter, sameRevision(current));
+    }
+
+    const product = await Product.findOneAndUpdate(filter, { $set: { deletedAt: new Date() } }, { new: true, session });
+
+    if (!product) {
+        const existing = await Product.findById(productId, 'reserved revision').session(session);
+        if (!existing) {
+            throw new TrashError('Product not found', 404);
+        }
+        if (!ifMatch || existing.reserved > 0) {
+            throw new TrashError('Product has stock reserved by carts; commit or release the reservations first', 409, {
+                reserved: existing.reserved
+            });
+        }
+        throw new TrashError(PRECONDITION_FAILED_MESSAGE, 412, { etag: productETag(existing) });
+    }
+
+    await recordOrDefer({
+        productId: product._id,
+        action: 'delete',
+        before: snapshotProduct(product),
+        after: null
+    }, context, history);
+
+    return product;
+};
+
+/**
+ * Take a product back out of the trash
+ * A live product may have taken its SKU, or a variant SKU, while it was in the
+ * trash; the restore then fails (409) until one of them is changed
+ */
+const restoreProduct = async ({ productId, context }) => {
+    let product;
+    try {
+        product = await Product.findOneAndUpdate(
+            { _id: productId, deletedAt: { $ne: null } },
+            { $set: { deletedAt: null } },
+            { new: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) {
+            // keyValue is { sku } or { 'variants.sku' }
+            const [field, value] = Object.entries(error.keyValue || {})[0] || ['sku', null];
+            throw new TrashError('Another product now uses a SKU of this product; change one of them before restoring', 409, {
+                field,
+                sku: value
+            });
+        }
+        throw error;
+    }
+
+    if (!product) {
+        throw new TrashError('Product not found in the trash', 404);
+    }
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'restore',
+        before: null,
+        after: snapshotProduct(product)
+    }, context);
+
+    return product;
+};
+
+/**
+ * Permanently delete a trashed product
+ * Live products have to be trashed first, so a purge is always a second step
+ * Its stock movements and history are kept; its media files are deleted
+ */
+const purgeProduct = async ({ productId, context }) => {
+    const product = await Product.findOneAndDelete({ _id: productId, deletedAt: { $ne: null } });
+
+    if (!product) {
+        throw new TrashError('Product not found in the trash', 404);
+    }
+
+    await recordProductVersion({
+        productId: product._id,
+        action: 'purge',
+        before: snapshotProduct(product),
+        after: null
+    }, context);
+    await deleteMediaFiles(product.media);
+
+    return product;
+};
+
+/**
+ * Permanently delete every product trashed longer than the retention period,
+ * media files included
+ * Returns how many products were purged
+ */
+const purgeExpiredProducts = async (days = retentionDays()) => {
+    const expiredFilter = { deletedAt: { $ne: null, $lte: new Date(Date.now() - days * DAY_MS) } };
+    const context = { actor: { type: 'system', id: null, name: 'trash-purge' }, requestId: null };
+    let purged = 0;
+
+    for (;;) {
+        const expired = await Product.find(expiredFilter).limit(PURGE_BATCH_SIZE).lean();
+        if (expired.length === 0) break;
+
+        const ids = expired.map(product => product._id);
+        // The filter is repeated so a product restored in the meantime is kept
+        await Product.deleteMany({ _id: { $in: ids }, ...expiredFilter });
+
+        const kept = await Product.find({ _id: { $in: ids } }, '_id').setOptions({ withDeleted: true }).lean();
+        const keptIds = new Set(kept.map(product => String(product._id)));
+        const removed = expired.filter(product => !keptIds.has(String(product._id)));
+
+        await recordProductVersions(removed.map(product => ({
+            productId: product._id,
+            action: 'purge',
+            before: snapshotProduct(product),
+            after: null
+        })), context);
+        await deleteMediaFiles(removed.flatMap(product => product.media || []));
+
+        purged += removed.length;
+        if (expired.length < PURGE_BATCH_SIZE) break;
+    }
+
+    return purged;
+};
+
+module.exports = {
+    TrashError,
+    retentionDays,
+    purgeDate,
+    trashProduct,
+    restoreProduct,
+    purgeProduct,
+    purgeExpiredProducts
+};
@@ -0,0 +1,157 @@
+// Creating and replacing products, shared by POST / PUT /api/products and batches
+const Product = require('../models/products');
+const StockMovement = require('../models/stockMovements');
+const { resolveCategory } = require('./categories');
+const { snapshotProduct, recordOrDefer } = require('./productHistory');
+const { EDITABLE_FIELDS } = require('./productPatch');
+const { PRECONDITION_FAILED_MESSAGE, productETag, satisfiesIfMatch, sameRevision } = require('./conditional');
+const { baseCurrency } = require('./currency');
+const { readDecimalPrices, currencyChangeErrors } = require('./priceUnits');
+const { ApiError, RequestValidationError, toApiError } = require('./errors');
+
+// Thrown for problems the caller can fix
+class ProductError extends ApiError {}
+
+// Category id for a category given by id or slug
+const categoryId = async (value) => {
+    const category = await resolveCategory(value);
+    if (!category) {
+        throw new ProductError('Category not found', 400, { category: value });
+    }
+    return category._id;
+};
+
+// A taken SKU as a ProductError; anything else is rethrown as it is
+const toProductError = (error) => (error.code === 11000
+    ? new ProductError('A product with this SKU already exists', 409, toApiError(error).details)
+    : error);
+
+/**
+ * Create a product
+ * data: product fields that passed checkProduct and normalizeProduct, with decimal
+ * prices; quantity (or each variant's quantity) is recorded in the ledger as
+ * opening stock
+ * context: { actor, requestId } for the ledger and the audit trail
+ * session and history let a batch run this inside its transaction (see
+ * utils/productBatch and recordOrDefer)
+ */
+const createProduct = async ({ data, context, session = null, history = null }) => {
+    // A converted copy: a batch transaction may run this again with the same data
+    const { name, description, price, currency, sales, category, sku, quantity = 0, variants = [] } =
+        readDecimalPrices(data, data.currency || baseCurrency());
+
+    // inStock (and the totals of variant products) are derived when the product is saved
+    const product = new Product({
+        name,
+        description,
+        price,
+        currency,
+        sales,
+        // The category may be given by id or slug; products store its id
+        category: await categoryId(category),
+        sku,
+        quantity: variants.length > 0 ? 0 : quantity,
+        variants: variants.map(variant => ({ ...variant, quantity: variant.quantity || 0 }))
+    });
+
+    try {
+        await product.save({ session });
+    } catch (error) {
+        throw toProductError(error);
+    }
+
+    // Opening stock goes into the ledger like any other receipt
+    const openingStock = product.variants.length > 0
+        ? product.variants.map(variant => ({ variant: variant._id, quantity: variant.quantity }))
+        : [{ variant: null, quantity: product.quantity }];
+    const movements = openingStock
+        .filter(stock => stock.quantity > 0)
+        .map(stock => ({
+            product: product._id,
+            variant: stock.variant,
+            type: 'receipt',
+            quantity: stock.quantity,
+            balanceAfter: stock.quantity,
+            reason: 'Opening stock',
+            actor: context.actor
+        }));
+    if (movements.length > 0) {
+        await StockMovement.insertMany(movements, { session });
+    }
+
+    await recordOrDefer({
+        productId: product._id,
+        action: 'create',
+        before: null,
+        after: snapshotProduct(product)
+    }, context, history);
+
+    return product;
+};
+
+/**
+ * Replace the editable fields of a product (PUT)
+ * data: product fields that passed checkProduct and normalizeProduct, with decimal
+ * prices; only the editable fields are written, since stock levels change through
+ * stock movements and variants have their own routes
+ * ifMatch: the request's If-Match (see utils/conditional); a product that has
+ * changed since the client read it is left alone (412)
+ * Returns the updated product
+ */
+const replaceProduct = async ({ productId, data, context, ifMatch = null, session = null, history = null }) => {
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) changes[field] = data[field];
+    });
+    if (changes.category !== undefined) {
+        changes.category = await categoryId(changes.category);
+    }
+
+    // The state before the change goes into the audit trail with the diff
+    const existing = await Product.findById(productId).session(session);
+    if (!existing) {
+        throw new ProductError('Product not found', 404);
+    }
+    if (!satisfiesIfMatch(existing, ifMatch)) {
+        throw new ProductError(PRECONDITION_FAILED_MESSAGE, 412, { etag: productETag(existing) });
+    }
+
+    // Prices are read in the currency the product ends up with
+    const currency = changes.currency || existing.currency;
+    const currencyErrors = currencyChangeErrors(existing, currency, Object.keys(changes));
+    if (currencyErrors.length > 0) {
+        throw new RequestValidationError(currencyErrors.map(error => ({ in: 'body', ...error })));
+    }
+    const update = readDecimalPrices(changes, currency);
+
+    // With If-Match only the revision checked above is updated
+    let product;
+    try {
+        product = await Product.findOneAndUpdate(
+            { _id: productId, ...(ifMatch ? sameRevision(existing) : {}) },
+            update,
+            { new: true, runValidators: true, session }
+        );
+    } catch (error) {
+        throw toProductError(error);
+    }
+
+    if (!product) {
+        const current = await Product.findById(productId, 'revision').session(session);
+        if (!current) {
+            throw new ProductError('Product not found', 404);
+        }
+        throw new ProductError(PRECONDITION_FAILED_MESSAGE, 412, { etag: productETag(current) });
+    }
+
+    await recordOrDefer({
+        productId: product._id,
+        action: 'update',
+        before: snapshotProduct(existing),
+        after: snapshotProduct(product)
+    }, context, history);
+
+    return product;
+};
+
+module.exports = { ProductError, createProduct, replaceProduct };
@@ -0,0 +1,130 @@
+// Rate limits per route group and daily quotas per API key (see middleware/rateLimit)
+const { MemoryStore } = require('./rateLimitStore');
+
+/**
+ * Requests allowed per window for each route group
+ * - read: listings and single products
+ * - search: search, statistics and export, which scan or aggregate the catalog
+ * - write: anything that changes data
+ * - auth: login, registration and token refresh, always per IP to slow password guessing
+ * - stream: connections to the live product stream (SSE and WebSocket), which stay open
+ * Set RATE_LIMIT_<GROUP> to change a limit, 0 to switch that group off
+ */
+const RATE_LIMIT_GROUPS = {
+    read: 300,
+    search: 30,
+    write: 60,
+    auth: 10,
+    stream: 10
+};
+
+const DEFAULT_WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let store = new MemoryStore();
+
+// Swap the counter store, e.g. for one shared by every instance (see utils/rateLimitStore)
+const setRateLimitStore = (newStore) => {
+    store = newStore;
+};
+
+const readLimit = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const limit = parseInt(value, 10);
+    return Number.isInteger(limit) && limit >= 0 ? limit : fallback;
+};
+
+// The limit and window of a group; limit 0 means unlimited
+const groupPolicy = (group) => {
+    if (!Object.prototype.hasOwnProperty.call(RATE_LIMIT_GROUPS, group)) {
+        throw new Error(`Unknown rate limit group: ${group}`);
+    }
+    return {
+        limit: readLimit(process.env[`RATE_LIMIT_${group.toUpperCase()}`], RATE_LIMIT_GROUPS[group]),
+        windowMs: readLimit(process.env.RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS) || DEFAULT_WINDOW_MS
+    };
+};
+
+/**
+ * Count a request against a sliding window and say whether it is allowed
+ * The window slides by weighting the previous fixed window's count by how much
+ * of it still overlaps, so a burst at a window boundary cannot double the limit
+ * Returns { allowed, remaining, resetMs, retryAfterMs }
+ */
+const hitSlidingWindow = async (key, { limit, windowMs }, now = Date.now()) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const elapsed = now - windowStart;
+
+    const [current, previous] = await Promise.all([
+        store.increment(`${key}:${windowStart}`, windowMs * 2),
+        store.get(`${key}:${windowStart - windowMs}`)
+    ]);
+    const used = previous * ((windowMs - elapsed) / windowMs) + current;
+
+    let retryAfterMs = 0;
+    if (used > limit) {
+        retryAfterMs = current < limit
+            // The previous window still weighs too much: wait until enough of it slid out
+            ? windowMs * (1 - (limit - current) / previous) - elapsed
+            // This window is full: wait for it to end and slide out far enough itself
+            : (windowMs - elapsed) + windowMs * (1 - (limit - 1) / current);
+    }
+
+    return {
+        allowed: used <= limit,
+        remaining: Math.max(0, Math.floor(limit - used)),
+        resetMs: windowMs - elapsed,
+        retryAfterMs: Math.max(0, retryAfterMs)
+    };
+};
+
+// Quotas run per UTC day
+const quotaDay = (now) => new Date(now).toISOString().slice(0, 10);
+const quotaKey = (apiKey, now) => `quota:${apiKey._id}:${quotaDay(now)}`;
+const nextQuotaDay = (now) => new Date((Math.floor(now / DAY_MS) + 1) * DAY_MS);
+
+// Requests a key may make per day: its own dailyQuota, else API_KEY_DAILY_QUOTA; null is unlimited
+const dailyQuotaOf = (apiKey) => {
+    if (apiKey.dailyQuota) return apiKey.dailyQuota;
+    return readLimit(process.env.API_KEY_DAILY_QUOTA, 0) || null;
+};
+
+/**
+ * Count a request against the daily quota of an API key
+ * Keys without a quota are still counted so GET /api/keys/:id/usage can show them
+ * Returns { allowed, limit, used, remaining, resetsAt }
+ */
+const consumeQuota = async (apiKey, now = Date.now()) => {
+    const resetsAt = nextQuotaDay(now);
+    const used = await store.increment(quotaKey(apiKey, now), resetsAt.getTime() - now);
+    const limit = dailyQuotaOf(apiKey);
+    return {
+        allowed: limit === null || used <= limit,
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        resetsAt
+    };
+};
+
+// Today's quota use of an API key, without counting a request
+const quotaUsage = async (apiKey, now = Date.now()) => {
+    const used = await store.get(quotaKey(apiKey, now));
+    const limit = dailyQuotaOf(apiKey);
+    return {
+        date: quotaDay(now),
+        limit,
+        used,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        resetsAt: nextQuotaDay(now)
+    };
+};
+
+module.exports = {
+    RATE_LIMIT_GROUPS,
+    setRateLimitStore,
+    groupPolicy,
+    hitSlidingWindow,
+    consumeQuota,
+    quotaUsage
+};
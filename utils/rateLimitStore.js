@@ -0,0 +1,52 @@
+// Counter stores for middleware/rateLimit
+//
+// A store keeps integer counters that expire on their own. Any object with these
+// two methods can replace the in-memory store (see setRateLimitStore), e.g. one
+// backed by Redis INCR + PEXPIRE and GET so every instance shares the limits:
+//
+//   increment(key, ttlMs) -> Promise<number>  add 1 and return the new count;
+//                                            a new counter expires after ttlMs
+//   get(key)              -> Promise<number>  the current count, 0 when missing
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Counters kept in this process
+ * Limits are per instance and start over on restart; use a shared store when
+ * running several instances behind a load balancer
+ */
+class MemoryStore {
+    constructor({ sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+        this.counters = new Map();
+
+        // Drop expired counters so keys seen once do not pile up
+        this.timer = setInterval(() => this.sweep(), sweepIntervalMs);
+        // Do not keep the process alive just for this
+        this.timer.unref();
+    }
+
+    async increment(key, ttlMs) {
+        const now = Date.now();
+        const counter = this.counters.get(key);
+        if (counter && counter.expiresAt > now) {
+            counter.count += 1;
+            return counter.count;
+        }
+        this.counters.set(key, { count: 1, expiresAt: now + ttlMs });
+        return 1;
+    }
+
+    async get(key) {
+        const counter = this.counters.get(key);
+        return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+    }
+
+    sweep() {
+        const now = Date.now();
+        this.counters.forEach((counter, key) => {
+            if (counter.expiresAt <= now) this.counters.delete(key);
+        });
+    }
+}
+
+module.exports = { MemoryStore };
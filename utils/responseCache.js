@@ -0,0 +1,110 @@
+// Response cache of the product read routes (see middleware/cache)
+// Entries are keyed by route, path parameters and the normalized query string, and are
+// dropped whenever products or categories change (see invalidateProducts and the model hooks)
+const { LruCacheStore } = require('./cacheStore');
+const logger = require('./logger');
+
+const readNumber = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+// How long entries live; CACHE_TTL_MS=0 turns the cache off
+// Read when routes are set up: the models load this module before .env is
+const cacheTtlMs = () => readNumber(process.env.CACHE_TTL_MS, 30 * 1000);
+
+// Cached product responses, one key prefix each
+const PRODUCT_CACHES = {
+    list: 'products:list',
+    search: 'products:search',
+    stats: 'products:stats',
+    item: 'products:item'
+};
+
+let store = null;
+
+const cacheStore = () => {
+    if (!store) {
+        store = new LruCacheStore({
+            maxEntries: readNumber(process.env.CACHE_MAX_ENTRIES, 1000),
+            maxBytes: readNumber(process.env.CACHE_MAX_BYTES, 50 * 1024 * 1024)
+        });
+    }
+    return store;
+};
+
+// Swap the cache backend, e.g. for one shared by every instance (see utils/cacheStore)
+const setCacheStore = (newStore) => {
+    store = newStore;
+};
+
+// Bumped by every invalidation; a response computed across one is stale and not stored
+let generation = 0;
+const currentGeneration = () => generation;
+
+/**
+ * The query string with its parameters in a fixed order, so ?b=1&a=2 and ?a=2&b=1
+ * share an entry. Values are left as sent; the routes decide what they mean.
+ */
+const normalizeQuery = (query) => Object.keys(query).sort()
+    .flatMap(name => [].concat(query[name]).map(value => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`))
+    .join('&');
+
+// products:item:<id>?fields=name
+const cacheKey = (cache, req) => `${cache}:${Object.values(req.params).join('/')}?${normalizeQuery(req.query)}`;
+
+// Headers that belong to the cached response; the rest are per request
+const CACHED_HEADERS = ['ETag', 'Last-Modified', 'Cache-Control'];
+
+/**
+ * A cached response, or null
+ * Entries are stored as the header JSON, a newline, then the body as sent
+ */
+const readCachedResponse = async (key) => {
+    const value = await cacheStore().get(key);
+    if (value === null || value === undefined) return null;
+    const split = value.indexOf('\n');
+    return { headers: JSON.parse(value.slice(0, split)), body: value.slice(split + 1) };
+};
+
+// Store a 200 response unless products changed while it was being built
+const storeCachedResponse = async (key, res, body, { ttlMs, startedAt }) => {
+    if (generation !== startedAt) return;
+    const headers = {};
+    CACHED_HEADERS.forEach(name => {
+        const value = res.get(name);
+        if (value !== undefined) headers[name] = value;
+    });
+    await cacheStore().set(key, `${JSON.stringify(headers)}\n${body}`, ttlMs);
+};
+
+/**
+ * Drop the cached responses a product change affects: every listing, search and
+ * statistics entry, and the entries of the given products. Without ids (a change
+ * to many or unknown products, or to a category) every product entry goes.
+ * Never throws; a failing backend is logged and entries expire with their TTL.
+ */
+const invalidateProducts = (ids = null) => {
+    generation += 1;
+    const prefixes = [PRODUCT_CACHES.list, PRODUCT_CACHES.search, PRODUCT_CACHES.stats]
+        .map(cache => `${cache}:`)
+        .concat(ids === null
+            ? [`${PRODUCT_CACHES.item}:`]
+            : ids.map(id => `${PRODUCT_CACHES.item}:${id}?`));
+
+    return Promise.all(prefixes.map(prefix => cacheStore().deletePrefix(prefix))).catch(error => {
+        logger.warn('Failed to invalidate cached product responses', { err: error });
+    });
+};
+
+module.exports = {
+    cacheTtlMs,
+    PRODUCT_CACHES,
+    setCacheStore,
+    currentGeneration,
+    cacheKey,
+    readCachedResponse,
+    storeCachedResponse,
+    invalidateProducts
+};
@@ -0,0 +1,165 @@
+// A small JSON Schema validator for request bodies, query strings and route parameters
+// Supports the keywords the API's schemas use: type (one or a list), enum, minimum,
+// maximum, exclusiveMinimum, minLength, maxLength, pattern, format (objectId,
+// date-time, uri), items, minItems, maxItems, properties, required, additionalProperties,
+// minProperties and propertyNames. x-message replaces the messages of one schema.
+const mongoose = require('mongoose');
+
+const FORMATS = {
+    objectId: { test: (value) => mongoose.isValidObjectId(value) && /^[0-9a-fA-F]{24}$/.test(value), message: 'must be a valid id' },
+    'date-time': { test: (value) => !Number.isNaN(Date.parse(value)), message: 'must be a valid date' },
+    uri: { test: (value) => URL.canParse(value) && ['http:', 'https:'].includes(new URL(value).protocol), message: 'must be an http or https URL' }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: isPlainObject,
+    array: Array.isArray,
+    null: (value) => value === null
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+};
+
+// Numbers as handlers read them with parseInt / parseFloat: plain decimal notation only,
+// so 0.5e1 or 0x10 cannot pass as one value here and be read as another there
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/**
+ * Query strings and route parameters are always strings; with coerce, a string
+ * that reads as the wanted number or boolean is checked (and returned) as one
+ */
+const coerceValue = (types, value) => {
+    if (typeof value !== 'string' || types.includes('string')) return value;
+    const trimmed = value.trim();
+    const pattern = types.includes('number') ? DECIMAL_PATTERN : (types.includes('integer') ? INTEGER_PATTERN : null);
+    if (pattern && pattern.test(trimmed) && Number.isFinite(Number(trimmed))) {
+        return Number(trimmed);
+    }
+    if (types.includes('boolean') && (trimmed === 'true' || trimmed === 'false')) {
+        return trimmed === 'true';
+    }
+    return value;
+};
+
+// '/variants' + 0 -> '/variants/0', escaping as JSON pointers do
+const childPointer = (pointer, key) => `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+const checkValue = (schema, value, pointer, errors, options) => {
+    const fail = (message) => errors.push({ pointer, detail: schema['x-message'] || message });
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (options.coerce) value = coerceValue(types, value);
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+            return value;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+        return value;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('has an invalid format');
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            fail(FORMATS[schema.format].message);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value = value.map((item, index) => checkValue(schema.items, item, childPointer(pointer, index), errors, options));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        value = checkObject(schema, value, pointer, errors, options, fail);
+    }
+
+    return value;
+};
+
+const checkObject = (schema, value, pointer, errors, options, fail) => {
+    const properties = schema.properties || {};
+    const result = { ...value };
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+        fail('must not be empty');
+    }
+
+    (schema.required || []).forEach(key => {
+        if (value[key] === undefined) {
+            errors.push({ pointer: childPointer(pointer, key), detail: 'is required' });
+        }
+    });
+
+    Object.keys(value).forEach(key => {
+        if (value[key] === undefined) return;
+        const keyPointer = childPointer(pointer, key);
+
+        if (schema.propertyNames) {
+            checkValue(schema.propertyNames, key, keyPointer, errors, options);
+        }
+
+        if (properties[key]) {
+            result[key] = checkValue(properties[key], value[key], keyPointer, errors, options);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ pointer: keyPointer, detail: 'is not allowed' });
+        } else if (isPlainObject(schema.additionalProperties)) {
+            result[key] = checkValue(schema.additionalProperties, value[key], keyPointer, errors, options);
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Check a value against a schema
+ * coerce: read strings as numbers and booleans where the schema wants those
+ * (query strings and route parameters)
+ * Returns { value, errors } where value has the coerced values and errors is
+ * [{ pointer, detail }], empty when the value is valid
+ */
+const validateSchema = (schema, value, { coerce = false } = {}) => {
+    const errors = [];
+    const result = checkValue(schema, value, '', errors, { coerce });
+    return { value: result, errors };
+};
+
+module.exports = { validateSchema };
@@ -0,0 +1,209 @@
+// Transports of the live product stream (see utils/changeStream)
+// GET /api/products/stream answers with Server-Sent Events; the same path upgraded
+// to a WebSocket sends every event as one JSON text message. Both authenticate with
+// an API key or access token (products:read), count against the stream rate limit,
+// take the same filters and resume from Last-Event-ID.
+const { STATUS_CODES } = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const { openStream } = require('./changeStream');
+const { categoryFilterIds } = require('./categories');
+const { validateSchema } = require('./schema');
+const logger = require('./logger');
+const { resolveRequestAuth } = require('../middleware/auth');
+const { limitUpgrade } = require('../middleware/rateLimit');
+const { schemas } = require('../middleware/validation');
+
+const STREAM_PATH = '/api/products/stream';
+const REQUIRED_SCOPE = 'products:read';
+
+// Browsers cannot set headers on a WebSocket, so they offer the credential as a
+// subprotocol next to STREAM_PROTOCOL: new WebSocket(url, ['products-stream', 'auth.<key or token>'])
+const STREAM_PROTOCOL = 'products-stream';
+const AUTH_PROTOCOL_PREFIX = 'auth.';
+
+// A comment line (SSE) or ping (WebSocket) this often keeps proxies from closing idle connections
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long EventSource clients wait before reconnecting
+const RETRY_MS = 3000;
+
+// A client this far behind is disconnected; it reconnects and resumes from its last event
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * The filter of a stream from its query: { productIds, categoryIds }
+ * productId is a comma-separated list; category (id or slug) includes subcategories
+ * and an unknown category matches nothing
+ */
+const readStreamFilter = async (query) => ({
+    productIds: query.productId ? query.productId.split(',').map(id => id.trim()) : null,
+    categoryIds: query.category && query.category.trim() !== '' ? await categoryFilterIds(query.category.trim()) : null
+});
+
+// ===== SERVER-SENT EVENTS =====
+
+/**
+ * Stream events to an HTTP response until the client goes away
+ * lastEventId: the client's Last-Event-ID header (or ?lastEventId=)
+ */
+const streamOverSse = async (req, res) => {
+    const filter = await readStreamFilter(req.query);
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    // Keeps nginx from buffering the events
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const stop = openStream({
+        filter,
+        lastEventId: req.get('last-event-id') || req.query.lastEventId || null,
+        send: (entry) => {
+            if (res.writableEnded) return;
+            if (res.writableLength > MAX_BUFFERED_BYTES) {
+                res.end();
+                return;
+            }
+            res.write(`${entry.id ? `id: ${entry.id}\n` : ''}event: ${entry.type}\ndata: ${entry.json}\n\n`);
+        }
+    });
+
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': heartbeat\n\n');
+    }, HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        stop();
+    });
+};
+
+// ===== WEBSOCKET =====
+
+// Turn down an upgrade request with a plain HTTP response and close the socket
+const rejectUpgrade = (socket, status, detail, headers = {}) => {
+    const body = JSON.stringify({ type: 'about:blank', title: STATUS_CODES[status], status, detail });
+    socket.end(
+        `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+        'Content-Type: application/problem+json\r\n' +
+        Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('') +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        'Connection: close\r\n\r\n' +
+        body
+    );
+};
+
+const serveSocket = (ws, filter, lastEventId) => {
+    const stop = openStream({
+        filter,
+        lastEventId,
+        send: (entry) => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+                ws.close(1013, 'Too far behind; reconnect with the last event id');
+                return;
+            }
+            ws.send(entry.json);
+        }
+    });
+
+    // A client that misses a ping's pong by the next one is gone
+    let alive = true;
+    ws.on('pong', () => { alive = true; });
+    const heartbeat = setInterval(() => {
+        if (!alive) {
+            ws.terminate();
+            return;
+        }
+        alive = false;
+        ws.ping();
+    }, HEARTBEAT_MS);
+
+    ws.on('error', error => logger.warn('Stream WebSocket failed', { err: error }));
+    ws.on('close', () => {
+        clearInterval(heartbeat);
+        stop();
+    });
+};
+
+/**
+ * The credential offered as an auth.<credential> subprotocol, read as a Bearer
+ * Authorization header; headers the client did send take precedence
+ */
+const readProtocolCredential = (req) => {
+    if (req.headers['x-api-key'] || req.headers['authorization']) return;
+    const offered = (req.headers['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim());
+    const credential = offered.find(protocol => protocol.startsWith(AUTH_PROTOCOL_PREFIX));
+    if (credential) {
+        req.headers['authorization'] = `Bearer ${credential.slice(AUTH_PROTOCOL_PREFIX.length)}`;
+    }
+};
+
+/**
+ * Accept WebSocket connections to STREAM_PATH on the HTTP server
+ * The upgrade request is rate limited, authenticated and validated like GET
+ * /api/products/stream; Last-Event-ID comes from the header or ?lastEventId=.
+ * Messages from clients are ignored.
+ * app: the Express app, whose settings (trust proxy) give the client's IP
+ */
+const attachStreamSocket = (server, app) => {
+    const wss = new WebSocketServer({
+        noServer: true,
+        maxPayload: 1024,
+        // Never echo the credential back: the only protocol accepted is STREAM_PROTOCOL
+        handleProtocols: (protocols) => (protocols.has(STREAM_PROTOCOL) ? STREAM_PROTOCOL : false)
+    });
+
+    server.on('upgrade', async (req, socket, head) => {
+        socket.on('error', error => logger.warn('Stream upgrade socket failed', { err: error }));
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== STREAM_PATH) {
+            rejectUpgrade(socket, 404, 'Only /api/products/stream accepts WebSocket connections');
+            return;
+        }
+
+        // Express's request helpers, so req.ip honours TRUST_PROXY like on the routes
+        Object.setPrototypeOf(req, app.request);
+        req.app = app;
+        readProtocolCredential(req);
+
+        try {
+            const limited = await limitUpgrade('stream', req);
+            if (limited) {
+                rejectUpgrade(socket, 429, limited.message, limited.headers);
+                return;
+            }
+
+            const result = await resolveRequestAuth(req);
+            if (!result.auth) {
+                rejectUpgrade(socket, result.status, result.message);
+                return;
+            }
+            if (!result.auth.scopes.includes(REQUIRED_SCOPE)) {
+                rejectUpgrade(socket, 403, `The ${REQUIRED_SCOPE} scope is required.`);
+                return;
+            }
+
+            const query = Object.fromEntries(url.searchParams);
+            const { errors } = validateSchema(schemas.streamQuery, query, { coerce: true });
+            if (errors.length > 0) {
+                rejectUpgrade(socket, 400, errors.map(error => `${error.pointer} ${error.detail}`).join('; '));
+                return;
+            }
+
+            const filter = await readStreamFilter(query);
+            const lastEventId = req.headers['last-event-id'] || query.lastEventId || null;
+            wss.handleUpgrade(req, socket, head, ws => serveSocket(ws, filter, lastEventId));
+        } catch (error) {
+            logger.error('Stream WebSocket upgrade failed', { err: error });
+            rejectUpgrade(socket, 500, 'Internal Server Error');
+        }
+    });
+
+    return wss;
+};
+
+module.exports = { streamOverSse, attachStreamSocket };
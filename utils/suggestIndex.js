@@ -0,0 +1,180 @@
+// In-process prefix index that powers typo-tolerant autocomplete
+// Product names are split into terms and stored in a trie. Lookups walk the trie
+// with a Levenshtein row per node, so "iphnoe" still finds "iPhone 15 Pro".
+// The index lives in memory; it is loaded at startup and kept in sync by the
+// Product model hooks.
+
+// Split text into lowercase terms with accents removed
+const tokenize = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// How many typos a query term may contain; short terms must match exactly
+const maxEditsFor = (term) => {
+    if (term.length <= 2) return 0;
+    if (term.length <= 5) return 1;
+    return 2;
+};
+
+const createNode = () => ({ children: new Map(), ids: new Set() });
+
+class SuggestIndex {
+    constructor() {
+        this.root = createNode();
+        // product id -> { id, name, category, terms }
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    clear() {
+        this.root = createNode();
+        this.entries.clear();
+    }
+
+    // Add or replace a product; accepts a Mongoose document or a plain object
+    upsert(product) {
+        const id = String(product._id);
+        this.remove(id);
+
+        const terms = new Set(tokenize(product.name));
+        if (product.sku) terms.add(String(product.sku).toLowerCase());
+        (product.variants || []).forEach(variant => {
+            if (variant.sku) terms.add(String(variant.sku).toLowerCase());
+        });
+
+        terms.forEach(term => {
+            let node = this.root;
+            for (const char of term) {
+                if (!node.children.has(char)) node.children.set(char, createNode());
+                node = node.children.get(char);
+            }
+            node.ids.add(id);
+        });
+
+        this.entries.set(id, { id, name: product.name, category: product.category, terms: [...terms] });
+    }
+
+    remove(productId) {
+        const id = String(productId);
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        entry.terms.forEach(term => {
+            let node = this.root;
+            for (const char of term) {
+                node = node && node.children.get(char);
+            }
+            if (node) node.ids.delete(id);
+        });
+        this.entries.delete(id);
+    }
+
+    // Collect every product id stored at or below a node
+    collect(node, distance, matches) {
+        node.ids.forEach(id => {
+            if (!matches.has(id) || matches.get(id) > distance) matches.set(id, distance);
+        });
+        node.children.forEach(child => this.collect(child, distance, matches));
+    }
+
+    /**
+     * Find products with a term that starts with something within maxEdits of `term`
+     * Returns Map<productId, editDistance>
+     */
+    matchTerm(term, maxEdits) {
+        const matches = new Map();
+        const firstRow = Array.from({ length: term.length + 1 }, (value, index) => index);
+
+        // Optimal string alignment distance, so a swapped pair of letters counts as one typo
+        const walk = (node, char, previousRow, rowBefore, previousChar) => {
+            const row = [previousRow[0] + 1];
+            for (let i = 1; i <= term.length; i++) {
+                const cost = term[i - 1] === char ? 0 : 1;
+                let distance = Math.min(row[i - 1] + 1, previousRow[i] + 1, previousRow[i - 1] + cost);
+                if (rowBefore && i > 1 && term[i - 1] === previousChar && term[i - 2] === char) {
+                    distance = Math.min(distance, rowBefore[i - 2] + 1);
+                }
+                row.push(distance);
+            }
+
+            // The whole query term is within reach of this path: everything below is a prefix match
+            if (row[term.length] <= maxEdits) {
+                this.collect(node, row[term.length], matches);
+            }
+
+            // Keep going only while some alignment can still end within budget
+            if (Math.min(...row) <= maxEdits) {
+                node.children.forEach((child, childChar) => walk(child, childChar, row, previousRow, char));
+            }
+        };
+
+        this.root.children.forEach((child, char) => walk(child, char, firstRow, null, null));
+        return matches;
+    }
+
+    /**
+     * Suggest products for a partial query
+     * Every query term must match a term of the product; closer matches rank first,
+     * then names that start with the query, then alphabetical
+     */
+    suggest(query, limit = 10) {
+        const queryTerms = tokenize(query);
+        if (queryTerms.length === 0) return [];
+
+        let candidates = null;
+        queryTerms.forEach(term => {
+            const matches = this.matchTerm(term, maxEditsFor(term));
+            const next = new Map();
+            matches.forEach((distance, id) => {
+                if (candidates === null) {
+                    next.set(id, distance);
+                } else if (candidates.has(id)) {
+                    next.set(id, candidates.get(id) + distance);
+                }
+            });
+            candidates = next;
+        });
+
+        const normalizedQuery = queryTerms.join(' ');
+        return [...candidates.entries()]
+            .map(([id, distance]) => {
+                const entry = this.entries.get(id);
+                const startsWithQuery = tokenize(entry.name).join(' ').startsWith(normalizedQuery);
+                return { entry, distance, startsWithQuery };
+            })
+            .sort((a, b) => (a.distance - b.distance)
+                || (Number(b.startsWithQuery) - Number(a.startsWithQuery))
+                || a.entry.name.localeCompare(b.entry.name))
+            .slice(0, limit)
+            .map(({ entry, distance }) => ({
+                _id: entry.id,
+                name: entry.name,
+                category: entry.category,
+                typos: distance
+            }));
+    }
+
+    /**
+     * Rebuild the index from the database
+     * The model is passed in rather than required to avoid a circular import
+     */
+    async load(Product) {
+        const cursor = Product.find({}, 'name category sku variants.sku').lean().cursor();
+        this.clear();
+        for await (const product of cursor) {
+            this.upsert(product);
+        }
+        return this.size;
+    }
+}
+
+// Shared index used by the Product model hooks and the suggest endpoint
+const productSuggestIndex = new SuggestIndex();
+
+module.exports = { SuggestIndex, productSuggestIndex, tokenize };
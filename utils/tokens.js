@@ -0,0 +1,54 @@
+// Helpers for issuing and verifying the tokens used by user accounts
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/refreshTokens');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS, 10) || 7;
+
+const getSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+};
+
+// Sign an access token carrying the user id and role
+const signAccessToken = (user) => jwt.sign(
+    { role: user.role, type: 'access' },
+    getSecret(),
+    { subject: String(user._id), expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Verify an access token and return its payload; throws when invalid or expired
+const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, getSecret());
+    if (payload.type !== 'access') {
+        throw new jwt.JsonWebTokenError('Not an access token');
+    }
+    return payload;
+};
+
+/**
+ * Issue a fresh access/refresh token pair for a user
+ * Returns the shape sent to clients by /login and /refresh
+ */
+const issueTokenPair = async (user) => {
+    const { refreshToken, plaintext } = await RefreshToken.issue(
+        user._id,
+        REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    return {
+        tokens: {
+            accessToken: signAccessToken(user),
+            tokenType: 'Bearer',
+            expiresIn: ACCESS_TOKEN_TTL,
+            refreshToken: plaintext,
+            refreshTokenExpiresAt: refreshToken.expiresAt
+        },
+        refreshToken
+    };
+};
+
+module.exports = { signAccessToken, verifyAccessToken, issueTokenPair };
@@ -0,0 +1,198 @@
+// Adding, editing and removing product variants
+// Variant stock lives on the product document next to the totals derived from it,
+// so every change is one atomic update that also recomputes those totals.
+const mongoose = require('mongoose');
+const Product = require('../models/products');
+const StockMovement = require('../models/stockMovements');
+const { stockTotalsStages } = require('./inventory');
+const { checkVariantSet } = require('../middleware/validation');
+const { readDecimalPrices } = require('./priceUnits');
+const { ApiError } = require('./errors');
+
+// Thrown for problems the caller can fix
+class VariantError extends ApiError {}
+
+// Plain option object of a stored variant (options is a Mongoose Map)
+const plainOptions = (variant) => Object.fromEntries(variant.options);
+
+// The SKU index is unique across the catalog, so another product may hold the SKU
+const writeVariant = async (filter, update, options) => {
+    try {
+        return await Product.findOneAndUpdate(filter, update, options);
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new VariantError('A variant with this SKU already exists', 409, {
+                errors: [{ in: 'body', pointer: '/sku', detail: 'is already in use' }]
+            });
+        }
+        throw error;
+    }
+};
+
+const loadProduct = async (productId) => {
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new VariantError('Product not found', 404, { productId });
+    }
+    return product;
+};
+
+// Check that the variants would still be distinct after the change
+const assertDistinct = (variants) => {
+    const errors = checkVariantSet(variants);
+    if (errors.length > 0) {
+        // The clash is with the variant in the request body, whatever its place in the list
+        throw new VariantError('Variant conflicts with an existing variant', 409, {
+            errors: errors.map(error => ({ in: 'body', pointer: error.pointer.replace(/^\/variants\/\d+/, ''), detail: error.detail }))
+        });
+    }
+};
+
+/**
+ * Add a variant to a product
+ * data: { sku, options, price?, sales?, quantity? } with prices as decimal amounts
+ * of the product's currency; quantity is recorded as opening stock
+ * Like the other variant operations, returns { product, variant, previous } where
+ * previous is the product as it was before the change
+ * A product's first variant can only be added while the product holds no stock
+ * of its own, since from then on its stock is the total of its variants
+ */
+const addVariant = async ({ productId, data: request, actor }) => {
+    const product = await loadProduct(productId);
+    const data = readDecimalPrices(request, product.currency);
+
+    if (product.variants.length === 0 && ((product.quantity || 0) > 0 || (product.reserved || 0) > 0)) {
+        throw new VariantError('Product has stock of its own; adjust it to zero before adding variants', 409);
+    }
+
+    assertDistinct([
+        ...product.variants.map(variant => ({ sku: variant.sku, options: plainOptions(variant) })),
+        data
+    ]);
+
+    const quantity = data.quantity || 0;
+    const variant = {
+        _id: new mongoose.Types.ObjectId(),
+        sku: data.sku,
+        options: data.options,
+        price: data.price !== undefined ? data.price : null,
+        // Written by an aggregation pipeline, which does not cast; store real dates
+        sales: (data.sales || []).map(sale => ({ price: sale.price, startsAt: new Date(sale.startsAt), endsAt: new Date(sale.endsAt) })),
+        quantity,
+        reserved: 0,
+        inStock: quantity > 0
+    };
+
+    // The guards repeat the checks above so a concurrent change cannot slip in between
+    const updated = await writeVariant(
+        {
+            _id: productId,
+            'variants.sku': { $ne: variant.sku },
+            $or: [
+                { 'variants.0': { $exists: true } },
+                { quantity: { $in: [0, null] }, reserved: { $in: [0, null] } }
+            ]
+        },
+        [
+            // $literal keeps option values such as "$5 off" from being read as field paths
+            { $set: { variants: { $concatArrays: [{ $ifNull: ['$variants', []] }, [{ $literal: variant }]] } } },
+            ...stockTotalsStages
+        ],
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new VariantError('Product changed while adding the variant, please retry', 409);
+    }
+
+    if (quantity > 0) {
+        await StockMovement.create({
+            product: productId,
+            variant: variant._id,
+            type: 'receipt',
+            quantity,
+            balanceAfter: quantity,
+            reason: 'Opening stock',
+            actor
+        });
+    }
+
+    return { product: updated, variant: updated.variants.id(variant._id), previous: product };
+};
+
+/**
+ * Edit the sku, options, price or sales of a variant
+ * Prices are decimal amounts of the product's currency
+ * Stock is not editable here; it changes through stock movements
+ */
+const updateVariant = async ({ productId, variantId, changes: request }) => {
+    const product = await loadProduct(productId);
+    const changes = readDecimalPrices(request, product.currency);
+    const existing = product.variants.id(variantId);
+    if (!existing) {
+        throw new VariantError('Variant not found', 404, { productId, variantId });
+    }
+
+    assertDistinct(product.variants.map(variant => {
+        const edited = String(variant._id) === String(variantId);
+        return {
+            sku: edited && changes.sku !== undefined ? changes.sku : variant.sku,
+            options: edited && changes.options !== undefined ? changes.options : plainOptions(variant)
+        };
+    }));
+
+    const $set = {};
+    ['sku', 'options', 'price', 'sales'].forEach(field => {
+        if (changes[field] !== undefined) $set[`variants.$[target].${field}`] = changes[field];
+    });
+
+    const updated = await writeVariant(
+        { _id: productId, 'variants._id': variantId },
+        { $set },
+        { new: true, runValidators: true, arrayFilters: [{ 'target._id': variantId }] }
+    );
+
+    if (!updated) {
+        throw new VariantError('Variant not found', 404, { productId, variantId });
+    }
+
+    return { product: updated, variant: updated.variants.id(variantId), previous: product };
+};
+
+/**
+ * Remove a variant
+ * Only variants without stock or reservations can go, so no units disappear
+ * without a movement in the ledger
+ */
+const removeVariant = async ({ productId, variantId }) => {
+    const product = await loadProduct(productId);
+    const existing = product.variants.id(variantId);
+    if (!existing) {
+        throw new VariantError('Variant not found', 404, { productId, variantId });
+    }
+
+    if ((existing.quantity || 0) > 0 || (existing.reserved || 0) > 0) {
+        throw new VariantError('Variant still has stock or reservations; adjust its stock to zero first', 409, {
+            quantity: existing.quantity,
+            reserved: existing.reserved
+        });
+    }
+
+    const id = new mongoose.Types.ObjectId(String(variantId));
+    const updated = await Product.findOneAndUpdate(
+        { _id: productId, variants: { $elemMatch: { _id: id, quantity: { $in: [0, null] }, reserved: { $in: [0, null] } } } },
+        [
+            { $set: { variants: { $filter: { input: '$variants', cond: { $ne: ['$$this._id', id] } } } } },
+            ...stockTotalsStages
+        ],
+        { new: true }
+    );
+
+    if (!updated) {
+        throw new VariantError('Variant changed while removing it, please retry', 409);
+    }
+
+    return { product: updated, variant: existing, previous: product };
+};
+
+module.exports = { VariantError, addVariant, updateVariant, removeVariant };
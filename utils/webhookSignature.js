@@ -0,0 +1,29 @@
+// Webhook signatures: X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Kept free of models so receivers (see webhook-receiver.js) can use it without a database
+const crypto = require('crypto');
+
+// Signatures older than this are rejected by verifySignature, so a captured
+// delivery cannot be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// The X-Webhook-Signature value of a body
+const signatureHeader = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+
+/**
+ * Check an X-Webhook-Signature header against the raw body, as receivers should
+ * Returns true when it was made with this secret less than five minutes ago
+ */
+const verifySignature = (secret, header, body, now = Date.now()) => {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+    const given = Buffer.from(parts.v1, 'hex');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = { signatureHeader, verifySignature };
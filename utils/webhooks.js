@@ -0,0 +1,301 @@
+// Outbound webhooks: product events become signed deliveries to every subscription
+// that asked for them, retried with exponential backoff until they succeed or die
+//
+// Each delivery is a POST with the event as JSON and these headers:
+//   X-Webhook-Event: product.updated
+//   X-Webhook-Delivery: id of the delivery (new for every redelivery)
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>
+//   (see utils/webhookSignature)
+// A 2xx answer within WEBHOOK_TIMEOUT_MS counts as delivered. Anything else is retried
+// WEBHOOK_RETRY_BASE_MS, then twice as long each time, up to WEBHOOK_MAX_ATTEMPTS
+// attempts; after that the delivery is dead (a dead letter) until it is redelivered.
+const crypto = require('crypto');
+const Product = require('../models/products');
+const Webhook = require('../models/webhooks');
+const WebhookDelivery = require('../models/webhookDeliveries');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+const { signatureHeader } = require('./webhookSignature');
+const { publishStreamEvents } = require('./changeStream');
+const { pricesFromMinorUnits, changesFromMinorUnits } = require('./priceUnits');
+const { version } = require('../package.json');
+
+// Thrown for problems the caller can fix
+class WebhookError extends ApiError {}
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// How long a claimed delivery is left alone; a process that dies mid-attempt
+// leaves it to be picked up again once this runs out
+const CLAIM_MS = TIMEOUT_MS + 30 * 1000;
+
+// Deliveries sent at the same time by one process
+const CONCURRENCY = 5;
+
+// Product history actions (see models/productVersions) and the events they raise
+const ACTION_EVENTS = {
+    'create': 'product.created',
+    'update': 'product.updated',
+    'variant-add': 'product.updated',
+    'variant-update': 'product.updated',
+    'variant-remove': 'product.updated',
+    'media-add': 'product.updated',
+    'media-update': 'product.updated',
+    'media-remove': 'product.updated',
+    'media-reorder': 'product.updated',
+    'revert': 'product.updated',
+    'restore': 'product.updated',
+    'delete': 'product.deleted',
+    'purge': 'product.deleted'
+};
+
+// ===== SENDING =====
+
+const retryDelay = (attemptNumber) => Math.min(RETRY_BASE_MS * 2 ** (attemptNumber - 1), MAX_RETRY_DELAY_MS);
+
+// POST the payload once; returns the attempt as stored on the delivery
+const post = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const at = new Date();
+    const startedAt = process.hrtime.bigint();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': `ProductAPI-Webhooks/${version}`,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Signature': signatureHeader(webhook.secret, body)
+            },
+            body,
+            // A redirect could point the signed payload anywhere
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        // Only the status matters; do not hold the connection for the body
+        if (response.body) await response.body.cancel();
+        if (responseStatus < 200 || responseStatus >= 300) {
+            error = `Receiver answered ${responseStatus}`;
+        }
+    } catch (fetchError) {
+        error = fetchError.name === 'TimeoutError'
+            ? `No answer within ${TIMEOUT_MS} ms`
+            : (fetchError.cause && fetchError.cause.message) || fetchError.message;
+    }
+
+    return {
+        at,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+        responseStatus,
+        error
+    };
+};
+
+// Make one attempt at a claimed delivery and record how it went
+const attemptDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    let attempt;
+    if (!webhook || !webhook.active) {
+        attempt = { at: new Date(), durationMs: 0, responseStatus: null, error: webhook ? 'Webhook is inactive' : 'Webhook was deleted' };
+    } else {
+        attempt = await post(webhook, delivery);
+    }
+
+    const attemptNumber = delivery.attempts.length + 1;
+    const update = { $push: { attempts: attempt } };
+    if (!attempt.error) {
+        update.$set = { status: 'delivered', deliveredAt: attempt.at };
+    } else if (!webhook || !webhook.active || attemptNumber >= MAX_ATTEMPTS) {
+        update.$set = { status: 'dead' };
+        logger.warn('Webhook delivery failed for good', {
+            deliveryId: delivery._id,
+            webhookId: delivery.webhook,
+            event: delivery.event,
+            attempts: attemptNumber,
+            error: attempt.error
+        });
+    } else {
+        update.$set = { nextAttemptAt: new Date(Date.now() + retryDelay(attemptNumber)) };
+    }
+    await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+};
+
+// Take the next delivery that is due, so no other worker or process sends it too
+const claimNextDue = () => {
+    const now = Date.now();
+    return WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: new Date(now) } },
+        { $set: { nextAttemptAt: new Date(now + CLAIM_MS) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+let processing = null;
+let processAgain = false;
+
+/**
+ * Send every delivery that is due, a few at a time
+ * Called by the delivery job and right after new deliveries are queued; a call
+ * while a run is going makes that run look again once it is done
+ * Returns the number of attempts made
+ */
+const processDueDeliveries = () => {
+    if (processing) {
+        processAgain = true;
+        return processing;
+    }
+
+    processing = (async () => {
+        let attempted = 0;
+        const worker = async () => {
+            for (let delivery = await claimNextDue(); delivery; delivery = await claimNextDue()) {
+                await attemptDelivery(delivery);
+                attempted += 1;
+            }
+        };
+        do {
+            processAgain = false;
+            await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+        } while (processAgain);
+        return attempted;
+    })().finally(() => {
+        processing = null;
+    });
+    return processing;
+};
+
+const kickDeliveries = () => {
+    processDueDeliveries().catch(error => logger.error('Webhook deliveries failed', { err: error }));
+};
+
+// ===== QUEUEING =====
+
+/**
+ * Queue a delivery of each event to every active subscription that wants it
+ * events: [{ event, data }]; every event gets its own id, shared by its deliveries
+ * Returns the deliveries created
+ */
+const queueEvents = async (events) => {
+    if (events.length === 0) return [];
+
+    const webhooks = await Webhook.find({ active: true, events: { $in: [...new Set(events.map(({ event }) => event))] } });
+    if (webhooks.length === 0) return [];
+
+    const deliveries = events.flatMap(({ event, data }) => {
+        const subscribers = webhooks.filter(webhook => webhook.events.includes(event));
+        if (subscribers.length === 0) return [];
+
+        const eventId = crypto.randomUUID();
+        // Stored as it is sent, so every attempt signs the same bytes
+        const payload = JSON.parse(JSON.stringify({ id: eventId, type: event, createdAt: new Date().toISOString(), data }));
+        return subscribers.map(webhook => ({ webhook: webhook._id, event, eventId, payload }));
+    });
+    if (deliveries.length === 0) return [];
+
+    const queued = await WebhookDelivery.insertMany(deliveries);
+    kickDeliveries();
+    return queued;
+};
+
+// Queue events without ever failing the write that raised them
+const queueEventsSafely = async (events) => {
+    try {
+        await queueEvents(events);
+    } catch (error) {
+        logger.error('Failed to queue webhook events', { events: events.map(({ event }) => event), err: error });
+    }
+};
+
+// Send events to the live stream (see utils/changeStream) and queue them for webhooks
+const raiseEvents = async (events) => {
+    publishStreamEvents(events);
+    await queueEventsSafely(events);
+};
+
+/**
+ * Raise product.created / updated / deleted for recorded product changes
+ * changes: what utils/productHistory records, { productId, action, diff }
+ * The event carries the product as it is now (trashed products included); purged
+ * products are gone, so theirs is null
+ */
+const publishProductChanges = async (changes) => {
+    const raised = changes.filter(change => ACTION_EVENTS[change.action]);
+    if (raised.length === 0) return;
+
+    try {
+        const ids = raised.filter(change => change.action !== 'purge').map(change => change.productId);
+        const products = ids.length === 0 ? [] : await Product.find({ _id: { $in: ids } }).setOptions({ withDeleted: true }).lean();
+        const byId = new Map(products.map(product => [String(product._id), product]));
+
+        await raiseEvents(raised.map(change => ({
+            event: ACTION_EVENTS[change.action],
+            data: {
+                productId: String(change.productId),
+                action: change.action,
+                // Stored prices are minor units; events carry decimal amounts like responses
+                product: pricesFromMinorUnits(byId.get(String(change.productId)) || null),
+                changes: changesFromMinorUnits(change.diff || [], (change.after || change.before || {}).currency)
+            }
+        })));
+    } catch (error) {
+        logger.error('Failed to publish product changes to webhooks', { err: error });
+    }
+};
+
+/**
+ * Raise product.out_of_stock for a product a stock change left with nothing available
+ * variantId names the variant whose stock changed, if any
+ */
+const publishOutOfStock = (product, variantId = null) => raiseEvents([{
+    event: 'product.out_of_stock',
+    data: {
+        productId: String(product._id),
+        variantId: variantId ? String(variantId) : null,
+        product
+    }
+}]);
+
+/**
+ * Send a delivery again as a new delivery (the original is kept as it was)
+ * Returns the new delivery
+ */
+const redeliver = async (deliveryId) => {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) {
+        throw new WebhookError('Delivery not found', 404);
+    }
+    if (original.status === 'pending') {
+        throw new WebhookError('Delivery is still being retried', 409, { nextAttemptAt: original.nextAttemptAt });
+    }
+    if (!await Webhook.exists({ _id: original.webhook })) {
+        throw new WebhookError('The webhook of this delivery was deleted', 409);
+    }
+
+    const delivery = await WebhookDelivery.create({
+        webhook: original.webhook,
+        event: original.event,
+        eventId: original.eventId,
+        payload: original.payload,
+        redeliveryOf: original._id
+    });
+    kickDeliveries();
+    return delivery;
+};
+
+module.exports = {
+    WebhookError,
+    processDueDeliveries,
+    queueEvents,
+    publishProductChanges,
+    publishOutOfStock,
+    redeliver
+};
@@ -0,0 +1,70 @@
+// webhook-receiver.js - CLI that listens for webhook deliveries and prints them
+// Handy for trying webhooks locally: subscribe its URL, change a product, watch it arrive
+//
+// Usage:
+//   node webhook-receiver.js --port 4000 --secret whsec_... [--status 500]
+//
+// With --secret each delivery's X-Webhook-Signature is checked and bad ones are
+// answered 401. --status answers every delivery with that status instead of 204,
+// e.g. 500 to watch the retries and the dead letter.
+
+const http = require('http');
+const { parseArgs } = require('util');
+const { verifySignature } = require('./utils/webhookSignature');
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '4000' },
+        secret: { type: 'string' },
+        status: { type: 'string', default: '204' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+const printUsage = () => {
+    console.log('Usage: node webhook-receiver.js [--port n] [--secret whsec_...] [--status code]');
+};
+
+const main = () => {
+    if (values.help) {
+        printUsage();
+        return;
+    }
+
+    const port = parseInt(values.port, 10);
+    const status = parseInt(values.status, 10);
+    if (!Number.isInteger(port) || port < 0 || !Number.isInteger(status) || status < 200 || status > 599) {
+        console.error('--port must be a port number and --status an HTTP status code');
+        printUsage();
+        process.exitCode = 1;
+        return;
+    }
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            // Signatures cover the raw body, so verify before parsing it
+            const body = Buffer.concat(chunks).toString('utf8');
+            const signature = req.headers['x-webhook-signature'];
+            const verified = values.secret ? verifySignature(values.secret, signature, body) : null;
+
+            console.log(`--- ${new Date().toISOString()} ${req.method} ${req.url}`);
+            console.log(`event: ${req.headers['x-webhook-event']}  delivery: ${req.headers['x-webhook-delivery']}`);
+            console.log(`signature: ${verified === null ? 'not checked (no --secret)' : verified ? 'valid' : 'INVALID'}`);
+            try {
+                console.log(JSON.stringify(JSON.parse(body), null, 2));
+            } catch {
+                console.log(body);
+            }
+
+            res.writeHead(verified === false ? 401 : status).end();
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`Listening for webhook deliveries on http://localhost:${server.address().port}/`);
+    });
+};
+
+main();